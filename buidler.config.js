@@ -9,12 +9,19 @@ const { randomBytes } = require('crypto');
 
 const { types, internalTask } = require("@nomiclabs/buidler/config");
 const Logger = require('./lib/logger');
+const Deployer = require('./lib/deployer');
 
 usePlugin("buidler-ethers-v5");
 usePlugin("buidler-deploy");
 usePlugin("solidity-coverage");
 usePlugin("@nomiclabs/buidler-etherscan");
 
+require('./tasks/categories');
+require('./tasks/pools');
+require('./tasks/keeper');
+require('./tasks/oracle');
+require('./tasks/deployments');
+
 const keys = {
   mainnet: fromPrivateKey(
     process.env.MAINNET_PVT_KEY
@@ -30,17 +37,23 @@ const keys = {
 internalTask('approve_pool_controller', 'Approves an address to deploy index pools if it is not already approved.')
   .addParam('address', 'address to approve')
   .addOptionalParam('gasPrice', 'Gas price to use for approval transaction.', 1000000000, types.int)
-  .setAction(async ({ address, gasPrice }) => {
-    require('@nomiclabs/buidler');
-    const poolFactory = await ethers.getContract('poolFactory');
-    const logger = Logger(await getChainId());
-    const isApproved = await poolFactory.isApprovedController(address);
+  .setAction(async ({ address, gasPrice }, bre) => {
+    const logger = Logger(await bre.getChainId());
+    const deploy = await Deployer(bre, logger);
+    const poolFactory = await deploy.getContract('poolFactory');
+    // Planned contracts have no code to call.
+    const isApproved = !deploy.isPlanned(poolFactory.address) && await poolFactory.isApprovedController(address);
     if (isApproved) {
       logger.info(`${address} is already approved`);
     } else {
-      logger.info(`Approving ${address} as a pool controller...`);
-      await poolFactory.approvePoolController(address, { gasLimit: 150000, gasPrice });
-      logger.success(`Approved ${address} as a pool controller!`);
+      await deploy.send(
+        'approval',
+        `Approve ${address} as a pool controller`,
+        poolFactory,
+        'approvePoolController',
+        [address],
+        { gasLimit: 150000, gasPrice }
+      );
     }
   });
 
@@ -49,17 +62,23 @@ internalTask('approve_pool_controller', 'Approves an address to deploy index poo
 internalTask('approve_proxy_deployer', 'Approves an address to deploy proxies if it is not already approved.')
   .addParam('address', 'address to approve')
   .addOptionalParam('gasPrice', 'Gas price to use for approval transaction.', 1000000000, types.int)
-  .setAction(async ({ address, gasPrice }) => {
-    require('@nomiclabs/buidler');
-    const proxyManager = await ethers.getContract('proxyManager');
-    const logger = Logger(await getChainId());
-    const isApproved = await proxyManager.isApprovedDeployer(address);
+  .setAction(async ({ address, gasPrice }, bre) => {
+    const logger = Logger(await bre.getChainId());
+    const deploy = await Deployer(bre, logger);
+    const proxyManager = await deploy.getContract('proxyManager');
+    // Planned contracts have no code to call.
+    const isApproved = !deploy.isPlanned(proxyManager.address) && await proxyManager.isApprovedDeployer(address);
     if (isApproved) {
       logger.info(`${address} is already approved`);
     } else {
-      logger.info(`Approving ${address} as a proxy deployer...`);
-      await proxyManager.approveDeployer(address, { gasLimit: 150000, gasPrice });
-      logger.success(`Approved ${address} as a proxy deployer!`);
+      await deploy.send(
+        'approval',
+        `Approve ${address} as a proxy deployer`,
+        proxyManager,
+        'approveDeployer',
+        [address],
+        { gasLimit: 150000, gasPrice }
+      );
     }
   });
 
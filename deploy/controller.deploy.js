@@ -18,9 +18,9 @@ module.exports = async (bre) => {
 
   const gasPrice = (chainID == 1) ? 25000000000 : 1000000000;
 
-  const proxyManager = await ethers.getContract('proxyManager');
-  const uniswapOracle = await ethers.getContract('IndexedUniswapV2Oracle');
-  const poolFactory = await ethers.getContract('poolFactory');
+  const proxyManager = await deploy.getContract('proxyManager');
+  const uniswapOracle = await deploy.getContract('IndexedUniswapV2Oracle');
+  const poolFactory = await deploy.getContract('poolFactory');
 
   // Deploy pool controller implementation
   const controllerImplementation = await deploy('MarketCapSqrtController', 'controllerImplementation', {
@@ -33,15 +33,22 @@ module.exports = async (bre) => {
   const controllerAddress = await proxyManager.computeProxyAddressOneToOne(deployer, controllerImplementationSalt);
 
   // // Create proxy
-  await proxyManager.deployProxyOneToOne(controllerImplementationSalt, controllerImplementation.address, { gasLimit: 500000, gasPrice });
+  await deploy.send(
+    'proxy',
+    `Create controller proxy at ${controllerAddress}`,
+    proxyManager,
+    'deployProxyOneToOne',
+    [controllerImplementationSalt, controllerImplementation.address],
+    { gasLimit: 500000, gasPrice }
+  );
   // // Get interface for contract
   const controller = await ethers.getContractAt('MarketCapSqrtController', controllerAddress);
   // // Initialize ctrlr
-  await controller.initialize({ gasLimit: 500000, gasPrice });
+  await deploy.send('call', 'Initialize controller', controller, 'initialize', [], { gasLimit: 500000, gasPrice });
   // // Update deployment info
   controllerImplementation.address = controllerAddress;
   controllerImplementation.receipt.contractAddress = controllerAddress;
-  await deployments.save('controller', controllerImplementation);
+  await deploy.save('controller', controllerImplementation);
 
   await bre.run('approve_proxy_deployer', { address: controller.address, gasPrice });
   await bre.run('approve_pool_controller', { address: controller.address, gasPrice });
@@ -16,7 +16,7 @@ module.exports = async (bre) => {
 
   const gasPrice = (chainID == 1) ? 140000000000 : 1000000000;
 
-  const poolFactory = await ethers.getContract('PoolFactory');
+  const poolFactory = await deploy.getContract('PoolFactory');
 
   const poolFactoryAccessControl = await deploy('PoolFactoryAccessControl', 'poolFactoryAccessControl', {
     from: deployer,
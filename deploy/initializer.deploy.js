@@ -19,9 +19,9 @@ module.exports = async (bre) => {
 
   const gasPrice = (chainID == 1) ? 25000000000 : 1000000000;
 
-  const proxyManager = await ethers.getContract('proxyManager', signer);
-  const uniswapOracle = await ethers.getContract('IndexedUniswapV2Oracle', signer);
-  const controller = await ethers.getContract('controller');
+  const proxyManager = await deploy.getContract('proxyManager', signer);
+  const uniswapOracle = await deploy.getContract('IndexedUniswapV2Oracle', signer);
+  const controller = await deploy.getContract('controller');
 
   const poolInitializerImplementation = await deploy('PoolInitializer', 'poolInitializerImplementation', {
     from: deployer,
@@ -30,11 +30,14 @@ module.exports = async (bre) => {
     args: [uniswapOracle.address, controller.address]
   });
 
-  await proxyManager.createManyToOneProxyRelationship(
-    poolInitializerID,
-    poolInitializerImplementation.address,
+  await deploy.send(
+    'proxy',
+    `Create implementation for pool initializer at ${poolInitializerImplementation.address}`,
+    proxyManager,
+    'createManyToOneProxyRelationship',
+    [poolInitializerID, poolInitializerImplementation.address],
     { gasPrice, gasLimit: 150000 }
-  ).then(r => r.wait());
+  );
 };
 
 module.exports.tags = ['PoolInitializer'];
\ No newline at end of file
@@ -20,7 +20,7 @@ module.exports = async (bre) => {
 
   const gasPrice = (chainID == 1) ? 35000000000 : 1000000000;
 
-  const proxyManager = await ethers.getContract('proxyManager', signer);
+  const proxyManager = await deploy.getContract('proxyManager', signer);
 
   const poolImplementation = await deploy('IndexPool', 'poolImplementation', {
     from: deployer,
@@ -30,12 +30,14 @@ module.exports = async (bre) => {
     args: []
   });
 
-  await proxyManager.createManyToOneProxyRelationship(
-    poolImplementationID,
-    poolImplementation.address,
+  await deploy.send(
+    'proxy',
+    `Create implementation for pool at ${poolImplementation.address}`,
+    proxyManager,
+    'createManyToOneProxyRelationship',
+    [poolImplementationID, poolImplementation.address],
     { gasPrice, gasLimit: 150000 }
-  ).then(r => r.wait());
-  logger.success(`Created implementation for pool`);
+  );
 };
 
 module.exports.tags = ['IndexPool'];
\ No newline at end of file
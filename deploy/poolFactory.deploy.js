@@ -17,7 +17,7 @@ module.exports = async (bre) => {
 
   const gasPrice = (chainID == 1) ? 25000000000 : 1000000000;
 
-  const proxyManager = await ethers.getContract('proxyManager', signer);
+  const proxyManager = await deploy.getContract('proxyManager', signer);
 
   const poolFactory = await deploy('PoolFactory', 'poolFactory', {
     contractName: 'poolFactory',
@@ -21,9 +21,9 @@ module.exports = async (bre) => {
   const gasPrice = (chainID == 1) ? 25000000000 : 1000000000;
 
   const uniswapRouter = (await deployments.get('uniswapRouter')).address;
-  const proxyManager = await ethers.getContract('proxyManager', signer);
-  const uniswapOracle = await ethers.getContract('IndexedUniswapV2Oracle', signer);
-  const controller = await ethers.getContract('controller');
+  const proxyManager = await deploy.getContract('proxyManager', signer);
+  const uniswapOracle = await deploy.getContract('IndexedUniswapV2Oracle', signer);
+  const controller = await deploy.getContract('controller');
 
   const tokenSellerImplementation = await deploy('UnboundTokenSeller', 'tokenSellerImplementation', {
     from: deployer,
@@ -32,13 +32,14 @@ module.exports = async (bre) => {
     args: [uniswapRouter, uniswapOracle.address, controller.address]
   });
 
-  await proxyManager.createManyToOneProxyRelationship(
-    sellerImplementationID,
-    tokenSellerImplementation.address,
+  await deploy.send(
+    'proxy',
+    `Create implementation for token seller at ${tokenSellerImplementation.address}`,
+    proxyManager,
+    'createManyToOneProxyRelationship',
+    [sellerImplementationID, tokenSellerImplementation.address],
     { gasPrice, gasLimit: 150000 }
-  ).then(r => r.wait());
-
-  logger.success(`Created implementation for token seller`);
+  );
 };
 
 module.exports.tags = ['TokenSellerImplementation'];
\ No newline at end of file
@@ -0,0 +1,279 @@
+const { BigNumber, utils: { Interface, formatEther, hexZeroPad } } = require('ethers');
+
+const { BONE, bmul, bdiv } = require('./bmath');
+const { toBN, sum, TwapValuer } = require('./valuation');
+
+const transferInterface = new Interface(['event Transfer(address indexed src, address indexed dst, uint256 amt)']);
+
+/**
+ * Computes the fraction of a portfolio which is traded to move from one set
+ * of weights to another, as half the sum of the absolute weight changes.
+ * @param before Object mapping tokens to weights before the change
+ * @param after Object mapping tokens to weights after the change
+ * @return Fraction scaled by 1e18
+ */
+function computeTurnover(before, after) {
+  const normalize = (weights) => {
+    const total = sum(Object.values(weights));
+    const normalized = {};
+    for (let token of Object.keys(weights)) {
+      normalized[token] = total.isZero() ? toBN(0) : bdiv(weights[token], total);
+    }
+    return normalized;
+  };
+  const a = normalize(before);
+  const b = normalize(after);
+  const tokens = new Set([...Object.keys(a), ...Object.keys(b)]);
+  let changed = toBN(0);
+  for (let token of tokens) {
+    changed = changed.add((a[token] || toBN(0)).sub(b[token] || toBN(0)).abs());
+  }
+  return changed.div(2);
+}
+
+const getDesiredWeights = ({ tokens, records }) => {
+  const weights = {};
+  for (let token of tokens) weights[token] = records[token].desiredDenorm;
+  return weights;
+};
+
+/**
+ * Computes performance analytics for a pool from its indexed history.
+ *
+ * Values are in WETH from the oracle's short TWAP at each block, so prices for
+ * past blocks require an archive node. Fractions are scaled by 1e18.
+ */
+class PoolAnalytics {
+  /**
+   * @param options.history PoolHistory for the pool, see lib/poolHistory.js
+   * @param options.oracle IndexedUniswapV2Oracle contract
+   * @param options.provider Provider to read blocks and pool token transfers from
+   */
+  constructor({ history, oracle, provider }) {
+    this.history = history;
+    this.provider = provider;
+    this.valuer = new TwapValuer({ oracle, provider });
+  }
+
+  /**
+   * Finds the exit fees paid in a block range, which are the pool tokens sent
+   * in exits to the exit fee recipient of the pool at the time.
+   * @return Array of `{ blockNumber, transactionHash, recipient, amount }` in pool tokens
+   */
+  async getExitFees(fromBlock, toBlock) {
+    const exits = this.history.getEvents({ fromBlock, toBlock, names: ['LOG_EXIT'] });
+    const exitTransactions = new Set(exits.map(e => e.transactionHash));
+    const recipients = exits
+      .map(e => this.history.getExitFeeRecipient(e.blockNumber, e.logIndex))
+      .filter((recipient, i, all) => recipient && all.indexOf(recipient) == i);
+    if (recipients.length == 0) return [];
+    const logs = await this.provider.getLogs({
+      address: this.history.pool,
+      fromBlock,
+      toBlock,
+      topics: [
+        transferInterface.getEventTopic('Transfer'),
+        hexZeroPad(this.history.pool, 32),
+        recipients.map(recipient => hexZeroPad(recipient, 32))
+      ]
+    });
+    // Joins also push pool tokens from the pool, so only transfers made in exits are fees.
+    const fees = [];
+    for (let log of logs) {
+      if (!exitTransactions.has(log.transactionHash)) continue;
+      const { dst, amt } = transferInterface.parseLog(log).args;
+      const recipient = this.history.getExitFeeRecipient(log.blockNumber, log.logIndex);
+      if (!recipient || dst.toLowerCase() != recipient.toLowerCase()) continue;
+      fees.push({ blockNumber: log.blockNumber, transactionHash: log.transactionHash, recipient, amount: amt });
+    }
+    return fees;
+  }
+
+  /**
+   * Computes the pool's value and pool token NAV at a block.
+   * Uninitialized tokens are valued at their real balance.
+   */
+  async getNav(blockNumber) {
+    const state = this.history.getState(blockNumber);
+    if (!state) throw new Error(`Block ${blockNumber} has not been indexed`);
+    const balances = state.tokens.map(token => state.records[token].balance);
+    const totalValue = await this.valuer.getTotalValue(state.tokens, balances, blockNumber);
+    const nav = state.totalSupply.isZero() ? toBN(0) : bdiv(totalValue, state.totalSupply);
+    return { state, totalValue, totalSupply: state.totalSupply, nav };
+  }
+
+  /**
+   * Computes the turnover of each reweigh and reindex of the pool in a block range.
+   * @return Array of `{ blockNumber, timestamp, type, turnover, value }` where `turnover`
+   * is the fraction of the pool that must be traded to reach the new desired weights
+   * and `value` is that fraction of the pool's value in WETH
+   */
+  async getReweighs(fromBlock, toBlock) {
+    const events = this.history.getEvents({ fromBlock, toBlock, names: ['PoolReweighed', 'PoolReindexed'] });
+    const reweighs = [];
+    for (let { blockNumber, timestamp, name } of events) {
+      const before = this.history.getState(blockNumber - 1);
+      const after = this.history.getState(blockNumber);
+      if (!before || !after) continue;
+      const turnover = computeTurnover(getDesiredWeights(before), getDesiredWeights(after));
+      const { totalValue } = await this.getNav(blockNumber);
+      reweighs.push({
+        blockNumber,
+        timestamp,
+        type: name == 'PoolReweighed' ? 'reweigh' : 'reindex',
+        turnover,
+        value: bmul(totalValue, turnover)
+      });
+    }
+    return reweighs;
+  }
+
+  /**
+   * Computes the pool's performance at blocks from `fromBlock` to `toBlock`.
+   *
+   * The buy-and-hold basket holds the pool's balances per pool token at `fromBlock`.
+   * Swap fees are the fee on the input of each swap since the previous sample,
+   * valued at the sample's prices. Exit fees are from `getExitFees` since the previous
+   * sample, valued at the sample's NAV. Single
+   * asset joins and exits also pay a swap fee, which is not included.
+   *
+   * @param options.fromBlock First block, which must be indexed
+   * @param options.toBlock Last block, defaults to the last indexed block
+   * @param options.step Number of blocks between samples
+   * @return `{ pool, fromBlock, toBlock, samples, reweighs, totals }` where each sample has
+   * `{ blockNumber, timestamp, totalValue, totalSupply, nav, basketValue, poolReturn, holdReturn,
+   * swapFees, exitFees }`, `reweighs` is from `getReweighs` and `totals` has the sums of
+   * `swapFees`, `exitFees` and `turnover` and the final returns
+   */
+  async analyze({ fromBlock, toBlock = this.history.lastBlock, step }) {
+    if (!(step > 0)) throw new Error('Step must be positive');
+    const blocks = [];
+    for (let block = fromBlock; block < toBlock; block += step) blocks.push(block);
+    blocks.push(toBlock);
+
+    const first = await this.getNav(fromBlock);
+    const basketTokens = first.state.tokens;
+    const basketAmounts = basketTokens.map(token => (
+      first.totalSupply.isZero() ? toBN(0) : bdiv(first.state.records[token].balance, first.totalSupply)
+    ));
+    const startValue = await this.valuer.getTotalValue(basketTokens, basketAmounts, fromBlock);
+    const getReturn = (value, start) => start.isZero() ? toBN(0) : bdiv(value, start).sub(BONE);
+
+    const samples = [];
+    let previous;
+    for (let blockNumber of blocks) {
+      const { totalValue, totalSupply, nav } = blockNumber == fromBlock ? first : await this.getNav(blockNumber);
+      const basketValue = blockNumber == fromBlock ? startValue : await this.valuer.getTotalValue(basketTokens, basketAmounts, blockNumber);
+      let swapFees = toBN(0);
+      let exitFees = toBN(0);
+      if (previous !== undefined) {
+        const fees = {};
+        for (let { blockNumber: swapBlock, args } of this.history.getEvents({
+          fromBlock: previous + 1,
+          toBlock: blockNumber,
+          names: ['LOG_SWAP']
+        })) {
+          const { swapFee } = this.history.getState(swapBlock - 1);
+          fees[args.tokenIn] = (fees[args.tokenIn] || toBN(0)).add(bmul(args.tokenAmountIn, swapFee));
+        }
+        const feeTokens = Object.keys(fees);
+        swapFees = await this.valuer.getTotalValue(feeTokens, feeTokens.map(token => fees[token]), blockNumber);
+        const paid = sum((await this.getExitFees(previous + 1, blockNumber)).map(fee => fee.amount));
+        exitFees = bmul(paid, nav);
+      }
+      samples.push({
+        blockNumber,
+        timestamp: await this.valuer.getTimestamp(blockNumber),
+        totalValue,
+        totalSupply,
+        nav,
+        basketValue,
+        poolReturn: getReturn(nav, first.nav),
+        holdReturn: getReturn(basketValue, startValue),
+        swapFees,
+        exitFees
+      });
+      previous = blockNumber;
+    }
+
+    const reweighs = await this.getReweighs(fromBlock + 1, toBlock);
+    const last = samples[samples.length - 1];
+    return {
+      pool: this.history.pool,
+      fromBlock,
+      toBlock,
+      samples,
+      reweighs,
+      totals: {
+        poolReturn: last.poolReturn,
+        holdReturn: last.holdReturn,
+        swapFees: sum(samples.map(s => s.swapFees)),
+        exitFees: sum(samples.map(s => s.exitFees)),
+        turnover: sum(reweighs.map(r => r.turnover))
+      }
+    };
+  }
+}
+
+/* ==========  Export  ========== */
+
+const formatValue = (value) => BigNumber.isBigNumber(value) ? formatEther(value) : value;
+
+const sampleColumns = [
+  'blockNumber',
+  'timestamp',
+  'totalValue',
+  'totalSupply',
+  'nav',
+  'basketValue',
+  'poolReturn',
+  'holdReturn',
+  'swapFees',
+  'exitFees'
+];
+
+const reweighColumns = ['blockNumber', 'timestamp', 'type', 'turnover', 'value'];
+
+/**
+ * Formats rows as CSV, with BigNumbers as decimals in ether units.
+ * @param rows Array of objects
+ * @param columns Keys to write, in order
+ */
+function toCSV(rows, columns) {
+  const escape = (value) => {
+    const text = `${formatValue(value)}`;
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.join(',')];
+  for (let row of rows) lines.push(columns.map(column => escape(row[column])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a report from `PoolAnalytics.analyze` as CSV.
+ * @return `{ samples, reweighs }` with the CSV text of each table
+ */
+function reportToCSV(report) {
+  return {
+    samples: toCSV(report.samples, sampleColumns),
+    reweighs: toCSV(report.reweighs, reweighColumns)
+  };
+}
+
+/**
+ * Converts a report from `PoolAnalytics.analyze` to JSON, with BigNumbers
+ * as decimals in ether units.
+ */
+function reportToJSON(report) {
+  return JSON.stringify(report, (key, value) => (
+    value && value.type == 'BigNumber' && value.hex ? formatEther(value.hex) : value
+  ), 2);
+}
+
+module.exports = {
+  computeTurnover,
+  toCSV,
+  reportToCSV,
+  reportToJSON,
+  PoolAnalytics
+};
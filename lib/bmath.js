@@ -0,0 +1,220 @@
+/**
+ * Exact port of BConst.sol, BNum.sol and BMath.sol.
+ *
+ * All values are ethers BigNumbers (or anything `BigNumber.from` accepts) in
+ * the same 18 decimal fixed point representation the contracts use, and every
+ * operation rounds the way the contracts do, so results match the pool to the wei.
+ * Failed `require` statements throw an Error with the contract's message.
+ */
+const { BigNumber } = require('ethers');
+
+const toBN = (value) => BigNumber.from(value);
+
+/* ==========  BConst  ========== */
+
+const BONE = toBN(10).pow(18);
+const WEIGHT_UPDATE_DELAY = 1800;
+const MIN_BAL_UPDATE_DELAY = 21600;
+const WEIGHT_CHANGE_PCT = BONE.div(100);
+const EXIT_FEE = toBN('5000000000000000');
+const MIN_WEIGHT = BONE.div(4);
+const MAX_WEIGHT = BONE.mul(25);
+const MAX_TOTAL_WEIGHT = BONE.mul(27);
+const MIN_BALANCE = BONE.div(toBN(10).pow(12));
+const INIT_POOL_SUPPLY = BONE.mul(100);
+const MIN_BPOW_BASE = toBN(1);
+const MAX_BPOW_BASE = BONE.mul(2).sub(1);
+const BPOW_PRECISION = BONE.div(toBN(10).pow(10));
+const MAX_IN_RATIO = BONE.div(2);
+const MAX_OUT_RATIO = BONE.div(3).add(1);
+
+function requireThat(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+/* ==========  BNum  ========== */
+
+function btoi(a) {
+  return toBN(a).div(BONE);
+}
+
+function bfloor(a) {
+  return btoi(a).mul(BONE);
+}
+
+function badd(a, b) {
+  return toBN(a).add(b);
+}
+
+function bsubSign(a, b) {
+  a = toBN(a);
+  b = toBN(b);
+  if (a.gte(b)) return [a.sub(b), false];
+  return [b.sub(a), true];
+}
+
+function bsub(a, b) {
+  const [c, flag] = bsubSign(a, b);
+  requireThat(!flag, 'ERR_SUB_UNDERFLOW');
+  return c;
+}
+
+function bmul(a, b) {
+  return toBN(a).mul(b).add(BONE.div(2)).div(BONE);
+}
+
+function bdiv(a, b) {
+  b = toBN(b);
+  requireThat(!b.isZero(), 'ERR_DIV_ZERO');
+  return toBN(a).mul(BONE).add(b.div(2)).div(b);
+}
+
+function bpowi(a, n) {
+  a = toBN(a);
+  n = toBN(n);
+  let z = n.mod(2).isZero() ? BONE : a;
+  for (n = n.div(2); !n.isZero(); n = n.div(2)) {
+    a = bmul(a, a);
+    if (!n.mod(2).isZero()) z = bmul(z, a);
+  }
+  return z;
+}
+
+function bpowApprox(base, exp, precision) {
+  const a = toBN(exp);
+  const [x, xneg] = bsubSign(base, BONE);
+  let term = BONE;
+  let sum = term;
+  let negative = false;
+  for (let i = 1; term.gte(precision); i++) {
+    const bigK = BONE.mul(i);
+    const [c, cneg] = bsubSign(a, bsub(bigK, BONE));
+    term = bmul(term, bmul(c, x));
+    term = bdiv(term, bigK);
+    if (term.isZero()) break;
+    if (xneg) negative = !negative;
+    if (cneg) negative = !negative;
+    sum = negative ? bsub(sum, term) : badd(sum, term);
+  }
+  return sum;
+}
+
+function bpow(base, exp) {
+  base = toBN(base);
+  requireThat(base.gte(MIN_BPOW_BASE), 'ERR_BPOW_BASE_TOO_LOW');
+  requireThat(base.lte(MAX_BPOW_BASE), 'ERR_BPOW_BASE_TOO_HIGH');
+  const whole = bfloor(exp);
+  const remain = bsub(exp, whole);
+  const wholePow = bpowi(base, btoi(whole));
+  if (remain.isZero()) return wholePow;
+  const partialResult = bpowApprox(base, remain, BPOW_PRECISION);
+  return bmul(wholePow, partialResult);
+}
+
+/* ==========  BMath  ========== */
+
+function calcSpotPrice(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, swapFee) {
+  const numer = bdiv(tokenBalanceIn, tokenWeightIn);
+  const denom = bdiv(tokenBalanceOut, tokenWeightOut);
+  const ratio = bdiv(numer, denom);
+  const scale = bdiv(BONE, bsub(BONE, swapFee));
+  return bmul(ratio, scale);
+}
+
+function calcOutGivenIn(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, tokenAmountIn, swapFee) {
+  const weightRatio = bdiv(tokenWeightIn, tokenWeightOut);
+  const adjustedIn = bmul(tokenAmountIn, bsub(BONE, swapFee));
+  const y = bdiv(tokenBalanceIn, badd(tokenBalanceIn, adjustedIn));
+  const foo = bpow(y, weightRatio);
+  const bar = bsub(BONE, foo);
+  return bmul(tokenBalanceOut, bar);
+}
+
+function calcInGivenOut(tokenBalanceIn, tokenWeightIn, tokenBalanceOut, tokenWeightOut, tokenAmountOut, swapFee) {
+  const weightRatio = bdiv(tokenWeightOut, tokenWeightIn);
+  const diff = bsub(tokenBalanceOut, tokenAmountOut);
+  const y = bdiv(tokenBalanceOut, diff);
+  const foo = bsub(bpow(y, weightRatio), BONE);
+  return bdiv(bmul(tokenBalanceIn, foo), bsub(BONE, swapFee));
+}
+
+function calcPoolOutGivenSingleIn(tokenBalanceIn, tokenWeightIn, poolSupply, totalWeight, tokenAmountIn, swapFee) {
+  const normalizedWeight = bdiv(tokenWeightIn, totalWeight);
+  const zaz = bmul(bsub(BONE, normalizedWeight), swapFee);
+  const tokenAmountInAfterFee = bmul(tokenAmountIn, bsub(BONE, zaz));
+  const newTokenBalanceIn = badd(tokenBalanceIn, tokenAmountInAfterFee);
+  const tokenInRatio = bdiv(newTokenBalanceIn, tokenBalanceIn);
+  const poolRatio = bpow(tokenInRatio, normalizedWeight);
+  const newPoolSupply = bmul(poolRatio, poolSupply);
+  return bsub(newPoolSupply, poolSupply);
+}
+
+function calcSingleInGivenPoolOut(tokenBalanceIn, tokenWeightIn, poolSupply, totalWeight, poolAmountOut, swapFee) {
+  const normalizedWeight = bdiv(tokenWeightIn, totalWeight);
+  const newPoolSupply = badd(poolSupply, poolAmountOut);
+  const poolRatio = bdiv(newPoolSupply, poolSupply);
+  const boo = bdiv(BONE, normalizedWeight);
+  const tokenInRatio = bpow(poolRatio, boo);
+  const newTokenBalanceIn = bmul(tokenInRatio, tokenBalanceIn);
+  const tokenAmountInAfterFee = bsub(newTokenBalanceIn, tokenBalanceIn);
+  const zar = bmul(bsub(BONE, normalizedWeight), swapFee);
+  return bdiv(tokenAmountInAfterFee, bsub(BONE, zar));
+}
+
+function calcSingleOutGivenPoolIn(tokenBalanceOut, tokenWeightOut, poolSupply, totalWeight, poolAmountIn, swapFee) {
+  const normalizedWeight = bdiv(tokenWeightOut, totalWeight);
+  const poolAmountInAfterExitFee = bmul(poolAmountIn, bsub(BONE, EXIT_FEE));
+  const newPoolSupply = bsub(poolSupply, poolAmountInAfterExitFee);
+  const poolRatio = bdiv(newPoolSupply, poolSupply);
+  const tokenOutRatio = bpow(poolRatio, bdiv(BONE, normalizedWeight));
+  const newTokenBalanceOut = bmul(tokenOutRatio, tokenBalanceOut);
+  const tokenAmountOutBeforeSwapFee = bsub(tokenBalanceOut, newTokenBalanceOut);
+  const zaz = bmul(bsub(BONE, normalizedWeight), swapFee);
+  return bmul(tokenAmountOutBeforeSwapFee, bsub(BONE, zaz));
+}
+
+function calcPoolInGivenSingleOut(tokenBalanceOut, tokenWeightOut, poolSupply, totalWeight, tokenAmountOut, swapFee) {
+  const normalizedWeight = bdiv(tokenWeightOut, totalWeight);
+  const zoo = bsub(BONE, normalizedWeight);
+  const zar = bmul(zoo, swapFee);
+  const tokenAmountOutBeforeSwapFee = bdiv(tokenAmountOut, bsub(BONE, zar));
+  const newTokenBalanceOut = bsub(tokenBalanceOut, tokenAmountOutBeforeSwapFee);
+  const tokenOutRatio = bdiv(newTokenBalanceOut, tokenBalanceOut);
+  const poolRatio = bpow(tokenOutRatio, normalizedWeight);
+  const newPoolSupply = bmul(poolRatio, poolSupply);
+  const poolAmountInAfterExitFee = bsub(poolSupply, newPoolSupply);
+  return bdiv(poolAmountInAfterExitFee, bsub(BONE, EXIT_FEE));
+}
+
+module.exports = {
+  BONE,
+  WEIGHT_UPDATE_DELAY,
+  MIN_BAL_UPDATE_DELAY,
+  WEIGHT_CHANGE_PCT,
+  EXIT_FEE,
+  MIN_WEIGHT,
+  MAX_WEIGHT,
+  MAX_TOTAL_WEIGHT,
+  MIN_BALANCE,
+  INIT_POOL_SUPPLY,
+  MAX_IN_RATIO,
+  MAX_OUT_RATIO,
+  requireThat,
+  btoi,
+  bfloor,
+  badd,
+  bsub,
+  bsubSign,
+  bmul,
+  bdiv,
+  bpowi,
+  bpow,
+  bpowApprox,
+  calcSpotPrice,
+  calcOutGivenIn,
+  calcInGivenOut,
+  calcPoolOutGivenSingleIn,
+  calcSingleInGivenPoolOut,
+  calcSingleOutGivenPoolIn,
+  calcPoolInGivenSingleOut
+};
@@ -0,0 +1,116 @@
+/**
+ * Canonical JSON serialization for hashing metadata.
+ *
+ * `strict` mode implements the JSON Canonicalization Scheme (RFC 8785):
+ * object keys are sorted by their UTF-16 code units, numbers and strings are
+ * serialized as in ECMAScript's JSON.stringify and no whitespace is emitted.
+ * Values which can not be represented in I-JSON (undefined, functions,
+ * symbols, bigints, non-finite numbers, lone surrogates and cycles) throw
+ * instead of being coerced.
+ *
+ * `legacy` mode reproduces the serializer which was used to hash the
+ * categories published before strict mode existed. It converts booleans and
+ * numbers in objects to strings, undefined to "undef" and arrays nested in
+ * arrays to objects, so it should only be used to verify existing hashes.
+ */
+
+const MODES = ['strict', 'legacy'];
+
+/* ==========  Strict (RFC 8785)  ========== */
+
+const loneSurrogate = /[\ud800-\udbff](?![\udc00-\udfff])|(?:[^\ud800-\udbff]|^)[\udc00-\udfff]/;
+
+const describePath = (path) => path || '<root>';
+
+function serializeStrict(value, path, ancestors) {
+  if (value !== null && typeof value == 'object' && typeof value.toJSON == 'function') {
+    value = value.toJSON();
+  }
+  if (value === null) return 'null';
+  switch (typeof value) {
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'number':
+      if (!isFinite(value)) {
+        throw new TypeError(`Can not serialize non-finite number at ${describePath(path)}`);
+      }
+      return JSON.stringify(value);
+    case 'string':
+      if (loneSurrogate.test(value)) {
+        throw new TypeError(`Can not serialize lone surrogate at ${describePath(path)}`);
+      }
+      return JSON.stringify(value);
+    case 'object':
+      break;
+    default:
+      throw new TypeError(`Can not serialize ${typeof value} at ${describePath(path)}`);
+  }
+  if (ancestors.includes(value)) {
+    throw new TypeError(`Can not serialize circular reference at ${describePath(path)}`);
+  }
+  ancestors.push(value);
+  let json;
+  if (Array.isArray(value)) {
+    const elements = value.map((v, i) => serializeStrict(v, `${path}[${i}]`, ancestors));
+    json = `[${elements.join(',')}]`;
+  } else {
+    const members = Object.keys(value).sort().map((key) => {
+      const memberPath = path ? `${path}.${key}` : key;
+      return `${serializeStrict(key, memberPath, [])}:${serializeStrict(value[key], memberPath, ancestors)}`;
+    });
+    json = `{${members.join(',')}}`;
+  }
+  ancestors.pop();
+  return json;
+}
+
+/**
+ * Serializes a value according to RFC 8785.
+ */
+function canonicalize(value) {
+  return serializeStrict(value, '', []);
+}
+
+/* ==========  Legacy  ========== */
+
+function sortObjectKeys(obj){
+  if(obj == null || obj == undefined) return obj;
+  if(typeof obj != 'object') return obj;
+  return Object.keys(obj).sort().reduce((acc, key)=>{
+    if (Array.isArray(obj[key])) acc[key] = obj[key].map(sortObjectKeys);
+    else if (typeof obj[key] === 'object') acc[key] = sortObjectKeys(obj[key]);
+    else if (obj[key] == true) acc[key] = 'true';
+    else if (obj[key] == false) acc[key] = 'false';
+    else if (typeof obj[key] == 'number') acc[key] = obj[key].toString();
+    else acc[key] = obj[key];
+    return acc;
+  },{});
+}
+
+/**
+ * Serializes a value with the quirks of the original deterministic serializer.
+ */
+function legacyStringify(obj) {
+  let sortedObject = sortObjectKeys(obj);
+  return JSON.stringify(sortedObject, function(k, v) { return v === undefined ? "undef" : v; });
+}
+
+/* ==========  Mode Selection  ========== */
+
+/**
+ * Serializes a value with the canonicalization `mode`.
+ * @param value The value to serialize
+ * @param mode Either `strict` (default) or `legacy`
+ */
+function stringify(value, mode = 'strict') {
+  if (mode == 'strict') return canonicalize(value);
+  if (mode == 'legacy') return legacyStringify(value);
+  throw new Error(`Unknown canonicalization mode: ${mode}, expected one of ${MODES.join(', ')}`);
+}
+
+module.exports = {
+  MODES,
+  canonicalize,
+  legacyStringify,
+  stringify
+};
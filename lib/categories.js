@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { isAddress, getAddress } = require('ethers/lib/utils');
+
+const { buildCategoryMetadata } = require('./metadata');
+
+// Maximum number of tokens in a category, see MarketCapSortedTokenCategories.sol
+const MAX_CATEGORY_TOKENS = 25;
+
+/**
+ * Reads, validates and hashes a category metadata file.
+ * @param file Path to the JSON metadata file
+ * @return An object with the `metadata`, its canonical `json`, `sha3Hash` and `ipfsHash`
+ */
+function readCategoryMetadata(file) {
+  const filePath = path.resolve(file);
+  if (!fs.existsSync(filePath)) throw new Error(`Metadata file ${filePath} does not exist`);
+  let metadata;
+  try {
+    metadata = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Metadata file ${filePath} is not valid JSON: ${err.message}`);
+  }
+  return buildCategoryMetadata(metadata);
+}
+
+/**
+ * Resolves a list of token addresses or deployment names to addresses.
+ * Names are looked up in the network's deployments by their lowercase symbol,
+ * which is how the token deployments for test networks are saved.
+ * @param deployments The `deployments` object from the buidler runtime
+ * @param tokens Array of addresses or token symbols
+ * @return Array of checksummed addresses
+ */
+async function resolveTokenAddresses(deployments, tokens) {
+  const addresses = [];
+  for (let token of tokens) {
+    if (isAddress(token)) {
+      addresses.push(getAddress(token));
+      continue;
+    }
+    const deployment = await deployments.getOrNull(token.toLowerCase());
+    if (!deployment) throw new Error(`No deployment found for token ${token}`);
+    addresses.push(getAddress(deployment.address));
+  }
+  return addresses;
+}
+
+/**
+ * Reads the ID of the new category from a `createCategory` receipt.
+ * @param receipt Receipt returned by ethers for the transaction
+ */
+function getCategoryAddedID(receipt) {
+  const event = (receipt.events || []).find(e => e.event == 'CategoryAdded');
+  if (!event) throw new Error(`Transaction ${receipt.transactionHash} did not emit CategoryAdded`);
+  return event.args.categoryID.toNumber();
+}
+
+/**
+ * Checks whether tokens can be added to a category.
+ * Membership is read with `isTokenInCategory`, which `addToken` checks on chain.
+ * @param controller Controller contract
+ * @param categoryID ID of the category
+ * @param tokens Array of tokens to add
+ * @return Array of error messages, empty if the tokens can be added
+ */
+async function checkAddTokens(controller, categoryID, tokens) {
+  const errors = [];
+  const seen = new Set();
+  for (let token of tokens) {
+    const key = token.toLowerCase();
+    if (await controller.isTokenInCategory(categoryID, token)) errors.push(`${token} is already in the category`);
+    else if (seen.has(key)) errors.push(`${token} is listed more than once`);
+    seen.add(key);
+  }
+  const size = (await controller.getCategoryTokens(categoryID)).length;
+  if (size + tokens.length > MAX_CATEGORY_TOKENS) {
+    errors.push(
+      `Category would have ${size + tokens.length} tokens, the maximum is ${MAX_CATEGORY_TOKENS}`
+    );
+  }
+  return errors;
+}
+
+/**
+ * Checks whether tokens can be removed from a category.
+ * Membership is read with `isTokenInCategory`, which `removeToken` checks on chain.
+ * @param controller Controller contract
+ * @param categoryID ID of the category
+ * @param tokens Array of tokens to remove
+ * @return Array of error messages, empty if the tokens can be removed
+ */
+async function checkRemoveTokens(controller, categoryID, tokens) {
+  const errors = [];
+  for (let token of tokens) {
+    if (!(await controller.isTokenInCategory(categoryID, token))) errors.push(`${token} is not in the category`);
+  }
+  return errors;
+}
+
+/**
+ * Compares a category's token list before and after a change.
+ * @param before Array of tokens before the change
+ * @param after Array of tokens after the change
+ * @return `{ added, removed, moved }` where `moved` lists `{ token, from, to }`
+ * for tokens whose index changed
+ */
+function diffTokenLists(before, after) {
+  const indexOf = (list, token) => list.findIndex(t => t.toLowerCase() == token.toLowerCase());
+  const added = after.filter(t => indexOf(before, t) == -1);
+  const removed = before.filter(t => indexOf(after, t) == -1);
+  const moved = [];
+  after.forEach((token, to) => {
+    const from = indexOf(before, token);
+    if (from != -1 && from != to) moved.push({ token, from, to });
+  });
+  return { added, removed, moved };
+}
+
+/**
+ * Formats a token list diff as lines of text.
+ * @param diff Diff returned by `diffTokenLists`
+ * @param symbols Optional map from address to symbol
+ */
+function formatTokenListDiff({ added, removed, moved }, symbols = {}) {
+  const name = (token) => symbols[token] ? `${symbols[token]} (${token})` : token;
+  const lines = [
+    ...added.map(t => `+ ${name(t)}`),
+    ...removed.map(t => `- ${name(t)}`),
+    ...moved.map(({ token, from, to }) => `~ ${name(token)} ${from} -> ${to}`)
+  ];
+  return lines.length ? lines : ['No changes'];
+}
+
+module.exports = {
+  MAX_CATEGORY_TOKENS,
+  readCategoryMetadata,
+  resolveTokenAddresses,
+  getCategoryAddedID,
+  checkAddTokens,
+  checkRemoveTokens,
+  diffTokenLists,
+  formatTokenListDiff
+};
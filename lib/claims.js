@@ -0,0 +1,137 @@
+const { BigNumber } = require('ethers');
+
+const Logger = require('./logger');
+
+// Pool tokens the initializer receives and splits between contributors, see PoolInitializer.sol
+const TOKENS_MINTED = BigNumber.from(10).pow(20);
+
+const DEFAULT_MAX_GAS = 5000000;
+const DEFAULT_MAX_ACCOUNTS = 100;
+
+const CLAIM_METHOD = 'claimTokens(address[])';
+
+const toBN = (value) => BigNumber.from(value);
+
+/**
+ * Claims the pool tokens of every contributor to a finished pool initializer
+ * with batched `claimTokens(address[])` calls.
+ *
+ * A batch reverts if any of its accounts has no credit, so accounts are found
+ * from the `TokensContributed` events and filtered by their current credit.
+ */
+class ClaimBatcher {
+  /**
+   * @param options.initializer PoolInitializer contract connected to a signer
+   * @param options.maxGas Maximum gas estimate of a claim transaction
+   * @param options.maxAccounts Maximum number of accounts in a claim transaction
+   * @param options.logger Logger to report progress with
+   */
+  constructor({
+    initializer,
+    maxGas = DEFAULT_MAX_GAS,
+    maxAccounts = DEFAULT_MAX_ACCOUNTS,
+    logger = Logger(undefined, 'claims')
+  }) {
+    this.initializer = initializer;
+    this.maxGas = toBN(maxGas);
+    this.maxAccounts = maxAccounts;
+    this.logger = logger;
+  }
+
+  /**
+   * Finds the contributors which have not claimed their pool tokens.
+   * @param fromBlock Block to read contributions from
+   * @return Array of `{ account, credit, amountOut }` where `amountOut` is the
+   * amount of pool tokens the account will receive
+   */
+  async getUnclaimed(fromBlock = 0) {
+    const events = await this.initializer.queryFilter(this.initializer.filters.TokensContributed(), fromBlock);
+    const accounts = events.map(e => e.args.from).filter((account, i, all) => all.indexOf(account) == i);
+    const totalCredit = toBN(await this.initializer.getTotalCredit());
+    const unclaimed = [];
+    for (let account of accounts) {
+      const credit = toBN(await this.initializer.getCreditOf(account));
+      if (credit.isZero()) continue;
+      unclaimed.push({ account, credit, amountOut: TOKENS_MINTED.mul(credit).div(totalCredit) });
+    }
+    return unclaimed;
+  }
+
+  async estimateGas(accounts) {
+    return toBN(await this.initializer.estimateGas[CLAIM_METHOD](accounts));
+  }
+
+  /**
+   * Splits accounts into the largest batches of at most `maxAccounts` accounts
+   * whose gas estimate is at most `maxGas`.
+   * @return Array of `{ accounts, gas }`
+   */
+  async getBatches(accounts) {
+    const batches = [];
+    let remaining = [...accounts];
+    while (remaining.length) {
+      let size = Math.min(remaining.length, this.maxAccounts);
+      let gas = await this.estimateGas(remaining.slice(0, size));
+      if (gas.gt(this.maxGas)) {
+        // Binary search for the largest batch which fits.
+        let lo = 0;
+        let hi = size - 1;
+        while (lo < hi) {
+          const mid = Math.ceil((lo + hi) / 2);
+          const midGas = await this.estimateGas(remaining.slice(0, mid));
+          if (midGas.gt(this.maxGas)) {
+            hi = mid - 1;
+            if (mid == 1) gas = midGas;
+          } else {
+            lo = mid;
+            gas = midGas;
+          }
+        }
+        if (lo == 0) {
+          throw new Error(`Claiming for ${remaining[0]} needs ${gas.toString()} gas, more than the maximum of ${this.maxGas.toString()}`);
+        }
+        size = lo;
+      }
+      batches.push({ accounts: remaining.slice(0, size), gas });
+      remaining = remaining.slice(size);
+    }
+    return batches;
+  }
+
+  /**
+   * Claims the pool tokens of every contributor which has credit.
+   * @param options.fromBlock Block to read contributions from
+   * @param options.overrides Transaction overrides, e.g. `gasPrice`
+   * @return Array of `{ account, credit, amountOut, delivered, transactionHash }`
+   * where `delivered` is the amount of pool tokens the account received
+   */
+  async claimAll({ fromBlock = 0, overrides = {} } = {}) {
+    if (!(await this.initializer.isFinished())) throw new Error('The initializer has not finished');
+    const unclaimed = await this.getUnclaimed(fromBlock);
+    const batches = await this.getBatches(unclaimed.map(u => u.account));
+    const report = unclaimed.map(u => ({ ...u, delivered: toBN(0), transactionHash: undefined }));
+    for (let i = 0; i < batches.length; i++) {
+      const { accounts, gas } = batches[i];
+      this.logger.info(`Claiming for ${accounts.length} accounts (${i + 1}/${batches.length})...`);
+      // Leave room for state changes between the estimate and the transaction.
+      const receipt = await this.initializer[CLAIM_METHOD](accounts, { gasLimit: gas.mul(12).div(10), ...overrides })
+        .then(tx => tx.wait());
+      for (let event of receipt.events || []) {
+        if (event.event != 'TokensClaimed') continue;
+        const entry = report.find(r => r.account == event.args.account);
+        if (!entry) continue;
+        entry.delivered = entry.delivered.add(event.args.tokens);
+        entry.transactionHash = receipt.transactionHash;
+      }
+      this.logger.success(`Claimed for ${accounts.length} accounts in ${receipt.transactionHash}`);
+    }
+    return report;
+  }
+}
+
+module.exports = {
+  TOKENS_MINTED,
+  DEFAULT_MAX_GAS,
+  DEFAULT_MAX_ACCOUNTS,
+  ClaimBatcher
+};
@@ -0,0 +1,189 @@
+const { utils: { Interface } } = require('ethers');
+
+const { BONE, bmul, bdiv } = require('./bmath');
+const { toBN, sum } = require('./valuation');
+
+const initializerInterface = new Interface([
+  'function contributeTokens(address token, uint256 amountIn, uint256 minimumCredit)',
+  'function contributeTokens(address[] tokens, uint256[] amountsIn, uint256 minimumCredit)'
+]);
+
+const erc20Interface = new Interface(['function approve(address spender, uint256 amount)']);
+
+const DEFAULT_SLIPPAGE = BONE.div(200);
+
+// Fractions of the largest possible contribution which are quoted, in percent.
+const DEFAULT_SIZES = [100, 50, 25];
+
+/**
+ * Plans contributions to a pool initializer from a wallet's balances.
+ *
+ * The initializer credits tokens at their short TWAP value, while selling them
+ * on Uniswap gets their spot value after price impact. Tokens are ranked by the
+ * ratio of credit to spot value, so a ratio above 1 means the initializer pays
+ * more for the token than the market does. Since the ratio changes with the
+ * amount, several fractions of each token's largest contribution are quoted and
+ * the one which earns the most credit over its spot value is kept.
+ */
+class ContributionPlanner {
+  /**
+   * @param options.initializer PoolInitializer contract
+   * @param options.router UniswapV2Router02 contract used to value tokens at spot
+   * @param options.weth WETH address
+   * @param options.slippage Fraction of the quoted credit which may be lost to TWAP
+   * changes before the transaction is mined, scaled by 1e18, 0.5% by default
+   * @param options.sizes Percentages of the largest contribution of each token to quote
+   */
+  constructor({ initializer, router, weth, slippage = DEFAULT_SLIPPAGE, sizes = DEFAULT_SIZES }) {
+    this.initializer = initializer;
+    this.router = router;
+    this.weth = weth;
+    this.slippage = toBN(slippage);
+    this.sizes = sizes;
+  }
+
+  minimumCredit(credit) {
+    return bmul(credit, BONE.sub(this.slippage));
+  }
+
+  /**
+   * Gets the value in WETH of selling an amount of a token on Uniswap.
+   * @return The value, or undefined if the token has no WETH pair
+   */
+  async getSpotValue(token, amount) {
+    if (token.toLowerCase() == this.weth.toLowerCase()) return toBN(amount);
+    return this.router.getAmountsOut(amount, [token, this.weth])
+      .then(amounts => toBN(amounts[1]))
+      .catch(() => undefined);
+  }
+
+  /**
+   * Quotes a contribution of an amount of a token.
+   * @return `{ amountIn, credit, spotValue, ratio, surplus }` where `surplus` is the
+   * credit less the spot value, undefined without a spot value
+   */
+  async quoteAmount(token, amountIn) {
+    const credit = toBN(await this.initializer.getCreditForTokens(token, amountIn));
+    const spotValue = await this.getSpotValue(token, amountIn);
+    const ratio = spotValue && !spotValue.isZero() ? bdiv(credit, spotValue) : undefined;
+    const surplus = spotValue && credit.sub(spotValue);
+    return { amountIn, credit, spotValue, ratio, surplus };
+  }
+
+  /**
+   * Quotes the contribution of each desired token the wallet holds.
+   *
+   * Each fraction in `sizes` of the largest contribution is quoted. Of the amounts
+   * with a ratio of at least `minRatio`, the one with the largest surplus is kept, or
+   * the largest credit without spot values, and the larger amount on ties. A larger
+   * amount can have a lower ratio and still earn more over its spot value. If no
+   * amount reaches `minRatio`, the amount with the best ratio is kept.
+   * @param balances Object mapping token addresses to wallet balances
+   * @param options.minRatio Minimum ratio of credit to spot value, scaled by 1e18, 1 by
+   * default. Amounts without a spot value only reach it when it is zero.
+   * @return `{ quotes, skipped }` where each quote has `{ token, amountIn, credit,
+   * spotValue, ratio, surplus, candidates }` with `ratio` the credit per unit of spot
+   * value scaled by 1e18, undefined without a spot value, and `candidates` every quoted
+   * amount, and `skipped` has `{ token, reason }`
+   */
+  async getQuotes(balances, { minRatio = BONE } = {}) {
+    minRatio = toBN(minRatio);
+    const passes = (q) => q.ratio ? q.ratio.gte(minRatio) : minRatio.isZero();
+    const gain = (q) => q.surplus || q.credit;
+    const tokens = await this.initializer.getDesiredTokens();
+    const remaining = tokens.length ? await this.initializer.getDesiredAmounts(tokens) : [];
+    const quotes = [];
+    const skipped = [];
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const balance = toBN(balances[token] || 0);
+      if (toBN(remaining[i]).isZero()) {
+        skipped.push({ token, reason: 'not needed' });
+        continue;
+      }
+      if (balance.isZero()) {
+        skipped.push({ token, reason: 'no balance' });
+        continue;
+      }
+      // The initializer only accepts up to the remaining amount.
+      const maxAmount = balance.lt(remaining[i]) ? balance : toBN(remaining[i]);
+      const candidates = [];
+      try {
+        for (let size of this.sizes) {
+          const amountIn = maxAmount.mul(size).div(100);
+          if (!amountIn.isZero()) candidates.push(await this.quoteAmount(token, amountIn));
+        }
+      } catch (err) {
+        skipped.push({ token, reason: 'no oracle price' });
+        continue;
+      }
+      if (!candidates.length) {
+        skipped.push({ token, reason: 'amount too small' });
+        continue;
+      }
+      const eligible = candidates.filter(passes);
+      const best = eligible.length
+        ? eligible.reduce((best, candidate) => (
+          gain(candidate).gt(gain(best)) || (gain(candidate).eq(gain(best)) && candidate.amountIn.gt(best.amountIn))
+            ? candidate
+            : best
+        ))
+        : candidates.reduce((best, candidate) => (
+          candidate.ratio && (!best.ratio || candidate.ratio.gt(best.ratio)) ? candidate : best
+        ));
+      quotes.push({ token, ...best, candidates });
+    }
+    return { quotes, skipped };
+  }
+
+  /**
+   * Recommends the contributions with the best credit per unit of value.
+   * @param balances Object mapping token addresses to wallet balances
+   * @param options.minRatio Minimum ratio of credit to spot value, scaled by 1e18.
+   * Defaults to 1, only contributing tokens which earn at least their market value.
+   * Tokens without a spot value are only included when `minRatio` is zero.
+   * @param options.allowances Object mapping tokens to the wallet's allowance for the
+   * initializer; approvals are planned for tokens without enough allowance
+   * @return `{ contributions, quotes, skipped, credit, minimumCredit, transactions }`
+   * where `contributions` are the selected quotes, best first, each with a
+   * `minimumCredit`, and `transactions` are `{ to, data, method, args }`
+   */
+  async plan(balances, { minRatio = BONE, allowances = {} } = {}) {
+    minRatio = toBN(minRatio);
+    const { quotes, skipped } = await this.getQuotes(balances, { minRatio });
+    quotes.sort((a, b) => {
+      if (!a.ratio || !b.ratio) return a.ratio ? -1 : b.ratio ? 1 : 0;
+      return b.ratio.gt(a.ratio) ? 1 : b.ratio.lt(a.ratio) ? -1 : 0;
+    });
+    const contributions = quotes
+      .filter(q => q.ratio ? q.ratio.gte(minRatio) : minRatio.isZero())
+      .map(q => ({ ...q, minimumCredit: this.minimumCredit(q.credit) }));
+    for (let q of quotes) {
+      if (!contributions.find(c => c.token == q.token)) {
+        skipped.push({ token: q.token, reason: q.ratio ? 'credit below spot value' : 'no spot price' });
+      }
+    }
+    const credit = sum(contributions.map(c => c.credit));
+    const minimumCredit = this.minimumCredit(credit);
+    const transactions = [];
+    for (let { token, amountIn } of contributions) {
+      if (allowances[token] !== undefined && toBN(allowances[token]).gte(amountIn)) continue;
+      const args = [this.initializer.address, amountIn];
+      transactions.push({ to: token, data: erc20Interface.encodeFunctionData('approve', args), method: 'approve', args });
+    }
+    if (contributions.length == 1) {
+      const [{ token, amountIn }] = contributions;
+      const method = 'contributeTokens(address,uint256,uint256)';
+      const args = [token, amountIn, minimumCredit];
+      transactions.push({ to: this.initializer.address, data: initializerInterface.encodeFunctionData(method, args), method, args });
+    } else if (contributions.length > 1) {
+      // The batch only checks the minimum credit of the total.
+      const method = 'contributeTokens(address[],uint256[],uint256)';
+      const args = [contributions.map(c => c.token), contributions.map(c => c.amountIn), minimumCredit];
+      transactions.push({ to: this.initializer.address, data: initializerInterface.encodeFunctionData(method, args), method, args });
+    }
+    return { contributions, quotes, skipped, credit, minimumCredit, transactions };
+  }
+}
+
+module.exports = { DEFAULT_SLIPPAGE, DEFAULT_SIZES, ContributionPlanner };
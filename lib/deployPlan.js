@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const { BigNumber, utils: { formatEther, getContractAddress } } = require('ethers');
+
+/**
+ * Records what the deploy scripts would do without sending any transactions.
+ *
+ * While a plan is set as `bre.deployPlan`, the `Deployer` records each contract
+ * deployment and transaction with its estimated gas instead of sending it, and
+ * nothing is saved to the deployments folder. Addresses of planned deployments
+ * are computed from the deployer's nonce so later scripts can use them.
+ *
+ * Each step keeps the transaction it would send, so `apply` can send exactly
+ * the planned transactions with the planned nonces and save the deployments.
+ */
+class DeployPlan {
+  /**
+   * @param options.ethers Ethers plugin of the buidler runtime
+   * @param options.deployments Deployments plugin of the buidler runtime
+   * @param options.signer Signer which would send the transactions
+   */
+  constructor({ ethers, deployments, signer }) {
+    this.ethers = ethers;
+    this.deployments = deployments;
+    this.signer = signer;
+    this.steps = [];
+    this.planned = {};
+    this.saves = [];
+    this.nonce = undefined;
+  }
+
+  async nextNonce(nonce) {
+    if (nonce === undefined) {
+      if (this.nonce === undefined) this.nonce = await this.signer.getTransactionCount('pending');
+      nonce = this.nonce;
+    }
+    this.nonce = nonce + 1;
+    return nonce;
+  }
+
+  async estimateGas(estimate, gasLimit) {
+    try {
+      return { gas: BigNumber.from(await estimate()), estimated: true };
+    } catch (err) {
+      // Calls to planned contracts and calls which depend on planned transactions can not be estimated.
+      return { gas: BigNumber.from(gasLimit || 0), estimated: false };
+    }
+  }
+
+  addStep(type, description, { gas, estimated }, gasPrice = 0, transaction) {
+    const step = { type, description, gas, estimated, gasPrice: BigNumber.from(gasPrice), transaction };
+    step.cost = step.gas.mul(step.gasPrice);
+    this.steps.push(step);
+    return step;
+  }
+
+  /**
+   * Gets a deployment by name, including planned deployments.
+   */
+  async getDeployment(name) {
+    if (this.planned[name]) return this.planned[name];
+    return this.deployments.getOrNull(name);
+  }
+
+  /**
+   * Checks whether an address belongs to a planned deployment, which has no code yet.
+   */
+  isPlanned(address) {
+    return Object.values(this.planned).some(d => d.newlyDeployed && d.address.toLowerCase() == address.toLowerCase());
+  }
+
+  /**
+   * Gets a contract by deployment name, including planned deployments.
+   */
+  async getContract(name, signer = this.signer) {
+    const deployment = await this.getDeployment(name);
+    if (!deployment) throw new Error(`No deployment found for ${name}`);
+    return this.ethers.getContractAt(deployment.abi, deployment.address, signer);
+  }
+
+  /**
+   * Plans the deployment of a contract unless it is already deployed with the
+   * same bytecode and arguments, which is when buidler-deploy would redeploy it.
+   * Takes the same arguments as the function returned by `Deployer`: `name` is
+   * the artifact to deploy and `contractName` the alias it is also saved under.
+   */
+  async deploy(name, contractName, opts, returnContract = false) {
+    let deployment = this.planned[name];
+    if (!deployment) {
+      const { differences } = await this.deployments.fetchIfDifferent(name, { ...opts, contractName });
+      if (!differences) deployment = await this.deployments.getOrNull(name);
+    }
+    if (!deployment) {
+      const factory = await this.ethers.getContractFactory(name, this.signer);
+      const tx = factory.getDeployTransaction(...(opts.args || []));
+      const gas = await this.estimateGas(() => this.signer.estimateGas(tx), opts.gas);
+      const nonce = await this.nextNonce(opts.nonce);
+      const address = getContractAddress({ from: opts.from, nonce });
+      const transaction = { data: tx.data, nonce, gasLimit: opts.gas || gas.gas, gasPrice: opts.gasPrice };
+      const step = this.addStep('deploy', `Deploy ${contractName} [${name}] to ${address}`, gas, opts.gasPrice, transaction);
+      deployment = {
+        abi: JSON.parse(factory.interface.format('json')),
+        address,
+        args: opts.args || [],
+        receipt: { from: opts.from, contractAddress: address },
+        newlyDeployed: true
+      };
+      step.deployment = deployment;
+      this.save(name, deployment);
+      this.save(contractName, deployment);
+    }
+    if (returnContract) {
+      const contract = await this.ethers.getContractAt(deployment.abi, deployment.address, this.signer);
+      contract.newlyDeployed = !!deployment.newlyDeployed;
+      return contract;
+    }
+    // Scripts may modify the deployment before saving it under another name.
+    return { ...deployment, receipt: { ...deployment.receipt } };
+  }
+
+  /**
+   * Plans a transaction.
+   * @param type Kind of step, e.g. `proxy` or `approval`
+   * @param description Description of the transaction
+   * @param contract Contract to call
+   * @param method Name of the function to call
+   * @param args Arguments to the function
+   * @param overrides Transaction overrides with `gasLimit` and `gasPrice`
+   */
+  async send(type, description, contract, method, args = [], overrides = {}) {
+    const gas = await this.estimateGas(() => contract.estimateGas[method](...args), overrides.gasLimit);
+    const nonce = await this.nextNonce(overrides.nonce);
+    const transaction = await contract.populateTransaction[method](
+      ...args,
+      { ...overrides, nonce, gasLimit: overrides.gasLimit || gas.gas }
+    );
+    return this.addStep(type, description, gas, overrides.gasPrice, transaction);
+  }
+
+  /**
+   * Records a deployment which would be saved, so later scripts can use it.
+   * It is saved by `apply` once every step planned before it is mined.
+   */
+  save(name, deployment) {
+    this.planned[name] = deployment;
+    this.saves.push({ name, deployment, afterStep: this.steps.length });
+  }
+
+  /**
+   * Sends the transactions of the plan in order and saves the planned deployments.
+   * Throws if the signer's nonce changed since the plan was made, as the planned
+   * addresses would no longer match.
+   * @param logger Logger to report each transaction to
+   * @return The receipts of the transactions
+   */
+  async apply(logger) {
+    if (this.steps.length) {
+      const [{ transaction: { nonce } }] = this.steps;
+      const pending = await this.signer.getTransactionCount('pending');
+      if (pending != nonce) {
+        throw new Error(`Planned with nonce ${nonce} but the signer's pending nonce is ${pending}, plan again`);
+      }
+    }
+    const receipts = [];
+    let saved = 0;
+    const saveUpTo = async (stepCount) => {
+      for (; saved < this.saves.length && this.saves[saved].afterStep <= stepCount; saved++) {
+        const { name, deployment } = this.saves[saved];
+        const { newlyDeployed, ...rest } = deployment;
+        await this.deployments.save(name, rest);
+      }
+    };
+    for (let i = 0; i < this.steps.length; i++) {
+      await saveUpTo(i);
+      const { description, transaction, deployment } = this.steps[i];
+      logger.info(`${description}...`);
+      const receipt = await this.signer.sendTransaction(transaction).then(r => r.wait());
+      logger.success(`Mined ${receipt.transactionHash}`);
+      if (deployment) {
+        deployment.transactionHash = receipt.transactionHash;
+        deployment.receipt = receipt;
+      }
+      receipts.push(receipt);
+    }
+    await saveUpTo(this.steps.length);
+    return receipts;
+  }
+
+  /**
+   * @return Steps whose gas could not be estimated and use their gas limit instead
+   */
+  getUnestimated() {
+    return this.steps.filter(step => !step.estimated);
+  }
+
+  /**
+   * @return `{ gas, cost }` summed over every step
+   */
+  getTotals() {
+    return this.steps.reduce(({ gas, cost }, step) => ({
+      gas: gas.add(step.gas),
+      cost: cost.add(step.cost)
+    }), { gas: BigNumber.from(0), cost: BigNumber.from(0) });
+  }
+
+  /**
+   * Formats the steps of the plan as lines of text.
+   * Steps using their gas limit because they could not be estimated are marked with `*`.
+   */
+  format() {
+    const lines = this.steps.map(({ type, description, gas, estimated, cost }, i) => (
+      `${i + 1}. [${type}] ${description} - ${gas.toString()} gas${estimated ? '' : '*'}, ${formatEther(cost)} ETH`
+    ));
+    const { gas, cost } = this.getTotals();
+    const unestimated = this.getUnestimated().length;
+    lines.push(`Total: ${this.steps.length} transactions, ${gas.toString()} gas${unestimated ? '*' : ''}, ${formatEther(cost)} ETH`);
+    if (unestimated) {
+      lines.push(`* ${unestimated} of ${this.steps.length} transactions could not be estimated and use their gas limit`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Loads the deploy scripts in a folder in the order buidler-deploy runs them.
+ * @param deployDir Folder with the deploy scripts
+ * @param tags Only include scripts with one of these tags
+ * @return Array of `{ file, script }`
+ */
+function loadDeployScripts(deployDir, tags = []) {
+  return fs.readdirSync(deployDir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => ({ file, script: require(path.join(deployDir, file)) }))
+    .filter(({ script }) => tags.length == 0 || (script.tags || []).some(tag => tags.includes(tag)));
+}
+
+module.exports = { DeployPlan, loadDeployScripts };
@@ -2,10 +2,17 @@ const fs = require('fs');
 const path = require('path');
 const argsPath = path.join(__dirname, '..', 'arguments.js')
 
+/**
+ * Creates the deploy function used by the deploy scripts, with helpers to
+ * get contracts, send transactions and save deployments.
+ * When `bre.deployPlan` is set, everything is recorded in the plan instead.
+ */
 const Deployer = async (bre, logger) => {
   const { ethers } = bre;
   const [ signer ] = await ethers.getSigners();
+  const plan = bre.deployPlan;
   const deploy = async (name, contractName, opts, returnContract = false) => {
+    if (plan) return plan.deploy(name, contractName, opts, returnContract);
     try {
       const deployment = await bre.deployments.deploy(name, {
         ...opts,
@@ -31,7 +38,26 @@ const Deployer = async (bre, logger) => {
       throw err;
     }
   };
+
+  deploy.getContract = (name, contractSigner = signer) => (
+    plan ? plan.getContract(name, contractSigner) : ethers.getContract(name, contractSigner)
+  );
+
+  deploy.send = async (type, description, contract, method, args = [], overrides = {}) => {
+    if (plan) return plan.send(type, description, contract, method, args, overrides);
+    logger.info(`${description}...`);
+    const receipt = await contract[method](...args, overrides).then(r => r.wait());
+    logger.success(`Mined ${receipt.transactionHash}`);
+    return receipt;
+  };
+
+  deploy.isPlanned = (address) => plan ? plan.isPlanned(address) : false;
+
+  deploy.save = (name, deployment) => (
+    plan ? plan.save(name, deployment) : bre.deployments.save(name, deployment)
+  );
+
   return deploy;
 }
 
-module.exports = Deployer;
\ No newline at end of file
+module.exports = Deployer;
@@ -0,0 +1,195 @@
+const {
+  BigNumber,
+  utils: { Interface, getAddress, hexDataSlice, hexZeroPad, keccak256, toUtf8Bytes }
+} = require('ethers');
+
+const { PROXY_RELATIONSHIPS } = require('./manifest');
+
+const proxyManagerInterface = new Interface([
+  'function owner() view returns (address)',
+  'function isApprovedDeployer(address) view returns (bool)',
+  'function getImplementationHolder(bytes32) view returns (address)',
+  'function computeProxyAddressOneToOne(address,bytes32) view returns (address)'
+]);
+
+const poolFactoryInterface = new Interface([
+  'function owner() view returns (address)',
+  'function isApprovedController(address) view returns (bool)'
+]);
+
+// Storage slot of the implementation address in one-to-one proxies.
+const IMPLEMENTATION_SLOT = hexZeroPad(
+  BigNumber.from(keccak256(toUtf8Bytes('IMPLEMENTATION_ADDRESS'))).sub(1).toHexString(),
+  32
+);
+
+const OWNED_CONTRACTS = ['controller', 'poolFactory', 'poolFactoryAccessControl'];
+
+const isZero = (byte) => byte == '00';
+
+/**
+ * Compares the runtime bytecode recorded for a deployment with the code on chain.
+ * Immutable variables are left as 32 zero bytes in the recorded bytecode, so bytes
+ * which differ are allowed when they are in a run of at least 32 zero bytes.
+ * @return True if the bytecode matches
+ */
+function compareBytecode(recorded, actual) {
+  const a = recorded.toLowerCase().replace(/^0x/, '').match(/../g) || [];
+  const b = actual.toLowerCase().replace(/^0x/, '').match(/../g) || [];
+  if (a.length != b.length) return false;
+  const immutable = new Array(a.length).fill(false);
+  for (let i = 0; i < a.length;) {
+    let j = i;
+    while (j < a.length && isZero(a[j])) j++;
+    if (j - i >= 32) immutable.fill(true, i, j);
+    i = Math.max(j, i + 1);
+  }
+  return a.every((byte, i) => byte == b[i] || immutable[i]);
+}
+
+/**
+ * Compares the deployment files of a network with the contracts on chain.
+ *
+ * Checks that code exists at every recorded address, that runtime bytecode matches,
+ * that the proxy manager points each proxy at the recorded implementation, that the
+ * controller, pool factory and access control contracts have the expected owners
+ * and that the factory and controller are approved by the proxy manager and factory.
+ */
+class DeploymentVerifier {
+  /**
+   * @param options.deployments Parsed deployment files by name, see `readNetworkDeployments`
+   * @param options.provider Provider to read code, storage and calls from
+   * @param options.proxyManager Address of the proxy manager
+   * @param options.owner Expected owner, defaults to the account which deployed the pool factory
+   */
+  constructor({ deployments, provider, proxyManager, owner }) {
+    this.deployments = deployments;
+    this.provider = provider;
+    this.proxyManager = proxyManager;
+    const { poolFactory } = deployments;
+    this.owner = owner || (poolFactory && poolFactory.receipt ? poolFactory.receipt.from : undefined);
+    this.checks = [];
+  }
+
+  getAddress(name) {
+    return this.deployments[name] ? getAddress(this.deployments[name].address) : undefined;
+  }
+
+  async callContract(iface, address, fn, args = []) {
+    const data = await this.provider.call({ to: address, data: iface.encodeFunctionData(fn, args) });
+    // Calls to addresses without code return nothing.
+    if (data == '0x') return null;
+    return iface.decodeFunctionResult(fn, data)[0];
+  }
+
+  addCheck(type, name, expected, actual) {
+    const ok = typeof expected == 'string' && typeof actual == 'string'
+      ? expected.toLowerCase() == actual.toLowerCase()
+      : expected === actual;
+    this.checks.push({ type, name, expected, actual, ok });
+  }
+
+  /**
+   * Checks that every deployment has code and that non-proxy deployments
+   * have the recorded runtime bytecode.
+   */
+  async verifyCode() {
+    const proxies = PROXY_RELATIONSHIPS.filter(r => r.proxy).map(r => r.proxy);
+    for (let name of Object.keys(this.deployments)) {
+      const { address, deployedBytecode } = this.deployments[name];
+      const code = await this.provider.getCode(address);
+      const hasCode = code != '0x';
+      this.addCheck('address', name, 'contract', hasCode ? 'contract' : 'no code');
+      // Proxy deployments are saved with the implementation's bytecode.
+      if (!hasCode || !deployedBytecode || proxies.includes(name)) continue;
+      this.addCheck('bytecode', name, 'recorded bytecode', compareBytecode(deployedBytecode, code) ? 'recorded bytecode' : 'different bytecode');
+    }
+  }
+
+  /**
+   * Checks that the proxy manager points each proxy relationship at the
+   * recorded implementation.
+   */
+  async verifyImplementations() {
+    for (let { type, proxy, implementation, salt, implementationID } of PROXY_RELATIONSHIPS) {
+      const expected = this.getAddress(implementation);
+      if (!expected) continue;
+      if (type == 'one-to-one') {
+        const proxyAddress = this.getAddress(proxy);
+        if (!proxyAddress) continue;
+        const originator = this.deployments[proxy].receipt.from;
+        const computed = await this.callContract(proxyManagerInterface, this.proxyManager, 'computeProxyAddressOneToOne', [originator, salt]);
+        this.addCheck('address', proxy, proxyAddress, computed);
+        const slot = await this.provider.getStorageAt(proxyAddress, IMPLEMENTATION_SLOT);
+        this.addCheck('implementation', proxy, expected, getAddress(hexDataSlice(slot, 12)));
+      } else {
+        const holder = await this.callContract(proxyManagerInterface, this.proxyManager, 'getImplementationHolder', [implementationID]);
+        // Implementation holders return the implementation address to any caller but the manager.
+        const actual = BigNumber.from(holder).isZero()
+          ? holder
+          : getAddress(hexDataSlice(await this.provider.call({ to: holder, data: '0x' }), 12));
+        this.addCheck('implementation', implementation, expected, actual);
+      }
+    }
+  }
+
+  /**
+   * Checks the owners of the proxy manager and the owned deployments. The pool factory
+   * is expected to be owned by the access control contract when one is deployed.
+   */
+  async verifyOwners() {
+    if (!this.owner) return;
+    const expectedOwner = (name) => (
+      name == 'poolFactory' && this.getAddress('poolFactoryAccessControl')
+        ? this.getAddress('poolFactoryAccessControl')
+        : this.owner
+    );
+    const actual = await this.callContract(proxyManagerInterface, this.proxyManager, 'owner');
+    this.addCheck('owner', 'proxyManager', this.owner, actual);
+    for (let name of OWNED_CONTRACTS) {
+      const address = this.getAddress(name);
+      if (!address) continue;
+      const owner = await this.callContract(poolFactoryInterface, address, 'owner');
+      this.addCheck('owner', name, expectedOwner(name), owner);
+    }
+  }
+
+  /**
+   * Checks that the pool factory and controller can deploy proxies and that
+   * the controller can deploy pools.
+   */
+  async verifyApprovals() {
+    const poolFactory = this.getAddress('poolFactory');
+    const controller = this.getAddress('controller');
+    for (let name of ['poolFactory', 'controller']) {
+      const address = this.getAddress(name);
+      if (!address) continue;
+      const approved = await this.callContract(proxyManagerInterface, this.proxyManager, 'isApprovedDeployer', [address]);
+      this.addCheck('approval', `${name} proxy deployer`, true, approved);
+    }
+    if (poolFactory && controller) {
+      const approved = await this.callContract(poolFactoryInterface, poolFactory, 'isApprovedController', [controller]);
+      this.addCheck('approval', 'controller pool controller', true, approved);
+    }
+  }
+
+  /**
+   * Runs every check.
+   * @return `{ checks, mismatches }` where each check has `{ type, name, expected, actual, ok }`
+   * and `mismatches` has the checks which failed
+   */
+  async verify() {
+    this.checks = [];
+    await this.verifyCode();
+    await this.verifyImplementations();
+    await this.verifyOwners();
+    await this.verifyApprovals();
+    return { checks: this.checks, mismatches: this.checks.filter(c => !c.ok) };
+  }
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  compareBytecode,
+  DeploymentVerifier
+};
@@ -1,8 +1,10 @@
-const { sha3 } = require('../test/utils');
+const { keccak256 } = require('ethers/lib/utils');
+
+const sha3 = (value) => keccak256(Buffer.from(value));
 
 module.exports = {
   poolInitializerID: sha3('PoolInitializer.sol'),
   poolImplementationID: sha3('IndexPool.sol'),
   sellerImplementationID: sha3('UnboundTokenSeller.sol'),
   controllerImplementationSalt: sha3('MarketCapSqrtController.sol')
-}
\ No newline at end of file
+}
@@ -0,0 +1,204 @@
+const moment = require('moment');
+const { utils: { formatEther, formatUnits } } = require('ethers');
+
+const { bdiv } = require('./bmath');
+const { estimateEta } = require('./rate');
+const { toBN, sum, TwapValuer } = require('./valuation');
+
+// Window of recent contributions used to estimate when an initializer will finish.
+const DEFAULT_RATE_WINDOW = 86400;
+
+/**
+ * Tracks the progress of a pool initializer: the tokens it still needs, their
+ * value and the credit earned by each contributor.
+ *
+ * Values are in WETH from the oracle's short TWAP, which the initializer
+ * also uses to credit contributions.
+ */
+class InitializerTracker {
+  /**
+   * @param options.initializer PoolInitializer contract
+   * @param options.oracle IndexedUniswapV2Oracle contract
+   * @param options.provider Provider to read block timestamps from
+   */
+  constructor({ initializer, oracle, provider }) {
+    this.initializer = initializer;
+    this.provider = provider;
+    this.valuer = new TwapValuer({ oracle, provider });
+  }
+
+  /**
+   * Gets the contributions and claims made to the initializer.
+   * @return `{ contributions, claims }` where each contribution has `{ blockNumber, timestamp,
+   * transactionHash, account, token, amount, credit }` and each claim has `{ blockNumber,
+   * timestamp, transactionHash, account, tokens }`
+   */
+  async getEvents(fromBlock = 0, toBlock = 'latest') {
+    const { filters } = this.initializer;
+    const contributed = await this.initializer.queryFilter(filters.TokensContributed(), fromBlock, toBlock);
+    const claimed = await this.initializer.queryFilter(filters.TokensClaimed(), fromBlock, toBlock);
+    const base = async ({ blockNumber, transactionHash }) => ({
+      blockNumber,
+      timestamp: await this.valuer.getTimestamp(blockNumber),
+      transactionHash
+    });
+    const contributions = [];
+    for (let event of contributed) {
+      const { from, token, amount, credit } = event.args;
+      contributions.push({ ...(await base(event)), account: from, token, amount, credit });
+    }
+    const claims = [];
+    for (let event of claimed) {
+      const { account, tokens } = event.args;
+      claims.push({ ...(await base(event)), account, tokens });
+    }
+    return { contributions, claims };
+  }
+
+  /**
+   * Ranks contributors by the credit they received.
+   * @return Array of `{ account, credit, share, contributions, claimed }` sorted by
+   * credit, where `share` is the fraction of the total credit scaled by 1e18 and
+   * `claimed` is the amount of pool tokens claimed
+   */
+  getLeaderboard({ contributions, claims }) {
+    const accounts = {};
+    const entry = (account) => {
+      if (!accounts[account]) accounts[account] = { account, credit: toBN(0), contributions: 0, claimed: toBN(0) };
+      return accounts[account];
+    };
+    for (let { account, credit } of contributions) {
+      const e = entry(account);
+      e.credit = e.credit.add(credit);
+      e.contributions++;
+    }
+    for (let { account, tokens } of claims) {
+      const e = entry(account);
+      e.claimed = e.claimed.add(tokens);
+    }
+    const entries = Object.values(accounts);
+    const totalCredit = sum(entries.map(e => e.credit));
+    return entries
+      .map(e => ({ ...e, share: totalCredit.isZero() ? toBN(0) : bdiv(e.credit, totalCredit) }))
+      .sort((a, b) => (b.credit.gt(a.credit) ? 1 : b.credit.lt(a.credit) ? -1 : 0));
+  }
+
+  /**
+   * Gets the remaining amount of each desired token and its value.
+   * @param contributions Contributions from `getEvents`, used to compute progress
+   * @return Array of `{ token, remaining, contributed, value }` where `value` is
+   * undefined if the oracle has no price for the token
+   */
+  async getTokens(contributions = []) {
+    const tokens = await this.initializer.getDesiredTokens();
+    const amounts = tokens.length ? await this.initializer.getDesiredAmounts(tokens) : [];
+    const result = [];
+    for (let i = 0; i < tokens.length; i++) {
+      const remaining = toBN(amounts[i]);
+      const contributed = sum(contributions.filter(c => c.token == tokens[i]).map(c => c.amount));
+      result.push({ token: tokens[i], remaining, contributed, value: await this.valuer.getValue(tokens[i], remaining) });
+    }
+    return result;
+  }
+
+  /**
+   * Builds the full status of the initializer.
+   * @param options.fromBlock Block to read events from, e.g. the initializer's deployment block
+   * @param options.window Seconds of recent contributions used for the ETA
+   * @return `{ initializer, timestamp, finished, totalCredit, remainingValue, missingPrices,
+   * rate, eta, tokens, leaderboard }` where `remainingValue` excludes tokens without a price,
+   * which are listed in `missingPrices`
+   */
+  async getDashboard({ fromBlock = 0, window = DEFAULT_RATE_WINDOW } = {}) {
+    const { number, timestamp } = await this.provider.getBlock('latest');
+    const events = await this.getEvents(fromBlock, number);
+    const finished = await this.initializer.isFinished();
+    const totalCredit = toBN(await this.initializer.getTotalCredit());
+    const tokens = finished ? [] : await this.getTokens(events.contributions);
+    const remainingValue = sum(tokens.filter(t => t.value).map(t => t.value));
+    const missingPrices = tokens.filter(t => !t.value).map(t => t.token);
+    const { rate, eta } = finished
+      ? { rate: toBN(0), eta: undefined }
+      : estimateEta(events.contributions, 'credit', remainingValue, +timestamp, window);
+    return {
+      initializer: this.initializer.address,
+      timestamp: +timestamp,
+      finished,
+      totalCredit,
+      remainingValue,
+      missingPrices,
+      rate,
+      eta,
+      tokens,
+      leaderboard: this.getLeaderboard(events)
+    };
+  }
+}
+
+/**
+ * Formats a dashboard from `InitializerTracker.getDashboard` as lines of text.
+ * @param dashboard Dashboard to format
+ * @param tokenInfo Object mapping token addresses to `{ symbol, decimals }`
+ * @param top Number of contributors to list
+ */
+function formatDashboard(dashboard, tokenInfo = {}, top = 10) {
+  const { timestamp, finished, totalCredit, remainingValue, missingPrices, rate, eta, tokens, leaderboard } = dashboard;
+  const percent = (value) => `${(+formatEther(value.mul(100))).toFixed(2)}%`;
+  const lines = [];
+  if (finished) {
+    lines.push(`Finished with ${formatEther(totalCredit)} WETH of credit`);
+  } else {
+    lines.push(`${formatEther(totalCredit)} WETH contributed, ${formatEther(remainingValue)} WETH remaining`);
+    for (let { token, remaining, contributed, value } of tokens) {
+      const { symbol, decimals = 18 } = tokenInfo[token] || {};
+      const total = remaining.add(contributed);
+      const progress = total.isZero() ? '' : `, ${percent(bdiv(contributed, total))} contributed`;
+      const worth = value ? `${formatEther(value)} WETH` : 'no price';
+      lines.push(`${symbol || token}: ${formatUnits(remaining, decimals)} remaining (${worth})${progress}`);
+    }
+    if (missingPrices.length) lines.push(`${missingPrices.length} tokens have no oracle price and are not in the remaining value`);
+    lines.push(eta === undefined
+      ? 'No recent contributions to estimate when it will finish'
+      : `${formatEther(rate.mul(3600))} WETH per hour, finishes ${moment.duration(eta - timestamp, 'seconds').humanize(true)}`);
+  }
+  leaderboard.slice(0, top).forEach(({ account, credit, share, claimed }, i) => {
+    const claim = claimed.isZero() ? '' : `, claimed ${formatEther(claimed)}`;
+    lines.push(`${i + 1}. ${account}: ${formatEther(credit)} WETH (${percent(share)})${claim}`);
+  });
+  return lines;
+}
+
+/**
+ * Converts a dashboard from `InitializerTracker.getDashboard` to JSON.
+ * WETH values, credits and shares are decimals in ether units and token
+ * amounts are integers in the token's base units.
+ */
+function dashboardToJSON(dashboard) {
+  const ether = (value) => value === undefined ? null : formatEther(value);
+  return JSON.stringify({
+    ...dashboard,
+    eta: dashboard.eta === undefined ? null : dashboard.eta,
+    totalCredit: ether(dashboard.totalCredit),
+    remainingValue: ether(dashboard.remainingValue),
+    rate: ether(dashboard.rate),
+    tokens: dashboard.tokens.map(t => ({
+      ...t,
+      remaining: t.remaining.toString(),
+      contributed: t.contributed.toString(),
+      value: ether(t.value)
+    })),
+    leaderboard: dashboard.leaderboard.map(e => ({
+      ...e,
+      credit: ether(e.credit),
+      share: ether(e.share),
+      claimed: ether(e.claimed)
+    }))
+  }, null, 2);
+}
+
+module.exports = {
+  DEFAULT_RATE_WINDOW,
+  InitializerTracker,
+  formatDashboard,
+  dashboardToJSON
+};
@@ -2,11 +2,8 @@ const multihashes = require('multihashes');
 const CID = require('cids');
 const { digest } = require('multihashing')
 const { soliditySha3 } = require('web3-utils');
-const rp = require('request-promise');
 
-const detJSON = require('./deterministicJSON');
-
-const gatewayUrl = 'https://gateway.temporal.cloud/ipfs/';
+const { stringify } = require('./canonicalJSON');
 
 function sha3(value) {
   return soliditySha3(value);
@@ -16,24 +13,152 @@ function sha3Bytes(value) {
   return soliditySha3({ t: 'bytes', v: value });
 }
 
-// function jsonSha3(obj) {
-//   const json = detJSON(obj);
-//   const buf = Buffer.from(json)
-//   return '0x' + digest(buf, 'sha3-256').toString('hex')
-// }
+// Files up to this size are stored by IPFS in a single block.
+const MAX_SINGLE_BLOCK_SIZE = 262144;
+
+// Default hash function for each codec: metadata is published as raw blocks
+// hashed with sha3-256, while IPFS tools default to dag-pb with sha2-256.
+const defaultHashAlgs = {
+  raw: 'sha3-256',
+  'dag-pb': 'sha2-256'
+};
+
+/**
+ * Normalizes a codec hint, which is either a codec name or an object
+ * with a `codec` and `hashAlg`.
+ */
+function toCodecHint(hint = 'raw') {
+  const { codec = 'raw', hashAlg } = typeof hint == 'string' ? { codec: hint } : hint;
+  if (!defaultHashAlgs[codec]) throw new Error(`Unsupported codec: ${codec}`);
+  return { codec, hashAlg: hashAlg || defaultHashAlgs[codec] };
+}
+
+const strip0x = (hex) => hex.startsWith('0x') ? hex.slice(2) : hex;
 
-function toMh(shaHash) {
-  const buf = Buffer.from(shaHash, 'hex');
-  return multihashes.encode(buf, 'sha3-256');
+function toMh(shaHash, hashAlg = 'sha3-256') {
+  const buf = Buffer.from(strip0x(shaHash), 'hex');
+  return multihashes.encode(buf, hashAlg);
 }
 
-function toCid(mh) {
-  const cid = new CID(1, 'raw', Buffer.from(mh, 'hex'), 'base32');
+/**
+ * Builds a CID from a hex encoded multihash.
+ * @param mh The multihash
+ * @param options Optional `codec` (default raw), `version` (default 1) and
+ * multibase name `base` (default base32 for v1, base58btc for v0)
+ */
+function toCid(mh, options = {}) {
+  const { codec = 'raw', version = 1 } = options;
+  const base = options.base || (version == 0 ? 'base58btc' : 'base32');
+  const cid = new CID(version, codec, Buffer.from(strip0x(mh), 'hex'), base);
   return cid.toBaseEncodedString();
 }
 
-function shaToCid(hash) {
-  return toCid(Buffer.from(toMh(hash.slice(2))).toString('hex'))
+/**
+ * Converts a 32 byte digest to a CID.
+ * @param hash The hex encoded digest
+ * @param options Optional `hashAlg` (default sha3-256) and the options of `toCid`
+ */
+function shaToCid(hash, options = {}) {
+  const mh = toMh(hash, options.hashAlg || 'sha3-256');
+  return toCid(Buffer.from(mh).toString('hex'), options);
+}
+
+/**
+ * Decodes a CID string.
+ * @return An object with the hex encoded `hash` digest, its `hashAlg`, the
+ * CID `codec`, `version` and multibase name `base`
+ */
+function cidToHash(cidString) {
+  const cid = new CID(cidString);
+  const { name, digest: mhDigest } = multihashes.decode(cid.multihash);
+  return {
+    hash: '0x' + Buffer.from(mhDigest).toString('hex'),
+    hashAlg: name,
+    codec: cid.codec,
+    version: cid.version,
+    base: cid.multibaseName
+  };
+}
+
+/**
+ * Re-encodes a CID with a different version or multibase.
+ * Only dag-pb CIDs hashed with sha2-256 can be converted to version 0.
+ * @param cidString The CID to convert
+ * @param options Optional `version` (default 1) and `base`
+ */
+function convertCid(cidString, options = {}) {
+  const { hash, hashAlg, codec } = cidToHash(cidString);
+  return shaToCid(hash, { hashAlg, codec, ...options });
+}
+
+/**
+ * Returns every CID encoding for an on-chain metadata hash.
+ *
+ * The codec hint determines which block format the hash is a digest of,
+ * which can not be derived from the hash itself. For each encoding of the
+ * same codec and multihash, the CIDv1 is returned in base32 and base58btc,
+ * followed by the CIDv0 if the codec and hash function allow it.
+ *
+ * @param hash The bytes32 metadata hash
+ * @param hint Codec name or object with `codec` and `hashAlg`, see `defaultHashAlgs`
+ */
+function getEquivalentCids(hash, hint) {
+  const { codec, hashAlg } = toCodecHint(hint);
+  const cids = [
+    shaToCid(hash, { codec, hashAlg, version: 1, base: 'base32' }),
+    shaToCid(hash, { codec, hashAlg, version: 1, base: 'base58btc' })
+  ];
+  if (codec == 'dag-pb' && hashAlg == 'sha2-256') {
+    cids.push(shaToCid(hash, { codec, hashAlg, version: 0 }));
+  }
+  return cids;
+}
+
+function encodeVarint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value & 0x7f) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+const encodeField = (tag, buf) => Buffer.concat([Buffer.from([tag]), encodeVarint(buf.length), buf]);
+
+/**
+ * Encodes a file as the single dag-pb block `ipfs add` produces for files
+ * which fit in one chunk, i.e. a PBNode without links containing a UnixFS
+ * message of type File.
+ */
+function encodeDagPbFile(buf) {
+  if (buf.length > MAX_SINGLE_BLOCK_SIZE) {
+    throw new Error(`Files larger than ${MAX_SINGLE_BLOCK_SIZE} bytes span multiple blocks`);
+  }
+  const unixfs = Buffer.concat([
+    // Type: File
+    Buffer.from([0x08, 0x02]),
+    // Data
+    buf.length ? encodeField(0x12, buf) : Buffer.alloc(0),
+    // filesize
+    Buffer.from([0x18]),
+    encodeVarint(buf.length)
+  ]);
+  // PBNode Data
+  return encodeField(0x0a, unixfs);
+}
+
+/**
+ * Hashes file contents the way they would be stored on IPFS.
+ * @param buf The file contents
+ * @param hint Codec name or object with `codec` and `hashAlg`
+ * @return An object with the hex encoded `hash` digest and its CIDv1 `cid`
+ */
+function hashContent(buf, hint) {
+  const { codec, hashAlg } = toCodecHint(hint);
+  const block = codec == 'dag-pb' ? encodeDagPbFile(buf) : buf;
+  const hash = '0x' + digest(block, hashAlg).toString('hex');
+  return { hash, cid: shaToCid(hash, { codec, hashAlg }) };
 }
 
 function hash(encodedCall) {
@@ -42,28 +167,55 @@ function hash(encodedCall) {
   return {eth, ipfs};
 }
 
-function hashJSON(obj) {
-  const json = detJSON(obj);
-  const buf = Buffer.from(json);
-  const sha3Hash = '0x' + digest(buf, 'sha3-256').toString('hex');
-  const ipfsHash = shaToCid(sha3Hash);
+function hashBuffer(buf) {
+  const { hash: sha3Hash, cid: ipfsHash } = hashContent(buf);
+  return { sha3Hash, ipfsHash };
+}
+
+/**
+ * Serializes an object to canonical JSON and computes its sha3 hash and CID.
+ * @param obj Object to hash
+ * @param mode Canonicalization mode, `strict` (RFC 8785) or `legacy` to
+ * reproduce the hashes of categories published with the original serializer
+ */
+function hashJSON(obj, mode = 'strict') {
+  const json = stringify(obj, mode);
+  const { sha3Hash, ipfsHash } = hashBuffer(Buffer.from(json));
   return { json, sha3Hash, ipfsHash };
 }
 
-function getIPFSFile(sha3Hash) {
-  const ipfsHash = shaToCid(sha3Hash);
-  const url = `${gatewayUrl}${ipfsHash}`;
-  return rp.get(url)
-    .then((file) => JSON.parse(file));
+let resolver;
+
+/**
+ * Resolves a JSON file by its hash with the resolver configured in the
+ * environment. See `getMetadataResolver` in lib/resolver.js.
+ * @param sha3Hash The hash of the file
+ * @param hint Optional codec hint, see `getEquivalentCids`
+ */
+function getIPFSFile(sha3Hash, hint) {
+  if (!resolver) {
+    // Required here because the resolver depends on this module.
+    const { getMetadataResolver } = require('./resolver');
+    resolver = getMetadataResolver();
+  }
+  return resolver.resolve(sha3Hash, hint);
 }
 
 module.exports = {
+  defaultHashAlgs,
+  toCodecHint,
   getIPFSFile,
   sha3,
   sha3Bytes,
+  hashBuffer,
   hashJSON,
   toMh,
   toCid,
   shaToCid,
+  cidToHash,
+  convertCid,
+  getEquivalentCids,
+  encodeDagPbFile,
+  hashContent,
   hash,
 }
\ No newline at end of file
@@ -0,0 +1,211 @@
+const { Contract } = require('ethers');
+
+const Logger = require('./logger');
+const RunLoop = require('./runLoop');
+const {
+  LONG_TWAP_MIN_TIME_ELAPSED,
+  LONG_TWAP_MAX_TIME_ELAPSED,
+  getPriceAvailability
+} = require('./oracle');
+
+// Pool update schedule, see MarketCapSqrtController.sol
+const POOL_REWEIGH_DELAY = 86400 * 7;
+const REWEIGHS_BEFORE_REINDEX = 3;
+
+// Maximum age of a category sort for it to be used in a reindex, see MarketCapSortedTokenCategories.sol
+const MAX_SORT_DELAY = 86400;
+
+// How long before a pool update the keeper starts updating the prices it needs.
+// An observation made this early is old enough to be in the long TWAP window when the update is due.
+const PRICE_UPDATE_LEAD_TIME = LONG_TWAP_MIN_TIME_ELAPSED * 2;
+
+const poolAbi = ['function getCurrentDesiredTokens() view returns (address[])'];
+
+/**
+ * Determines the next update for a pool from its metadata.
+ * @param meta Result of `getPoolMeta` on the controller
+ * @return `{ action, dueAt }` where `action` is `reweigh` or `reindex` and
+ * `dueAt` is the earliest timestamp the update can be made at
+ */
+function getNextAction(meta) {
+  // reweighIndex is a uint8 which is incremented before the check and may overflow.
+  const nextIndex = (+meta.reweighIndex + 1) % 256;
+  const action = nextIndex % (REWEIGHS_BEFORE_REINDEX + 1) == 0 ? 'reindex' : 'reweigh';
+  return { action, dueAt: +meta.lastReweigh + POOL_REWEIGH_DELAY };
+}
+
+/**
+ * Keeper which reweighs and reindexes the pools deployed by a controller
+ * once they are due.
+ *
+ * Pools are discovered from the `NewPool` events of the pool factory. Ahead of
+ * each update the keeper records oracle prices for the tokens the update needs,
+ * and before a reindex it sorts the pool's category if the last sort is too old.
+ *
+ * In local mode the keeper runs once per block rather than on an interval, so
+ * tests against a local node can drive it with `evm_increaseTime` and `evm_mine`.
+ */
+class PoolKeeper {
+  /**
+   * @param options.controller MarketCapSqrtController contract connected to a signer
+   * @param options.poolFactory PoolFactory contract
+   * @param options.oracle IndexedUniswapV2Oracle contract connected to a signer
+   * @param options.interval Seconds between runs when not in local mode
+   * @param options.local Whether to run once per block
+   * @param options.fromBlock Block to start searching for pools from
+   * @param options.gasPrice Gas price to use for transactions
+   * @param options.logger Logger to report progress with
+   */
+  constructor({
+    controller,
+    poolFactory,
+    oracle,
+    interval = 300,
+    local = false,
+    fromBlock = 0,
+    gasPrice,
+    logger = Logger(undefined, 'keeper')
+  }) {
+    this.controller = controller;
+    this.poolFactory = poolFactory;
+    this.oracle = oracle;
+    this.provider = controller.provider;
+    this.interval = interval;
+    this.local = local;
+    this.nextBlock = fromBlock;
+    this.overrides = gasPrice ? { gasPrice } : {};
+    this.logger = logger;
+    this.pools = [];
+    this.loop = new RunLoop(this, 'Keeper');
+  }
+
+  /**
+   * Adds the pools deployed by the controller since the last sync.
+   */
+  async syncPools() {
+    const latest = await this.provider.getBlockNumber();
+    if (latest < this.nextBlock) return this.pools;
+    const events = await this.poolFactory.queryFilter(
+      this.poolFactory.filters.NewPool(),
+      this.nextBlock,
+      latest
+    );
+    for (let { args } of events) {
+      if (args.controller.toLowerCase() != this.controller.address.toLowerCase()) continue;
+      if (this.pools.includes(args.pool)) continue;
+      this.pools.push(args.pool);
+      this.logger.info(`Tracking pool ${args.pool}`);
+    }
+    this.nextBlock = latest + 1;
+    return this.pools;
+  }
+
+  /**
+   * Gets the tokens which need a long TWAP price for a pool update.
+   * A reindex sorts the whole category, a reweigh only uses the pool's desired tokens.
+   */
+  async getRequiredTokens(pool, meta, action) {
+    if (action == 'reindex') return this.controller.getCategoryTokens(meta.categoryID);
+    return new Contract(pool, poolAbi, this.provider).getCurrentDesiredTokens();
+  }
+
+  /**
+   * Updates the prices of tokens which have no observation recent enough
+   * to be in the long TWAP window at `dueAt`.
+   * @return The tokens whose prices were updated
+   */
+  async refreshPrices(tokens, dueAt, timestamp) {
+    const canUpdate = await this.oracle.canUpdatePrices(tokens);
+    const stale = [];
+    for (let i = 0; i < tokens.length; i++) {
+      if (!canUpdate[i]) continue;
+      const observations = await this.oracle.getPriceObservationsInRange(
+        tokens[i],
+        Math.max(dueAt, timestamp) - LONG_TWAP_MAX_TIME_ELAPSED,
+        timestamp
+      );
+      if (observations.length == 0) stale.push(tokens[i]);
+    }
+    if (stale.length) {
+      this.logger.info(`Updating prices for ${stale.length} tokens`);
+      await this.oracle.updatePrices(stale, this.overrides).then(tx => tx.wait());
+    }
+    return stale;
+  }
+
+  /**
+   * Checks a pool and makes its next update if it is due.
+   * @return `{ pool, action, dueAt, status }` where `status` is one of
+   * `uninitialized`, `scheduled`, `waiting-for-prices`, `reweighed` or `reindexed`
+   */
+  async processPool(pool, timestamp) {
+    const meta = await this.controller.getPoolMeta(pool);
+    if (!meta.initialized) return { pool, status: 'uninitialized' };
+    const { action, dueAt } = getNextAction(meta);
+    const result = { pool, action, dueAt };
+    if (timestamp < dueAt - PRICE_UPDATE_LEAD_TIME) return { ...result, status: 'scheduled' };
+
+    const tokens = await this.getRequiredTokens(pool, meta, action);
+    await this.refreshPrices(tokens, dueAt, timestamp);
+    if (timestamp < dueAt) return { ...result, status: 'scheduled' };
+
+    const missing = (await getPriceAvailability(this.oracle, tokens, timestamp)).filter(a => !a.hasLongTwap);
+    if (missing.length) {
+      this.logger.info(`Waiting for long TWAP prices of ${missing.length} tokens to ${action} ${pool}`);
+      return { ...result, status: 'waiting-for-prices' };
+    }
+
+    if (action == 'reindex') {
+      const lastSort = await this.controller.getLastCategoryUpdate(meta.categoryID);
+      if (timestamp - lastSort.toNumber() > MAX_SORT_DELAY) {
+        this.logger.info(`Sorting category ${meta.categoryID}`);
+        await this.controller.orderCategoryTokensByMarketCap(meta.categoryID, this.overrides).then(tx => tx.wait());
+      }
+      await this.controller.reindexPool(pool, this.overrides).then(tx => tx.wait());
+      this.logger.success(`Reindexed ${pool}`);
+      return { ...result, status: 'reindexed' };
+    }
+    await this.controller.reweighPool(pool, this.overrides).then(tx => tx.wait());
+    this.logger.success(`Reweighed ${pool}`);
+    return { ...result, status: 'reweighed' };
+  }
+
+  /**
+   * Syncs the pool list and processes every pool.
+   * Errors for a single pool are logged and returned rather than thrown.
+   */
+  async runOnce() {
+    await this.syncPools();
+    const { timestamp } = await this.provider.getBlock('latest');
+    const results = [];
+    for (let pool of this.pools) {
+      try {
+        results.push(await this.processPool(pool, +timestamp));
+      } catch (err) {
+        this.logger.error(`Error processing ${pool}: ${err.message}`);
+        results.push({ pool, status: 'error', error: err });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Runs the keeper until `stop` is called, logging failed runs, see `RunLoop`.
+   */
+  start() {
+    return this.loop.start();
+  }
+
+  stop() {
+    this.loop.stop();
+  }
+}
+
+module.exports = {
+  POOL_REWEIGH_DELAY,
+  REWEIGHS_BEFORE_REINDEX,
+  MAX_SORT_DELAY,
+  PRICE_UPDATE_LEAD_TIME,
+  getNextAction,
+  PoolKeeper
+};
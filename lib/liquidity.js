@@ -0,0 +1,386 @@
+const { BigNumber, constants: { MaxUint256 }, utils: { Interface } } = require('ethers');
+
+const PoolHelper = require('./poolHelper');
+const { BONE, bmul, bdiv } = require('./bmath');
+
+const poolInterface = new Interface([
+  'function joinPool(uint256 poolAmountOut, uint256[] maxAmountsIn)',
+  'function joinswapExternAmountIn(address tokenIn, uint256 tokenAmountIn, uint256 minPoolAmountOut)',
+  'function joinswapPoolAmountOut(address tokenIn, uint256 poolAmountOut, uint256 maxAmountIn)',
+  'function exitPool(uint256 poolAmountIn, uint256[] minAmountsOut)',
+  'function exitswapPoolAmountIn(address tokenOut, uint256 poolAmountIn, uint256 minAmountOut)',
+  'function exitswapExternAmountOut(address tokenOut, uint256 tokenAmountOut, uint256 maxPoolAmountIn)',
+  'function swapExactAmountIn(address tokenIn, uint256 tokenAmountIn, address tokenOut, uint256 minAmountOut, uint256 maxPrice)',
+  'function swapExactAmountOut(address tokenIn, uint256 maxAmountIn, address tokenOut, uint256 tokenAmountOut, uint256 maxPrice)'
+]);
+
+// Errors thrown when an amount is too large (or too small) for a single transaction.
+const LIMIT_ERRORS = [
+  'ERR_MATH_APPROX',
+  'ERR_MAX_IN_RATIO',
+  'ERR_MAX_OUT_RATIO',
+  'ERR_BPOW_BASE_TOO_HIGH',
+  'ERR_BPOW_BASE_TOO_LOW',
+  'ERR_SUB_UNDERFLOW',
+  'ERR_DIV_ZERO'
+];
+
+const MAX_TRANSACTIONS = 20;
+const DEFAULT_SLIPPAGE = BONE.div(200);
+
+const toBN = (value) => BigNumber.from(value);
+
+const sum = (values) => values.reduce((total, value) => total.add(value), toBN(0));
+
+/**
+ * Returns the largest amount in `[0, max]` for which `fits` returns true.
+ * `fits` must be true for every amount below one it is true for.
+ */
+function findLargestFitting(max, fits) {
+  let lo = toBN(0);
+  let hi = toBN(max);
+  while (lo.lt(hi)) {
+    const mid = lo.add(hi).add(1).div(2);
+    if (fits(mid)) lo = mid;
+    else hi = mid.sub(1);
+  }
+  return lo;
+}
+
+/**
+ * Returns the smallest amount in `[0, max]` for which `fits` returns true,
+ * or undefined if there is none.
+ * `fits` must be true for every amount above one it is true for.
+ */
+function findSmallestFitting(max, fits) {
+  let lo = toBN(0);
+  let hi = toBN(max);
+  if (!fits(hi)) return undefined;
+  while (lo.lt(hi)) {
+    const mid = lo.add(hi).div(2);
+    if (fits(mid)) hi = mid;
+    else lo = mid.add(1);
+  }
+  return lo;
+}
+
+/**
+ * Wraps a simulation so it returns false instead of throwing when
+ * an amount is too large for a single transaction. The simulation
+ * can also return false to reject an amount.
+ */
+function withinLimits(simulate) {
+  return (amount) => {
+    try {
+      return simulate(amount) !== false;
+    } catch (err) {
+      if (LIMIT_ERRORS.includes(err.message)) return false;
+      throw err;
+    }
+  };
+}
+
+/**
+ * Plans single asset and proportional joins and exits of an index pool and
+ * builds the transactions for them.
+ *
+ * Single asset plans use `joinswapExternAmountIn`, `joinswapPoolAmountOut`,
+ * `exitswapPoolAmountIn` or `exitswapExternAmountOut`. Orders which would exceed
+ * `MAX_IN_RATIO` or `MAX_OUT_RATIO` are split into several transactions, each as
+ * large as the pool allows after the ones before it.
+ *
+ * Proportional joins buy each other token with `swapExactAmountOut` and then
+ * call `joinPool`, which mints an exact amount of pool tokens, so their slippage
+ * bound is on the input. Proportional exits call `exitPool` and sell the minimum
+ * amount received of each other token with `swapExactAmountIn`; anything received
+ * above the minimum stays in the wallet and is reported as `dust`.
+ *
+ * Plans are simulated with `PoolHelper` against the current pool state and
+ * every amount is in wei.
+ */
+class LiquidityPlanner {
+  /**
+   * @param pool Address of the pool
+   * @param helper PoolHelper with the pool's state
+   * @param options.slippage Allowed slippage as a fraction of 1e18, 0.5% by default
+   */
+  constructor(pool, helper, { slippage = DEFAULT_SLIPPAGE } = {}) {
+    this.pool = pool;
+    this.helper = helper;
+    this.slippage = toBN(slippage);
+  }
+
+  /**
+   * @param pool IndexPool contract
+   * @param options.slippage Allowed slippage as a fraction of 1e18
+   */
+  static async fromPool(pool, options) {
+    return new LiquidityPlanner(pool.address, await PoolHelper.fromPool(pool), options);
+  }
+
+  minimum(amount) {
+    return bmul(amount, BONE.sub(this.slippage));
+  }
+
+  maximum(amount) {
+    return bmul(amount, BONE.add(this.slippage));
+  }
+
+  transaction(method, args) {
+    return { to: this.pool, data: poolInterface.encodeFunctionData(method, args), method, args };
+  }
+
+  /**
+   * Plans a join paying `tokenIn`.
+   * @param tokenIn Token to pay
+   * @param amounts.amountIn Exact amount of `tokenIn` to pay, or
+   * @param amounts.poolAmountOut Exact amount of pool tokens to mint
+   * @return `{ best, plans, errors }` where `plans` is sorted best first and
+   * `errors` lists the methods which can not be used with their error
+   */
+  planJoin(tokenIn, { amountIn, poolAmountOut }) {
+    if ((amountIn === undefined) == (poolAmountOut === undefined)) {
+      throw new Error('Provide exactly one of amountIn or poolAmountOut');
+    }
+    const exactIn = amountIn !== undefined;
+    return this._compare([
+      ['single', () => exactIn
+        ? this._singleJoinExactIn(tokenIn, toBN(amountIn))
+        : this._singleJoinExactOut(tokenIn, toBN(poolAmountOut))],
+      ['proportional', () => exactIn
+        ? this._proportionalJoinExactIn(tokenIn, toBN(amountIn))
+        : this._proportionalJoin(tokenIn, toBN(poolAmountOut))]
+    ], exactIn);
+  }
+
+  /**
+   * Plans an exit receiving `tokenOut`.
+   * @param tokenOut Token to receive
+   * @param amounts.poolAmountIn Exact amount of pool tokens to burn, or
+   * @param amounts.amountOut Exact amount of `tokenOut` to receive
+   * @return `{ best, plans, errors }` where `plans` is sorted best first and
+   * `errors` lists the methods which can not be used with their error
+   */
+  planExit(tokenOut, { poolAmountIn, amountOut }) {
+    if ((poolAmountIn === undefined) == (amountOut === undefined)) {
+      throw new Error('Provide exactly one of poolAmountIn or amountOut');
+    }
+    const exactIn = poolAmountIn !== undefined;
+    return this._compare([
+      ['single', () => exactIn
+        ? this._singleExitExactIn(tokenOut, toBN(poolAmountIn))
+        : this._singleExitExactOut(tokenOut, toBN(amountOut))],
+      ['proportional', () => exactIn
+        ? this._proportionalExit(tokenOut, toBN(poolAmountIn))
+        : this._proportionalExitExactOut(tokenOut, toBN(amountOut))]
+    ], exactIn);
+  }
+
+/* ==========  Internal  ========== */
+
+  _compare(candidates, exactIn) {
+    const plans = [];
+    const errors = [];
+    for (let [method, plan] of candidates) {
+      try {
+        plans.push({ method, ...plan() });
+      } catch (error) {
+        errors.push({ method, error });
+      }
+    }
+    // Exact input plans are ranked by output, exact output plans by input.
+    plans.sort((a, b) => {
+      const [x, y] = exactIn ? [b.amountOut, a.amountOut] : [a.amountIn, b.amountIn];
+      if (x.eq(y)) return a.transactions.length - b.transactions.length;
+      return x.lt(y) ? -1 : 1;
+    });
+    return { best: plans[0], plans, errors };
+  }
+
+  /**
+   * Splits an order into the largest chunks `execute` accepts and applies
+   * each one to `helper`.
+   * @return Array of `{ amount, result }` for each chunk
+   */
+  _splitOrder(helper, total, execute) {
+    const chunks = [];
+    let remaining = total;
+    while (!remaining.isZero()) {
+      if (chunks.length == MAX_TRANSACTIONS) {
+        throw new Error(`Order needs more than ${MAX_TRANSACTIONS} transactions`);
+      }
+      const fits = withinLimits(amount => execute(helper.clone(), amount));
+      const amount = fits(remaining) ? remaining : findLargestFitting(remaining, fits);
+      if (amount.isZero()) throw new Error('Order can not be split within the pool limits');
+      chunks.push({ amount, result: execute(helper, amount) });
+      remaining = remaining.sub(amount);
+    }
+    return chunks;
+  }
+
+  _singleJoinExactIn(tokenIn, amountIn) {
+    const helper = this.helper.clone();
+    const chunks = this._splitOrder(helper, amountIn, (h, amount) => h.joinswapExternAmountIn(tokenIn, amount));
+    const transactions = chunks.map(({ amount, result }) => this.transaction(
+      'joinswapExternAmountIn',
+      [tokenIn, amount, this.minimum(result)]
+    ));
+    return {
+      amountIn,
+      maxAmountIn: amountIn,
+      amountOut: sum(chunks.map(c => c.result)),
+      minAmountOut: sum(transactions.map(tx => tx.args[2])),
+      transactions
+    };
+  }
+
+  _singleJoinExactOut(tokenIn, poolAmountOut) {
+    const helper = this.helper.clone();
+    const chunks = this._splitOrder(helper, poolAmountOut, (h, amount) => h.joinswapPoolAmountOut(tokenIn, amount));
+    const transactions = chunks.map(({ amount, result }) => this.transaction(
+      'joinswapPoolAmountOut',
+      [tokenIn, amount, this.maximum(result)]
+    ));
+    return {
+      amountIn: sum(chunks.map(c => c.result)),
+      maxAmountIn: sum(transactions.map(tx => tx.args[2])),
+      amountOut: poolAmountOut,
+      minAmountOut: poolAmountOut,
+      transactions
+    };
+  }
+
+  _singleExitExactIn(tokenOut, poolAmountIn) {
+    const helper = this.helper.clone();
+    const chunks = this._splitOrder(helper, poolAmountIn, (h, amount) => h.exitswapPoolAmountIn(tokenOut, amount));
+    const transactions = chunks.map(({ amount, result }) => this.transaction(
+      'exitswapPoolAmountIn',
+      [tokenOut, amount, this.minimum(result)]
+    ));
+    return {
+      amountIn: poolAmountIn,
+      maxAmountIn: poolAmountIn,
+      amountOut: sum(chunks.map(c => c.result)),
+      minAmountOut: sum(transactions.map(tx => tx.args[2])),
+      transactions
+    };
+  }
+
+  _singleExitExactOut(tokenOut, amountOut) {
+    const helper = this.helper.clone();
+    const chunks = this._splitOrder(helper, amountOut, (h, amount) => h.exitswapExternAmountOut(tokenOut, amount));
+    const transactions = chunks.map(({ amount, result }) => this.transaction(
+      'exitswapExternAmountOut',
+      [tokenOut, amount, this.maximum(result)]
+    ));
+    return {
+      amountIn: sum(chunks.map(c => c.result)),
+      maxAmountIn: sum(transactions.map(tx => tx.args[2])),
+      amountOut,
+      minAmountOut: amountOut,
+      transactions
+    };
+  }
+
+  /**
+   * Buys each other token so that after the swaps the wallet holds exactly
+   * what `joinPool` takes for `poolAmountOut`, then joins.
+   */
+  _proportionalJoin(tokenIn, poolAmountOut) {
+    const helper = this.helper.clone();
+    const ratio = bdiv(poolAmountOut, helper.totalSupply);
+    const transactions = [];
+    const bought = {};
+    let amountIn = toBN(0);
+    let maxAmountIn = toBN(0);
+    for (let token of helper.tokens) {
+      if (token == tokenIn) continue;
+      const { balance } = helper.getOutputToken(token);
+      // Joining takes `ratio` of the balance left after the swap: x = ratio * (balance - x)
+      const amountOut = bdiv(bmul(ratio, balance), BONE.add(ratio)).add(1);
+      const { tokenAmountIn } = helper.swapExactAmountOut(tokenIn, MaxUint256, token, amountOut);
+      bought[token] = amountOut;
+      amountIn = amountIn.add(tokenAmountIn);
+      maxAmountIn = maxAmountIn.add(this.maximum(tokenAmountIn));
+      transactions.push(this.transaction(
+        'swapExactAmountOut',
+        [tokenIn, this.maximum(tokenAmountIn), token, amountOut, MaxUint256]
+      ));
+    }
+    const joinAmounts = helper.joinPool(poolAmountOut, helper.tokens.map(
+      token => token == tokenIn ? MaxUint256 : bought[token]
+    ));
+    const directIn = joinAmounts[helper.tokens.indexOf(tokenIn)];
+    transactions.push(this.transaction('joinPool', [
+      poolAmountOut,
+      helper.tokens.map((token, i) => token == tokenIn ? this.maximum(directIn) : bought[token])
+    ]));
+    return {
+      amountIn: amountIn.add(directIn),
+      maxAmountIn: maxAmountIn.add(this.maximum(directIn)),
+      amountOut: poolAmountOut,
+      minAmountOut: poolAmountOut,
+      transactions
+    };
+  }
+
+  _proportionalJoinExactIn(tokenIn, amountIn) {
+    // Paying only in `tokenIn` at its current balance is an upper bound on the pool amount.
+    const upper = bmul(bdiv(amountIn, this.helper.getUsedBalance(tokenIn)), this.helper.totalSupply);
+    const fits = withinLimits(amount => this._proportionalJoin(tokenIn, amount).amountIn.lte(amountIn));
+    const poolAmountOut = findLargestFitting(upper, fits);
+    if (poolAmountOut.isZero()) throw new Error('ERR_MATH_APPROX');
+    return this._proportionalJoin(tokenIn, poolAmountOut);
+  }
+
+  /**
+   * Exits proportionally, then sells the minimum amount of each other token received.
+   */
+  _proportionalExit(tokenOut, poolAmountIn) {
+    const helper = this.helper.clone();
+    helper.getOutputToken(tokenOut);
+    const exitAmounts = helper.exitPool(poolAmountIn);
+    const minAmountsOut = exitAmounts.map(amount => this.minimum(amount));
+    const transactions = [this.transaction('exitPool', [poolAmountIn, minAmountsOut])];
+    const outIndex = helper.tokens.indexOf(tokenOut);
+    let amountOut = exitAmounts[outIndex];
+    let minAmountOut = minAmountsOut[outIndex];
+    const dust = {};
+    helper.tokens.forEach((token, i) => {
+      if (token == tokenOut || exitAmounts[i].isZero()) return;
+      const { tokenAmountOut } = helper.swapExactAmountIn(token, minAmountsOut[i], tokenOut);
+      amountOut = amountOut.add(tokenAmountOut);
+      minAmountOut = minAmountOut.add(this.minimum(tokenAmountOut));
+      dust[token] = exitAmounts[i].sub(minAmountsOut[i]);
+      transactions.push(this.transaction(
+        'swapExactAmountIn',
+        [token, minAmountsOut[i], tokenOut, this.minimum(tokenAmountOut), MaxUint256]
+      ));
+    });
+    return {
+      amountIn: poolAmountIn,
+      maxAmountIn: poolAmountIn,
+      amountOut,
+      minAmountOut,
+      dust,
+      transactions
+    };
+  }
+
+  _proportionalExitExactOut(tokenOut, amountOut) {
+    // Find the largest exit the pool limits allow, then the smallest one which gives enough.
+    const max = findLargestFitting(this.helper.totalSupply, withinLimits(amount => this._proportionalExit(tokenOut, amount)));
+    const poolAmountIn = findSmallestFitting(
+      max,
+      withinLimits(amount => this._proportionalExit(tokenOut, amount).amountOut.gte(amountOut))
+    );
+    if (!poolAmountIn) throw new Error('ERR_MAX_OUT_RATIO');
+    return this._proportionalExit(tokenOut, poolAmountIn);
+  }
+}
+
+module.exports = {
+  findLargestFitting,
+  findSmallestFitting,
+  LiquidityPlanner
+};
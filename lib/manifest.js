@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { keccak256 } = require('ethers/lib/utils');
+
+const {
+  poolInitializerID,
+  poolImplementationID,
+  sellerImplementationID,
+  controllerImplementationSalt
+} = require('./implementationIDs');
+
+const defaultDeploymentsDir = path.join(__dirname, '..', 'deployments');
+
+/**
+ * Proxies created by the deploy scripts, see deploy/.
+ * - `one-to-one` proxies have their own implementation, set by the proxy manager with a salt.
+ * - `many-to-one` implementations are shared by every proxy created with their implementation ID,
+ * which the pool factory and controller create for each pool, initializer and token seller.
+ */
+const PROXY_RELATIONSHIPS = [
+  { type: 'one-to-one', proxy: 'controller', implementation: 'controllerImplementation', salt: controllerImplementationSalt },
+  { type: 'many-to-one', implementation: 'poolImplementation', implementationID: poolImplementationID },
+  { type: 'many-to-one', implementation: 'poolInitializerImplementation', implementationID: poolInitializerID },
+  { type: 'many-to-one', implementation: 'tokenSellerImplementation', implementationID: sellerImplementationID }
+];
+
+/**
+ * Gets the name of the contract a deployment was compiled from.
+ */
+function getContractName(deployment) {
+  if (deployment.metadata) {
+    const { settings: { compilationTarget } } = JSON.parse(deployment.metadata);
+    return Object.values(compilationTarget)[0];
+  }
+  return undefined;
+}
+
+/**
+ * Reads the deployment files of one network.
+ * @param networkDir Directory with the network's deployment files
+ * @return `{ chainId, deployments }` with the parsed files by deployment name
+ */
+function readNetworkDeployments(networkDir) {
+  const chainIdPath = path.join(networkDir, '.chainId');
+  const chainId = fs.existsSync(chainIdPath) ? +fs.readFileSync(chainIdPath, 'utf8').trim() : undefined;
+  const deployments = {};
+  const files = fs.readdirSync(networkDir).filter(f => f.endsWith('.json')).sort();
+  for (let fileName of files) {
+    deployments[fileName.replace('.json', '')] = JSON.parse(fs.readFileSync(path.join(networkDir, fileName), 'utf8'));
+  }
+  return { chainId, deployments };
+}
+
+/**
+ * Builds the manifest entries for one network.
+ * @param deployments Parsed deployment files by name
+ * @return `{ contracts, abis }` where `abis` maps the network's contract names to
+ * their ABIs, which differ between networks deployed from different sources
+ */
+function buildNetworkManifest(deployments) {
+  const contracts = {};
+  const abis = {};
+  for (let name of Object.keys(deployments)) {
+    const deployment = deployments[name];
+    const contractName = getContractName(deployment) || name;
+    abis[contractName] = deployment.abi;
+    const { receipt = {} } = deployment;
+    contracts[name] = {
+      address: deployment.address,
+      contractName,
+      bytecodeHash: deployment.deployedBytecode ? keccak256(deployment.deployedBytecode) : null,
+      transactionHash: deployment.transactionHash || receipt.transactionHash || null,
+      blockNumber: receipt.blockNumber === undefined ? null : receipt.blockNumber,
+      args: deployment.args || []
+    };
+  }
+  for (let relationship of PROXY_RELATIONSHIPS) {
+    const implementation = contracts[relationship.implementation];
+    if (!implementation) continue;
+    const { type, proxy, salt, implementationID } = relationship;
+    const implementationOf = type == 'one-to-one' ? { type, proxy, salt } : { type, implementationID };
+    // The deployer also saves implementations under their contract name.
+    for (let entry of Object.values(contracts)) {
+      if (entry.address == implementation.address) entry.implementationOf = implementationOf;
+    }
+    if (proxy && contracts[proxy]) {
+      // Proxy deployments are saved with the implementation's code.
+      contracts[proxy].bytecodeHash = null;
+      contracts[proxy].proxy = { type, implementation: relationship.implementation, salt };
+      delete contracts[proxy].implementationOf;
+    }
+  }
+  const sortedAbis = {};
+  for (let name of Object.keys(abis).sort()) sortedAbis[name] = abis[name];
+  return { contracts, abis: sortedAbis };
+}
+
+/**
+ * Builds a manifest of the deployments of every network with deployment files.
+ * @param options.deploymentsDir Directory with a folder for each network
+ * @param options.version Version of the manifest, the package version
+ * @return `{ version, networks }` where `networks` maps each network name to
+ * `{ chainId, contracts, abis }`
+ */
+function buildManifest({ deploymentsDir = defaultDeploymentsDir, version }) {
+  const networks = {};
+  const folders = fs.readdirSync(deploymentsDir)
+    .filter(name => fs.statSync(path.join(deploymentsDir, name)).isDirectory())
+    .sort();
+  for (let network of folders) {
+    const { chainId, deployments } = readNetworkDeployments(path.join(deploymentsDir, network));
+    if (Object.keys(deployments).length == 0) continue;
+    networks[network] = { chainId, ...buildNetworkManifest(deployments) };
+  }
+  return { version, networks };
+}
+
+const quote = (value) => `'${value}'`;
+
+const union = (values) => values.length ? values.map(quote).join(' | ') : 'never';
+
+/**
+ * Generates TypeScript declarations for a manifest module which exports
+ * `version` and `networks`.
+ */
+function generateTypings({ networks }) {
+  const contractNames = Object.values(networks)
+    .reduce((names, { abis }) => names.concat(Object.keys(abis)), [])
+    .filter((name, i, all) => all.indexOf(name) == i)
+    .sort();
+  const lines = [
+    '/* Generated by scripts/export.js, do not edit. */',
+    '',
+    'export type ContractName = ' + union(contractNames) + ';',
+    '',
+    'export interface ProxyInfo {',
+    '  type: \'one-to-one\';',
+    '  implementation: string;',
+    '  salt: string;',
+    '}',
+    '',
+    'export type ImplementationInfo =',
+    '  | { type: \'one-to-one\'; proxy: string; salt: string }',
+    '  | { type: \'many-to-one\'; implementationID: string };',
+    '',
+    'export interface Deployment {',
+    '  address: string;',
+    '  contractName: ContractName;',
+    '  /** keccak256 of the deployed bytecode, null for proxies */',
+    '  bytecodeHash: string | null;',
+    '  transactionHash: string | null;',
+    '  blockNumber: number | null;',
+    '  args: any[];',
+    '  proxy?: ProxyInfo;',
+    '  implementationOf?: ImplementationInfo;',
+    '}',
+    '',
+    'export interface Network<Name extends string, Contract extends ContractName> {',
+    '  chainId: number;',
+    '  contracts: { [name in Name]: Deployment };',
+    '  abis: { [name in Contract]: any[] };',
+    '}',
+    '',
+    'export declare const version: string;',
+    '',
+    'export declare const networks: {'
+  ];
+  for (let network of Object.keys(networks)) {
+    const { contracts, abis } = networks[network];
+    lines.push(`  ${network}: Network<${union(Object.keys(contracts))}, ${union(Object.keys(abis))}>;`);
+  }
+  lines.push('};', '');
+  return lines.join('\n');
+}
+
+/**
+ * Writes a manifest as `<name>.json`, a CommonJS module `<name>.js` which
+ * exports it, and its TypeScript declarations `<name>.d.ts`.
+ * @param manifest Manifest from `buildManifest`
+ * @param outDir Directory to write the files to
+ * @param name Base name of the files
+ */
+function writeManifest(manifest, outDir, name = 'deployments') {
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, `${name}.json`), JSON.stringify(manifest, null, 2));
+  fs.writeFileSync(path.join(outDir, `${name}.js`), `module.exports = require('./${name}.json');\n`);
+  fs.writeFileSync(path.join(outDir, `${name}.d.ts`), generateTypings(manifest));
+}
+
+module.exports = {
+  PROXY_RELATIONSHIPS,
+  getContractName,
+  readNetworkDeployments,
+  buildManifest,
+  generateTypings,
+  writeManifest
+};
@@ -0,0 +1,225 @@
+const { hashJSON } = require('./ipfs');
+
+// Metadata files larger than this are rejected by the upload flow.
+const MAX_METADATA_SIZE = 4096;
+
+const CATEGORY_METADATA_VERSION = '1.0.0';
+
+/**
+ * JSON schema for category and index metadata.
+ *
+ * - name: Name of the category.
+ * - symbol: Short uppercase identifier for the category.
+ * - description: Description of what the category tracks.
+ * - criteria: Rules a token must meet to be included in the category.
+ * - rationale: Explanation of how the initial token list was selected.
+ * - version: Version of the metadata document.
+ * - tokens: Optional list of the symbols of the initial tokens.
+ */
+const categoryMetadataSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'CategoryMetadata',
+  type: 'object',
+  required: ['name', 'symbol', 'description', 'criteria', 'rationale', 'version'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 64 },
+    symbol: { type: 'string', pattern: '^[A-Z0-9]{1,12}$' },
+    description: { type: 'string', minLength: 1, maxLength: 1024 },
+    criteria: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', minLength: 1, maxLength: 256 }
+    },
+    rationale: { type: 'string', minLength: 1, maxLength: 1024 },
+    version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+    tokens: {
+      type: 'array',
+      maxItems: 25,
+      uniqueItems: true,
+      items: { type: 'string', pattern: '^[A-Za-z0-9]{1,12}$' }
+    }
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const joinPath = (parent, key) => {
+  if (typeof key == 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+};
+
+/**
+ * Validates `value` against the subset of JSON schema used by the metadata
+ * schema and pushes an error with the field path for each violation.
+ */
+function validateSchema(schema, value, field, errors) {
+  const error = (message) => errors.push({ field, message });
+  const actualType = typeOf(value);
+  if (schema.type && actualType != schema.type) {
+    return error(`must be of type ${schema.type}, got ${actualType}`);
+  }
+  if (actualType == 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      error(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      error(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      error(`must match pattern ${schema.pattern}`);
+    }
+  }
+  if (actualType == 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      error(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      error(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value).size != value.length) {
+      error('must not contain duplicate items');
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateSchema(schema.items, item, joinPath(field, i), errors));
+    }
+  }
+  if (actualType == 'object') {
+    for (let key of (schema.required || [])) {
+      if (value[key] === undefined) {
+        errors.push({ field: joinPath(field, key), message: 'is required' });
+      }
+    }
+    const properties = schema.properties || {};
+    for (let key of Object.keys(value)) {
+      if (properties[key]) {
+        validateSchema(properties[key], value[key], joinPath(field, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: joinPath(field, key), message: 'is not a recognized field' });
+      }
+    }
+  }
+}
+
+/**
+ * Validates category metadata.
+ * @param metadata The metadata object
+ * @return An object with `valid` and an array of `errors`, each with
+ * the path of the invalid `field` and a `message`
+ */
+function validateCategoryMetadata(metadata) {
+  const errors = [];
+  validateSchema(categoryMetadataSchema, metadata, '', errors);
+  if (errors.length == 0) {
+    const { json } = hashJSON(metadata);
+    if (Buffer.byteLength(json) > MAX_METADATA_SIZE) {
+      errors.push({ field: '', message: `serialized size exceeds ${MAX_METADATA_SIZE} bytes` });
+    }
+  }
+  return { valid: errors.length == 0, errors };
+}
+
+class MetadataValidationError extends Error {
+  constructor(errors) {
+    const details = errors.map(({ field, message }) => `${field || 'metadata'} ${message}`);
+    super(`Invalid category metadata:\n${details.join('\n')}`);
+    this.name = 'MetadataValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Builds category metadata documents.
+ *
+ * `build()` validates the metadata and returns the deterministic JSON along
+ * with the sha3 hash to pass to `createCategory` and the CID it will be
+ * published under. The version defaults to `CATEGORY_METADATA_VERSION`.
+ */
+class CategoryMetadataBuilder {
+  constructor(metadata = {}) {
+    this.metadata = { version: CATEGORY_METADATA_VERSION, ...metadata };
+  }
+
+  setName(name) {
+    this.metadata.name = name;
+    return this;
+  }
+
+  setSymbol(symbol) {
+    this.metadata.symbol = symbol;
+    return this;
+  }
+
+  setDescription(description) {
+    this.metadata.description = description;
+    return this;
+  }
+
+  setCriteria(criteria) {
+    this.metadata.criteria = [...criteria];
+    return this;
+  }
+
+  addCriterion(criterion) {
+    this.metadata.criteria = [...(this.metadata.criteria || []), criterion];
+    return this;
+  }
+
+  setRationale(rationale) {
+    this.metadata.rationale = rationale;
+    return this;
+  }
+
+  setVersion(version) {
+    this.metadata.version = version;
+    return this;
+  }
+
+  setTokens(tokens) {
+    this.metadata.tokens = [...tokens];
+    return this;
+  }
+
+  addToken(symbol) {
+    this.metadata.tokens = [...(this.metadata.tokens || []), symbol];
+    return this;
+  }
+
+  validate() {
+    return validateCategoryMetadata(this.metadata);
+  }
+
+  /**
+   * Validates and hashes the metadata.
+   * @return An object with the `metadata`, its deterministic `json`,
+   * `sha3Hash` and `ipfsHash`
+   */
+  build() {
+    const { valid, errors } = this.validate();
+    if (!valid) throw new MetadataValidationError(errors);
+    const metadata = JSON.parse(JSON.stringify(this.metadata));
+    return { metadata, ...hashJSON(metadata) };
+  }
+}
+
+/**
+ * Validates and hashes a category metadata object.
+ * @param metadata The metadata object
+ */
+function buildCategoryMetadata(metadata) {
+  return new CategoryMetadataBuilder(metadata).build();
+}
+
+module.exports = {
+  MAX_METADATA_SIZE,
+  CATEGORY_METADATA_VERSION,
+  categoryMetadataSchema,
+  validateCategoryMetadata,
+  MetadataValidationError,
+  CategoryMetadataBuilder,
+  buildCategoryMetadata
+};
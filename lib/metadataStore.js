@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+const { hashContent, shaToCid, toCodecHint } = require('./ipfs');
+
+const defaultCacheDir = path.join(__dirname, '..', 'data', 'metadata');
+
+const normalizeHash = (hash) => hash.toLowerCase();
+
+/**
+ * Content-addressed disk cache for metadata files.
+ *
+ * Files are stored under the CID for their hash and codec hint and are only
+ * accepted if their contents hash back to the key they are stored under.
+ * The hint defaults to raw blocks hashed with sha3-256, see `hashContent`
+ * in lib/ipfs.js.
+ *
+ * Earlier versions of the store named files by their sha3 hash. Those files
+ * are still read and are moved to their CID name the first time they are used.
+ */
+class MetadataStore {
+  /**
+   * @param dir Directory to store files in
+   */
+  constructor(dir = defaultCacheDir) {
+    this.dir = dir;
+  }
+
+  getFilePath(hash, hint) {
+    return path.join(this.dir, `${shaToCid(hash, toCodecHint(hint))}.json`);
+  }
+
+  /**
+   * Gets the path a file was stored under before files were named by CID,
+   * or undefined if the hint is not the sha3-256 raw hint those files used.
+   */
+  getLegacyFilePath(hash, hint) {
+    const { codec, hashAlg } = toCodecHint(hint);
+    if (codec != 'raw' || hashAlg != 'sha3-256') return undefined;
+    return path.join(this.dir, `${normalizeHash(hash)}.json`);
+  }
+
+  migrate(hash, hint) {
+    const filePath = this.getFilePath(hash, hint);
+    const legacyPath = this.getLegacyFilePath(hash, hint);
+    if (fs.existsSync(filePath) || !legacyPath || !fs.existsSync(legacyPath)) return;
+    fs.renameSync(legacyPath, filePath);
+  }
+
+  has(hash, hint) {
+    this.migrate(hash, hint);
+    return fs.existsSync(this.getFilePath(hash, hint));
+  }
+
+  /**
+   * Reads a file from the store.
+   * Files which no longer match their hash are deleted.
+   * @param hash The hash of the file
+   * @param hint Optional codec hint
+   * @return The file contents, or undefined if it is not stored
+   */
+  get(hash, hint) {
+    this.migrate(hash, hint);
+    const filePath = this.getFilePath(hash, hint);
+    if (!fs.existsSync(filePath)) return undefined;
+    const buf = fs.readFileSync(filePath);
+    if (hashContent(buf, hint).hash != normalizeHash(hash)) {
+      fs.unlinkSync(filePath);
+      return undefined;
+    }
+    return buf;
+  }
+
+  /**
+   * Writes a file to the store.
+   * @param hash The hash of the file
+   * @param buf The file contents
+   * @param hint Optional codec hint
+   */
+  put(hash, buf, hint) {
+    const { hash: actual } = hashContent(buf, hint);
+    if (actual != normalizeHash(hash)) {
+      throw new Error(`Content hash ${actual} does not match ${hash}`);
+    }
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.getFilePath(hash, hint), buf);
+  }
+}
+
+MetadataStore.defaultCacheDir = defaultCacheDir;
+
+module.exports = MetadataStore;
@@ -0,0 +1,180 @@
+const moment = require('moment');
+const { Contract } = require('ethers');
+
+const Logger = require('./logger');
+
+// Price windows used by the controller, see MarketCapSortedTokenCategories.sol
+const LONG_TWAP_MIN_TIME_ELAPSED = 86400;
+const LONG_TWAP_MAX_TIME_ELAPSED = 86400 * 7 * 1.5;
+const SHORT_TWAP_MIN_TIME_ELAPSED = 1200;
+const SHORT_TWAP_MAX_TIME_ELAPSED = 86400 * 2;
+
+/**
+ * The long window is used to sort categories and to reweigh and reindex pools.
+ * The short window is used to value pools and by the initializer and token seller.
+ */
+const TWAP_WINDOWS = {
+  long: { minTimeElapsed: LONG_TWAP_MIN_TIME_ELAPSED, maxTimeElapsed: LONG_TWAP_MAX_TIME_ELAPSED },
+  short: { minTimeElapsed: SHORT_TWAP_MIN_TIME_ELAPSED, maxTimeElapsed: SHORT_TWAP_MAX_TIME_ELAPSED }
+};
+
+const poolAbi = [
+  'function getCurrentTokens() view returns (address[])',
+  'function getCurrentDesiredTokens() view returns (address[])'
+];
+
+/**
+ * Queries whether the oracle can update the price of each token and whether
+ * it has an observation in the long TWAP window, which the controller needs
+ * to compute market caps.
+ * @param oracle IndexedUniswapV2Oracle contract
+ * @param tokens Array of token addresses
+ * @param timestamp Current block timestamp
+ * @return Array of `{ token, canUpdate, hasLongTwap }`
+ */
+async function getPriceAvailability(oracle, tokens, timestamp) {
+  if (tokens.length == 0) return [];
+  const canUpdate = await oracle.canUpdatePrices(tokens);
+  const availability = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const observations = await oracle.getPriceObservationsInRange(
+      tokens[i],
+      timestamp - LONG_TWAP_MAX_TIME_ELAPSED,
+      timestamp - LONG_TWAP_MIN_TIME_ELAPSED
+    );
+    availability.push({ token: tokens[i], canUpdate: canUpdate[i], hasLongTwap: observations.length > 0 });
+  }
+  return availability;
+}
+
+/**
+ * Determines whether a TWAP can be computed from a token's price observations.
+ * @param observationTimes Timestamps of the token's observations
+ * @param timestamp Current block timestamp
+ * @param window Object with `minTimeElapsed` and `maxTimeElapsed`
+ * @return `{ status, validFrom, expiresAt }`:
+ * - `valid` if an observation is in the window, `expiresAt` is when the newest one leaves it
+ * - `pending` if the only usable observations are too recent, `validFrom` is when the oldest one enters the window
+ * - `missing` if there are no usable observations
+ */
+function getTwapStatus(observationTimes, timestamp, { minTimeElapsed, maxTimeElapsed }) {
+  const inWindow = observationTimes.filter(t => t >= timestamp - maxTimeElapsed && t <= timestamp - minTimeElapsed);
+  const recent = observationTimes.filter(t => t > timestamp - minTimeElapsed && t <= timestamp);
+  if (inWindow.length) {
+    return { status: 'valid', expiresAt: Math.max(...inWindow) + maxTimeElapsed };
+  }
+  if (recent.length) {
+    return { status: 'pending', validFrom: Math.min(...recent) + minTimeElapsed };
+  }
+  return { status: 'missing' };
+}
+
+/**
+ * Formats a price report as lines of text.
+ * @param report Report returned by `PriceFreshnessManager.getReport`
+ * @param timestamp Timestamp the report was made at
+ * @param symbols Optional map from address to symbol
+ */
+function formatPriceReport(report, timestamp, symbols = {}) {
+  const inTime = (t) => moment.duration(t - timestamp, 'seconds').humanize(true);
+  return report.map(({ token, status, validFrom, expiresAt, canUpdate, minTimeElapsed }) => {
+    const name = symbols[token] ? `${symbols[token]} (${token})` : token;
+    if (status == 'valid') return `${name}: valid, expires ${inTime(expiresAt)}`;
+    if (status == 'pending') return `${name}: pending, valid ${inTime(validFrom)}`;
+    if (canUpdate) return `${name}: missing, valid ${inTime(timestamp + minTimeElapsed)} if updated now`;
+    return `${name}: missing, can not be updated in the current observation period`;
+  });
+}
+
+/**
+ * Finds the token prices which are missing or outside of a TWAP window and
+ * updates them on the oracle in batches.
+ */
+class PriceFreshnessManager {
+  /**
+   * @param options.oracle IndexedUniswapV2Oracle contract connected to a signer
+   * @param options.controller MarketCapSqrtController contract
+   * @param options.batchSize Maximum number of tokens per `updatePrices` call
+   * @param options.gasPrice Gas price to use for transactions
+   * @param options.logger Logger to report progress with
+   */
+  constructor({ oracle, controller, batchSize = 10, gasPrice, logger = Logger(undefined, 'oracle') }) {
+    this.oracle = oracle;
+    this.controller = controller;
+    this.provider = oracle.provider;
+    this.batchSize = batchSize;
+    this.overrides = gasPrice ? { gasPrice } : {};
+    this.logger = logger;
+  }
+
+  async getCategoryTokens(categoryID) {
+    return this.controller.getCategoryTokens(categoryID);
+  }
+
+  /**
+   * Gets a pool's current tokens and the tokens it is being reindexed to.
+   */
+  async getPoolTokens(poolAddress) {
+    const pool = new Contract(poolAddress, poolAbi, this.provider);
+    const tokens = [...(await pool.getCurrentTokens()), ...(await pool.getCurrentDesiredTokens())];
+    return tokens.filter((token, i) => tokens.indexOf(token) == i);
+  }
+
+  /**
+   * Reports the TWAP status of each token.
+   * A token needs an update if it can be updated and has no observation in
+   * the window or too recent to be in the window yet.
+   * @param tokens Array of token addresses
+   * @param window Name of the window in `TWAP_WINDOWS`
+   * @param timestamp Timestamp to check at, defaults to the latest block
+   */
+  async getReport(tokens, window = 'long', timestamp) {
+    const { minTimeElapsed, maxTimeElapsed } = TWAP_WINDOWS[window] || {};
+    if (!minTimeElapsed) throw new Error(`Unknown TWAP window ${window}, expected one of ${Object.keys(TWAP_WINDOWS).join(', ')}`);
+    if (timestamp === undefined) timestamp = +(await this.provider.getBlock('latest')).timestamp;
+    if (tokens.length == 0) return [];
+    const canUpdate = await this.oracle.canUpdatePrices(tokens);
+    const report = [];
+    for (let i = 0; i < tokens.length; i++) {
+      const observations = await this.oracle.getPriceObservationsInRange(tokens[i], timestamp - maxTimeElapsed, timestamp);
+      const status = getTwapStatus(observations.map(o => +o.timestamp), timestamp, { minTimeElapsed, maxTimeElapsed });
+      report.push({
+        token: tokens[i],
+        ...status,
+        minTimeElapsed,
+        canUpdate: canUpdate[i],
+        needsUpdate: canUpdate[i] && status.status == 'missing'
+      });
+    }
+    return report;
+  }
+
+  /**
+   * Updates the prices of the tokens which need an update.
+   * @return `{ report, updated }` with the report from before the update and
+   * the tokens whose prices were updated
+   */
+  async updatePrices(tokens, window = 'long') {
+    const report = await this.getReport(tokens, window);
+    const updated = report.filter(r => r.needsUpdate).map(r => r.token);
+    for (let i = 0; i < updated.length; i += this.batchSize) {
+      const batch = updated.slice(i, i + this.batchSize);
+      this.logger.info(`Updating prices for ${batch.length} tokens...`);
+      await this.oracle.updatePrices(batch, this.overrides).then(tx => tx.wait());
+    }
+    if (updated.length) this.logger.success(`Updated prices for ${updated.length} tokens`);
+    return { report, updated };
+  }
+}
+
+module.exports = {
+  LONG_TWAP_MIN_TIME_ELAPSED,
+  LONG_TWAP_MAX_TIME_ELAPSED,
+  SHORT_TWAP_MIN_TIME_ELAPSED,
+  SHORT_TWAP_MAX_TIME_ELAPSED,
+  TWAP_WINDOWS,
+  getPriceAvailability,
+  getTwapStatus,
+  formatPriceReport,
+  PriceFreshnessManager
+};
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+const { hashBuffer } = require('../ipfs');
+
+/**
+ * Dry-run provider which writes files to a local directory named by their
+ * CID instead of publishing them, so the publishing flow can be exercised
+ * without any pinning infrastructure.
+ */
+class FilesystemProvider {
+  /**
+   * @param dir Directory to write files to
+   */
+  constructor({ dir }) {
+    this.name = 'filesystem';
+    this.dir = dir;
+  }
+
+  getFilePath(cid) {
+    return path.join(this.dir, `${cid}.json`);
+  }
+
+  /**
+   * Writes a file to the store.
+   * @param json The serialized file contents
+   * @return The CID of the file
+   */
+  async upload(json) {
+    const buf = Buffer.from(json);
+    const { ipfsHash } = hashBuffer(buf);
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.getFilePath(ipfsHash), buf);
+    return ipfsHash;
+  }
+
+  /**
+   * Reads a file from the store.
+   * @param cid The CID of the file
+   * @return The file contents
+   */
+  async fetch(cid) {
+    return fs.readFileSync(this.getFilePath(cid));
+  }
+}
+
+module.exports = FilesystemProvider;
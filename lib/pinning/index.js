@@ -0,0 +1,80 @@
+const path = require('path');
+
+const TemporalProvider = require('./temporal');
+const IpfsHttpProvider = require('./ipfsHttp');
+const PinningServiceProvider = require('./pinningService');
+const FilesystemProvider = require('./filesystem');
+
+/**
+ * Upload providers publish serialized metadata to IPFS.
+ *
+ * Every provider has a `name` and an `upload(json, fileName)` function which
+ * resolves with the CID the backend stored the file under. Files must be
+ * stored as CIDv1 raw blocks hashed with sha3-256 so that the CID matches the
+ * one derived from the on-chain metadata hash.
+ *
+ * Providers which can read files back also have a `fetch(cid)` function,
+ * which lets them be used as sources by the metadata resolver.
+ */
+const providers = {
+  temporal: TemporalProvider,
+  ipfs: IpfsHttpProvider,
+  'pinning-service': PinningServiceProvider,
+  filesystem: FilesystemProvider
+};
+
+const defaultDryRunDir = path.join(__dirname, '..', '..', 'data', 'ipfs');
+
+const splitList = (value) => (value || '').split(',').map(v => v.trim()).filter(v => v);
+
+/**
+ * Creates the upload provider selected by `config.PINNING_PROVIDER`.
+ *
+ * Recognized options:
+ * - PINNING_PROVIDER: temporal (default), ipfs, pinning-service or filesystem
+ * - temporal_username, temporal_password: Temporal credentials
+ * - IPFS_API_URL: HTTP API of the IPFS node used by the ipfs provider
+ * - PINNING_SERVICE_URL, PINNING_SERVICE_TOKEN: pinning service API endpoint and token
+ * - PINNING_SERVICE_ORIGINS: comma separated multiaddrs of nodes providing the content
+ * - PINNING_SERVICE_SOURCE: provider to upload content to before requesting the pin
+ * - PINNING_DRY_RUN_DIR: directory used by the filesystem provider
+ *
+ * @param config Object with the configuration, defaults to the environment
+ * @param providerName Name of the provider to create, defaults to PINNING_PROVIDER
+ */
+function getPinningProvider(config = process.env, providerName = config.PINNING_PROVIDER || 'temporal') {
+  switch (providerName) {
+    case 'temporal':
+      return new TemporalProvider({
+        username: config.temporal_username,
+        password: config.temporal_password
+      });
+    case 'ipfs':
+      return new IpfsHttpProvider({ url: config.IPFS_API_URL });
+    case 'pinning-service':
+      if (config.PINNING_SERVICE_SOURCE == providerName) {
+        throw new Error('PINNING_SERVICE_SOURCE can not be the pinning service');
+      }
+      return new PinningServiceProvider({
+        url: config.PINNING_SERVICE_URL,
+        token: config.PINNING_SERVICE_TOKEN,
+        origins: splitList(config.PINNING_SERVICE_ORIGINS),
+        source: config.PINNING_SERVICE_SOURCE
+          ? getPinningProvider(config, config.PINNING_SERVICE_SOURCE)
+          : undefined
+      });
+    case 'filesystem':
+      return new FilesystemProvider({ dir: config.PINNING_DRY_RUN_DIR || defaultDryRunDir });
+    default:
+      throw new Error(`Unknown pinning provider: ${providerName}`);
+  }
+}
+
+module.exports = {
+  providers,
+  getPinningProvider,
+  TemporalProvider,
+  IpfsHttpProvider,
+  PinningServiceProvider,
+  FilesystemProvider
+};
@@ -0,0 +1,64 @@
+const rp = require('request-promise-native');
+
+/**
+ * Adds and pins files on an IPFS node through its HTTP API.
+ *
+ * Files are added as CIDv1 raw leaves hashed with sha3-256 so that the
+ * node returns the same CID that `hashJSON` derives from the metadata.
+ */
+class IpfsHttpProvider {
+  /**
+   * @param url Base URL of the node's HTTP API, e.g. http://localhost:5001
+   */
+  constructor({ url = 'http://localhost:5001' } = {}) {
+    this.name = 'ipfs';
+    this.url = url.replace(/\/+$/, '');
+  }
+
+  /**
+   * Adds and pins a file.
+   * @param json The serialized file contents
+   * @param fileName Name to attach to the upload
+   * @return The CID returned by the node
+   */
+  upload(json, fileName) {
+    const options = {
+      method: 'POST',
+      uri: `${this.url}/api/v0/add`,
+      qs: {
+        'cid-version': 1,
+        'raw-leaves': true,
+        hash: 'sha3-256',
+        pin: true
+      },
+      formData: {
+        file: {
+          value: Buffer.from(json),
+          options: { filename: fileName, contentType: 'application/json' }
+        }
+      }
+    };
+
+    return rp(options)
+      .then((res) => JSON.parse(res).Hash)
+      .catch((err) => {
+        throw new Error(`IPFS node at ${this.url} rejected upload: ${err.message}`);
+      });
+  }
+
+  /**
+   * Reads a file from the node.
+   * @param cid The CID of the file
+   * @return The file contents
+   */
+  fetch(cid) {
+    return rp({
+      method: 'POST',
+      uri: `${this.url}/api/v0/cat`,
+      qs: { arg: cid },
+      encoding: null
+    });
+  }
+}
+
+module.exports = IpfsHttpProvider;
@@ -0,0 +1,57 @@
+const axios = require('axios');
+
+const { hashBuffer } = require('../ipfs');
+
+/**
+ * Pins files through an endpoint implementing the IPFS Pinning Service API.
+ *
+ * The pinning service API pins by CID and fetches the content itself, so the
+ * file must be reachable on the IPFS network. If `source` is given, the file
+ * is first uploaded to that provider (typically a local IPFS node) and the
+ * `origins` multiaddrs are passed to the service to help it find the content.
+ */
+class PinningServiceProvider {
+  /**
+   * @param url Base URL of the pinning service API
+   * @param token Bearer token for the pinning service
+   * @param origins Multiaddrs of nodes known to provide the content
+   * @param source Optional provider to upload the file to before pinning
+   */
+  constructor({ url, token, origins = [], source }) {
+    if (!url) throw new Error('Pinning service provider requires a url');
+    this.name = 'pinning-service';
+    this.url = url.replace(/\/+$/, '');
+    this.token = token;
+    this.origins = origins;
+    this.source = source;
+  }
+
+  /**
+   * Requests that the service pin a file.
+   * @param json The serialized file contents
+   * @param fileName Name to attach to the pin
+   * @return The CID of the pin request
+   */
+  async upload(json, fileName) {
+    const cid = this.source
+      ? await this.source.upload(json, fileName)
+      : hashBuffer(Buffer.from(json)).ipfsHash;
+    const data = { cid, name: fileName };
+    if (this.origins.length) data.origins = this.origins;
+    return axios({
+      method: 'post',
+      url: `${this.url}/pins`,
+      data,
+      headers: {
+        Authorization: `Bearer ${this.token}`,
+      },
+    })
+      .then(res => res.data.pin.cid)
+      .catch((err) => {
+        const reason = err.response ? JSON.stringify(err.response.data) : err.message;
+        throw new Error(`Pinning service at ${this.url} rejected pin: ${reason}`);
+      });
+  }
+}
+
+module.exports = PinningServiceProvider;
@@ -0,0 +1,45 @@
+const Temporal = require('../temporal');
+
+/**
+ * Pins files through the Temporal API.
+ */
+class TemporalProvider {
+  /**
+   * @param username Temporal account username
+   * @param password Temporal account password
+   * @param holdTime The number of months to pin uploaded files for
+   */
+  constructor({ username, password, holdTime = 24 }) {
+    this.name = 'temporal';
+    this.username = username;
+    this.password = password;
+    this.holdTime = holdTime;
+    this.temporal = undefined;
+  }
+
+  async login() {
+    if (!this.temporal) {
+      const temporal = new Temporal();
+      await temporal.login(this.username, this.password);
+      this.temporal = temporal;
+    }
+    return this.temporal;
+  }
+
+  /**
+   * Uploads and pins a file.
+   * @param json The serialized file contents
+   * @param fileName Name to attach to the upload
+   * @return The CID returned by Temporal
+   */
+  async upload(json, fileName) {
+    const temporal = await this.login();
+    const file = {
+      value: Buffer.from(json),
+      options: { filename: fileName, contentType: 'application/json' }
+    };
+    return temporal.uploadPublicFile(file, this.holdTime);
+  }
+}
+
+module.exports = TemporalProvider;
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { BigNumber } = require('ethers');
+const { parseEther } = require('ethers/lib/utils');
+
+// Bounds on the size of an index, see MarketCapSqrtController.sol
+const MIN_INDEX_SIZE = 2;
+const MAX_INDEX_SIZE = 10;
+
+const MAX_UINT144 = BigNumber.from(2).pow(144).sub(1);
+
+// Fields of a pool configuration in the order they are asked for.
+const poolConfigFields = [
+  { key: 'categoryID', question: 'Category ID' },
+  { key: 'indexSize', question: `Index size (${MIN_INDEX_SIZE}-${MAX_INDEX_SIZE})` },
+  { key: 'initialWethValue', question: 'Initial value in WETH' },
+  { key: 'name', question: 'Pool name' },
+  { key: 'symbol', question: 'Pool symbol' }
+];
+
+/**
+ * Reads a pool configuration file.
+ * @param file Path to a JSON file with any of the fields in `poolConfigFields`
+ */
+function readPoolConfig(file) {
+  const filePath = path.resolve(file);
+  if (!fs.existsSync(filePath)) throw new Error(`Pool config ${filePath} does not exist`);
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Validates a pool configuration and converts its values to the types
+ * expected by `prepareIndexPool`.
+ * @param config Object with `categoryID`, `indexSize`, `initialWethValue`
+ * (in ether), `name` and `symbol`
+ * @return `{ config, errors }`
+ */
+function parsePoolConfig(config) {
+  const errors = [];
+  const parsed = {};
+  for (let { key } of poolConfigFields) {
+    if (config[key] === undefined || config[key] === '') errors.push(`${key} is required`);
+  }
+  if (errors.length) return { config: parsed, errors };
+
+  parsed.categoryID = +config.categoryID;
+  if (!Number.isInteger(parsed.categoryID) || parsed.categoryID < 1) {
+    errors.push('categoryID must be a positive integer');
+  }
+  parsed.indexSize = +config.indexSize;
+  if (
+    !Number.isInteger(parsed.indexSize) ||
+    parsed.indexSize < MIN_INDEX_SIZE ||
+    parsed.indexSize > MAX_INDEX_SIZE
+  ) {
+    errors.push(`indexSize must be an integer from ${MIN_INDEX_SIZE} to ${MAX_INDEX_SIZE}`);
+  }
+  try {
+    parsed.initialWethValue = parseEther(String(config.initialWethValue));
+    if (parsed.initialWethValue.lte(0) || parsed.initialWethValue.gte(MAX_UINT144)) {
+      errors.push('initialWethValue must be greater than 0 and less than 2**144 wei');
+    }
+  } catch (err) {
+    errors.push('initialWethValue must be a decimal amount of ether');
+  }
+  parsed.name = String(config.name);
+  parsed.symbol = String(config.symbol);
+  if (!/^[A-Za-z0-9]+$/.test(parsed.symbol)) errors.push('symbol must be alphanumeric');
+  return { config: parsed, errors };
+}
+
+/**
+ * Returns the names the contracts for a pool are saved under in the deployments folder.
+ * @param symbol The pool's symbol
+ */
+function getPoolDeploymentNames(symbol) {
+  const prefix = symbol.toLowerCase();
+  return {
+    pool: `${prefix}Pool`,
+    initializer: `${prefix}PoolInitializer`,
+    seller: `${prefix}TokenSeller`
+  };
+}
+
+/**
+ * Reads the pool and initializer addresses from a `prepareIndexPool` receipt.
+ * @param receipt Receipt returned by ethers for the transaction
+ * @return `{ pool, initializer }`
+ */
+function getNewPoolInitializer(receipt) {
+  const event = (receipt.events || []).find(e => e.event == 'NewPoolInitializer');
+  if (!event) throw new Error(`Transaction ${receipt.transactionHash} did not emit NewPoolInitializer`);
+  return { pool: event.args.pool, initializer: event.args.initializer };
+}
+
+module.exports = {
+  MIN_INDEX_SIZE,
+  MAX_INDEX_SIZE,
+  poolConfigFields,
+  readPoolConfig,
+  parsePoolConfig,
+  getPoolDeploymentNames,
+  getNewPoolInitializer
+};
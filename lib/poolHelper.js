@@ -0,0 +1,575 @@
+const { BigNumber, constants: { MaxUint256 } } = require('ethers');
+
+const {
+  BONE,
+  WEIGHT_UPDATE_DELAY,
+  MIN_BAL_UPDATE_DELAY,
+  WEIGHT_CHANGE_PCT,
+  EXIT_FEE,
+  MIN_WEIGHT,
+  MAX_WEIGHT,
+  MAX_TOTAL_WEIGHT,
+  MIN_BALANCE,
+  MAX_IN_RATIO,
+  MAX_OUT_RATIO,
+  requireThat,
+  badd,
+  bsub,
+  bmul,
+  bdiv,
+  calcSpotPrice,
+  calcOutGivenIn,
+  calcInGivenOut,
+  calcPoolOutGivenSingleIn,
+  calcSingleInGivenPoolOut,
+  calcSingleOutGivenPoolIn,
+  calcPoolInGivenSingleOut
+} = require('./bmath');
+
+const toBN = (value) => BigNumber.from(value);
+
+const copyRecord = (record) => ({ ...record });
+
+const normalizeRecord = (record) => ({
+  bound: record.bound === undefined ? true : record.bound,
+  ready: record.ready === undefined ? true : record.ready,
+  lastDenormUpdate: +(record.lastDenormUpdate || 0),
+  denorm: toBN(record.denorm || 0),
+  desiredDenorm: toBN(record.desiredDenorm === undefined ? record.denorm || 0 : record.desiredDenorm),
+  index: +(record.index || 0),
+  balance: toBN(record.balance || 0)
+});
+
+/**
+ * Off-chain simulator for an IndexPool.
+ *
+ * Every state-changing function of the pool has a method with the same name and
+ * arguments which applies the same checks, math and state changes, including
+ * gradual weight updates, minimum balances of uninitialized tokens and the exit fee.
+ * Amounts are BigNumbers in wei and results match the contract exactly.
+ *
+ * Methods update the simulated state; to quote without changing it, call them
+ * on a copy from `clone()`. Failed checks throw an Error with the contract's message.
+ */
+class PoolHelper {
+  /**
+   * @param state.tokens Array of bound token addresses in the pool's order
+   * @param state.records Object mapping each token to its record, as returned by `getTokenRecord`
+   * @param state.minimumBalances Object mapping uninitialized tokens to their minimum balances
+   * @param state.totalWeight Total denormalized weight, defaults to the sum of the denorms
+   * @param state.totalSupply Supply of pool tokens
+   * @param state.swapFee Swap fee as a fraction of 1e18
+   * @param state.timestamp Timestamp used for weight updates
+   */
+  constructor({ tokens, records, minimumBalances = {}, totalWeight, totalSupply, swapFee, timestamp = 0 }) {
+    this.tokens = [...tokens];
+    this.records = {};
+    tokens.forEach((token, index) => {
+      this.records[token] = normalizeRecord({ index, ...records[token] });
+    });
+    this.minimumBalances = {};
+    for (let token of Object.keys(minimumBalances)) {
+      this.minimumBalances[token] = toBN(minimumBalances[token]);
+    }
+    this.totalWeight = totalWeight !== undefined
+      ? toBN(totalWeight)
+      : tokens.reduce((total, token) => total.add(this.records[token].denorm), toBN(0));
+    this.totalSupply = toBN(totalSupply);
+    this.swapFee = toBN(swapFee);
+    this.timestamp = +timestamp;
+  }
+
+  /**
+   * Reads the state of a deployed pool.
+   * @param pool IndexPool contract
+   * @param timestamp Timestamp to simulate at, defaults to the latest block
+   */
+  static async fromPool(pool, timestamp) {
+    const tokens = await pool.getCurrentTokens();
+    const records = {};
+    const minimumBalances = {};
+    for (let token of tokens) {
+      records[token] = await pool.getTokenRecord(token);
+      if (!records[token].ready) minimumBalances[token] = await pool.getMinimumBalance(token);
+    }
+    if (timestamp === undefined) timestamp = (await pool.provider.getBlock('latest')).timestamp;
+    return new PoolHelper({
+      tokens,
+      records,
+      minimumBalances,
+      totalWeight: await pool.getTotalDenormalizedWeight(),
+      totalSupply: await pool.totalSupply(),
+      swapFee: await pool.getSwapFee(),
+      timestamp
+    });
+  }
+
+  clone() {
+    return new PoolHelper({
+      tokens: this.tokens,
+      records: this.records,
+      minimumBalances: this.minimumBalances,
+      totalWeight: this.totalWeight,
+      totalSupply: this.totalSupply,
+      swapFee: this.swapFee,
+      timestamp: this.timestamp
+    });
+  }
+
+  setTimestamp(timestamp) {
+    this.timestamp = +timestamp;
+  }
+
+/* ==========  Queries  ========== */
+
+  getTokenRecord(token) {
+    const record = this.records[token];
+    requireThat(record && record.bound, 'ERR_NOT_BOUND');
+    return copyRecord(record);
+  }
+
+  /**
+   * Returns the balance used in price calculations, which is the
+   * minimum balance for uninitialized tokens.
+   */
+  getUsedBalance(token) {
+    const record = this.getTokenRecord(token);
+    return record.ready ? record.balance : this.minimumBalances[token];
+  }
+
+  getSpotPrice(tokenIn, tokenOut) {
+    const { record: inRecord } = this.getInputToken(tokenIn);
+    const outRecord = this.getOutputToken(tokenOut);
+    return calcSpotPrice(inRecord.balance, inRecord.denorm, outRecord.balance, outRecord.denorm, this.swapFee);
+  }
+
+  /**
+   * Gets the record for a token which is being swapped in. Uninitialized tokens
+   * use their minimum balance and the minimum weight plus a premium.
+   * @return `{ record, realBalance }`
+   */
+  getInputToken(token) {
+    const record = this.getTokenRecord(token);
+    const realBalance = record.balance;
+    if (!record.ready) {
+      record.balance = this.minimumBalances[token];
+      const realToMinRatio = bdiv(bsub(record.balance, realBalance), record.balance);
+      const weightPremium = bmul(MIN_WEIGHT.div(10), realToMinRatio);
+      record.denorm = badd(MIN_WEIGHT, weightPremium);
+    }
+    return { record, realBalance };
+  }
+
+  getOutputToken(token) {
+    const record = this.getTokenRecord(token);
+    requireThat(record.ready, 'ERR_OUT_NOT_READY');
+    return record;
+  }
+
+  /**
+   * Computes the denorm a token moves to in its next weight update, ignoring
+   * the update delay and the maximum total weight. The weight moves by at most
+   * 1% of its current value; a decrease to or below the minimum weight unbinds the token.
+   */
+  calcWeightIncrease(token) {
+    const record = this.getTokenRecord(token);
+    if (!record.ready || record.denorm.gte(record.desiredDenorm)) return record.denorm;
+    return this._calcWeightIncrease(record);
+  }
+
+  calcWeightDecrease(token) {
+    const record = this.getTokenRecord(token);
+    if (!record.ready || record.denorm.lte(record.desiredDenorm)) return record.denorm;
+    return this._calcWeightDecrease(record);
+  }
+
+/* ==========  Weight Updates  ========== */
+
+  /**
+   * Applies the weight update the pool makes when a token is traded in the
+   * direction of its target: an increase when it is swapped in or a decrease
+   * when it is swapped out. Does nothing if the token is not ready, is at its
+   * target or was updated in the last 30 minutes.
+   */
+  updateWeight(token) {
+    const record = this.getTokenRecord(token);
+    if (record.denorm.lt(record.desiredDenorm)) this._increaseDenorm(record, token);
+    else this._decreaseDenorm(record, token);
+  }
+
+/* ==========  Controller Actions  ========== */
+
+  reweighTokens(tokens, desiredDenorms) {
+    requireThat(desiredDenorms.length == tokens.length, 'ERR_ARR_LEN');
+    tokens.forEach((token, i) => this._setDesiredDenorm(token, desiredDenorms[i]));
+  }
+
+  reindexTokens(tokens, desiredDenorms, minimumBalances) {
+    requireThat(
+      desiredDenorms.length == tokens.length && minimumBalances.length == tokens.length,
+      'ERR_ARR_LEN'
+    );
+    const received = new Set(tokens.filter(token => this.records[token] && this.records[token].bound));
+    for (let token of this.tokens) {
+      if (!received.has(token)) this._setDesiredDenorm(token, 0);
+    }
+    tokens.forEach((token, i) => {
+      let denorm = toBN(desiredDenorms[i]);
+      if (denorm.lt(MIN_WEIGHT)) denorm = MIN_WEIGHT;
+      if (received.has(token)) this._setDesiredDenorm(token, denorm);
+      else this._bind(token, minimumBalances[i], denorm);
+    });
+  }
+
+  setMinimumBalance(token, minimumBalance) {
+    const record = this.getTokenRecord(token);
+    requireThat(!record.ready, 'ERR_READY');
+    requireThat(this.timestamp - record.lastDenormUpdate >= MIN_BAL_UPDATE_DELAY, 'MIN_BAL_UPDATE_DELAY');
+    this.records[token].lastDenormUpdate = this.timestamp;
+    this.minimumBalances[token] = toBN(minimumBalance);
+  }
+
+/* ==========  Liquidity Provider Actions  ========== */
+
+  /**
+   * @return Array with the amount of each token paid in
+   */
+  joinPool(poolAmountOut, maxAmountsIn) {
+    const ratio = bdiv(poolAmountOut, this.totalSupply);
+    requireThat(!ratio.isZero(), 'ERR_MATH_APPROX');
+    if (maxAmountsIn) requireThat(maxAmountsIn.length == this.tokens.length, 'ERR_ARR_LEN');
+    const amountsIn = [];
+    for (let i = 0; i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+      const { record, realBalance } = this.getInputToken(token);
+      const tokenAmountIn = bmul(ratio, record.balance);
+      requireThat(!tokenAmountIn.isZero(), 'ERR_MATH_APPROX');
+      if (maxAmountsIn) requireThat(tokenAmountIn.lte(maxAmountsIn[i]), 'ERR_LIMIT_IN');
+      this._updateInputToken(token, record, badd(realBalance, tokenAmountIn));
+      amountsIn.push(tokenAmountIn);
+    }
+    this.totalSupply = badd(this.totalSupply, poolAmountOut);
+    return amountsIn;
+  }
+
+  /**
+   * @return Amount of pool tokens minted
+   */
+  joinswapExternAmountIn(tokenIn, tokenAmountIn, minPoolAmountOut = 0) {
+    const { record: inRecord, realBalance } = this.getInputToken(tokenIn);
+    requireThat(!toBN(tokenAmountIn).isZero(), 'ERR_ZERO_IN');
+    requireThat(toBN(tokenAmountIn).lte(bmul(inRecord.balance, MAX_IN_RATIO)), 'ERR_MAX_IN_RATIO');
+    const poolAmountOut = calcPoolOutGivenSingleIn(
+      inRecord.balance,
+      inRecord.denorm,
+      this.totalSupply,
+      this.totalWeight,
+      tokenAmountIn,
+      this.swapFee
+    );
+    requireThat(poolAmountOut.gte(minPoolAmountOut), 'ERR_LIMIT_OUT');
+    this._updateInputToken(tokenIn, inRecord, badd(realBalance, tokenAmountIn));
+    this.totalSupply = badd(this.totalSupply, poolAmountOut);
+    return poolAmountOut;
+  }
+
+  /**
+   * @return Amount of `tokenIn` paid
+   */
+  joinswapPoolAmountOut(tokenIn, poolAmountOut, maxAmountIn = MaxUint256) {
+    const { record: inRecord, realBalance } = this.getInputToken(tokenIn);
+    const tokenAmountIn = calcSingleInGivenPoolOut(
+      inRecord.balance,
+      inRecord.denorm,
+      this.totalSupply,
+      this.totalWeight,
+      poolAmountOut,
+      this.swapFee
+    );
+    requireThat(!tokenAmountIn.isZero(), 'ERR_MATH_APPROX');
+    requireThat(tokenAmountIn.lte(maxAmountIn), 'ERR_LIMIT_IN');
+    requireThat(tokenAmountIn.lte(bmul(inRecord.balance, MAX_IN_RATIO)), 'ERR_MAX_IN_RATIO');
+    this._updateInputToken(tokenIn, inRecord, badd(realBalance, tokenAmountIn));
+    this.totalSupply = badd(this.totalSupply, poolAmountOut);
+    return tokenAmountIn;
+  }
+
+  /**
+   * @return Array with the amount of each token received, 0 for uninitialized tokens
+   */
+  exitPool(poolAmountIn, minAmountsOut) {
+    if (minAmountsOut) requireThat(minAmountsOut.length == this.tokens.length, 'ERR_ARR_LEN');
+    const exitFee = bmul(poolAmountIn, EXIT_FEE);
+    const pAiAfterExitFee = bsub(poolAmountIn, exitFee);
+    const ratio = bdiv(pAiAfterExitFee, this.totalSupply);
+    requireThat(!ratio.isZero(), 'ERR_MATH_APPROX');
+    this.totalSupply = bsub(this.totalSupply, pAiAfterExitFee);
+    return this.tokens.map((token, i) => {
+      const record = this.records[token];
+      if (!record.ready) {
+        if (minAmountsOut) requireThat(toBN(minAmountsOut[i]).isZero(), 'ERR_OUT_NOT_READY');
+        return toBN(0);
+      }
+      const tokenAmountOut = bmul(ratio, record.balance);
+      requireThat(!tokenAmountOut.isZero(), 'ERR_MATH_APPROX');
+      if (minAmountsOut) requireThat(tokenAmountOut.gte(minAmountsOut[i]), 'ERR_LIMIT_OUT');
+      record.balance = bsub(record.balance, tokenAmountOut);
+      return tokenAmountOut;
+    });
+  }
+
+  /**
+   * @return Amount of `tokenOut` received
+   */
+  exitswapPoolAmountIn(tokenOut, poolAmountIn, minAmountOut = 0) {
+    const outRecord = this.getOutputToken(tokenOut);
+    const tokenAmountOut = calcSingleOutGivenPoolIn(
+      outRecord.balance,
+      outRecord.denorm,
+      this.totalSupply,
+      this.totalWeight,
+      poolAmountIn,
+      this.swapFee
+    );
+    requireThat(tokenAmountOut.gte(minAmountOut), 'ERR_LIMIT_OUT');
+    requireThat(tokenAmountOut.lte(bmul(outRecord.balance, MAX_OUT_RATIO)), 'ERR_MAX_OUT_RATIO');
+    this.records[tokenOut].balance = bsub(outRecord.balance, tokenAmountOut);
+    this._decreaseDenorm(outRecord, tokenOut);
+    this.totalSupply = bsub(this.totalSupply, bsub(poolAmountIn, bmul(poolAmountIn, EXIT_FEE)));
+    return tokenAmountOut;
+  }
+
+  /**
+   * @return Amount of pool tokens burned
+   */
+  exitswapExternAmountOut(tokenOut, tokenAmountOut, maxPoolAmountIn = MaxUint256) {
+    const outRecord = this.getOutputToken(tokenOut);
+    requireThat(toBN(tokenAmountOut).lte(bmul(outRecord.balance, MAX_OUT_RATIO)), 'ERR_MAX_OUT_RATIO');
+    const poolAmountIn = calcPoolInGivenSingleOut(
+      outRecord.balance,
+      outRecord.denorm,
+      this.totalSupply,
+      this.totalWeight,
+      tokenAmountOut,
+      this.swapFee
+    );
+    requireThat(!poolAmountIn.isZero(), 'ERR_MATH_APPROX');
+    requireThat(poolAmountIn.lte(maxPoolAmountIn), 'ERR_LIMIT_IN');
+    this.records[tokenOut].balance = bsub(outRecord.balance, tokenAmountOut);
+    this._decreaseDenorm(outRecord, tokenOut);
+    this.totalSupply = bsub(this.totalSupply, bsub(poolAmountIn, bmul(poolAmountIn, EXIT_FEE)));
+    return poolAmountIn;
+  }
+
+  /**
+   * Absorbs the pool's actual balance of a token.
+   * Unbound tokens are ignored, as the pool sends them to the token seller.
+   * @param token Token address
+   * @param balance The pool's balance of the token
+   */
+  gulp(token, balance) {
+    const record = this.records[token];
+    if (!record || !record.bound) return;
+    balance = toBN(balance);
+    if (!record.ready) {
+      const minimumBalance = this.minimumBalances[token];
+      if (balance.gte(minimumBalance)) {
+        this.minimumBalances[token] = toBN(0);
+        record.ready = true;
+        const balRatio = bdiv(bsub(balance, minimumBalance), minimumBalance);
+        let denorm = badd(MIN_WEIGHT, bmul(MIN_WEIGHT, balRatio));
+        if (denorm.gt(MIN_WEIGHT.mul(2))) denorm = MIN_WEIGHT.mul(2);
+        record.denorm = denorm;
+        record.lastDenormUpdate = this.timestamp;
+        this.totalWeight = badd(this.totalWeight, denorm);
+      }
+    }
+    record.balance = balance;
+  }
+
+/* ==========  Token Swaps  ========== */
+
+  /**
+   * @return `{ tokenAmountOut, spotPriceAfter }`
+   */
+  swapExactAmountIn(tokenIn, tokenAmountIn, tokenOut, minAmountOut = 0, maxPrice = MaxUint256) {
+    const { record: inRecord, realBalance } = this.getInputToken(tokenIn);
+    const outRecord = this.getOutputToken(tokenOut);
+    requireThat(toBN(tokenAmountIn).lte(bmul(inRecord.balance, MAX_IN_RATIO)), 'ERR_MAX_IN_RATIO');
+    const spotPriceBefore = calcSpotPrice(
+      inRecord.balance,
+      inRecord.denorm,
+      outRecord.balance,
+      outRecord.denorm,
+      this.swapFee
+    );
+    requireThat(spotPriceBefore.lte(maxPrice), 'ERR_BAD_LIMIT_PRICE');
+    const tokenAmountOut = calcOutGivenIn(
+      inRecord.balance,
+      inRecord.denorm,
+      outRecord.balance,
+      outRecord.denorm,
+      tokenAmountIn,
+      this.swapFee
+    );
+    requireThat(tokenAmountOut.gte(minAmountOut), 'ERR_LIMIT_OUT');
+    const spotPriceAfter = this._applySwap(tokenIn, inRecord, realBalance, tokenAmountIn, tokenOut, outRecord, tokenAmountOut);
+    requireThat(spotPriceAfter.gte(spotPriceBefore), 'ERR_MATH_APPROX_2');
+    requireThat(spotPriceAfter.lte(maxPrice), 'ERR_LIMIT_PRICE');
+    requireThat(spotPriceBefore.lte(bdiv(tokenAmountIn, tokenAmountOut)), 'ERR_MATH_APPROX');
+    return { tokenAmountOut, spotPriceAfter };
+  }
+
+  /**
+   * @return `{ tokenAmountIn, spotPriceAfter }`
+   */
+  swapExactAmountOut(tokenIn, maxAmountIn, tokenOut, tokenAmountOut, maxPrice = MaxUint256) {
+    const { record: inRecord, realBalance } = this.getInputToken(tokenIn);
+    const outRecord = this.getOutputToken(tokenOut);
+    requireThat(toBN(tokenAmountOut).lte(bmul(outRecord.balance, MAX_OUT_RATIO)), 'ERR_MAX_OUT_RATIO');
+    const spotPriceBefore = calcSpotPrice(
+      inRecord.balance,
+      inRecord.denorm,
+      outRecord.balance,
+      outRecord.denorm,
+      this.swapFee
+    );
+    requireThat(spotPriceBefore.lte(maxPrice), 'ERR_BAD_LIMIT_PRICE');
+    const tokenAmountIn = calcInGivenOut(
+      inRecord.balance,
+      inRecord.denorm,
+      outRecord.balance,
+      outRecord.denorm,
+      tokenAmountOut,
+      this.swapFee
+    );
+    requireThat(tokenAmountIn.lte(maxAmountIn), 'ERR_LIMIT_IN');
+    const spotPriceAfter = this._applySwap(tokenIn, inRecord, realBalance, tokenAmountIn, tokenOut, outRecord, tokenAmountOut);
+    requireThat(spotPriceAfter.gte(spotPriceBefore), 'ERR_MATH_APPROX');
+    requireThat(spotPriceAfter.lte(maxPrice), 'ERR_LIMIT_PRICE');
+    requireThat(spotPriceBefore.lte(bdiv(tokenAmountIn, tokenAmountOut)), 'ERR_MATH_APPROX');
+    return { tokenAmountIn, spotPriceAfter };
+  }
+
+/* ==========  Internal  ========== */
+
+  _applySwap(tokenIn, inRecord, realBalance, tokenAmountIn, tokenOut, outRecord, tokenAmountOut) {
+    outRecord.balance = bsub(outRecord.balance, tokenAmountOut);
+    this.records[tokenOut].balance = outRecord.balance;
+    this._decreaseDenorm(outRecord, tokenOut);
+    realBalance = badd(realBalance, tokenAmountIn);
+    this._updateInputToken(tokenIn, inRecord, realBalance);
+    if (inRecord.ready) inRecord.balance = realBalance;
+    return calcSpotPrice(inRecord.balance, inRecord.denorm, outRecord.balance, outRecord.denorm, this.swapFee);
+  }
+
+  _setDesiredDenorm(token, desiredDenorm) {
+    const record = this.records[token];
+    requireThat(record && record.bound, 'ERR_NOT_BOUND');
+    desiredDenorm = toBN(desiredDenorm);
+    requireThat(desiredDenorm.gte(MIN_WEIGHT) || desiredDenorm.isZero(), 'ERR_MIN_WEIGHT');
+    requireThat(desiredDenorm.lte(MAX_WEIGHT), 'ERR_MAX_WEIGHT');
+    record.desiredDenorm = desiredDenorm;
+  }
+
+  _bind(token, minimumBalance, desiredDenorm) {
+    requireThat(!(this.records[token] && this.records[token].bound), 'ERR_IS_BOUND');
+    requireThat(toBN(desiredDenorm).gte(MIN_WEIGHT), 'ERR_MIN_WEIGHT');
+    requireThat(toBN(desiredDenorm).lte(MAX_WEIGHT), 'ERR_MAX_WEIGHT');
+    requireThat(toBN(minimumBalance).gte(MIN_BALANCE), 'ERR_MIN_BALANCE');
+    this.records[token] = {
+      bound: true,
+      ready: false,
+      lastDenormUpdate: this.timestamp,
+      denorm: toBN(0),
+      desiredDenorm: toBN(desiredDenorm),
+      index: this.tokens.length,
+      balance: toBN(0)
+    };
+    this.tokens.push(token);
+    this.minimumBalances[token] = toBN(minimumBalance);
+  }
+
+  _unbind(token) {
+    const { index } = this.records[token];
+    const last = this.tokens.length - 1;
+    if (index != last) {
+      this.tokens[index] = this.tokens[last];
+      this.records[this.tokens[index]].index = index;
+    }
+    this.tokens.pop();
+    delete this.records[token];
+    delete this.minimumBalances[token];
+  }
+
+  _increaseDenorm(record, token) {
+    if (
+      record.denorm.gte(record.desiredDenorm) ||
+      !record.ready ||
+      this.timestamp - record.lastDenormUpdate < WEIGHT_UPDATE_DELAY
+    ) return;
+    const denorm = this._calcWeightIncrease(record);
+    const newTotalWeight = badd(this.totalWeight, bsub(denorm, record.denorm));
+    if (newTotalWeight.gt(MAX_TOTAL_WEIGHT)) return;
+    this.totalWeight = newTotalWeight;
+    record.denorm = denorm;
+    this.records[token].denorm = denorm;
+    this.records[token].lastDenormUpdate = this.timestamp;
+  }
+
+  _decreaseDenorm(record, token) {
+    if (
+      record.denorm.lte(record.desiredDenorm) ||
+      !record.ready ||
+      this.timestamp - record.lastDenormUpdate < WEIGHT_UPDATE_DELAY
+    ) return;
+    const denorm = this._calcWeightDecrease(record);
+    if (denorm.lte(MIN_WEIGHT)) {
+      // The contract subtracts the new denorm (0) rather than the old one from
+      // the total weight when it unbinds a token, so the total is not reduced.
+      this._unbind(token);
+    } else {
+      this.totalWeight = bsub(this.totalWeight, bsub(record.denorm, denorm));
+      record.denorm = denorm;
+      this.records[token].denorm = denorm;
+      this.records[token].lastDenormUpdate = this.timestamp;
+    }
+  }
+
+  _calcWeightIncrease({ denorm, desiredDenorm }) {
+    const maxDiff = bmul(denorm, WEIGHT_CHANGE_PCT);
+    if (bsub(desiredDenorm, denorm).gt(maxDiff)) return badd(denorm, maxDiff);
+    return desiredDenorm;
+  }
+
+  _calcWeightDecrease({ denorm, desiredDenorm }) {
+    const maxDiff = bmul(denorm, WEIGHT_CHANGE_PCT);
+    if (bsub(denorm, desiredDenorm).gt(maxDiff)) return bsub(denorm, maxDiff);
+    return desiredDenorm;
+  }
+
+  _updateInputToken(token, record, realBalance) {
+    if (!record.ready) {
+      if (realBalance.gte(record.balance)) {
+        this.minimumBalances[token] = toBN(0);
+        this.records[token].ready = true;
+        record.ready = true;
+        const balRatio = bdiv(bsub(realBalance, record.balance), record.balance);
+        record.denorm = badd(MIN_WEIGHT, bmul(MIN_WEIGHT, balRatio));
+        if (record.denorm.gt(MIN_WEIGHT.mul(2))) record.denorm = MIN_WEIGHT.mul(2);
+        this.records[token].denorm = record.denorm;
+        this.records[token].lastDenormUpdate = this.timestamp;
+        this.totalWeight = badd(this.totalWeight, record.denorm);
+      } else {
+        const realToMinRatio = bdiv(bsub(record.balance, realBalance), record.balance);
+        const weightPremium = bmul(MIN_WEIGHT.div(10), realToMinRatio);
+        record.denorm = badd(MIN_WEIGHT, weightPremium);
+      }
+    } else {
+      this._increaseDenorm(record, token);
+    }
+    this.records[token].balance = realBalance;
+  }
+}
+
+module.exports = PoolHelper;
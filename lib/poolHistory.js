@@ -0,0 +1,573 @@
+const fs = require('fs');
+const path = require('path');
+const { BigNumber, Contract, utils: { Interface, getAddress } } = require('ethers');
+
+const PoolHelper = require('./poolHelper');
+
+const defaultStoreDir = path.join(__dirname, '..', 'data', 'pools');
+
+const ZERO_ADDRESS = `0x${'00'.repeat(20)}`;
+
+const poolAbi = [
+  'event LOG_SWAP(address indexed caller, address indexed tokenIn, address indexed tokenOut, uint256 tokenAmountIn, uint256 tokenAmountOut)',
+  'event LOG_JOIN(address indexed caller, address indexed tokenIn, uint256 tokenAmountIn)',
+  'event LOG_EXIT(address indexed caller, address indexed tokenOut, uint256 tokenAmountOut)',
+  'event LOG_DENORM_UPDATED(address indexed token, uint256 newDenorm)',
+  'event LOG_DESIRED_DENORM_SET(address indexed token, uint256 desiredDenorm)',
+  'event LOG_TOKEN_REMOVED(address token)',
+  'event LOG_TOKEN_ADDED(address indexed token, uint256 desiredDenorm, uint256 minimumBalance)',
+  'event LOG_MINIMUM_BALANCE_UPDATED(address token, uint256 minimumBalance)',
+  'event LOG_TOKEN_READY(address indexed token)',
+  'event LOG_PUBLIC_SWAP_ENABLED()',
+  'event LOG_SWAP_FEE_UPDATED(uint256 swapFee)',
+  'event LOG_EXIT_FEE_RECIPIENT_UPDATED(address exitFeeRecipient)',
+  'event Transfer(address indexed src, address indexed dst, uint256 amt)',
+  'function isPublicSwap() view returns (bool)',
+  'function getCurrentTokens() view returns (address[])',
+  'function getTokenRecord(address) view returns (tuple(bool bound, bool ready, uint40 lastDenormUpdate, uint96 denorm, uint96 desiredDenorm, uint8 index, uint256 balance))',
+  'function getMinimumBalance(address) view returns (uint256)',
+  'function getTotalDenormalizedWeight() view returns (uint256)',
+  'function totalSupply() view returns (uint256)',
+  'function getSwapFee() view returns (uint256)',
+  'function getExitFeeRecipient() view returns (address)'
+];
+
+const controllerAbi = [
+  'event PoolInitialized(address pool, address unboundTokenSeller, uint256 categoryID, uint256 indexSize)',
+  'event PoolReweighed(address pool)',
+  'event PoolReindexed(address pool)'
+];
+
+const poolInterface = new Interface(poolAbi);
+const controllerInterface = new Interface(controllerAbi);
+
+const toBN = (value) => BigNumber.from(value);
+
+const getTopics = (iface) => Object.keys(iface.events).map(event => iface.getEventTopic(event));
+
+/**
+ * Converts the arguments of a parsed log to a JSON object with
+ * numbers as decimal strings.
+ */
+function formatArgs({ eventFragment, args }) {
+  const formatted = {};
+  eventFragment.inputs.forEach(({ name }, i) => {
+    const value = args[i];
+    formatted[name] = BigNumber.isBigNumber(value) ? value.toString() : value;
+  });
+  return formatted;
+}
+
+/* ==========  Pool State  ========== */
+
+function emptyState() {
+  return {
+    tokens: [],
+    records: {},
+    minimumBalances: {},
+    totalWeight: toBN(0),
+    totalSupply: toBN(0),
+    swapFee: toBN(0),
+    publicSwap: false,
+    exitFeeRecipient: ZERO_ADDRESS
+  };
+}
+
+function cloneState(state) {
+  const records = {};
+  for (let token of state.tokens) records[token] = { ...state.records[token] };
+  return { ...state, tokens: [...state.tokens], records, minimumBalances: { ...state.minimumBalances } };
+}
+
+function serializeState(state) {
+  const records = {};
+  for (let token of state.tokens) {
+    const { ready, lastDenormUpdate, denorm, desiredDenorm, index, balance } = state.records[token];
+    records[token] = {
+      ready,
+      lastDenormUpdate,
+      denorm: denorm.toString(),
+      desiredDenorm: desiredDenorm.toString(),
+      index,
+      balance: balance.toString()
+    };
+  }
+  const minimumBalances = {};
+  for (let token of state.tokens) {
+    if (state.minimumBalances[token]) minimumBalances[token] = state.minimumBalances[token].toString();
+  }
+  return {
+    tokens: [...state.tokens],
+    records,
+    minimumBalances,
+    totalWeight: state.totalWeight.toString(),
+    totalSupply: state.totalSupply.toString(),
+    swapFee: state.swapFee.toString(),
+    publicSwap: state.publicSwap,
+    exitFeeRecipient: state.exitFeeRecipient
+  };
+}
+
+function deserializeState(json) {
+  const records = {};
+  for (let token of json.tokens) {
+    const record = json.records[token];
+    records[token] = {
+      ...record,
+      denorm: toBN(record.denorm),
+      desiredDenorm: toBN(record.desiredDenorm),
+      balance: toBN(record.balance)
+    };
+  }
+  const minimumBalances = {};
+  for (let token of Object.keys(json.minimumBalances)) {
+    minimumBalances[token] = toBN(json.minimumBalances[token]);
+  }
+  return {
+    tokens: [...json.tokens],
+    records,
+    minimumBalances,
+    totalWeight: toBN(json.totalWeight),
+    totalSupply: toBN(json.totalSupply),
+    swapFee: toBN(json.swapFee),
+    publicSwap: json.publicSwap,
+    exitFeeRecipient: json.exitFeeRecipient
+  };
+}
+
+/**
+ * Reads the state of a pool at a block.
+ * Reading past blocks requires an archive node.
+ * @param pool IndexPool contract
+ * @param blockTag Block number to read the state at
+ */
+async function readPoolState(pool, blockTag) {
+  if ((await pool.provider.getCode(pool.address, blockTag)) == '0x') return emptyState();
+  const overrides = { blockTag };
+  const tokens = await pool.getCurrentTokens(overrides);
+  const records = {};
+  const minimumBalances = {};
+  for (let token of tokens) {
+    const { ready, lastDenormUpdate, denorm, desiredDenorm, index, balance } = await pool.getTokenRecord(token, overrides);
+    records[token] = {
+      ready,
+      lastDenormUpdate: +lastDenormUpdate,
+      denorm: toBN(denorm),
+      desiredDenorm: toBN(desiredDenorm),
+      index: +index,
+      balance: toBN(balance)
+    };
+    if (!ready) minimumBalances[token] = toBN(await pool.getMinimumBalance(token, overrides));
+  }
+  return {
+    tokens,
+    records,
+    minimumBalances,
+    totalWeight: toBN(await pool.getTotalDenormalizedWeight(overrides)),
+    totalSupply: toBN(await pool.totalSupply(overrides)),
+    swapFee: toBN(await pool.getSwapFee(overrides)),
+    publicSwap: await pool.isPublicSwap(overrides),
+    exitFeeRecipient: await pool.getExitFeeRecipient(overrides)
+  };
+}
+
+/**
+ * Applies an event to a pool state the way the pool changed its storage
+ * when it emitted the event. Events which do not change the state are ignored.
+ * @param state Pool state, which is modified
+ * @param event Stored event with `name`, `args` and `timestamp`
+ */
+function applyEvent(state, { name, args, timestamp }) {
+  const { records } = state;
+  const addBalance = (token, amount) => {
+    records[token].balance = records[token].balance.add(amount);
+  };
+  switch (name) {
+    case 'LOG_SWAP':
+      addBalance(args.tokenIn, args.tokenAmountIn);
+      addBalance(args.tokenOut, toBN(args.tokenAmountOut).mul(-1));
+      break;
+    case 'LOG_JOIN':
+      addBalance(args.tokenIn, args.tokenAmountIn);
+      break;
+    case 'LOG_EXIT':
+      addBalance(args.tokenOut, toBN(args.tokenAmountOut).mul(-1));
+      break;
+    case 'LOG_DENORM_UPDATED': {
+      const record = records[args.token];
+      state.totalWeight = state.totalWeight.add(args.newDenorm).sub(record.denorm);
+      record.denorm = toBN(args.newDenorm);
+      record.lastDenormUpdate = timestamp;
+      break;
+    }
+    case 'LOG_DESIRED_DENORM_SET':
+      records[args.token].desiredDenorm = toBN(args.desiredDenorm);
+      break;
+    case 'LOG_TOKEN_ADDED':
+      records[args.token] = {
+        ready: false,
+        lastDenormUpdate: timestamp,
+        denorm: toBN(0),
+        desiredDenorm: toBN(args.desiredDenorm),
+        index: state.tokens.length,
+        balance: toBN(0)
+      };
+      state.tokens.push(args.token);
+      state.minimumBalances[args.token] = toBN(args.minimumBalance);
+      break;
+    case 'LOG_MINIMUM_BALANCE_UPDATED':
+      state.minimumBalances[args.token] = toBN(args.minimumBalance);
+      records[args.token].lastDenormUpdate = timestamp;
+      break;
+    case 'LOG_TOKEN_READY':
+      records[args.token].ready = true;
+      delete state.minimumBalances[args.token];
+      break;
+    case 'LOG_TOKEN_REMOVED': {
+      // The pool does not subtract the weight of unbound tokens from the total weight.
+      const { index } = records[args.token];
+      const last = state.tokens.length - 1;
+      if (index != last) {
+        state.tokens[index] = state.tokens[last];
+        records[state.tokens[index]].index = index;
+      }
+      state.tokens.pop();
+      delete records[args.token];
+      delete state.minimumBalances[args.token];
+      break;
+    }
+    case 'LOG_PUBLIC_SWAP_ENABLED':
+      state.publicSwap = true;
+      break;
+    case 'LOG_SWAP_FEE_UPDATED':
+      state.swapFee = toBN(args.swapFee);
+      break;
+    case 'LOG_EXIT_FEE_RECIPIENT_UPDATED':
+      state.exitFeeRecipient = args.exitFeeRecipient;
+      break;
+    case 'Transfer':
+      if (args.src == ZERO_ADDRESS) state.totalSupply = state.totalSupply.add(args.amt);
+      if (args.dst == ZERO_ADDRESS) state.totalSupply = state.totalSupply.sub(args.amt);
+      break;
+  }
+}
+
+/* ==========  Storage  ========== */
+
+/**
+ * JSON file store for indexed pool events, with one file per pool.
+ */
+class PoolHistoryStore {
+  /**
+   * @param dir Directory to store files in
+   */
+  constructor(dir = defaultStoreDir) {
+    this.dir = dir;
+  }
+
+  getFilePath(pool) {
+    return path.join(this.dir, `${pool.toLowerCase()}.json`);
+  }
+
+  has(pool) {
+    return fs.existsSync(this.getFilePath(pool));
+  }
+
+  /**
+   * @return The stored data for a pool, or undefined if it has not been indexed
+   */
+  get(pool) {
+    const filePath = this.getFilePath(pool);
+    if (!fs.existsSync(filePath)) return undefined;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  put(pool, data) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.getFilePath(pool), JSON.stringify(data));
+  }
+}
+
+PoolHistoryStore.defaultStoreDir = defaultStoreDir;
+
+/* ==========  Queries  ========== */
+
+/**
+ * Rebuilds the state of a pool after each block from its indexed events.
+ *
+ * Events with a `state` are snapshots read from the pool. A snapshot gives the
+ * state at the end of its block, so the other events in the same block are
+ * only kept for queries.
+ */
+class PoolHistory {
+  /**
+   * @param data Stored data from `PoolIndexer`, see `PoolHistoryStore`
+   */
+  constructor({ pool, lastBlock, events }) {
+    this.pool = pool;
+    this.lastBlock = lastBlock;
+    this.events = events;
+    this.blocks = [];
+    let state;
+    for (let i = 0; i < events.length;) {
+      const { blockNumber, timestamp } = events[i];
+      const blockEvents = [];
+      while (i < events.length && events[i].blockNumber == blockNumber) blockEvents.push(events[i++]);
+      const snapshot = blockEvents.filter(event => event.state).pop();
+      if (snapshot) {
+        state = deserializeState(snapshot.state);
+      } else {
+        state = cloneState(state);
+        for (let event of blockEvents) applyEvent(state, event);
+      }
+      this.blocks.push({ blockNumber, timestamp, state });
+    }
+  }
+
+  _findBlock(predicate) {
+    let lo = 0;
+    let hi = this.blocks.length - 1;
+    let found;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (predicate(this.blocks[mid])) {
+        found = this.blocks[mid];
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  _getBlocks({ fromBlock = 0, toBlock = this.lastBlock } = {}) {
+    return this.blocks.filter(({ blockNumber }) => blockNumber >= fromBlock && blockNumber <= toBlock);
+  }
+
+  /**
+   * Gets the state of the pool at the end of a block.
+   * @return `{ tokens, records, minimumBalances, totalWeight, totalSupply, swapFee, publicSwap,
+   * exitFeeRecipient }`,
+   * or undefined if the block is outside of the indexed range
+   */
+  getState(blockNumber = this.lastBlock) {
+    if (blockNumber > this.lastBlock) return undefined;
+    const block = this._findBlock(block => block.blockNumber <= blockNumber);
+    return block && cloneState(block.state);
+  }
+
+  /**
+   * Gets the state of the pool at the end of the last block mined at or before a timestamp.
+   */
+  getStateAtTime(timestamp) {
+    const block = this._findBlock(block => block.timestamp <= timestamp);
+    return block && cloneState(block.state);
+  }
+
+  /**
+   * Gets the exit fee recipient of the pool when a log was emitted, which is the
+   * recipient at the end of the previous block unless it was updated earlier in the block.
+   * @param blockNumber Block of the log
+   * @param logIndex Index of the log in the block, defaults to the end of the block
+   * @return The recipient, or undefined if the previous block is outside of the indexed range
+   * or the pool was not configured
+   */
+  getExitFeeRecipient(blockNumber, logIndex = Infinity) {
+    const state = this.getState(blockNumber - 1);
+    let recipient = state && state.exitFeeRecipient;
+    const updates = this.getEvents({ fromBlock: blockNumber, toBlock: blockNumber, names: ['LOG_EXIT_FEE_RECIPIENT_UPDATED'] });
+    for (let event of updates) {
+      if (event.logIndex < logIndex) recipient = event.args.exitFeeRecipient;
+    }
+    return recipient == ZERO_ADDRESS ? undefined : recipient;
+  }
+
+  /**
+   * Gets a PoolHelper with the state of the pool at the end of a block.
+   */
+  getPoolHelper(blockNumber = this.lastBlock) {
+    const state = this.getState(blockNumber);
+    if (!state) return undefined;
+    const block = this._findBlock(block => block.blockNumber <= blockNumber);
+    return new PoolHelper({ ...state, timestamp: block.timestamp });
+  }
+
+  /**
+   * Lists the balance and weights of a token after each block which changed the pool.
+   * @return Array of `{ blockNumber, timestamp, ready, balance, denorm, desiredDenorm }`
+   * for the blocks in which the token is bound
+   */
+  getTokenHistory(token, range) {
+    const history = [];
+    for (let { blockNumber, timestamp, state } of this._getBlocks(range)) {
+      const key = state.tokens.find(t => t.toLowerCase() == token.toLowerCase());
+      if (!key) continue;
+      const { ready, balance, denorm, desiredDenorm } = state.records[key];
+      history.push({ blockNumber, timestamp, ready, balance, denorm, desiredDenorm });
+    }
+    return history;
+  }
+
+  /**
+   * Lists the pool token supply after each block which changed the pool.
+   * @return Array of `{ blockNumber, timestamp, totalSupply }`
+   */
+  getSupplyHistory(range) {
+    return this._getBlocks(range).map(({ blockNumber, timestamp, state: { totalSupply } }) => ({
+      blockNumber,
+      timestamp,
+      totalSupply
+    }));
+  }
+
+  /**
+   * Lists the indexed events, optionally filtered by block range and event names.
+   */
+  getEvents({ fromBlock = 0, toBlock = this.lastBlock, names } = {}) {
+    return this.events.filter(event => (
+      event.blockNumber >= fromBlock &&
+      event.blockNumber <= toBlock &&
+      (!names || names.includes(event.name))
+    ));
+  }
+}
+
+/* ==========  Indexer  ========== */
+
+/**
+ * Indexes the events of a pool and its controller into a `PoolHistoryStore`.
+ *
+ * The first sync reads the state of the pool before `fromBlock`, and the pool is
+ * read again in the block it is initialized, since `initialize` emits no events
+ * for its tokens. Pool token transfers are only kept for mints and burns.
+ *
+ * Tokens absorbed with `gulp` emit no event, so each sync compares the rebuilt
+ * state with the pool at its last block and stores a snapshot if they differ.
+ */
+class PoolIndexer {
+  /**
+   * @param options.pool Address of the pool
+   * @param options.provider Provider to read events and state from
+   * @param options.controller Address of the pool's controller, to index its events for the pool
+   * @param options.store PoolHistoryStore to save events to
+   */
+  constructor({ pool, provider, controller, store = new PoolHistoryStore() }) {
+    this.address = getAddress(pool);
+    this.provider = provider;
+    this.controller = controller;
+    this.store = store;
+    this._timestamps = {};
+  }
+
+  async getTimestamp(blockNumber) {
+    if (this._timestamps[blockNumber] === undefined) {
+      this._timestamps[blockNumber] = (await this.provider.getBlock(blockNumber)).timestamp;
+    }
+    return this._timestamps[blockNumber];
+  }
+
+  async readState(blockNumber) {
+    return readPoolState(new Contract(this.address, poolAbi, this.provider), blockNumber);
+  }
+
+  async readSnapshot(name, blockNumber) {
+    return {
+      blockNumber,
+      timestamp: await this.getTimestamp(blockNumber),
+      name,
+      args: {},
+      state: serializeState(await this.readState(blockNumber))
+    };
+  }
+
+  /**
+   * Reads the relevant events of the pool and controller in a block range.
+   * @return Array of stored events in the order they were emitted
+   */
+  async getEvents(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: this.address,
+      fromBlock,
+      toBlock,
+      topics: [getTopics(poolInterface)]
+    });
+    const parsed = logs.map(log => ({ log, iface: poolInterface }));
+    if (this.controller) {
+      const controllerLogs = await this.provider.getLogs({
+        address: this.controller,
+        fromBlock,
+        toBlock,
+        topics: [getTopics(controllerInterface)]
+      });
+      parsed.push(...controllerLogs.map(log => ({ log, iface: controllerInterface })));
+    }
+    parsed.sort((a, b) => (a.log.blockNumber - b.log.blockNumber) || (a.log.logIndex - b.log.logIndex));
+
+    const events = [];
+    for (let { log, iface } of parsed) {
+      const description = iface.parseLog(log);
+      const args = formatArgs(description);
+      const { name } = description;
+      if (name == 'Transfer' && args.src != ZERO_ADDRESS && args.dst != ZERO_ADDRESS) continue;
+      if (iface == controllerInterface && args.pool.toLowerCase() != this.address.toLowerCase()) continue;
+      const { blockNumber, logIndex, transactionHash } = log;
+      const event = { blockNumber, logIndex, transactionHash, timestamp: await this.getTimestamp(blockNumber), name, args };
+      // `initialize` sets the tokens without emitting events for them.
+      if (name == 'LOG_PUBLIC_SWAP_ENABLED') {
+        event.state = serializeState(await this.readState(blockNumber));
+      }
+      events.push(event);
+    }
+    return events;
+  }
+
+  /**
+   * Indexes events up to `toBlock` and saves them to the store.
+   * @param options.fromBlock First block to index, required for the first sync of a pool
+   * @param options.toBlock Last block to index, defaults to the latest block
+   * @param options.batchSize Number of blocks to read events for at a time
+   * @return PoolHistory with the indexed events
+   */
+  async sync({ fromBlock, toBlock, batchSize = 2000 } = {}) {
+    if (toBlock === undefined) toBlock = await this.provider.getBlockNumber();
+    let data = this.store.get(this.address);
+    if (!data) {
+      if (fromBlock === undefined) throw new Error(`Pool ${this.address} has not been indexed, a start block is required`);
+      data = {
+        pool: this.address,
+        controller: this.controller,
+        lastBlock: fromBlock - 1,
+        events: [await this.readSnapshot('Snapshot', fromBlock - 1)]
+      };
+      this.store.put(this.address, data);
+    }
+    const start = data.lastBlock + 1;
+    for (let from = start; from <= toBlock; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, toBlock);
+      data.events.push(...(await this.getEvents(from, to)));
+      data.lastBlock = to;
+      this.store.put(this.address, data);
+    }
+    if (toBlock >= start) {
+      const expected = new PoolHistory(data).getState(toBlock);
+      const snapshot = await this.readSnapshot('Resync', toBlock);
+      if (JSON.stringify(serializeState(expected)) != JSON.stringify(snapshot.state)) {
+        data.events.push(snapshot);
+        this.store.put(this.address, data);
+      }
+    }
+    return new PoolHistory(data);
+  }
+}
+
+module.exports = {
+  poolAbi,
+  controllerAbi,
+  readPoolState,
+  applyEvent,
+  serializeState,
+  deserializeState,
+  PoolHistoryStore,
+  PoolHistory,
+  PoolIndexer
+};
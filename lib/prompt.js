@@ -0,0 +1,31 @@
+const readline = require('readline');
+
+/**
+ * Asks a question on the terminal.
+ * @param question Question to print
+ * @param defaultValue Value returned for an empty answer
+ * @return The trimmed answer
+ */
+function ask(question, defaultValue) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const suffix = defaultValue !== undefined ? ` (${defaultValue})` : '';
+  return new Promise((resolve) => {
+    rl.question(`${question}${suffix}: `, (answer) => {
+      rl.close();
+      answer = answer.trim();
+      resolve(answer == '' && defaultValue !== undefined ? String(defaultValue) : answer);
+    });
+  });
+}
+
+/**
+ * Asks a yes/no question on the terminal.
+ * @param question Question to print
+ * @return True if the answer starts with `y`
+ */
+async function confirm(question) {
+  const answer = await ask(`${question} [y/N]`);
+  return /^y/i.test(answer);
+}
+
+module.exports = { ask, confirm };
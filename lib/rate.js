@@ -0,0 +1,24 @@
+const { sum } = require('./valuation');
+
+/**
+ * Estimates when a remaining amount will be reached, assuming events keep
+ * adding to it at the rate of the last `window` seconds.
+ * @param events Array of events with a `timestamp`
+ * @param amountOf Name of the field with the amount of each event, or a function
+ * which returns the amount of an event
+ * @param remaining Amount still needed
+ * @param timestamp Current timestamp
+ * @param window Number of seconds to measure the rate over
+ * @return `{ rate, eta }` where `rate` is the amount per second and `eta` is a
+ * timestamp, or undefined if nothing was added in the window
+ */
+function estimateEta(events, amountOf, remaining, timestamp, window) {
+  const getAmount = typeof amountOf == 'function' ? amountOf : (event) => event[amountOf];
+  const recent = events.filter(e => e.timestamp > timestamp - window && e.timestamp <= timestamp);
+  const rate = sum(recent.map(getAmount)).div(window);
+  if (remaining.isZero()) return { rate, eta: timestamp };
+  if (rate.isZero()) return { rate, eta: undefined };
+  return { rate, eta: timestamp + remaining.add(rate).sub(1).div(rate).toNumber() };
+}
+
+module.exports = { estimateEta };
@@ -0,0 +1,227 @@
+const { BigNumber, Contract } = require('ethers');
+
+const PoolHelper = require('./poolHelper');
+const { MAX_SORT_DELAY, getNextAction } = require('./keeper');
+const { TWAP_WINDOWS } = require('./oracle');
+
+// Total denorm of a pool after a reweigh or reindex, see MarketCapSqrtController.sol
+const WEIGHT_MULTIPLIER = BigNumber.from(25).mul(BigNumber.from(10).pow(18));
+
+// uq112x112 fixed point resolution, see FixedPoint.sol
+const RESOLUTION = 112;
+
+const poolAbi = [
+  'function getCurrentTokens() view returns (address[])',
+  'function getCurrentDesiredTokens() view returns (address[])',
+  'function getTokenRecord(address) view returns (tuple(bool bound, bool ready, uint40 lastDenormUpdate, uint96 denorm, uint96 desiredDenorm, uint8 index, uint256 balance))',
+  'function getMinimumBalance(address) view returns (uint256)',
+  'function getTotalDenormalizedWeight() view returns (uint256)',
+  'function totalSupply() view returns (uint256)',
+  'function getSwapFee() view returns (uint256)'
+];
+
+const erc20Abi = ['function balanceOf(address) view returns (uint256)'];
+
+const toBN = (value) => BigNumber.from(value);
+
+/**
+ * Integer square root, rounded down, as computed by Babylonian.sol.
+ */
+function sqrt(y) {
+  y = toBN(y);
+  if (y.lte(3)) return y.isZero() ? y : toBN(1);
+  let z = y;
+  let x = y.add(1).div(2);
+  while (x.lt(z)) {
+    z = x;
+    x = y.div(x).add(x).div(2);
+  }
+  return z;
+}
+
+/**
+ * Computes the fraction of the sum of market cap square roots for each token,
+ * as uq112x112 fixed point numbers, see `MCapSqrtLibrary.computeTokenWeights`.
+ * @param marketCaps Array of market caps from `computeAverageMarketCaps`
+ */
+function computeTokenWeights(marketCaps) {
+  const sqrts = marketCaps.map(sqrt);
+  const rootSum = sqrts.reduce((sum, root) => sum.add(root), toBN(0));
+  if (rootSum.isZero()) throw new Error('Market caps are all zero');
+  return sqrts.map(root => root.shl(RESOLUTION).div(rootSum));
+}
+
+/**
+ * Computes the desired denorms the controller sets for a list of market caps.
+ * @param marketCaps Array of market caps from `computeAverageMarketCaps`
+ * @return Array of denorms which add up to at most 25e18
+ */
+function computeDesiredDenorms(marketCaps) {
+  return computeTokenWeights(marketCaps).map(weight => weight.mul(WEIGHT_MULTIPLIER).shr(RESOLUTION));
+}
+
+/**
+ * Describes how a reweigh or reindex changes a pool.
+ * @param before PoolHelper with the current state
+ * @param after PoolHelper with the reweigh or reindex applied
+ * @return `{ added, removed, reweighed }` where
+ * - `added` has `{ token, desiredDenorm, minimumBalance }` for each newly bound token
+ * - `removed` has `{ token, denorm, balance, ready }` for each token whose desired denorm becomes 0
+ * - `reweighed` has `{ token, denorm, oldDesiredDenorm, desiredDenorm }` for each other token whose target changes
+ */
+function describePoolUpdate(before, after) {
+  const added = [];
+  const removed = [];
+  const reweighed = [];
+  for (let token of after.tokens) {
+    const record = after.records[token];
+    if (!before.tokens.includes(token)) {
+      added.push({ token, desiredDenorm: record.desiredDenorm, minimumBalance: after.minimumBalances[token] });
+      continue;
+    }
+    const oldDesiredDenorm = before.records[token].desiredDenorm;
+    if (record.desiredDenorm.eq(oldDesiredDenorm)) continue;
+    if (record.desiredDenorm.isZero()) {
+      removed.push({ token, denorm: record.denorm, balance: record.balance, ready: record.ready });
+    } else {
+      reweighed.push({ token, denorm: record.denorm, oldDesiredDenorm, desiredDenorm: record.desiredDenorm });
+    }
+  }
+  return { added, removed, reweighed };
+}
+
+/**
+ * Simulates the next reweigh or reindex of a pool.
+ *
+ * The simulation reads the same market caps and prices as the controller, so
+ * it must run when the controller could make the update for the results to
+ * match it. Checks the controller or pool would fail are returned in `errors`
+ * rather than thrown, so the outcome can be inspected before the update is due.
+ */
+class RebalanceSimulator {
+  /**
+   * @param options.controller MarketCapSqrtController contract
+   * @param options.oracle IndexedUniswapV2Oracle contract used by the controller
+   */
+  constructor({ controller, oracle }) {
+    this.controller = controller;
+    this.oracle = oracle;
+    this.provider = controller.provider;
+  }
+
+  getPoolContract(pool) {
+    return new Contract(pool, poolAbi, this.provider);
+  }
+
+  /**
+   * Estimates the value of a pool in weth the way the controller does for a reindex,
+   * from the short TWAP value of the pool's balance of each bound token.
+   */
+  async getPoolValue(pool, tokens) {
+    const balances = await Promise.all(tokens.map(token => new Contract(token, erc20Abi, this.provider).balanceOf(pool)));
+    const { minTimeElapsed, maxTimeElapsed } = TWAP_WINDOWS.short;
+    const values = await this.oracle['computeAverageEthForTokens(address[],uint256[],uint256,uint256)'](
+      tokens,
+      balances,
+      minTimeElapsed,
+      maxTimeElapsed
+    );
+    return values.reduce((sum, value) => sum.add(value), toBN(0));
+  }
+
+  /**
+   * Computes the minimum balance of each token for a reindex, which is the
+   * amount of the token worth 1% of the pool's value.
+   */
+  async getMinimumBalances(tokens, totalValue) {
+    const { minTimeElapsed, maxTimeElapsed } = TWAP_WINDOWS.long;
+    const amounts = await this.oracle['computeAverageTokensForEth(address[],uint256[],uint256,uint256)'](
+      tokens,
+      tokens.map(() => totalValue),
+      minTimeElapsed,
+      maxTimeElapsed
+    );
+    return amounts.map(amount => amount.div(100));
+  }
+
+  /**
+   * Simulates the next update of a pool.
+   * @param pool Address of the pool
+   * @param timestamp Timestamp to simulate the update at, defaults to the latest block
+   * @return `{ pool, action, dueAt, tokens, marketCaps, desiredDenorms, minimumBalances,
+   * totalValue, added, removed, reweighed, sellerTokens, errors }`, see `describePoolUpdate`.
+   * `sellerTokens` lists the tokens being phased out, which the pool sends to its unbound token
+   * seller once their weights fall to the minimum; uninitialized tokens are only phased out after
+   * they become ready. If the update would revert, the changes are empty and the revert message is
+   * in `errors`. `minimumBalances` and `totalValue` are only set for a reindex, and `marketCaps` and
+   * `desiredDenorms` are not set if the category has fewer tokens than the index size.
+   */
+  async simulate(pool, timestamp) {
+    if (timestamp === undefined) timestamp = (await this.provider.getBlock('latest')).timestamp;
+    const meta = await this.controller.getPoolMeta(pool);
+    if (!meta.initialized) throw new Error('ERR_POOL_NOT_FOUND');
+    const { action, dueAt } = getNextAction(meta);
+    const errors = [];
+    if (timestamp < dueAt) errors.push('ERR_POOL_REWEIGH_DELAY');
+
+    const poolContract = this.getPoolContract(pool);
+    const before = await PoolHelper.fromPool(poolContract, timestamp);
+    const after = before.clone();
+    let tokens, marketCaps, desiredDenorms, minimumBalances, totalValue;
+    let reverted = false;
+    if (action == 'reindex') {
+      const categoryTokens = await this.controller.getCategoryTokens(meta.categoryID);
+      if (meta.indexSize > categoryTokens.length) {
+        errors.push('ERR_CATEGORY_SIZE');
+        reverted = true;
+      }
+      const lastSort = await this.controller.getLastCategoryUpdate(meta.categoryID);
+      if (timestamp - lastSort.toNumber() > MAX_SORT_DELAY) errors.push('ERR_CATEGORY_NOT_READY');
+      tokens = categoryTokens.slice(0, meta.indexSize);
+    } else {
+      tokens = await poolContract.getCurrentDesiredTokens();
+    }
+
+    if (!reverted) {
+      marketCaps = await this.controller.computeAverageMarketCaps(tokens);
+      desiredDenorms = computeDesiredDenorms(marketCaps);
+      try {
+        if (action == 'reindex') {
+          totalValue = await this.getPoolValue(pool, before.tokens);
+          minimumBalances = await this.getMinimumBalances(tokens, totalValue);
+          after.reindexTokens(tokens, desiredDenorms, minimumBalances);
+        } else {
+          after.reweighTokens(tokens, desiredDenorms);
+        }
+      } catch (err) {
+        // e.g. ERR_MIN_WEIGHT if a token's weight is below the minimum in a reweigh
+        errors.push(err.message);
+        reverted = true;
+      }
+    }
+    const result = reverted ? before : after;
+    const changes = describePoolUpdate(before, result);
+    return {
+      pool,
+      action,
+      dueAt,
+      tokens,
+      marketCaps,
+      desiredDenorms,
+      minimumBalances,
+      totalValue,
+      ...changes,
+      sellerTokens: result.tokens.filter(token => result.records[token].desiredDenorm.isZero()),
+      errors
+    };
+  }
+}
+
+module.exports = {
+  WEIGHT_MULTIPLIER,
+  sqrt,
+  computeTokenWeights,
+  computeDesiredDenorms,
+  describePoolUpdate,
+  RebalanceSimulator
+};
@@ -0,0 +1,143 @@
+const axios = require('axios');
+
+const MetadataStore = require('./metadataStore');
+const { hashContent, shaToCid, toCodecHint } = require('./ipfs');
+const { IpfsHttpProvider, getPinningProvider } = require('./pinning');
+
+const defaultGateways = [
+  'https://gateway.temporal.cloud/ipfs/',
+  'https://ipfs.io/ipfs/',
+  'https://cloudflare-ipfs.com/ipfs/'
+];
+
+const splitList = (value) => (value || '').split(',').map(v => v.trim()).filter(v => v);
+
+/**
+ * Source which fetches files from an HTTP gateway.
+ */
+class GatewaySource {
+  constructor(url, timeout = 10000) {
+    this.name = url;
+    this.url = url.endsWith('/') ? url : `${url}/`;
+    this.timeout = timeout;
+  }
+
+  fetch(cid) {
+    return axios({
+      method: 'get',
+      url: `${this.url}${cid}`,
+      responseType: 'arraybuffer',
+      timeout: this.timeout
+    }).then(res => Buffer.from(res.data));
+  }
+}
+
+const toSource = (source) => typeof source == 'string' ? new GatewaySource(source) : source;
+
+/**
+ * Resolves metadata files from their on-chain hash.
+ *
+ * Verified files are served from the local store first. Otherwise each
+ * source is tried in order until one returns bytes which hash back to the
+ * requested hash, which are then written to the store. Hashes are treated
+ * as sha3-256 digests of raw blocks unless a codec hint is given, see
+ * `getEquivalentCids` in lib/ipfs.js.
+ *
+ * A source is either a gateway URL or an object with a `name` and a
+ * `fetch(cid)` function which resolves with a Buffer, such as the `ipfs`
+ * and `filesystem` upload providers.
+ */
+class MetadataResolver {
+  /**
+   * @param sources Ordered list of sources to fetch files from
+   * @param store Store for verified files, set to null to disable caching
+   * @param offline Whether to only resolve files from the store
+   */
+  constructor({ sources = defaultGateways, store = new MetadataStore(), offline = false } = {}) {
+    this.sources = sources.map(toSource);
+    this.store = store;
+    this.offline = offline;
+  }
+
+  /**
+   * Resolves the raw bytes of a file.
+   * @param hash The hash of the file
+   * @param hint Optional codec hint
+   */
+  async resolveBytes(hash, hint) {
+    const codecHint = toCodecHint(hint);
+    if (this.store) {
+      const cached = this.store.get(hash, codecHint);
+      if (cached) return cached;
+    }
+    if (this.offline) {
+      throw new Error(`${hash} is not in the metadata store`);
+    }
+    const cid = shaToCid(hash, codecHint);
+    const errors = [];
+    for (let source of this.sources) {
+      let buf;
+      try {
+        buf = await source.fetch(cid);
+      } catch (err) {
+        errors.push(`${source.name}: ${err.message}`);
+        continue;
+      }
+      const actual = hashContent(buf, codecHint).hash;
+      if (actual != hash.toLowerCase()) {
+        errors.push(`${source.name}: returned content with hash ${actual}`);
+        continue;
+      }
+      if (this.store) this.store.put(hash, buf, codecHint);
+      return buf;
+    }
+    throw new Error(`Could not resolve ${cid} (${hash})\n${errors.join('\n')}`);
+  }
+
+  /**
+   * Resolves and parses a JSON file.
+   * @param hash The hash of the file
+   * @param hint Optional codec hint
+   */
+  async resolve(hash, hint) {
+    const buf = await this.resolveBytes(hash, hint);
+    return JSON.parse(buf.toString());
+  }
+}
+
+/**
+ * Creates a resolver from the configuration.
+ *
+ * Recognized options:
+ * - IPFS_API_URL: if set, the IPFS node is tried before the gateways
+ * - IPFS_GATEWAYS: comma separated list of gateway URLs
+ * - PINNING_PROVIDER, PINNING_DRY_RUN_DIR: the dry-run store is tried first when
+ * the filesystem provider is in use
+ * - METADATA_CACHE_DIR: directory for verified files
+ * - METADATA_OFFLINE: only resolve files from the cache if set to true
+ *
+ * @param config Object with the configuration, defaults to the environment
+ */
+function getMetadataResolver(config = process.env) {
+  const sources = [];
+  if (config.PINNING_PROVIDER == 'filesystem') {
+    sources.push(getPinningProvider(config));
+  }
+  if (config.IPFS_API_URL) {
+    sources.push(new IpfsHttpProvider({ url: config.IPFS_API_URL }));
+  }
+  const gateways = splitList(config.IPFS_GATEWAYS);
+  sources.push(...(gateways.length ? gateways : defaultGateways));
+  return new MetadataResolver({
+    sources,
+    store: new MetadataStore(config.METADATA_CACHE_DIR),
+    offline: config.METADATA_OFFLINE == 'true'
+  });
+}
+
+module.exports = {
+  defaultGateways,
+  GatewaySource,
+  MetadataResolver,
+  getMetadataResolver
+};
@@ -0,0 +1,292 @@
+const { BigNumber, Contract, constants: { MaxUint256 } } = require('ethers');
+
+const PoolHelper = require('./poolHelper');
+const { BONE, bmul, bdiv, calcSpotPrice } = require('./bmath');
+
+const poolAbi = [
+  'function isPublicSwap() view returns (bool)',
+  'function getCurrentTokens() view returns (address[])',
+  'function getTokenRecord(address) view returns (tuple(bool bound, bool ready, uint40 lastDenormUpdate, uint96 denorm, uint96 desiredDenorm, uint8 index, uint256 balance))',
+  'function getMinimumBalance(address) view returns (uint256)',
+  'function getTotalDenormalizedWeight() view returns (uint256)',
+  'function totalSupply() view returns (uint256)',
+  'function getSwapFee() view returns (uint256)'
+];
+
+const controllerAbi = ['function computeSellerAddress(address) view returns (address)'];
+
+const sellerAbi = [
+  'event NewTokensToSell(address indexed token, uint256 amountReceived)',
+  'function getPremiumPercent() view returns (uint8)',
+  'function calcOutGivenIn(address tokenIn, address tokenOut, uint256 amountIn) view returns (uint256)',
+  'function calcInGivenOut(address tokenIn, address tokenOut, uint256 amountOut) view returns (uint256)'
+];
+
+const erc20Abi = ['function balanceOf(address) view returns (uint256)'];
+
+const DEFAULT_MAX_HOPS = 3;
+
+const toBN = (value) => BigNumber.from(value);
+
+/**
+ * Combines the price impact of consecutive hops.
+ * @param impacts Array of price impacts as fractions of 1e18
+ * @return The price impact of the whole route
+ */
+function combinePriceImpact(impacts) {
+  const remaining = impacts.reduce((product, impact) => bmul(product, BONE.sub(impact)), BONE);
+  return BONE.sub(remaining);
+}
+
+function getPriceImpact(amountIn, amountOut, spotPrice) {
+  const amountAtSpot = bdiv(amountIn, spotPrice);
+  if (amountAtSpot.lte(amountOut)) return toBN(0);
+  return bdiv(amountAtSpot.sub(amountOut), amountAtSpot);
+}
+
+/**
+ * Quotes a swap through an index pool with the pool simulator.
+ */
+function quotePoolHop(helper, { tokenIn, tokenOut }, amount, exactIn) {
+  const { record: inRecord } = helper.getInputToken(tokenIn);
+  const outRecord = helper.getOutputToken(tokenOut);
+  const spotPrice = calcSpotPrice(inRecord.balance, inRecord.denorm, outRecord.balance, outRecord.denorm, helper.swapFee);
+  let amountIn, amountOut;
+  if (exactIn) {
+    amountIn = toBN(amount);
+    amountOut = helper.swapExactAmountIn(tokenIn, amountIn, tokenOut).tokenAmountOut;
+  } else {
+    amountOut = toBN(amount);
+    amountIn = helper.swapExactAmountOut(tokenIn, MaxUint256, tokenOut, amountOut).tokenAmountIn;
+  }
+  return {
+    amountIn,
+    amountOut,
+    spotPrice,
+    fee: bmul(amountIn, helper.swapFee),
+    feeToken: tokenIn,
+    priceImpact: getPriceImpact(amountIn, amountOut, spotPrice)
+  };
+}
+
+/**
+ * Quotes a swap with an unbound token seller.
+ * The seller prices swaps at the short TWAP and pays the caller its premium,
+ * so the hop has no fee or price impact; `premium` is the amount the caller
+ * receives above the TWAP value, in `tokenOut` for exact input swaps and as
+ * the discount on `tokenIn` for exact output swaps.
+ */
+async function quoteSellerHop(seller, { tokenIn, tokenOut }, amount, exactIn) {
+  let amountIn, amountOut, premium;
+  if (exactIn) {
+    amountIn = toBN(amount);
+    amountOut = await seller.contract.calcOutGivenIn(tokenIn, tokenOut, amountIn);
+    premium = amountOut.sub(amountOut.mul(100 - seller.premiumPercent).div(100));
+  } else {
+    amountOut = toBN(amount);
+    amountIn = await seller.contract.calcInGivenOut(tokenIn, tokenOut, amountOut);
+    premium = amountIn.mul(100).div(100 - seller.premiumPercent).sub(amountIn);
+  }
+  if (amountOut.gt(seller.balances[tokenOut])) throw new Error('ERR_INSUFFICIENT_BALANCE');
+  if (amountOut.isZero() || amountIn.isZero()) throw new Error('ERR_ZERO_AMOUNT');
+  return {
+    amountIn,
+    amountOut,
+    spotPrice: bdiv(amountIn, amountOut),
+    fee: toBN(0),
+    feeToken: tokenIn,
+    premium,
+    priceImpact: toBN(0)
+  };
+}
+
+/**
+ * Finds and quotes swap routes across index pools and their unbound token sellers.
+ *
+ * Each pool is a venue for swaps between any two of its ready tokens (or from
+ * an uninitialized token into a ready one). Each seller is a venue for swaps
+ * from a token the pool still wants into a token the seller holds. Routes are
+ * paths through these venues of up to `maxHops` swaps which do not revisit a
+ * token or use more than one venue of the same pool, since a seller swap
+ * changes the balances of its pool.
+ *
+ * Pool hops are quoted exactly with `PoolHelper`; seller hops call the seller's
+ * `calcOutGivenIn` and `calcInGivenOut`, as they depend on the oracle.
+ */
+class SwapRouter {
+  /**
+   * @param options.pools Array of `{ address, helper, seller }` where `helper` is a
+   * `PoolHelper` and `seller` is `{ address, contract, premiumPercent, balances }` or undefined
+   * @param options.maxHops Maximum number of swaps in a route
+   */
+  constructor({ pools, maxHops = DEFAULT_MAX_HOPS }) {
+    this.pools = pools;
+    this.maxHops = maxHops;
+    this.venues = [];
+    for (let pool of pools) this.venues.push(...SwapRouter.getVenues(pool));
+  }
+
+  /**
+   * Loads every recognized pool deployed by the pool factory.
+   * Pools with public swaps disabled are skipped.
+   * @param poolFactory PoolFactory contract
+   * @param options.fromBlock Block to search for pools from
+   * @param options.maxHops Maximum number of swaps in a route
+   */
+  static async fromFactory(poolFactory, { fromBlock = 0, maxHops } = {}) {
+    const { provider } = poolFactory;
+    const events = await poolFactory.queryFilter(poolFactory.filters.NewPool(), fromBlock);
+    const { timestamp } = await provider.getBlock('latest');
+    const pools = [];
+    for (let { args } of events) {
+      if (!(await poolFactory.isRecognizedPool(args.pool))) continue;
+      const pool = new Contract(args.pool, poolAbi, provider);
+      if (!(await pool.isPublicSwap())) continue;
+      const helper = await PoolHelper.fromPool(pool, timestamp);
+      const controller = new Contract(args.controller, controllerAbi, provider);
+      const seller = await SwapRouter.loadSeller(await controller.computeSellerAddress(args.pool), provider, fromBlock);
+      pools.push({ address: args.pool, helper, seller });
+    }
+    return new SwapRouter({ pools, maxHops });
+  }
+
+  /**
+   * Reads the premium and token balances of an unbound token seller.
+   * Tokens are found from the seller's `NewTokensToSell` events.
+   * @return The seller, or undefined if it is not deployed
+   */
+  static async loadSeller(address, provider, fromBlock = 0) {
+    if ((await provider.getCode(address)) == '0x') return undefined;
+    const contract = new Contract(address, sellerAbi, provider);
+    const events = await contract.queryFilter(contract.filters.NewTokensToSell(), fromBlock);
+    const balances = {};
+    for (let { args: { token } } of events) {
+      if (balances[token]) continue;
+      balances[token] = await new Contract(token, erc20Abi, provider).balanceOf(address);
+    }
+    const premiumPercent = await contract.getPremiumPercent();
+    return { address, contract, premiumPercent, balances };
+  }
+
+  /**
+   * Lists the directed token pairs a pool and its seller can swap.
+   */
+  static getVenues({ address, helper, seller }) {
+    const venues = [];
+    const inputs = helper.tokens;
+    const outputs = helper.tokens.filter(token => helper.records[token].ready);
+    for (let tokenIn of inputs) {
+      for (let tokenOut of outputs) {
+        if (tokenIn != tokenOut) venues.push({ type: 'pool', pool: address, address, tokenIn, tokenOut });
+      }
+    }
+    if (seller) {
+      const desired = helper.tokens.filter(token => !helper.records[token].desiredDenorm.isZero());
+      const held = Object.keys(seller.balances).filter(token => !seller.balances[token].isZero());
+      for (let tokenIn of desired) {
+        for (let tokenOut of held) {
+          if (tokenIn != tokenOut) venues.push({ type: 'seller', pool: address, address: seller.address, tokenIn, tokenOut });
+        }
+      }
+    }
+    return venues;
+  }
+
+  /**
+   * Lists the venue paths from `tokenIn` to `tokenOut`.
+   * @return Array of arrays of venues
+   */
+  findPaths(tokenIn, tokenOut) {
+    const paths = [];
+    const search = (token, path, visited) => {
+      if (path.length == this.maxHops) return;
+      for (let venue of this.venues) {
+        if (venue.tokenIn != token || visited.has(venue.tokenOut)) continue;
+        if (path.some(hop => hop.pool == venue.pool)) continue;
+        const next = [...path, venue];
+        if (venue.tokenOut == tokenOut) paths.push(next);
+        else search(venue.tokenOut, next, new Set([...visited, venue.tokenOut]));
+      }
+    };
+    search(tokenIn, [], new Set([tokenIn]));
+    return paths;
+  }
+
+  /**
+   * Quotes a path for an exact input or output amount.
+   * @param path Array of venues from `findPaths`
+   * @param amount Amount of the first token in, or of the last token out
+   * @param exactIn Whether `amount` is the input amount
+   * @return `{ path, tokens, amountIn, amountOut, priceImpact, hops }` where each
+   * hop has the amounts, spot price, fee, premium and price impact of its swap
+   */
+  async quotePath(path, amount, exactIn = true) {
+    const getPool = (address) => this.pools.find(pool => pool.address == address);
+    const quoteHop = (venue, hopAmount) => venue.type == 'pool'
+      ? quotePoolHop(getPool(venue.pool).helper.clone(), venue, hopAmount, exactIn)
+      : quoteSellerHop(getPool(venue.pool).seller, venue, hopAmount, exactIn);
+
+    const hops = new Array(path.length);
+    if (exactIn) {
+      for (let i = 0; i < path.length; i++) {
+        hops[i] = { ...path[i], ...(await quoteHop(path[i], i == 0 ? amount : hops[i - 1].amountOut)) };
+      }
+    } else {
+      for (let i = path.length - 1; i >= 0; i--) {
+        hops[i] = { ...path[i], ...(await quoteHop(path[i], i == path.length - 1 ? amount : hops[i + 1].amountIn)) };
+      }
+    }
+    return {
+      path,
+      tokens: [path[0].tokenIn, ...path.map(venue => venue.tokenOut)],
+      amountIn: hops[0].amountIn,
+      amountOut: hops[hops.length - 1].amountOut,
+      priceImpact: combinePriceImpact(hops.map(hop => hop.priceImpact)),
+      hops
+    };
+  }
+
+  /**
+   * Quotes every path between two tokens.
+   * @return `{ quotes, errors }` where quotes are sorted best first and
+   * `errors` has the paths which could not be quoted with their error
+   */
+  async quoteAll(tokenIn, tokenOut, amount, exactIn = true) {
+    const quotes = [];
+    const errors = [];
+    for (let path of this.findPaths(tokenIn, tokenOut)) {
+      try {
+        quotes.push(await this.quotePath(path, amount, exactIn));
+      } catch (error) {
+        errors.push({ path, error });
+      }
+    }
+    quotes.sort((a, b) => {
+      const [x, y] = exactIn ? [b.amountOut, a.amountOut] : [a.amountIn, b.amountIn];
+      if (x.eq(y)) return a.hops.length - b.hops.length;
+      return x.lt(y) ? -1 : 1;
+    });
+    return { quotes, errors };
+  }
+
+  /**
+   * Finds the route which gives the most `tokenOut` for `amountIn` of `tokenIn`.
+   * @return The quote for the best route, or undefined if there is none
+   */
+  async getBestRouteExactIn(tokenIn, tokenOut, amountIn) {
+    return (await this.quoteAll(tokenIn, tokenOut, amountIn, true)).quotes[0];
+  }
+
+  /**
+   * Finds the route which takes the least `tokenIn` for `amountOut` of `tokenOut`.
+   * @return The quote for the best route, or undefined if there is none
+   */
+  async getBestRouteExactOut(tokenIn, tokenOut, amountOut) {
+    return (await this.quoteAll(tokenIn, tokenOut, amountOut, false)).quotes[0];
+  }
+}
+
+module.exports = {
+  combinePriceImpact,
+  SwapRouter
+};
@@ -0,0 +1,60 @@
+/**
+ * Runs a bot's `runOnce` until stopped, on every block in local mode or every
+ * `interval` seconds otherwise.
+ *
+ * A run is skipped while the previous one is still in progress. Errors from a
+ * run, such as a failed RPC request, are logged and the next run tries again.
+ */
+class RunLoop {
+  /**
+   * @param runner Object with `runOnce`, `provider`, `local`, `interval` and `logger`,
+   * which are read when the loop starts so they can be changed until then
+   * @param name Name of the bot used in error messages
+   */
+  constructor(runner, name) {
+    this.runner = runner;
+    this.name = name;
+    this.running = false;
+    this.busy = false;
+  }
+
+  async run() {
+    if (this.busy) return;
+    this.busy = true;
+    try {
+      await this.runner.runOnce();
+    } catch (err) {
+      this.runner.logger.error(`${this.name} run failed: ${err.message}`);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Starts the loop.
+   * @return Promise for the first run
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    const { provider, local, interval } = this.runner;
+    this.provider = provider;
+    if (local) {
+      this._listener = () => this.run();
+      provider.on('block', this._listener);
+    } else {
+      this._timer = setInterval(() => this.run(), interval * 1000);
+    }
+    return this.run();
+  }
+
+  stop() {
+    this.running = false;
+    if (this._listener) this.provider.off('block', this._listener);
+    if (this._timer) clearInterval(this._timer);
+    this._listener = undefined;
+    this._timer = undefined;
+  }
+}
+
+module.exports = RunLoop;
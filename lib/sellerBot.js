@@ -0,0 +1,355 @@
+const { BigNumber, Contract } = require('ethers');
+
+const Logger = require('./logger');
+const RunLoop = require('./runLoop');
+const { BONE, bmul } = require('./bmath');
+
+const poolAbi = ['function getCurrentDesiredTokens() view returns (address[])'];
+
+const erc20Abi = [
+  'function balanceOf(address) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// Rough gas costs used to decide whether a trade is worth making.
+// `executeSwapTokensForExactTokens` swaps through Uniswap inside the seller, while
+// `swapExactTokensForTokens` is followed by the bot's own Uniswap sale.
+const GAS_ESTIMATES = {
+  executeSwapTokensForExactTokens: 250000,
+  swapExactTokensForTokens: 300000
+};
+
+// Fractions of the seller's balance the bot tries to trade, in percent.
+const DEFAULT_TRADE_SIZES = [100, 50, 25];
+
+const DEFAULT_SLIPPAGE = BONE.div(200);
+
+// Seconds before a Uniswap swap by the bot expires.
+const SWAP_DEADLINE = 600;
+
+const toBN = (value) => BigNumber.from(value);
+
+const eq = (a, b) => a.toLowerCase() == b.toLowerCase();
+
+/**
+ * Bot which trades with an unbound token seller when its prices are better than Uniswap.
+ *
+ * The seller sells the tokens a pool unbinds for tokens the pool still wants, at
+ * the short TWAP price plus its premium. For each token the seller holds, the bot
+ * compares two trades against Uniswap:
+ *
+ * - `executeSwapTokensForExactTokens`: the seller sells its tokens on Uniswap for
+ * an exact amount of a desired token and pays the bot what it saved compared to its
+ * TWAP price. This needs no capital.
+ * - `swapExactTokensForTokens`: the bot buys the seller's tokens with a desired
+ * token it holds and sells them back on Uniswap for more than it paid.
+ *
+ * A trade is made when its profit, valued in WETH, is greater than its gas cost plus
+ * `minProfit`. In simulation mode trades are checked with `callStatic` instead of
+ * being sent, so the bot can be tested against a local chain.
+ */
+class SellerArbitrageBot {
+  /**
+   * @param options.seller UnboundTokenSeller contract connected to a signer
+   * @param options.pool Address of the seller's pool
+   * @param options.router UniswapV2Router02 contract connected to a signer
+   * @param options.weth WETH address
+   * @param options.simulate Whether to check trades with `callStatic` rather than send them
+   * @param options.minProfit Minimum profit in WETH after gas costs
+   * @param options.slippage Fraction of the bot's Uniswap sale which may be lost to
+   * price changes, scaled by 1e18, 0.5% by default
+   * @param options.tradeSizes Percentages of the seller's balance to quote trades for
+   * @param options.interval Seconds between runs when not in local mode
+   * @param options.local Whether to run once per block
+   * @param options.fromBlock Block to search for `NewTokensToSell` events from
+   * @param options.gasPrice Gas price to use for transactions, defaults to the provider's
+   * @param options.logger Logger to report progress with
+   */
+  constructor({
+    seller,
+    pool,
+    router,
+    weth,
+    simulate = false,
+    minProfit = 0,
+    slippage = DEFAULT_SLIPPAGE,
+    tradeSizes = DEFAULT_TRADE_SIZES,
+    interval = 300,
+    local = false,
+    fromBlock = 0,
+    gasPrice,
+    logger = Logger(undefined, 'seller-bot')
+  }) {
+    this.seller = seller;
+    this.pool = pool;
+    this.router = router;
+    this.weth = weth;
+    this.signer = seller.signer;
+    this.provider = seller.provider;
+    this.simulate = simulate;
+    this.minProfit = toBN(minProfit);
+    this.slippage = toBN(slippage);
+    this.tradeSizes = tradeSizes;
+    this.interval = interval;
+    this.local = local;
+    this.nextBlock = fromBlock;
+    this.gasPrice = gasPrice;
+    this.logger = logger;
+    this.tokens = [];
+    this.loop = new RunLoop(this, 'Seller bot');
+  }
+
+  getToken(address) {
+    return new Contract(address, erc20Abi, this.signer || this.provider);
+  }
+
+  async getDesiredTokens() {
+    return new Contract(this.pool, poolAbi, this.provider).getCurrentDesiredTokens();
+  }
+
+  /**
+   * Adds the tokens the seller has received since the last sync.
+   */
+  async syncTokens() {
+    const latest = await this.provider.getBlockNumber();
+    if (latest < this.nextBlock) return this.tokens;
+    const events = await this.seller.queryFilter(this.seller.filters.NewTokensToSell(), this.nextBlock, latest);
+    for (let { args } of events) {
+      if (this.tokens.includes(args.token)) continue;
+      this.tokens.push(args.token);
+      this.logger.info(`Seller received ${args.token}`);
+    }
+    this.nextBlock = latest + 1;
+    return this.tokens;
+  }
+
+  /**
+   * Gets the Uniswap paths from `tokenIn` to `tokenOut`: the direct pair and the route through WETH.
+   */
+  getPaths(tokenIn, tokenOut) {
+    const paths = [[tokenIn, tokenOut]];
+    if (!eq(tokenIn, this.weth) && !eq(tokenOut, this.weth)) paths.push([tokenIn, this.weth, tokenOut]);
+    return paths;
+  }
+
+  /**
+   * Gets the value in WETH of an amount of a token at Uniswap spot.
+   * Tokens without a WETH pair are worth zero.
+   */
+  async getValue(token, amount) {
+    if (eq(token, this.weth)) return toBN(amount);
+    if (toBN(amount).isZero()) return toBN(0);
+    return this.router.getAmountsOut(amount, [token, this.weth])
+      .then(amounts => toBN(amounts[1]))
+      .catch(() => toBN(0));
+  }
+
+  /**
+   * Quotes the trades for selling `amount` of the seller's `token` for `desiredToken`.
+   * @param token Token held by the seller
+   * @param desiredToken Token the pool wants
+   * @param amount Amount of `token` to trade
+   * @param botBalance The bot's balance of `desiredToken`
+   * @return Array of `{ method, token, desiredToken, amount, path, args, profit, profitToken }`
+   * where `args` are the arguments of the seller call and `profit` is in `profitToken`
+   */
+  async quoteTrades(token, desiredToken, amount, botBalance) {
+    // The amount of the desired token the seller accepts for `amount`.
+    const desiredAmount = toBN(await this.seller.calcInGivenOut(desiredToken, token, amount));
+    if (desiredAmount.isZero()) return [];
+    // The amount of `token` the seller gives for `desiredAmount`, which is what it
+    // is willing to spend on Uniswap to buy `desiredAmount`.
+    const sellerAmount = toBN(await this.seller.calcOutGivenIn(desiredToken, token, desiredAmount));
+    const trades = [];
+    for (let path of this.getPaths(token, desiredToken)) {
+      const amountIn = await this.router.getAmountsIn(desiredAmount, path)
+        .then(amounts => toBN(amounts[0]))
+        .catch(() => undefined);
+      if (amountIn && amountIn.lt(sellerAmount)) {
+        trades.push({
+          method: 'executeSwapTokensForExactTokens',
+          token,
+          desiredToken,
+          amount: sellerAmount,
+          path,
+          args: [token, desiredToken, desiredAmount, path],
+          profit: sellerAmount.sub(amountIn),
+          profitToken: token
+        });
+      }
+      if (desiredAmount.gt(botBalance)) continue;
+      const amountOut = await this.router.getAmountsOut(sellerAmount, path)
+        .then(amounts => toBN(amounts[amounts.length - 1]))
+        .catch(() => undefined);
+      if (amountOut && amountOut.gt(desiredAmount)) {
+        trades.push({
+          method: 'swapExactTokensForTokens',
+          token,
+          desiredToken,
+          amount: sellerAmount,
+          path,
+          args: [desiredToken, token, desiredAmount, sellerAmount],
+          amountOut,
+          profit: amountOut.sub(desiredAmount),
+          profitToken: desiredToken
+        });
+      }
+    }
+    return trades;
+  }
+
+  /**
+   * Finds the most profitable trade for a token held by the seller.
+   * @return `{ balance, trade }` where `trade` has the fields from `quoteTrades` as well as
+   * `profitValue` and `gasCost` in WETH, or is undefined if no trade is quoted
+   */
+  async findTrade(token, desiredTokens, gasPrice) {
+    const balance = toBN(await this.getToken(token).balanceOf(this.seller.address));
+    if (balance.isZero()) return { balance };
+    const botAddress = this.signer ? await this.signer.getAddress() : undefined;
+    let best;
+    for (let desiredToken of desiredTokens) {
+      if (eq(desiredToken, token)) continue;
+      const botBalance = botAddress ? toBN(await this.getToken(desiredToken).balanceOf(botAddress)) : toBN(0);
+      for (let size of this.tradeSizes) {
+        const amount = balance.mul(size).div(100);
+        if (amount.isZero()) continue;
+        let trades;
+        try {
+          trades = await this.quoteTrades(token, desiredToken, amount, botBalance);
+        } catch (err) {
+          // The seller reverts for tokens without a short TWAP price.
+          this.logger.error(`Could not quote ${token} for ${desiredToken}: ${err.message}`);
+          break;
+        }
+        for (let trade of trades) {
+          const profitValue = await this.getValue(trade.profitToken, trade.profit);
+          const gasCost = toBN(gasPrice).mul(GAS_ESTIMATES[trade.method]);
+          const net = profitValue.sub(gasCost);
+          if (!best || net.gt(best.profitValue.sub(best.gasCost))) best = { ...trade, profitValue, gasCost };
+        }
+      }
+    }
+    return { balance, trade: best };
+  }
+
+  isProfitable(trade) {
+    return trade.profitValue.sub(trade.gasCost).gt(this.minProfit);
+  }
+
+  async hasAllowance(token, spender, amount) {
+    const allowance = await this.getToken(token).allowance(await this.signer.getAddress(), spender);
+    return toBN(allowance).gte(amount);
+  }
+
+  async approve(token, spender, amount, overrides) {
+    if (await this.hasAllowance(token, spender, amount)) return;
+    await this.getToken(token).approve(spender, amount, overrides).then(tx => tx.wait());
+  }
+
+  /**
+   * Sends a trade, or checks it with `callStatic` in simulation mode.
+   * A `swapExactTokensForTokens` trade is followed by selling the tokens bought
+   * from the seller on Uniswap.
+   * @return `{ profit, checked, transactionHashes }` where `profit` is the amount of
+   * `profitToken` made and `checked` is whether the seller call was made or simulated.
+   * In simulation mode a `swapExactTokensForTokens` trade is only checked if the bot
+   * has already approved the seller, since approving would send a transaction.
+   */
+  async executeTrade(trade, overrides = {}) {
+    const { method, args } = trade;
+    if (this.simulate) {
+      if (method == 'swapExactTokensForTokens' && !(await this.hasAllowance(trade.desiredToken, this.seller.address, args[2]))) {
+        return { profit: trade.profit, checked: false, transactionHashes: [] };
+      }
+      const returned = toBN(await this.seller.callStatic[method](...args, overrides));
+      // `executeSwapTokensForExactTokens` returns the premium paid to the bot.
+      const profit = method == 'executeSwapTokensForExactTokens' ? returned : trade.profit;
+      return { profit, checked: true, transactionHashes: [] };
+    }
+    if (method == 'swapExactTokensForTokens') {
+      await this.approve(trade.desiredToken, this.seller.address, args[2], overrides);
+    }
+    const receipt = await this.seller[method](...args, overrides).then(tx => tx.wait());
+    const transactionHashes = [receipt.transactionHash];
+    if (method == 'executeSwapTokensForExactTokens') {
+      return { profit: trade.profit, checked: true, transactionHashes };
+    }
+    const [, token, desiredAmount, amountIn] = args;
+    await this.approve(token, this.router.address, amountIn, overrides);
+    // Accept a worse Uniswap price within the slippage, but never a loss.
+    let amountOutMin = bmul(trade.amountOut, BONE.sub(this.slippage));
+    if (amountOutMin.lt(desiredAmount)) amountOutMin = desiredAmount;
+    const { timestamp } = await this.provider.getBlock('latest');
+    const botAddress = await this.signer.getAddress();
+    const swapReceipt = await this.router.swapExactTokensForTokens(
+      amountIn,
+      amountOutMin,
+      trade.path,
+      botAddress,
+      +timestamp + SWAP_DEADLINE,
+      overrides
+    ).then(tx => tx.wait());
+    transactionHashes.push(swapReceipt.transactionHash);
+    return { profit: trade.profit, checked: true, transactionHashes };
+  }
+
+  /**
+   * Finds the best trade for a token and makes it if it is profitable.
+   * @return `{ token, status, balance, trade, profit, checked, transactionHashes }` where `status`
+   * is one of `empty`, `no-trade`, `unprofitable`, `simulated` or `executed`
+   */
+  async processToken(token, desiredTokens, gasPrice) {
+    const { balance, trade } = await this.findTrade(token, desiredTokens, gasPrice);
+    if (balance.isZero()) return { token, status: 'empty', balance };
+    if (!trade) return { token, status: 'no-trade', balance };
+    if (!this.isProfitable(trade)) return { token, status: 'unprofitable', balance, trade };
+    const overrides = this.gasPrice ? { gasPrice: this.gasPrice } : {};
+    const { profit, checked, transactionHashes } = await this.executeTrade(trade, overrides);
+    if (this.simulate) {
+      this.logger.info(`Simulated ${trade.method} of ${trade.amount.toString()} ${token} with a profit of ${profit.toString()} ${trade.profitToken}`);
+      return { token, status: 'simulated', balance, trade, profit, checked, transactionHashes };
+    }
+    this.logger.success(`Executed ${trade.method} of ${trade.amount.toString()} ${token} in ${transactionHashes.join(', ')}`);
+    return { token, status: 'executed', balance, trade, profit, transactionHashes };
+  }
+
+  /**
+   * Syncs the seller's tokens and processes each of them.
+   * Errors for a single token are logged and returned rather than thrown.
+   */
+  async runOnce() {
+    await this.syncTokens();
+    if (!this.tokens.length) return [];
+    const desiredTokens = await this.getDesiredTokens();
+    const gasPrice = this.gasPrice || await this.provider.getGasPrice();
+    const results = [];
+    for (let token of this.tokens) {
+      try {
+        results.push(await this.processToken(token, desiredTokens, gasPrice));
+      } catch (err) {
+        this.logger.error(`Error processing ${token}: ${err.message}`);
+        results.push({ token, status: 'error', error: err });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Runs the bot until `stop` is called, logging failed runs, see `RunLoop`.
+   */
+  start() {
+    return this.loop.start();
+  }
+
+  stop() {
+    this.loop.stop();
+  }
+}
+
+module.exports = {
+  GAS_ESTIMATES,
+  DEFAULT_TRADE_SIZES,
+  SellerArbitrageBot
+};
@@ -0,0 +1,274 @@
+const moment = require('moment');
+const { Contract, utils: { Interface, formatEther, formatUnits } } = require('ethers');
+
+const { estimateEta } = require('./rate');
+const { toBN, sum, TwapValuer } = require('./valuation');
+
+const erc20Abi = ['function balanceOf(address) view returns (uint256)'];
+
+const controllerInterface = new Interface(['function updateSellerPremium(address tokenSeller, uint8 premiumPercent)']);
+
+// Premiums must be between 1 and 19 percent, see MarketCapSqrtController.sol
+const MAX_PREMIUM_PERCENT = 19;
+
+// How long a token can go without a sale before the premium should be raised.
+const DEFAULT_STALE_THRESHOLD = 86400 * 3;
+
+// Window of recent sales used to estimate when a token will be sold.
+const DEFAULT_SALE_WINDOW = 86400 * 7;
+
+/**
+ * Recommends a premium for a seller from how long its tokens have gone unsold.
+ * The premium is raised by one percent for each `threshold` seconds the most
+ * stale token has gone without a sale, up to the maximum of 19. Tokens are only
+ * stale for the time since the premium last changed, so the recommendation is
+ * stable once applied.
+ * @param tokens Array of `{ token, balance, staleFor }`
+ * @param premiumPercent Current premium of the seller
+ * @param threshold Seconds a token can go without a sale
+ * @return `{ current, recommended, staleTokens }`
+ */
+function recommendPremium(tokens, premiumPercent, threshold = DEFAULT_STALE_THRESHOLD) {
+  const staleTokens = tokens.filter(t => !t.balance.isZero() && t.staleFor > threshold).map(t => t.token);
+  const current = +premiumPercent;
+  if (!staleTokens.length) return { current, recommended: current, staleTokens };
+  const maxStale = Math.max(...tokens.filter(t => staleTokens.includes(t.token)).map(t => t.staleFor));
+  const recommended = Math.min(current + Math.floor(maxStale / threshold), MAX_PREMIUM_PERCENT);
+  return { current, recommended, staleTokens };
+}
+
+/**
+ * Monitors how an unbound token seller is liquidating the tokens removed from its pool.
+ *
+ * Tokens are found from the seller's `NewTokensToSell` events and sales from its
+ * `SwappedTokens` events. Values are in WETH from the oracle's short TWAP, which
+ * the seller also prices swaps with; sales are valued at the current price rather
+ * than the price at the time of the sale.
+ */
+class SellerMonitor {
+  /**
+   * @param options.seller UnboundTokenSeller contract
+   * @param options.oracle IndexedUniswapV2Oracle contract
+   * @param options.provider Provider to read block timestamps and balances from
+   */
+  constructor({ seller, oracle, provider }) {
+    this.seller = seller;
+    this.provider = provider;
+    this.valuer = new TwapValuer({ oracle, provider });
+  }
+
+  async getBalance(token) {
+    return toBN(await new Contract(token, erc20Abi, this.provider).balanceOf(this.seller.address));
+  }
+
+  /**
+   * Gets the tokens the seller received, the swaps it made and its premium changes.
+   * @return `{ received, swaps, premiumUpdates }` where each receipt has `{ blockNumber,
+   * timestamp, transactionHash, token, amount }`, each swap has `{ blockNumber, timestamp,
+   * transactionHash, tokenSold, tokenBought, soldAmount, boughtAmount }` and each premium
+   * update has `{ blockNumber, timestamp, transactionHash, premium }`
+   */
+  async getEvents(fromBlock = 0, toBlock = 'latest') {
+    const { filters } = this.seller;
+    const newTokens = await this.seller.queryFilter(filters.NewTokensToSell(), fromBlock, toBlock);
+    const swapped = await this.seller.queryFilter(filters.SwappedTokens(), fromBlock, toBlock);
+    const premiumSet = await this.seller.queryFilter(filters.PremiumPercentSet(), fromBlock, toBlock);
+    const base = async ({ blockNumber, transactionHash }) => ({
+      blockNumber,
+      timestamp: await this.valuer.getTimestamp(blockNumber),
+      transactionHash
+    });
+    const received = [];
+    for (let event of newTokens) {
+      const { token, amountReceived } = event.args;
+      received.push({ ...(await base(event)), token, amount: amountReceived });
+    }
+    const swaps = [];
+    for (let event of swapped) {
+      const { tokenSold, tokenBought, soldAmount, boughtAmount } = event.args;
+      swaps.push({ ...(await base(event)), tokenSold, tokenBought, soldAmount, boughtAmount });
+    }
+    const premiumUpdates = [];
+    for (let event of premiumSet) {
+      premiumUpdates.push({ ...(await base(event)), premium: +event.args.premium });
+    }
+    return { received, swaps, premiumUpdates };
+  }
+
+  /**
+   * Values each swap.
+   * @return The swaps with `soldValue`, the value of the tokens the seller sold, and
+   * `recoveredValue`, the value of the tokens it received for the pool, which are
+   * undefined for tokens without a price
+   */
+  async valueSwaps(swaps) {
+    const result = [];
+    for (let swap of swaps) {
+      result.push({
+        ...swap,
+        soldValue: await this.valuer.getValue(swap.tokenSold, swap.soldAmount),
+        recoveredValue: await this.valuer.getValue(swap.tokenBought, swap.boughtAmount)
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Gets the liquidation progress of each token the seller received.
+   * @param events Events from `getEvents`
+   * @param timestamp Current timestamp
+   * @param window Seconds of recent sales used to estimate when each token will be sold
+   * @return Array of `{ token, received, sold, balance, value, sales, lastSale, idleFor,
+   * staleFor, rate, eta }` where `rate` is in tokens per second, `lastSale` is undefined if
+   * the token has not been sold, `idleFor` is the seconds since its last sale or first
+   * receipt and `staleFor` the seconds since that or the last premium change, if later
+   */
+  async getTokens({ received, swaps, premiumUpdates = [] }, timestamp, window = DEFAULT_SALE_WINDOW) {
+    const tokens = received.map(r => r.token).filter((token, i, all) => all.indexOf(token) == i);
+    const premiumSetAt = Math.max(0, ...premiumUpdates.map(u => u.timestamp));
+    const result = [];
+    for (let token of tokens) {
+      const receipts = received.filter(r => r.token == token);
+      const sales = swaps.filter(s => s.tokenSold == token);
+      const balance = await this.getBalance(token);
+      const lastSale = sales.length ? Math.max(...sales.map(s => s.timestamp)) : undefined;
+      const idleSince = lastSale === undefined ? Math.min(...receipts.map(r => r.timestamp)) : lastSale;
+      const { rate, eta } = estimateEta(sales, 'soldAmount', balance, timestamp, window);
+      result.push({
+        token,
+        received: sum(receipts.map(r => r.amount)),
+        sold: sum(sales.map(s => s.soldAmount)),
+        balance,
+        value: await this.valuer.getValue(token, balance),
+        sales: sales.length,
+        lastSale,
+        idleFor: balance.isZero() ? 0 : timestamp - idleSince,
+        staleFor: balance.isZero() ? 0 : timestamp - Math.max(idleSince, premiumSetAt),
+        rate,
+        eta
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Builds the full status of the seller.
+   * @param options.fromBlock Block to read events from, e.g. the seller's deployment block
+   * @param options.window Seconds of recent sales used to estimate when each token will be sold
+   * @param options.threshold Seconds a token can go without a sale before the premium should be raised
+   * @return `{ seller, controller, timestamp, premiumPercent, tokens, swaps, remainingValue,
+   * recoveredValue, missingPrices, recommendation }` where `recommendation` is from
+   * `recommendPremium` with `transaction`, the controller call to apply it, if the premium
+   * should change
+   */
+  async getStatus({ fromBlock = 0, window = DEFAULT_SALE_WINDOW, threshold = DEFAULT_STALE_THRESHOLD } = {}) {
+    const { number, timestamp } = await this.provider.getBlock('latest');
+    const events = await this.getEvents(fromBlock, number);
+    const premiumPercent = +(await this.seller.getPremiumPercent());
+    const controller = await this.seller.controller();
+    const tokens = await this.getTokens(events, +timestamp, window);
+    const swaps = await this.valueSwaps(events.swaps);
+    const recommendation = recommendPremium(tokens, premiumPercent, threshold);
+    if (recommendation.recommended != recommendation.current) {
+      const args = [this.seller.address, recommendation.recommended];
+      recommendation.transaction = {
+        to: controller,
+        data: controllerInterface.encodeFunctionData('updateSellerPremium', args),
+        method: 'updateSellerPremium',
+        args
+      };
+    }
+    return {
+      seller: this.seller.address,
+      controller,
+      timestamp: +timestamp,
+      premiumPercent,
+      tokens,
+      swaps,
+      remainingValue: sum(tokens.filter(t => t.value).map(t => t.value)),
+      recoveredValue: sum(swaps.filter(s => s.recoveredValue).map(s => s.recoveredValue)),
+      missingPrices: tokens.filter(t => !t.value).map(t => t.token),
+      recommendation
+    };
+  }
+}
+
+/**
+ * Formats a status from `SellerMonitor.getStatus` as lines of text.
+ * @param status Status to format
+ * @param tokenInfo Object mapping token addresses to `{ symbol, decimals }`
+ */
+function formatSellerStatus(status, tokenInfo = {}) {
+  const { timestamp, premiumPercent, tokens, swaps, remainingValue, recoveredValue, missingPrices, recommendation } = status;
+  const name = (token) => (tokenInfo[token] || {}).symbol || token;
+  const amount = (token, value) => formatUnits(value, (tokenInfo[token] || {}).decimals || 18);
+  const duration = (seconds) => moment.duration(seconds, 'seconds').humanize();
+  const lines = [
+    `Premium ${premiumPercent}%, ${formatEther(remainingValue)} WETH left to sell, ${formatEther(recoveredValue)} WETH recovered in ${swaps.length} swaps`
+  ];
+  for (let { token, received, sold, balance, value, idleFor, eta } of tokens) {
+    if (balance.isZero()) {
+      lines.push(`${name(token)}: sold ${amount(token, sold)} of ${amount(token, received)}`);
+      continue;
+    }
+    const worth = value ? `${formatEther(value)} WETH` : 'no price';
+    const finish = eta === undefined ? 'no recent sales' : `sold out in ${duration(eta - timestamp)}`;
+    lines.push(`${name(token)}: ${amount(token, balance)} left (${worth}), sold ${amount(token, sold)} of ${amount(token, received)}, unsold for ${duration(idleFor)}, ${finish}`);
+  }
+  if (missingPrices.length) lines.push(`${missingPrices.length} tokens have no oracle price and are not in the remaining value`);
+  if (recommendation.recommended != recommendation.current) {
+    lines.push(`Raise the premium to ${recommendation.recommended}%: ${recommendation.staleTokens.map(name).join(', ')} unsold for too long`);
+  } else if (recommendation.staleTokens.length) {
+    lines.push(`The premium is at the maximum but ${recommendation.staleTokens.map(name).join(', ')} are unsold`);
+  }
+  return lines;
+}
+
+/**
+ * Converts a status from `SellerMonitor.getStatus` to JSON.
+ * WETH values are decimals in ether units, token amounts are integers
+ * in the token's base units and rates are in base units per second.
+ */
+function sellerStatusToJSON(status) {
+  const ether = (value) => value === undefined ? null : formatEther(value);
+  const optional = (value) => value === undefined ? null : value;
+  return JSON.stringify({
+    ...status,
+    remainingValue: ether(status.remainingValue),
+    recoveredValue: ether(status.recoveredValue),
+    tokens: status.tokens.map(t => ({
+      ...t,
+      received: t.received.toString(),
+      sold: t.sold.toString(),
+      balance: t.balance.toString(),
+      value: ether(t.value),
+      rate: t.rate.toString(),
+      lastSale: optional(t.lastSale),
+      eta: optional(t.eta)
+    })),
+    swaps: status.swaps.map(s => ({
+      ...s,
+      soldAmount: s.soldAmount.toString(),
+      boughtAmount: s.boughtAmount.toString(),
+      soldValue: ether(s.soldValue),
+      recoveredValue: ether(s.recoveredValue)
+    })),
+    recommendation: {
+      ...status.recommendation,
+      transaction: status.recommendation.transaction && {
+        ...status.recommendation.transaction,
+        args: status.recommendation.transaction.args.map(String)
+      }
+    }
+  }, null, 2);
+}
+
+module.exports = {
+  MAX_PREMIUM_PERCENT,
+  DEFAULT_STALE_THRESHOLD,
+  DEFAULT_SALE_WINDOW,
+  recommendPremium,
+  SellerMonitor,
+  formatSellerStatus,
+  sellerStatusToJSON
+};
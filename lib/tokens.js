@@ -0,0 +1,39 @@
+const { Contract } = require('ethers');
+
+const erc20MetadataAbi = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+/**
+ * Queries the symbol and decimals of ERC20 tokens.
+ * Tokens which do not implement the optional metadata functions
+ * get an undefined symbol and 18 decimals.
+ * @param provider Ethers provider
+ * @param tokens Array of token addresses
+ * @return Object mapping each address to `{ symbol, decimals }`
+ */
+async function getTokenInfo(provider, tokens) {
+  const info = {};
+  for (let token of tokens) {
+    if (info[token]) continue;
+    const erc20 = new Contract(token, erc20MetadataAbi, provider);
+    const symbol = await erc20.symbol().catch(() => undefined);
+    const decimals = await erc20.decimals().catch(() => 18);
+    info[token] = { symbol, decimals };
+  }
+  return info;
+}
+
+/**
+ * Queries the symbols of ERC20 tokens.
+ * @param provider Ethers provider
+ * @param tokens Array of token addresses
+ * @return Object mapping each address to its symbol
+ */
+async function getTokenSymbols(provider, tokens) {
+  const info = await getTokenInfo(provider, tokens);
+  return Object.keys(info).reduce((symbols, token) => ({ ...symbols, [token]: info[token].symbol }), {});
+}
+
+module.exports = { getTokenInfo, getTokenSymbols };
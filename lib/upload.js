@@ -1,42 +1,37 @@
 require('dotenv').config();
 
-const fs = require('fs');
-const path = require('path');
 const Logger = require('./logger');
 const logger = Logger(undefined, 'IPFS');
 
-const Temporal = require('./temporal');
+const { getPinningProvider } = require('./pinning');
 const { hashJSON } = require('./ipfs');
-
-const tmp_path = path.join(__dirname, 'tmp.json');
-
-const { temporal_username, temporal_password } = process.env;
-
-function clearTmpFile() {
-  if (fs.existsSync(tmp_path)) fs.unlinkSync(tmp_path);
-}
-
-let temporal;
-
-async function uploadFile(jsonObj) {
-  if (!temporal) {
-    logger.info('Logging into Temporal...');
-    temporal = new Temporal();
-    await temporal.login(temporal_username, temporal_password);
+const { MAX_METADATA_SIZE } = require('./metadata');
+
+let defaultProvider;
+
+/**
+ * Hashes a JSON object and publishes it with an upload provider.
+ * @param jsonObj Object to publish
+ * @param provider Upload provider, defaults to the one configured in the environment
+ * @param mode Canonicalization mode used to serialize the object, see lib/canonicalJSON.js
+ */
+async function uploadFile(jsonObj, provider, mode = 'strict') {
+  if (!provider) {
+    if (!defaultProvider) defaultProvider = getPinningProvider();
+    provider = defaultProvider;
   }
-  const { json, sha3Hash, ipfsHash } = hashJSON(jsonObj)
-  logger.info('Uploading file...');
+  const { json, sha3Hash, ipfsHash } = hashJSON(jsonObj, mode);
+  logger.info(`Uploading file with ${provider.name}...`);
   logger.info(`CID: ${ipfsHash}`);
   logger.info(`SHA3: ${sha3Hash}`);
 
-  if (json.length > 4096) throw new Error('File exceeds 4kb');
-  clearTmpFile();
-  fs.writeFileSync(tmp_path, json);
-  const rs = fs.createReadStream(tmp_path);
-  const result = await temporal.uploadPublicFile(rs, 24);
+  if (Buffer.byteLength(json) > MAX_METADATA_SIZE) throw new Error(`File exceeds ${MAX_METADATA_SIZE} bytes`);
+  const result = await provider.upload(json, `${ipfsHash}.json`);
   logger.success(`Server Returned: ${result}`);
-  clearTmpFile();
+  if (result != ipfsHash) {
+    throw new Error(`${provider.name} stored file as ${result}, expected ${ipfsHash}`);
+  }
   return { json, sha3Hash, ipfsHash };
 }
 
-module.exports = uploadFile;
\ No newline at end of file
+module.exports = uploadFile;
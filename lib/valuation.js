@@ -0,0 +1,71 @@
+const { BigNumber } = require('ethers');
+
+const { TWAP_WINDOWS } = require('./oracle');
+
+const toBN = (value) => BigNumber.from(value);
+
+const sum = (values) => values.reduce((total, value) => total.add(value), toBN(0));
+
+/**
+ * Values tokens in WETH with the oracle's short TWAP, which the pools, initializers
+ * and token sellers also price tokens with, and reads block timestamps.
+ */
+class TwapValuer {
+  /**
+   * @param options.oracle IndexedUniswapV2Oracle contract
+   * @param options.provider Provider to read block timestamps from
+   */
+  constructor({ oracle, provider }) {
+    this.oracle = oracle;
+    this.provider = provider;
+    this.timestamps = {};
+  }
+
+  async getTimestamp(blockNumber) {
+    if (this.timestamps[blockNumber] === undefined) {
+      this.timestamps[blockNumber] = +(await this.provider.getBlock(blockNumber)).timestamp;
+    }
+    return this.timestamps[blockNumber];
+  }
+
+  /**
+   * Computes the value in WETH of an amount of a token.
+   * @param blockTag Block to read the price at, defaults to the latest block
+   * @return The value, or undefined if the oracle has no price for the token
+   */
+  async getValue(token, amount, blockTag) {
+    if (toBN(amount).isZero()) return toBN(0);
+    const { minTimeElapsed, maxTimeElapsed } = TWAP_WINDOWS.short;
+    return this.oracle['computeAverageEthForTokens(address,uint256,uint256,uint256)'](
+      token,
+      amount,
+      minTimeElapsed,
+      maxTimeElapsed,
+      { blockTag }
+    ).then(toBN).catch(() => undefined);
+  }
+
+  /**
+   * Computes the total value in WETH of amounts of tokens.
+   * Fails if the oracle has no price for one of the tokens.
+   * @param blockTag Block to read the prices at, defaults to the latest block
+   */
+  async getTotalValue(tokens, amounts, blockTag) {
+    if (tokens.length == 0) return toBN(0);
+    const { minTimeElapsed, maxTimeElapsed } = TWAP_WINDOWS.short;
+    const values = await this.oracle['computeAverageEthForTokens(address[],uint256[],uint256,uint256)'](
+      tokens,
+      amounts,
+      minTimeElapsed,
+      maxTimeElapsed,
+      { blockTag }
+    );
+    return sum(values);
+  }
+}
+
+module.exports = {
+  toBN,
+  sum,
+  TwapValuer
+};
@@ -0,0 +1,129 @@
+const { BigNumber } = require('ethers');
+
+const { WEIGHT_UPDATE_DELAY, bmul } = require('./bmath');
+
+// Default length of a projection, in seconds
+const DEFAULT_DURATION = 90 * 86400;
+
+const toBN = (value) => BigNumber.from(value);
+
+/**
+ * Projects how the weights of a pool move toward their targets over time.
+ *
+ * The projection assumes every token is traded in the direction of its target
+ * once every `tradeInterval` seconds: tokens below their desired weight are
+ * swapped in and tokens above it are swapped out. Each trade applies the pool's
+ * weight update, so a weight moves by at most 1% per trade and no more often than
+ * every 30 minutes, and increases are skipped while they would take the total weight
+ * over the maximum. Tokens are updated in the pool's order at each trade.
+ *
+ * Uninitialized tokens receive their inflow with each trade and become ready once
+ * their balance reaches the minimum. Tokens with no inflow stay uninitialized.
+ *
+ * @param helper PoolHelper with the current state of the pool; it is not modified
+ * @param options.tradeInterval Seconds between trades of each token, defaults to 30 minutes
+ * @param options.inflows Object mapping uninitialized tokens to the amount swapped in per trade
+ * @param options.inflowRatio Fraction of the minimum balance swapped in per trade for
+ * uninitialized tokens not in `inflows`, scaled by 1e18. Defaults to 0.
+ * @param options.duration Seconds to project, defaults to 90 days
+ * @return `{ start, end, tokens, events, helper }` where
+ * - `tokens` has `{ token, ready, startDenorm, denorm, desiredDenorm, updates, readyAt, reachedAt, unboundAt }`
+ * for each token, with the initial and projected `denorm` and an `updates` entry of `{ timestamp, denorm }`
+ * for each change. `readyAt`, `reachedAt` and `unboundAt` are undefined if they are not reached by `end`.
+ * - `events` lists `{ timestamp, token, type }` in order, where `type` is `ready`, `reached` or `unbound`
+ * - `helper` is a PoolHelper with the projected state at `end`
+ */
+function projectWeightTimeline(helper, options = {}) {
+  const {
+    tradeInterval = WEIGHT_UPDATE_DELAY,
+    inflows = {},
+    inflowRatio = 0,
+    duration = DEFAULT_DURATION
+  } = options;
+  if (!(tradeInterval > 0)) throw new Error('Trade interval must be positive');
+  const projection = helper.clone();
+  const start = projection.timestamp;
+  const events = [];
+  const timelines = {};
+
+  const getInflow = (token) => inflows[token] !== undefined
+    ? toBN(inflows[token])
+    : bmul(projection.minimumBalances[token], inflowRatio);
+
+  const setReached = (timeline, timestamp) => {
+    timeline.reachedAt = timestamp;
+    events.push({ timestamp, token: timeline.token, type: 'reached' });
+  };
+
+  for (let token of projection.tokens) {
+    const { ready, denorm, desiredDenorm } = projection.getTokenRecord(token);
+    const timeline = timelines[token] = {
+      token,
+      ready,
+      startDenorm: denorm,
+      denorm,
+      desiredDenorm,
+      updates: [],
+      readyAt: undefined,
+      reachedAt: undefined,
+      unboundAt: undefined
+    };
+    if (ready && denorm.eq(desiredDenorm)) setReached(timeline, start);
+  }
+
+  // A token is settled once it has no further change to make.
+  const isSettled = (token) => {
+    const { ready, denorm, desiredDenorm } = projection.records[token];
+    return ready ? denorm.eq(desiredDenorm) : getInflow(token).isZero();
+  };
+
+  let timestamp = start;
+  while (timestamp + tradeInterval <= start + duration && !projection.tokens.every(isSettled)) {
+    timestamp += tradeInterval;
+    projection.setTimestamp(timestamp);
+    for (let token of [...projection.tokens]) {
+      const timeline = timelines[token];
+      const record = projection.getTokenRecord(token);
+      if (!record.ready) {
+        const inflow = getInflow(token);
+        if (inflow.isZero()) continue;
+        projection.gulp(token, record.balance.add(inflow));
+        const { ready, denorm } = projection.records[token];
+        if (!ready) continue;
+        timeline.readyAt = timestamp;
+        timeline.denorm = denorm;
+        timeline.updates.push({ timestamp, denorm });
+        events.push({ timestamp, token, type: 'ready' });
+        if (denorm.eq(record.desiredDenorm)) setReached(timeline, timestamp);
+        continue;
+      }
+      if (record.denorm.eq(record.desiredDenorm)) continue;
+      projection.updateWeight(token);
+      const updated = projection.records[token];
+      if (!updated) {
+        timeline.denorm = toBN(0);
+        timeline.unboundAt = timestamp;
+        timeline.updates.push({ timestamp, denorm: timeline.denorm });
+        events.push({ timestamp, token, type: 'unbound' });
+        continue;
+      }
+      if (updated.denorm.eq(record.denorm)) continue;
+      timeline.denorm = updated.denorm;
+      timeline.updates.push({ timestamp, denorm: updated.denorm });
+      if (updated.denorm.eq(updated.desiredDenorm)) setReached(timeline, timestamp);
+    }
+  }
+
+  return {
+    start,
+    end: timestamp,
+    tokens: Object.values(timelines),
+    events,
+    helper: projection
+  };
+}
+
+module.exports = {
+  DEFAULT_DURATION,
+  projectWeightTimeline
+};
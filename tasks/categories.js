@@ -0,0 +1,142 @@
+const { task, types } = require('@nomiclabs/buidler/config');
+
+const Logger = require('../lib/logger');
+const uploadFile = require('../lib/upload');
+const { getPriceAvailability } = require('../lib/oracle');
+const { getTokenSymbols } = require('../lib/tokens');
+const {
+  readCategoryMetadata,
+  resolveTokenAddresses,
+  getCategoryAddedID,
+  checkAddTokens,
+  checkRemoveTokens,
+  diffTokenLists,
+  formatTokenListDiff
+} = require('../lib/categories');
+
+const splitList = (list) => list.split(',').map(t => t.trim()).filter(t => t);
+
+async function getCategory(bre, categoryID) {
+  const { ethers, getChainId } = bre;
+  const logger = Logger(await getChainId());
+  const controller = await ethers.getContract('controller');
+  if (!(await controller.hasCategory(categoryID))) throw new Error(`Category ${categoryID} does not exist`);
+  const oracle = await ethers.getContract('IndexedUniswapV2Oracle');
+  const tokens = await controller.getCategoryTokens(categoryID);
+  const { timestamp } = await ethers.provider.getBlock('latest');
+  return { logger, controller, oracle, tokens, timestamp };
+}
+
+async function logTokenListDiff(bre, logger, before, after) {
+  const symbols = await getTokenSymbols(bre.ethers.provider, [...before, ...after]);
+  formatTokenListDiff(diffTokenLists(before, after), symbols).forEach(line => logger.info(line));
+}
+
+function assertNoErrors(errors) {
+  if (errors.length) throw new Error(`Pre-flight checks failed:\n${errors.join('\n')}`);
+}
+
+task('create_category', 'Creates a token category from a metadata file and adds its initial tokens.')
+  .addParam('metadata', 'path to the category metadata JSON file')
+  .addOptionalParam('tokens', 'comma separated token addresses or symbols, defaults to the tokens in the metadata')
+  .addFlag('pin', 'upload the metadata with the configured pinning provider before creating the category')
+  .addOptionalParam('gasPrice', 'Gas price to use for transactions.', 1000000000, types.int)
+  .setAction(async ({ metadata: file, tokens, pin, gasPrice }, bre) => {
+    const { ethers, deployments, getChainId } = bre;
+    const logger = Logger(await getChainId());
+    const { metadata, sha3Hash, ipfsHash } = readCategoryMetadata(file);
+    logger.info(`Read metadata for ${metadata.name} [${metadata.symbol}]`);
+    logger.info(`CID: ${ipfsHash}`);
+    logger.info(`SHA3: ${sha3Hash}`);
+
+    const symbols = tokens ? splitList(tokens) : (metadata.tokens || []);
+    const addresses = await resolveTokenAddresses(deployments, symbols);
+
+    if (pin) await uploadFile(metadata);
+
+    const controller = await ethers.getContract('controller');
+    logger.info(`Creating category ${metadata.name}...`);
+    const receipt = await controller.createCategory(sha3Hash, { gasLimit: 150000, gasPrice }).then(tx => tx.wait());
+    const categoryID = getCategoryAddedID(receipt);
+    logger.success(`Created category ${categoryID}`);
+
+    if (addresses.length) {
+      logger.info(`Adding ${addresses.length} tokens to category ${categoryID}...`);
+      await controller.addTokens(categoryID, addresses, { gasPrice }).then(tx => tx.wait());
+      logger.success(`Added ${addresses.length} tokens to category ${categoryID}`);
+    }
+    return categoryID;
+  });
+
+task('add_category_tokens', 'Adds tokens to a category.')
+  .addParam('category', 'category ID', undefined, types.int)
+  .addParam('tokens', 'comma separated token addresses or symbols')
+  .addOptionalParam('gasPrice', 'Gas price to use for transactions.', 1000000000, types.int)
+  .setAction(async ({ category, tokens, gasPrice }, bre) => {
+    const { logger, controller, oracle, tokens: before, timestamp } = await getCategory(bre, category);
+    const addresses = await resolveTokenAddresses(bre.deployments, splitList(tokens));
+    assertNoErrors(await checkAddTokens(controller, category, addresses));
+    const availability = await getPriceAvailability(oracle, addresses, timestamp);
+    for (let { token, hasLongTwap } of availability) {
+      if (!hasLongTwap) {
+        logger.error(`${token} has no price observation in the long TWAP window, the category can not be sorted until it does`);
+      }
+    }
+    logger.info(`Adding ${addresses.length} tokens to category ${category}...`);
+    if (addresses.length == 1) {
+      await controller.addToken(category, addresses[0], { gasPrice }).then(tx => tx.wait());
+    } else {
+      await controller.addTokens(category, addresses, { gasPrice }).then(tx => tx.wait());
+    }
+    logger.success(`Added ${addresses.length} tokens to category ${category}`);
+    await logTokenListDiff(bre, logger, before, await controller.getCategoryTokens(category));
+  });
+
+task('remove_category_tokens', 'Removes tokens from a category.')
+  .addParam('category', 'category ID', undefined, types.int)
+  .addParam('tokens', 'comma separated token addresses or symbols')
+  .addOptionalParam('gasPrice', 'Gas price to use for transactions.', 1000000000, types.int)
+  .setAction(async ({ category, tokens, gasPrice }, bre) => {
+    const { logger, controller, tokens: before } = await getCategory(bre, category);
+    const addresses = await resolveTokenAddresses(bre.deployments, splitList(tokens));
+    assertNoErrors(await checkRemoveTokens(controller, category, addresses));
+    for (let token of addresses) {
+      logger.info(`Removing ${token} from category ${category}...`);
+      await controller.removeToken(category, token, { gasLimit: 100000, gasPrice }).then(tx => tx.wait());
+    }
+    logger.success(`Removed ${addresses.length} tokens from category ${category}`);
+    await logTokenListDiff(bre, logger, before, await controller.getCategoryTokens(category));
+  });
+
+task('update_category_prices', 'Updates the oracle prices of the tokens in a category.')
+  .addParam('category', 'category ID', undefined, types.int)
+  .addOptionalParam('gasPrice', 'Gas price to use for transactions.', 1000000000, types.int)
+  .setAction(async ({ category, gasPrice }, bre) => {
+    const { logger, controller, oracle, tokens, timestamp } = await getCategory(bre, category);
+    const availability = await getPriceAvailability(oracle, tokens, timestamp);
+    const stale = availability.filter(a => a.canUpdate).map(a => a.token);
+    if (stale.length == 0) {
+      logger.info(`All prices in category ${category} were updated in the current observation period`);
+      return;
+    }
+    logger.info(`Updating prices for ${stale.length} of ${tokens.length} tokens...`);
+    await controller.updateCategoryPrices(category, { gasPrice }).then(tx => tx.wait());
+    logger.success(`Updated prices for category ${category}`);
+  });
+
+task('sort_category', 'Sorts the tokens in a category by market cap.')
+  .addParam('category', 'category ID', undefined, types.int)
+  .addOptionalParam('gasPrice', 'Gas price to use for transactions.', 1000000000, types.int)
+  .setAction(async ({ category, gasPrice }, bre) => {
+    const { logger, controller, oracle, tokens: before, timestamp } = await getCategory(bre, category);
+    const availability = await getPriceAvailability(oracle, before, timestamp);
+    assertNoErrors(
+      availability
+        .filter(a => !a.hasLongTwap)
+        .map(a => `${a.token} has no price observation in the long TWAP window`)
+    );
+    logger.info(`Sorting category ${category}...`);
+    await controller.orderCategoryTokensByMarketCap(category, { gasPrice }).then(tx => tx.wait());
+    logger.success(`Sorted category ${category}`);
+    await logTokenListDiff(bre, logger, before, await controller.getCategoryTokens(category));
+  });
@@ -0,0 +1,62 @@
+const path = require('path');
+const { task } = require('@nomiclabs/buidler/config');
+
+const Logger = require('../lib/logger');
+const { confirm } = require('../lib/prompt');
+const { DeployPlan, loadDeployScripts } = require('../lib/deployPlan');
+const { DeploymentVerifier } = require('../lib/deploymentVerifier');
+const { readNetworkDeployments } = require('../lib/manifest');
+
+task('verify_deployments', 'Compares the deployment files of the network with the contracts on chain.')
+  .addOptionalParam('owner', 'Expected owner, defaults to the account which deployed the pool factory.')
+  .setAction(async ({ owner }, bre) => {
+    const { ethers, getChainId, network, config } = bre;
+    const logger = Logger(await getChainId());
+    const { deployments } = readNetworkDeployments(path.join(config.paths.deployments, network.name));
+    const proxyManager = await ethers.getContract('proxyManager');
+    const verifier = new DeploymentVerifier({
+      deployments,
+      provider: ethers.provider,
+      proxyManager: proxyManager.address,
+      owner
+    });
+    const report = await verifier.verify();
+    for (let { type, name, expected, actual, ok } of report.checks) {
+      if (ok) logger.success(`${type} ${name}: ${actual}`);
+      else logger.error(`${type} ${name}: expected ${expected}, found ${actual}`);
+    }
+    if (report.mismatches.length) {
+      throw new Error(`Found ${report.mismatches.length} mismatches between deployments/${network.name} and the chain`);
+    }
+    logger.success(`deployments/${network.name} matches the chain`);
+    return report;
+  });
+
+task('deploy_plan', 'Shows what the deploy scripts would deploy and send without sending transactions.')
+  .addOptionalParam('tags', 'Comma separated tags of the deploy scripts to plan, defaults to every script.')
+  .addFlag('apply', 'Send the planned transactions after confirming the plan.')
+  .setAction(async ({ tags, apply }, bre) => {
+    const { ethers, deployments, getChainId, network, config } = bre;
+    const logger = Logger(await getChainId());
+    const [ signer ] = await ethers.getSigners();
+    const plan = new DeployPlan({ ethers, deployments, signer });
+    const scripts = loadDeployScripts(config.paths.deploy, tags ? tags.split(',') : []);
+    bre.deployPlan = plan;
+    try {
+      for (let { file, script } of scripts) {
+        logger.info(`Planning ${file}`);
+        await script(bre);
+      }
+    } finally {
+      delete bre.deployPlan;
+    }
+    if (plan.steps.length == 0) {
+      logger.success(`Nothing to deploy on ${network.name}`);
+      return plan;
+    }
+    for (let line of plan.format()) logger.info(line);
+    if (apply && await confirm(`Send ${plan.steps.length} transactions on ${network.name}?`)) {
+      await plan.apply(logger);
+    }
+    return plan;
+  });
@@ -0,0 +1,101 @@
+const { task, types } = require('@nomiclabs/buidler/config');
+const { formatEther, parseEther } = require('ethers/lib/utils');
+
+const Logger = require('../lib/logger');
+const { PoolKeeper } = require('../lib/keeper');
+const { RebalanceSimulator } = require('../lib/rebalance');
+const { SellerArbitrageBot } = require('../lib/sellerBot');
+const { getTokenSymbols } = require('../lib/tokens');
+
+task('keeper', 'Runs a keeper which reweighs and reindexes pools when they are due.')
+  .addOptionalParam('interval', 'Seconds between runs.', 300, types.int)
+  .addOptionalParam('fromBlock', 'Block to search for pools from.', 0, types.int)
+  .addFlag('local', 'run once per block instead of on an interval, for local nodes')
+  .addFlag('once', 'process the pools once and exit')
+  .addOptionalParam('gasPrice', 'Gas price to use for transactions.', 1000000000, types.int)
+  .setAction(async ({ interval, fromBlock, local, once, gasPrice }, bre) => {
+    const { ethers, getChainId } = bre;
+    const [ signer ] = await ethers.getSigners();
+    const keeper = new PoolKeeper({
+      controller: await ethers.getContract('controller', signer),
+      poolFactory: await ethers.getContract('poolFactory'),
+      oracle: await ethers.getContract('IndexedUniswapV2Oracle', signer),
+      interval,
+      local,
+      fromBlock,
+      gasPrice,
+      logger: Logger(await getChainId(), 'keeper')
+    });
+    if (once) return keeper.runOnce();
+    await keeper.start();
+    // Keep the task alive until the process is interrupted.
+    await new Promise(() => {});
+  });
+
+task('seller_bot', 'Runs a bot which trades with a pool\'s unbound token seller when it beats Uniswap.')
+  .addParam('pool', 'pool address')
+  .addOptionalParam('minProfit', 'Minimum profit in ether after gas costs.', '0')
+  .addOptionalParam('interval', 'Seconds between runs.', 300, types.int)
+  .addOptionalParam('fromBlock', 'Block to search for tokens sent to the seller from.', 0, types.int)
+  .addFlag('local', 'run once per block instead of on an interval, for local nodes')
+  .addFlag('once', 'check the seller once and exit')
+  .addFlag('simulate', 'check trades with eth_call instead of sending them')
+  .addOptionalParam('gasPrice', 'Gas price to use for transactions.', 1000000000, types.int)
+  .setAction(async ({ pool, minProfit, interval, fromBlock, local, once, simulate, gasPrice }, bre) => {
+    const { ethers, getChainId } = bre;
+    const [ signer ] = await ethers.getSigners();
+    const controller = await ethers.getContract('controller');
+    const router = await ethers.getContract('uniswapRouter', signer);
+    const bot = new SellerArbitrageBot({
+      seller: await ethers.getContractAt('UnboundTokenSeller', await controller.computeSellerAddress(pool), signer),
+      pool,
+      router,
+      weth: await router.WETH(),
+      simulate,
+      minProfit: parseEther(minProfit),
+      interval,
+      local,
+      fromBlock,
+      gasPrice,
+      logger: Logger(await getChainId(), 'seller-bot')
+    });
+    if (once) return bot.runOnce();
+    await bot.start();
+    // Keep the task alive until the process is interrupted.
+    await new Promise(() => {});
+  });
+
+task('simulate_pool_update', 'Shows what the next reweigh or reindex of a pool will do.')
+  .addParam('pool', 'pool address')
+  .addOptionalParam('timestamp', 'Timestamp to simulate the update at, defaults to the latest block.', undefined, types.int)
+  .setAction(async ({ pool, timestamp }, bre) => {
+    const { ethers, getChainId } = bre;
+    const logger = Logger(await getChainId(), 'keeper');
+    const simulator = new RebalanceSimulator({
+      controller: await ethers.getContract('controller'),
+      oracle: await ethers.getContract('IndexedUniswapV2Oracle')
+    });
+    const result = await simulator.simulate(pool, timestamp);
+    const { added, removed, reweighed } = result;
+    const symbols = await getTokenSymbols(ethers.provider, [
+      ...result.tokens,
+      ...removed.map(({ token }) => token),
+      ...result.sellerTokens
+    ]);
+    const name = (token) => symbols[token] || token;
+    logger.info(`Next update of ${pool} is a ${result.action}, due ${new Date(result.dueAt * 1000).toUTCString()}`);
+    for (let { token, oldDesiredDenorm, desiredDenorm } of reweighed) {
+      logger.info(`${name(token)}: desired weight ${formatEther(oldDesiredDenorm)} -> ${formatEther(desiredDenorm)}`);
+    }
+    for (let { token, desiredDenorm, minimumBalance } of added) {
+      logger.success(`${name(token)}: added with desired weight ${formatEther(desiredDenorm)} and minimum balance ${formatEther(minimumBalance)}`);
+    }
+    for (let { token, balance } of removed) {
+      logger.error(`${name(token)}: removed, the seller will receive its remaining balance (currently ${formatEther(balance)})`);
+    }
+    if (result.sellerTokens.length) {
+      logger.info(`Tokens being phased out to the seller: ${result.sellerTokens.map(name).join(', ')}`);
+    }
+    for (let error of result.errors) logger.error(`The update would fail: ${error}`);
+    return result;
+  });
@@ -0,0 +1,36 @@
+const { task, types } = require('@nomiclabs/buidler/config');
+
+const Logger = require('../lib/logger');
+const { getTokenSymbols } = require('../lib/tokens');
+const { PriceFreshnessManager, formatPriceReport } = require('../lib/oracle');
+
+task('oracle_prices', 'Reports and updates the oracle prices needed by a category or pool.')
+  .addOptionalParam('category', 'category ID', undefined, types.int)
+  .addOptionalParam('pool', 'pool address')
+  .addOptionalParam('window', 'TWAP window to check, long or short', 'long')
+  .addFlag('update', 'update the prices which are missing or outside of the window')
+  .addOptionalParam('batchSize', 'Maximum number of tokens per updatePrices transaction.', 10, types.int)
+  .addOptionalParam('gasPrice', 'Gas price to use for transactions.', 1000000000, types.int)
+  .setAction(async ({ category, pool, window, update, batchSize, gasPrice }, bre) => {
+    const { ethers, getChainId } = bre;
+    if ((category === undefined) == (pool === undefined)) throw new Error('Provide either --category or --pool');
+    const logger = Logger(await getChainId(), 'oracle');
+    const [ signer ] = await ethers.getSigners();
+    const manager = new PriceFreshnessManager({
+      oracle: await ethers.getContract('IndexedUniswapV2Oracle', signer),
+      controller: await ethers.getContract('controller'),
+      batchSize,
+      gasPrice,
+      logger
+    });
+    const tokens = category !== undefined
+      ? await manager.getCategoryTokens(category)
+      : await manager.getPoolTokens(pool);
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    const { report } = update
+      ? await manager.updatePrices(tokens, window)
+      : { report: await manager.getReport(tokens, window, +timestamp) };
+    const symbols = await getTokenSymbols(ethers.provider, tokens);
+    formatPriceReport(report, +timestamp, symbols).forEach(line => logger.info(line));
+    return report;
+  });
@@ -0,0 +1,412 @@
+const fs = require('fs');
+const path = require('path');
+const { task, types } = require('@nomiclabs/buidler/config');
+const { formatUnits, formatEther, parseEther } = require('ethers/lib/utils');
+
+const Logger = require('../lib/logger');
+const { PoolAnalytics, reportToCSV, reportToJSON } = require('../lib/analytics');
+const { ClaimBatcher, DEFAULT_MAX_ACCOUNTS, DEFAULT_MAX_GAS } = require('../lib/claims');
+const { ContributionPlanner } = require('../lib/contribution');
+const { DEFAULT_RATE_WINDOW, InitializerTracker, formatDashboard, dashboardToJSON } = require('../lib/initializer');
+const { ask, confirm } = require('../lib/prompt');
+const PoolHelper = require('../lib/poolHelper');
+const { PoolHistory, PoolHistoryStore, PoolIndexer } = require('../lib/poolHistory');
+const {
+  DEFAULT_SALE_WINDOW,
+  DEFAULT_STALE_THRESHOLD,
+  SellerMonitor,
+  formatSellerStatus,
+  sellerStatusToJSON
+} = require('../lib/sellerMonitor');
+const { getTokenInfo, getTokenSymbols } = require('../lib/tokens');
+const { DEFAULT_DURATION, projectWeightTimeline } = require('../lib/weights');
+const {
+  poolConfigFields,
+  readPoolConfig,
+  parsePoolConfig,
+  getPoolDeploymentNames,
+  getNewPoolInitializer
+} = require('../lib/poolDeployment');
+
+task('deploy_index_pool', 'Prepares a new index pool and its initializer with prepareIndexPool.')
+  .addOptionalParam('config', 'path to a JSON file with the pool configuration')
+  .addOptionalParam('category', 'category ID', undefined, types.int)
+  .addOptionalParam('size', 'number of tokens in the index', undefined, types.int)
+  .addOptionalParam('value', 'initial value of the pool in WETH')
+  .addOptionalParam('name', 'pool name')
+  .addOptionalParam('symbol', 'pool symbol')
+  .addFlag('yes', 'do not prompt for missing values or confirmation')
+  .addOptionalParam('gasPrice', 'Gas price to use for transactions.', 1000000000, types.int)
+  .setAction(async (args, bre) => {
+    const { ethers, deployments, getChainId } = bre;
+    const logger = Logger(await getChainId());
+
+    const rawConfig = args.config ? readPoolConfig(args.config) : {};
+    const overrides = {
+      categoryID: args.category,
+      indexSize: args.size,
+      initialWethValue: args.value,
+      name: args.name,
+      symbol: args.symbol
+    };
+    for (let key of Object.keys(overrides)) {
+      if (overrides[key] !== undefined) rawConfig[key] = overrides[key];
+    }
+    if (!args.yes) {
+      for (let { key, question } of poolConfigFields) {
+        if (rawConfig[key] === undefined) rawConfig[key] = await ask(question);
+      }
+    }
+    const { config, errors } = parsePoolConfig(rawConfig);
+    if (errors.length) throw new Error(`Invalid pool configuration:\n${errors.join('\n')}`);
+    const { categoryID, indexSize, initialWethValue, name, symbol } = config;
+
+    const controller = await ethers.getContract('controller');
+    if (!(await controller.hasCategory(categoryID))) throw new Error(`Category ${categoryID} does not exist`);
+
+    const poolAddress = await controller.computePoolAddress(categoryID, indexSize);
+    const initializerAddress = await controller.computeInitializerAddress(poolAddress);
+    const sellerAddress = await controller.computeSellerAddress(poolAddress);
+    if ((await ethers.provider.getCode(poolAddress)) != '0x') {
+      throw new Error(`A pool for category ${categoryID} with ${indexSize} tokens already exists at ${poolAddress}`);
+    }
+
+    let tokens, balances;
+    try {
+      [tokens, balances] = await controller.getInitialTokensAndBalances(categoryID, indexSize, initialWethValue);
+    } catch (err) {
+      throw new Error(`Could not get the initial tokens for category ${categoryID}: ${err.message}`);
+    }
+    const info = await getTokenInfo(ethers.provider, tokens);
+
+    logger.info(`${name} [${symbol}]: top ${indexSize} tokens in category ${categoryID} worth ${formatEther(initialWethValue)} WETH`);
+    logger.info(`Pool: ${poolAddress}`);
+    logger.info(`Initializer: ${initializerAddress}`);
+    logger.info(`Seller: ${sellerAddress}`);
+    tokens.forEach((token, i) => {
+      const { symbol: tokenSymbol, decimals } = info[token];
+      logger.info(`${tokenSymbol || token} (${token}): ${formatUnits(balances[i], decimals)}`);
+    });
+
+    if (!args.yes && !(await confirm('Prepare the index pool?'))) {
+      logger.info('Aborted');
+      return;
+    }
+
+    logger.info(`Preparing index pool ${symbol}...`);
+    const receipt = await controller.prepareIndexPool(
+      categoryID,
+      indexSize,
+      initialWethValue,
+      name,
+      symbol,
+      { gasPrice: args.gasPrice }
+    ).then(tx => tx.wait());
+    const deployed = getNewPoolInitializer(receipt);
+    if (deployed.pool != poolAddress || deployed.initializer != initializerAddress) {
+      throw new Error(`Pool was deployed to ${deployed.pool} with initializer ${deployed.initializer}, expected ${poolAddress} and ${initializerAddress}`);
+    }
+    logger.success(`Prepared index pool ${symbol} at ${poolAddress}`);
+
+    const names = getPoolDeploymentNames(symbol);
+    const contracts = [
+      [names.pool, 'IndexPool', poolAddress],
+      [names.initializer, 'PoolInitializer', initializerAddress],
+      [names.seller, 'UnboundTokenSeller', sellerAddress]
+    ];
+    for (let [deploymentName, contractName, address] of contracts) {
+      const { abi } = await deployments.getArtifact(contractName);
+      await deployments.save(deploymentName, { abi, address, transactionHash: receipt.transactionHash });
+      logger.info(`Saved ${contractName} [${deploymentName}] at ${address}`);
+    }
+    return { pool: poolAddress, initializer: initializerAddress, seller: sellerAddress };
+  });
+
+task('weight_timeline', 'Projects when the tokens of a pool reach their target weights.')
+  .addParam('pool', 'pool address')
+  .addOptionalParam('interval', 'Seconds between trades of each token.', 1800, types.int)
+  .addOptionalParam('inflow', 'Percent of the minimum balance of uninitialized tokens swapped in per trade.', '0')
+  .addOptionalParam('days', 'Days to project.', DEFAULT_DURATION / 86400, types.int)
+  .setAction(async ({ pool, interval, inflow, days }, bre) => {
+    const { ethers, getChainId } = bre;
+    const logger = Logger(await getChainId());
+    const helper = await PoolHelper.fromPool(await ethers.getContractAt('IndexPool', pool));
+    const timeline = projectWeightTimeline(helper, {
+      tradeInterval: interval,
+      inflowRatio: parseEther(inflow).div(100),
+      duration: days * 86400
+    });
+    const symbols = await getTokenSymbols(ethers.provider, timeline.tokens.map(({ token }) => token));
+    const name = (token) => symbols[token] || token;
+    const date = (timestamp) => new Date(timestamp * 1000).toUTCString();
+    for (let { token, ready, readyAt, startDenorm, desiredDenorm, reachedAt, unboundAt, updates } of timeline.tokens) {
+      const weights = `${formatEther(startDenorm)} -> ${formatEther(desiredDenorm)}`;
+      if (!ready) {
+        if (readyAt) logger.success(`${name(token)}: ready ${date(readyAt)}`);
+        else logger.error(`${name(token)}: not ready within ${days} days`);
+      }
+      if (unboundAt) logger.info(`${name(token)}: unbound ${date(unboundAt)} after ${updates.length} updates, the seller receives its balance`);
+      else if (reachedAt) logger.success(`${name(token)}: weight ${weights} reached ${date(reachedAt)} after ${updates.length} updates`);
+      else logger.error(`${name(token)}: weight ${weights} not reached within ${days} days`);
+    }
+    return timeline;
+  });
+
+const getHistoryStore = (chainID) => new PoolHistoryStore(path.join(PoolHistoryStore.defaultStoreDir, `${chainID}`));
+
+task('index_pool_history', 'Indexes the events of a pool to rebuild its past states.')
+  .addParam('pool', 'pool address')
+  .addOptionalParam('from', 'Block to start indexing from, required for the first run.', undefined, types.int)
+  .addOptionalParam('to', 'Last block to index, defaults to the latest block.', undefined, types.int)
+  .addOptionalParam('batchSize', 'Number of blocks to query events for at a time.', 2000, types.int)
+  .setAction(async ({ pool, from, to, batchSize }, bre) => {
+    const { ethers, getChainId } = bre;
+    const chainID = await getChainId();
+    const logger = Logger(chainID);
+    const controller = await ethers.getContract('controller');
+    const indexer = new PoolIndexer({
+      pool,
+      provider: ethers.provider,
+      controller: controller.address,
+      store: getHistoryStore(chainID)
+    });
+    const history = await indexer.sync({ fromBlock: from, toBlock: to, batchSize });
+    logger.success(`Indexed ${history.events.length} events of ${pool} up to block ${history.lastBlock}`);
+    for (let { blockNumber } of history.getEvents({ names: ['Resync'] })) {
+      logger.info(`Pool state at block ${blockNumber} did not match its events and was read from the pool`);
+    }
+    return history;
+  });
+
+task('pool_state', 'Shows the indexed state of a pool at a past block or time.')
+  .addParam('pool', 'pool address')
+  .addOptionalParam('block', 'Block number, defaults to the last indexed block.', undefined, types.int)
+  .addOptionalParam('timestamp', 'Unix timestamp to use instead of a block number.', undefined, types.int)
+  .setAction(async ({ pool, block, timestamp }, bre) => {
+    const { ethers, getChainId } = bre;
+    const chainID = await getChainId();
+    const logger = Logger(chainID);
+    const data = getHistoryStore(chainID).get(pool);
+    if (!data) throw new Error(`Pool ${pool} has not been indexed, run index_pool_history first`);
+    const history = new PoolHistory(data);
+    const state = timestamp === undefined ? history.getState(block) : history.getStateAtTime(timestamp);
+    if (!state) throw new Error('No indexed state at the given block or time');
+    const symbols = await getTokenSymbols(ethers.provider, state.tokens);
+    logger.info(`Supply ${formatEther(state.totalSupply)}, total weight ${formatEther(state.totalWeight)}, swap fee ${formatEther(state.swapFee)}`);
+    for (let token of state.tokens) {
+      const { ready, balance, denorm, desiredDenorm } = state.records[token];
+      const weights = ready ? `weight ${formatEther(denorm)} -> ${formatEther(desiredDenorm)}` : `not ready, minimum balance ${formatEther(state.minimumBalances[token])}`;
+      logger.info(`${symbols[token] || token}: balance ${formatEther(balance)}, ${weights}`);
+    }
+    return state;
+  });
+
+task('pool_analytics', 'Computes the NAV, returns, fees and turnover of a pool and exports them.')
+  .addParam('pool', 'pool address')
+  .addParam('from', 'First block to analyze.', undefined, types.int)
+  .addOptionalParam('to', 'Last block to analyze, defaults to the latest block.', undefined, types.int)
+  .addOptionalParam('step', 'Number of blocks between samples.', 6500, types.int)
+  .addOptionalParam('format', 'csv or json', 'csv')
+  .addOptionalParam('out', 'Path to write the report to, without the extension.')
+  .setAction(async ({ pool, from, to, step, format, out }, bre) => {
+    const { ethers, getChainId } = bre;
+    const chainID = await getChainId();
+    const logger = Logger(chainID);
+    if (format != 'csv' && format != 'json') throw new Error(`Unknown format ${format}`);
+    const controller = await ethers.getContract('controller');
+    const indexer = new PoolIndexer({
+      pool,
+      provider: ethers.provider,
+      controller: controller.address,
+      store: getHistoryStore(chainID)
+    });
+    const history = await indexer.sync({ fromBlock: from, toBlock: to });
+    const analytics = new PoolAnalytics({
+      history,
+      oracle: await ethers.getContract('IndexedUniswapV2Oracle'),
+      provider: ethers.provider
+    });
+    const report = await analytics.analyze({ fromBlock: from, toBlock: to, step });
+    const { totals } = report;
+    logger.info(`Return ${formatEther(totals.poolReturn.mul(100))}%, buy and hold ${formatEther(totals.holdReturn.mul(100))}%`);
+    logger.info(`Swap fees ${formatEther(totals.swapFees)} WETH, exit fees ${formatEther(totals.exitFees)} WETH, turnover ${formatEther(totals.turnover.mul(100))}%`);
+
+    if (!out) out = path.join(__dirname, '..', 'data', 'analytics', `${chainID}`, pool.toLowerCase());
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    if (format == 'json') {
+      fs.writeFileSync(`${out}.json`, reportToJSON(report));
+      logger.success(`Wrote ${out}.json`);
+    } else {
+      const { samples, reweighs } = reportToCSV(report);
+      fs.writeFileSync(`${out}-samples.csv`, samples);
+      fs.writeFileSync(`${out}-reweighs.csv`, reweighs);
+      logger.success(`Wrote ${out}-samples.csv and ${out}-reweighs.csv`);
+    }
+    return report;
+  });
+
+task('initializer_status', 'Shows the tokens a pool initializer still needs and the credit of its contributors.')
+  .addParam('initializer', 'initializer address')
+  .addOptionalParam('from', 'Block to read contributions from, e.g. the block the pool was prepared in.', 0, types.int)
+  .addOptionalParam('window', 'Seconds of recent contributions used to estimate when it will finish.', DEFAULT_RATE_WINDOW, types.int)
+  .addOptionalParam('top', 'Number of contributors to show.', 10, types.int)
+  .addFlag('json', 'print the status as JSON')
+  .setAction(async ({ initializer, from, window, top, json }, bre) => {
+    const { ethers, getChainId } = bre;
+    const logger = Logger(await getChainId());
+    const tracker = new InitializerTracker({
+      initializer: await ethers.getContractAt('PoolInitializer', initializer),
+      oracle: await ethers.getContract('IndexedUniswapV2Oracle'),
+      provider: ethers.provider
+    });
+    const dashboard = await tracker.getDashboard({ fromBlock: from, window });
+    const tokenInfo = await getTokenInfo(ethers.provider, dashboard.tokens.map(t => t.token));
+    dashboard.tokens = dashboard.tokens.map(t => ({ ...t, ...tokenInfo[t.token] }));
+    if (json) {
+      console.log(dashboardToJSON(dashboard));
+    } else {
+      formatDashboard(dashboard, tokenInfo, top).forEach(line => logger.info(line));
+    }
+    return dashboard;
+  });
+
+task('plan_contribution', 'Recommends the tokens to contribute to a pool initializer for the most credit.')
+  .addParam('initializer', 'initializer address')
+  .addOptionalParam('account', 'Wallet to plan for, defaults to the first signer.')
+  .addOptionalParam('slippage', 'Percent of the quoted credit which may be lost before the contribution is mined.', '0.5')
+  .addOptionalParam('minRatio', 'Minimum ratio of credit to Uniswap spot value.', '1')
+  .addFlag('send', 'send the transactions after confirmation')
+  .addFlag('yes', 'do not ask for confirmation')
+  .addOptionalParam('gasPrice', 'Gas price to use for transactions.', 1000000000, types.int)
+  .setAction(async ({ initializer, account, slippage, minRatio, send, yes, gasPrice }, bre) => {
+    const { ethers, getChainId } = bre;
+    const logger = Logger(await getChainId());
+    const [ signer ] = await ethers.getSigners();
+    if (!account) account = await signer.getAddress();
+    const initializerContract = await ethers.getContractAt('PoolInitializer', initializer);
+    const router = await ethers.getContract('uniswapRouter');
+    const planner = new ContributionPlanner({
+      initializer: initializerContract,
+      router,
+      weth: await router.WETH(),
+      slippage: parseEther(slippage).div(100)
+    });
+    const tokens = await initializerContract.getDesiredTokens();
+    const balances = {};
+    const allowances = {};
+    for (let token of tokens) {
+      const erc20 = await ethers.getContractAt([
+        'function balanceOf(address) view returns (uint256)',
+        'function allowance(address,address) view returns (uint256)'
+      ], token);
+      balances[token] = await erc20.balanceOf(account);
+      allowances[token] = await erc20.allowance(account, initializer);
+    }
+    const plan = await planner.plan(balances, { minRatio: parseEther(minRatio), allowances });
+    const tokenInfo = await getTokenInfo(ethers.provider, tokens);
+    const name = (token) => tokenInfo[token].symbol || token;
+    for (let { token, amountIn, credit, spotValue, ratio } of plan.contributions) {
+      const spot = spotValue ? `${formatEther(spotValue)} WETH at spot, ratio ${formatEther(ratio)}` : 'no spot price';
+      logger.success(`${name(token)}: contribute ${formatUnits(amountIn, tokenInfo[token].decimals)} for ${formatEther(credit)} WETH credit (${spot})`);
+    }
+    for (let { token, reason } of plan.skipped) logger.info(`${name(token)}: skipped, ${reason}`);
+    if (plan.contributions.length == 0) {
+      logger.error('Nothing to contribute');
+      return plan;
+    }
+    logger.info(`Total credit ${formatEther(plan.credit)} WETH, minimum ${formatEther(plan.minimumCredit)} WETH`);
+    for (let { to, data, method } of plan.transactions) logger.info(`${method} on ${to}: ${data}`);
+    if (send) {
+      if (account.toLowerCase() != (await signer.getAddress()).toLowerCase()) {
+        throw new Error(`Can not send transactions for ${account} with the signer ${await signer.getAddress()}`);
+      }
+      if (!yes && !(await confirm(`Send ${plan.transactions.length} transactions?`))) {
+        logger.error('Aborted');
+        return plan;
+      }
+      for (let { to, data, method } of plan.transactions) {
+        const receipt = await signer.sendTransaction({ to, data, gasPrice }).then(tx => tx.wait());
+        logger.success(`${method}: ${receipt.transactionHash}`);
+      }
+    }
+    return plan;
+  });
+
+task('claim_initializer_tokens', 'Claims the pool tokens of every contributor to a finished pool initializer.')
+  .addParam('initializer', 'initializer address')
+  .addOptionalParam('from', 'Block to read contributions from, e.g. the block the pool was prepared in.', 0, types.int)
+  .addOptionalParam('maxGas', 'Maximum gas of a claim transaction.', DEFAULT_MAX_GAS, types.int)
+  .addOptionalParam('maxAccounts', 'Maximum number of accounts in a claim transaction.', DEFAULT_MAX_ACCOUNTS, types.int)
+  .addFlag('send', 'send the claim transactions, otherwise only show them')
+  .addFlag('yes', 'do not ask for confirmation')
+  .addOptionalParam('gasPrice', 'Gas price to use for transactions.', 1000000000, types.int)
+  .setAction(async ({ initializer, from, maxGas, maxAccounts, send, yes, gasPrice }, bre) => {
+    const { ethers, getChainId } = bre;
+    const logger = Logger(await getChainId(), 'claims');
+    const [ signer ] = await ethers.getSigners();
+    const batcher = new ClaimBatcher({
+      initializer: await ethers.getContractAt('PoolInitializer', initializer, signer),
+      maxGas,
+      maxAccounts,
+      logger
+    });
+    if (!send) {
+      const unclaimed = await batcher.getUnclaimed(from);
+      for (let { account, amountOut } of unclaimed) logger.info(`${account}: ${formatEther(amountOut)} pool tokens unclaimed`);
+      // Claims can only be estimated once the initializer has finished.
+      if (!(await batcher.initializer.isFinished())) {
+        logger.error('The initializer has not finished');
+        return unclaimed;
+      }
+      const batches = await batcher.getBatches(unclaimed.map(u => u.account));
+      batches.forEach(({ accounts, gas }, i) => logger.info(`Batch ${i + 1}: ${accounts.length} accounts, ${gas.toString()} gas`));
+      return unclaimed;
+    }
+    if (!yes && !(await confirm('Claim the pool tokens of every contributor?'))) {
+      logger.error('Aborted');
+      return [];
+    }
+    const report = await batcher.claimAll({ fromBlock: from, overrides: { gasPrice } });
+    for (let { account, delivered, transactionHash } of report) {
+      if (transactionHash) logger.success(`${account}: received ${formatEther(delivered)} pool tokens in ${transactionHash}`);
+      else logger.error(`${account}: nothing received`);
+    }
+    return report;
+  });
+
+task('seller_status', 'Shows how the unbound token seller of a pool is selling its tokens and recommends a premium.')
+  .addParam('pool', 'pool address')
+  .addOptionalParam('from', 'Block to read seller events from, e.g. the block the pool was deployed in.', 0, types.int)
+  .addOptionalParam('window', 'Seconds of recent sales used to estimate when each token will be sold.', DEFAULT_SALE_WINDOW, types.int)
+  .addOptionalParam('threshold', 'Seconds a token can go without a sale before the premium should be raised.', DEFAULT_STALE_THRESHOLD, types.int)
+  .addFlag('json', 'print the status as JSON')
+  .addFlag('send', 'send the recommended premium update after confirmation')
+  .addFlag('yes', 'do not ask for confirmation')
+  .addOptionalParam('gasPrice', 'Gas price to use for transactions.', 1000000000, types.int)
+  .setAction(async ({ pool, from, window, threshold, json, send, yes, gasPrice }, bre) => {
+    const { ethers, getChainId } = bre;
+    const logger = Logger(await getChainId());
+    const controller = await ethers.getContract('controller');
+    const monitor = new SellerMonitor({
+      seller: await ethers.getContractAt('UnboundTokenSeller', await controller.computeSellerAddress(pool)),
+      oracle: await ethers.getContract('IndexedUniswapV2Oracle'),
+      provider: ethers.provider
+    });
+    const status = await monitor.getStatus({ fromBlock: from, window, threshold });
+    if (json) {
+      console.log(sellerStatusToJSON(status));
+    } else {
+      const tokenInfo = await getTokenInfo(ethers.provider, status.tokens.map(t => t.token));
+      formatSellerStatus(status, tokenInfo).forEach(line => logger.info(line));
+    }
+    const { transaction } = status.recommendation;
+    if (!send || !transaction) return status;
+    if (!yes && !(await confirm(`Set the seller premium to ${status.recommendation.recommended}%?`))) {
+      logger.error('Aborted');
+      return status;
+    }
+    const [ signer ] = await ethers.getSigners();
+    const receipt = await signer.sendTransaction({ to: transaction.to, data: transaction.data, gasPrice }).then(tx => tx.wait());
+    logger.success(`${transaction.method}: ${receipt.transactionHash}`);
+    return status;
+  });
@@ -0,0 +1,90 @@
+const { expect } = require('chai');
+
+const {
+  CategoryMetadataBuilder,
+  MetadataValidationError,
+  validateCategoryMetadata,
+  buildCategoryMetadata
+} = require('../lib/metadata');
+const { hashJSON } = require('../lib/ipfs');
+
+const validMetadata = () => ({
+  name: 'Governance',
+  symbol: 'GOV',
+  description: 'Governance tokens.',
+  criteria: ['Token must be used to vote on protocol governance.'],
+  rationale: 'Largest governance tokens with Uniswap liquidity.',
+  version: '1.0.0',
+  tokens: ['BAL', 'UNI', 'COMP']
+});
+
+const fieldsWithErrors = (metadata) => validateCategoryMetadata(metadata).errors.map(e => e.field);
+
+describe('Category metadata', () => {
+  describe('validateCategoryMetadata()', () => {
+    it('Accepts valid metadata', () => {
+      expect(validateCategoryMetadata(validMetadata())).to.deep.eq({ valid: true, errors: [] });
+    });
+
+    it('Reports missing fields', () => {
+      const metadata = validMetadata();
+      delete metadata.rationale;
+      delete metadata.criteria;
+      expect(fieldsWithErrors(metadata)).to.deep.eq(['criteria', 'rationale']);
+    });
+
+    it('Reports unrecognized fields', () => {
+      expect(fieldsWithErrors({ ...validMetadata(), extra: 1 })).to.deep.eq(['extra']);
+    });
+
+    it('Reports invalid nested values', () => {
+      const metadata = validMetadata();
+      metadata.symbol = 'gov';
+      metadata.criteria.push(5);
+      metadata.tokens.push('BAL');
+      const { valid, errors } = validateCategoryMetadata(metadata);
+      expect(valid).to.be.false;
+      expect(errors).to.deep.eq([
+        { field: 'symbol', message: 'must match pattern ^[A-Z0-9]{1,12}$' },
+        { field: 'criteria[1]', message: 'must be of type string, got number' },
+        { field: 'tokens', message: 'must not contain duplicate items' }
+      ]);
+    });
+
+    it('Rejects metadata larger than 4kb', () => {
+      const metadata = validMetadata();
+      metadata.criteria = new Array(20).fill('x'.repeat(250));
+      expect(fieldsWithErrors(metadata)).to.deep.eq(['']);
+    });
+  });
+
+  describe('CategoryMetadataBuilder', () => {
+    it('Builds the metadata with its hashes', () => {
+      const { metadata, json, sha3Hash, ipfsHash } = new CategoryMetadataBuilder()
+        .setName('Governance')
+        .setSymbol('GOV')
+        .setDescription('Governance tokens.')
+        .addCriterion('Token must be used to vote on protocol governance.')
+        .setRationale('Largest governance tokens with Uniswap liquidity.')
+        .setTokens(['BAL', 'UNI'])
+        .addToken('COMP')
+        .build();
+      expect(metadata).to.deep.eq(validMetadata());
+      expect({ json, sha3Hash, ipfsHash }).to.deep.eq(hashJSON(validMetadata()));
+      expect(sha3Hash).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it('Throws with field errors for invalid metadata', () => {
+      let error;
+      try {
+        buildCategoryMetadata({ name: '' });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.instanceOf(MetadataValidationError);
+      expect(error.errors.map(e => e.field)).to.deep.eq([
+        'symbol', 'description', 'criteria', 'rationale', 'name'
+      ]);
+    });
+  });
+});
@@ -1,14 +1,11 @@
-const Decimal = require('decimal.js');
-const { calcRelativeDiff } = require('../lib/calc_comparisons');
+const { calcPoolOutGivenSingleIn, calcPoolInGivenSingleOut } = require('../../lib/bmath');
 const { poolFixtureWithMaxTokens } = require("../fixtures/pool.fixture");
 const { toWei, fromWei, zero, zeroAddress, expect, maxUint256: maxPrice, getTransactionTimestamp, verifyRejection, getFakerContract, fastForward } = require('../utils');
 const { BigNumber } = require('ethers');
 const { defaultAbiCoder } = require('ethers/lib/utils');
 
-const errorDelta = 10 ** -8;
-
 describe('IndexPool.sol', async () => {
-  let poolHelper, indexPool, erc20Factory, nonOwnerFaker;
+  let getPoolHelper, verifyPoolHelper, indexPool, erc20Factory, nonOwnerFaker;
   let getPoolData, verifyRevert, mintAndApprove, wrappedTokens;
   let tokens, balances, denormalizedWeights, normalizedWeights;
   let newToken;
@@ -21,7 +18,8 @@ describe('IndexPool.sol', async () => {
       ({
         wrappedTokens,
         indexPool,
-        poolHelper,
+        getPoolHelper,
+        verifyPoolHelper,
         getPoolData,
         mintAndApprove,
         from,
@@ -57,17 +55,6 @@ describe('IndexPool.sol', async () => {
     newBalances.push(toWei(minimumBalance));
     const tx = await indexPool.reindexTokens(newTokens, newDenorms, newBalances);
     lastDenormUpdate = await getTransactionTimestamp(tx);
-    const lastToken = poolHelper.tokens[poolHelper.tokens.length - 1];
-    poolHelper.tokens.push(newToken.address);
-    poolHelper.records[lastToken].desiredDenorm = 0;
-    poolHelper.records[newToken.address] = {
-      minimumBalance,
-      balance: 0,
-      denorm: 0,
-      desiredDenorm: denorm,
-      ready: false,
-      totalSupply: 5
-    };
     await updateData();
   }
 
@@ -102,15 +89,15 @@ describe('IndexPool.sol', async () => {
     });
 
     it('Prices initialized tokens normally', async () => {
+      const poolHelper = await getPoolHelper();
       for (let i = 0; i < tokens.length; i++) {
         const tokenIn = tokens[i];
         for (let o = 0; o < tokens.length; o++) {
           const tokenOut = tokens[o];
           if (tokenOut == tokenIn) continue;
-          const expected = poolHelper.calcSpotPrice(tokenIn, tokenOut);
-          const actual = fromWei(await indexPool.getSpotPrice(tokenIn, tokenOut));
-          const relDiff = calcRelativeDiff(expected, actual);
-          expect(relDiff.toNumber()).to.be.lte(errorDelta);
+          const expected = poolHelper.getSpotPrice(tokenIn, tokenOut);
+          const actual = await indexPool.getSpotPrice(tokenIn, tokenOut);
+          expect(actual.eq(expected)).to.be.true;
         }
       }
     });
@@ -126,15 +113,13 @@ describe('IndexPool.sol', async () => {
 
     it('Uses the minimum balance and weight to price uninitialized tokens', async () => {
       const tokenIn = newToken.address;
+      const poolHelper = await getPoolHelper();
       for (let o = 0; o < tokens.length; o++) {
         const tokenOut = tokens[o];
         if (tokenOut == tokenIn) continue;
-        const expected = poolHelper.calcSpotPrice(tokenIn, tokenOut);
-        const actual = Decimal(
-          fromWei(await indexPool.getSpotPrice(tokenIn, tokenOut))
-        );
-        const relDiff = calcRelativeDiff(expected, actual);
-        expect(relDiff.toNumber()).to.be.lte(errorDelta);
+        const expected = poolHelper.getSpotPrice(tokenIn, tokenOut);
+        const actual = await indexPool.getSpotPrice(tokenIn, tokenOut);
+        expect(actual.eq(expected)).to.be.true;
       }
     });
   });
@@ -178,12 +163,13 @@ describe('IndexPool.sol', async () => {
         const tokenIn = tokens[i];
         const tokenOut = tokens[i-1] || tokens[i+1];
         const amountIn = toWei(1);
-        const minAmountOut = toWei(poolHelper.calcOutGivenIn(tokenIn, tokenOut, 1)[0]);
-        await verifyRevert('swapExactAmountIn', /ERR_LIMIT_OUT/g, tokenIn, amountIn, tokenOut, minAmountOut.sub(1e3), maxPrice);
+        const { tokenAmountOut } = (await getPoolHelper()).swapExactAmountIn(tokenIn, amountIn, tokenOut);
+        await verifyRevert('swapExactAmountIn', /ERR_LIMIT_OUT/g, tokenIn, amountIn, tokenOut, tokenAmountOut.add(1), maxPrice);
       }
     });
 
     it('Prices initialized tokens normally', async () => {
+      const poolHelper = await getPoolHelper();
       for (let i = 0; i < tokens.length; i++) {
         const tokenIn = tokens[i];
         const tokenAmountIn = balances[i].div(50);
@@ -191,12 +177,12 @@ describe('IndexPool.sol', async () => {
         for (let o = 0; o < tokens.length; o++) {
           const tokenOut = tokens[o];
           if (tokenIn == tokenOut) continue;
-          const [expectedAmountOut, expectedSpotPrice] = poolHelper.calcOutGivenIn(tokenIn, tokenOut, fromWei(tokenAmountIn), true);
+          const expected = poolHelper.clone().swapExactAmountIn(tokenIn, tokenAmountIn, tokenOut);
           const [actualAmountOut, actualSpotPrice] = await indexPool.callStatic.swapExactAmountIn(
             tokenIn, tokenAmountIn, tokenOut, 0, maxPrice
           );
-          expect(+calcRelativeDiff(expectedAmountOut, fromWei(actualAmountOut))).to.be.lte(errorDelta);
-          expect(+calcRelativeDiff(expectedSpotPrice, fromWei(actualSpotPrice))).to.be.lte(errorDelta);
+          expect(actualAmountOut.eq(expected.tokenAmountOut)).to.be.true;
+          expect(actualSpotPrice.eq(expected.spotPriceAfter)).to.be.true;
         }
       }
     });
@@ -205,17 +191,18 @@ describe('IndexPool.sol', async () => {
       await triggerReindex();
       await fastForward(3600)
       const tokenIn = newToken.address;
+      const poolHelper = await getPoolHelper();
       for (let o = 0; o < tokens.length; o++) {
         const tokenOut = tokens[o];
         if (tokenOut.toLowerCase() == newToken.address.toLowerCase()) continue;
         const tokenAmountIn = toWei(1);
         await mintAndApprove(tokenIn, tokenAmountIn);
-        const [expectedAmountOut, expectedSpotPrice] = poolHelper.calcOutGivenIn(tokenIn, tokenOut, 1, true);
+        const expected = poolHelper.clone().swapExactAmountIn(tokenIn, tokenAmountIn, tokenOut);
         const [actualAmountOut, actualSpotPrice] = await indexPool.callStatic.swapExactAmountIn(
           tokenIn, tokenAmountIn, tokenOut, 0, maxPrice
         );
-        expect(+calcRelativeDiff(expectedAmountOut, fromWei(actualAmountOut))).to.be.lte(errorDelta);
-        expect(+calcRelativeDiff(expectedSpotPrice, fromWei(actualSpotPrice))).to.be.lte(errorDelta);
+        expect(actualAmountOut.eq(expected.tokenAmountOut)).to.be.true;
+        expect(actualSpotPrice.eq(expected.spotPriceAfter)).to.be.true;
       }
     });
 
@@ -256,19 +243,20 @@ describe('IndexPool.sol', async () => {
     });
 
     it('Prices initialized tokens normally', async () => {
+      const poolHelper = await getPoolHelper();
       for (let i = 0; i < tokens.length; i++) {
         const tokenIn = tokens[i];
         for (let o = 0; o < tokens.length; o++) {
           const tokenOut = tokens[o];
           if (tokenIn == tokenOut) continue;
           const tokenAmountOut = balances[o].div(10);
-          const [expectedAmountIn, expectedSpotPrice] = poolHelper.calcInGivenOut(tokenIn, tokenOut, fromWei(tokenAmountOut), true);
-          await mintAndApprove(tokenIn, toWei(expectedAmountIn).mul(2));
+          const expected = poolHelper.clone().swapExactAmountOut(tokenIn, maxPrice, tokenOut, tokenAmountOut);
+          await mintAndApprove(tokenIn, expected.tokenAmountIn.mul(2));
           const [actualAmountIn, actualSpotPrice] = await indexPool.callStatic.swapExactAmountOut(
             tokenIn, maxPrice, tokenOut, tokenAmountOut, maxPrice
           );
-          expect(+calcRelativeDiff(expectedAmountIn, fromWei(actualAmountIn))).to.be.lte(errorDelta);
-          expect(+calcRelativeDiff(expectedSpotPrice, fromWei(actualSpotPrice))).to.be.lte(errorDelta);
+          expect(actualAmountIn.eq(expected.tokenAmountIn)).to.be.true;
+          expect(actualSpotPrice.eq(expected.spotPriceAfter)).to.be.true;
         }
       }
     });
@@ -277,17 +265,18 @@ describe('IndexPool.sol', async () => {
       await triggerReindex();
       await fastForward(3600)
       const tokenIn = newToken.address;
+      const poolHelper = await getPoolHelper();
       for (let o = 0; o < tokens.length; o++) {
         const tokenOut = tokens[o];
         if (tokenIn == tokenOut) continue;
         const tokenAmountOut = balances[o].div(100);
-        const [expectedAmountIn, expectedSpotPrice] = poolHelper.calcInGivenOut(tokenIn, tokenOut, fromWei(tokenAmountOut), true);
-        await mintAndApprove(tokenIn, toWei(expectedAmountIn).mul(2));
+        const expected = poolHelper.clone().swapExactAmountOut(tokenIn, maxPrice, tokenOut, tokenAmountOut);
+        await mintAndApprove(tokenIn, expected.tokenAmountIn.mul(2));
         const [actualAmountIn, actualSpotPrice] = await indexPool.callStatic.swapExactAmountOut(
           tokenIn, maxPrice, tokenOut, tokenAmountOut, maxPrice
         );
-        expect(+calcRelativeDiff(expectedAmountIn, fromWei(actualAmountIn))).to.be.lte(errorDelta);
-        expect(+calcRelativeDiff(expectedSpotPrice, fromWei(actualSpotPrice))).to.be.lte(errorDelta);
+        expect(actualAmountIn.eq(expected.tokenAmountIn)).to.be.true;
+        expect(actualSpotPrice.eq(expected.spotPriceAfter)).to.be.true;
       }
     });
 
@@ -313,24 +302,25 @@ describe('IndexPool.sol', async () => {
     });
 
     it('Reverts if poolAmountOut < minPoolAmountOut', async () => {
-      const expectedAmountOut = poolHelper.calcPoolOutGivenSingleIn(tokens[0], 1);
-      await verifyRevert('joinswapExternAmountIn', /ERR_LIMIT_OUT/g, tokens[0], toWei(1), toWei(expectedAmountOut).mul(2));
+      const expectedAmountOut = (await getPoolHelper()).joinswapExternAmountIn(tokens[0], toWei(1));
+      await verifyRevert('joinswapExternAmountIn', /ERR_LIMIT_OUT/g, tokens[0], toWei(1), expectedAmountOut.add(1));
     });
 
     it('Prices initialized tokens normally', async () => {
+      const poolHelper = await getPoolHelper();
       for (let i = 0; i < tokens.length; i++) {
-        const expectedAmountOut = poolHelper.calcPoolOutGivenSingleIn(tokens[0], 0.1);
-        const actualAmountOut = await indexPool.callStatic.joinswapExternAmountIn(tokens[0], toWei('0.1'), 0);
-        expect(+calcRelativeDiff(expectedAmountOut, fromWei(actualAmountOut))).to.be.lte(errorDelta);
+        const expectedAmountOut = poolHelper.clone().joinswapExternAmountIn(tokens[i], toWei('0.1'));
+        const actualAmountOut = await indexPool.callStatic.joinswapExternAmountIn(tokens[i], toWei('0.1'), 0);
+        expect(actualAmountOut.eq(expectedAmountOut)).to.be.true;
       }
     });
 
     it('Prices uninitialized tokens using minimum balance and weight', async () => {
       await triggerReindex();
       await mintAndApprove(newToken.address, toWei(1));
-      const expectedAmountOut = poolHelper.calcPoolOutGivenSingleIn(newToken.address, 1);
+      const expectedAmountOut = (await getPoolHelper()).joinswapExternAmountIn(newToken.address, toWei(1));
       const actualAmountOut = await indexPool.callStatic.joinswapExternAmountIn(newToken.address, toWei(1), zero);
-      expect(+calcRelativeDiff(expectedAmountOut, fromWei(actualAmountOut))).to.be.lte(errorDelta);
+      expect(actualAmountOut.eq(expectedAmountOut)).to.be.true;
     });
   });
 
@@ -338,28 +328,30 @@ describe('IndexPool.sol', async () => {
     setupTests();
 
     it('Reverts if tokenAmountIn > balanceIn / 2', async () => {
-      const poolAmountOut = poolHelper.calcPoolOutGivenSingleIn(tokens[0], fromWei(balances[0]));
-      await verifyRevert('joinswapPoolAmountOut', /ERR_MAX_IN_RATIO/g, tokens[0], toWei(poolAmountOut), maxPrice);
+      const { records, totalSupply, totalWeight, swapFee } = await getPoolHelper();
+      const { balance, denorm } = records[tokens[0]];
+      const poolAmountOut = calcPoolOutGivenSingleIn(balance, denorm, totalSupply, totalWeight, balance, swapFee);
+      await verifyRevert('joinswapPoolAmountOut', /ERR_MAX_IN_RATIO/g, tokens[0], poolAmountOut, maxPrice);
     });
 
     it('Reverts if tokenAmountIn > maxAmountIn', async () => {
-      const amountIn = poolHelper.calcSingleInGivenPoolOut(tokens[0], 1);
-      await verifyRevert('joinswapPoolAmountOut', /ERR_LIMIT_IN/g, tokens[0], toWei(1), toWei(amountIn).div(2));
+      const amountIn = (await getPoolHelper()).joinswapPoolAmountOut(tokens[0], toWei(1));
+      await verifyRevert('joinswapPoolAmountOut', /ERR_LIMIT_IN/g, tokens[0], toWei(1), amountIn.sub(1));
     });
 
     it('Prices initialized tokens normally', async () => {
-      const expectedAmountIn = poolHelper.calcSingleInGivenPoolOut(tokens[0], 1);
-      await mintAndApprove(tokens[0], toWei(expectedAmountIn).mul(2));
-      const actualAmountIn = await indexPool.callStatic.joinswapPoolAmountOut(tokens[0], toWei(1), toWei(expectedAmountIn).mul(2));
-      expect(+calcRelativeDiff(expectedAmountIn, fromWei(actualAmountIn))).to.be.lte(errorDelta);
+      const expectedAmountIn = (await getPoolHelper()).joinswapPoolAmountOut(tokens[0], toWei(1));
+      await mintAndApprove(tokens[0], expectedAmountIn.mul(2));
+      const actualAmountIn = await indexPool.callStatic.joinswapPoolAmountOut(tokens[0], toWei(1), expectedAmountIn.mul(2));
+      expect(actualAmountIn.eq(expectedAmountIn)).to.be.true;
     });
 
     it('Prices uninitialized tokens using minimum balance and weight', async () => {
       await triggerReindex();
-      const expectedAmountIn = poolHelper.calcSingleInGivenPoolOut(newToken.address, 0.1);
-      await mintAndApprove(newToken.address, toWei(expectedAmountIn).mul(2));
-      const actualAmountIn = await indexPool.callStatic.joinswapPoolAmountOut(newToken.address, toWei(0.1), toWei(expectedAmountIn).mul(2));
-      expect(+calcRelativeDiff(expectedAmountIn, fromWei(actualAmountIn))).to.be.lte(errorDelta);
+      const expectedAmountIn = (await getPoolHelper()).joinswapPoolAmountOut(newToken.address, toWei(0.1));
+      await mintAndApprove(newToken.address, expectedAmountIn.mul(2));
+      const actualAmountIn = await indexPool.callStatic.joinswapPoolAmountOut(newToken.address, toWei(0.1), expectedAmountIn.mul(2));
+      expect(actualAmountIn.eq(expectedAmountIn)).to.be.true;
     });
   });
 
@@ -381,45 +373,26 @@ describe('IndexPool.sol', async () => {
     });
 
     it('Prices initialized tokens normally', async () => {
-      let previousPoolBalance = 100;
-      let poolAmountOut = 1;
+      const poolHelper = await getPoolHelper();
       for (let token of wrappedTokens) {
         await token.token.approve(indexPool.address, maxPrice)
       }
-      await indexPool.joinPool(toWei(poolAmountOut), new Array(tokens.length).fill(maxPrice));
-      const amountsIn = poolHelper.calcAllInGivenPoolOut(poolAmountOut, true);
-      for (let i = 0; i < tokens.length; i++) {
-        const previousTokenBalance = fromWei(balances[i]);
-        const expected = Decimal(previousTokenBalance).plus(Decimal(amountsIn[i]));
-        const actual = await indexPool.getBalance(tokens[i]).then(b => Decimal(fromWei(b)));
-        const relDiff = calcRelativeDiff(expected, actual);
-        expect(relDiff.toNumber()).to.be.lte(errorDelta);
-      }
-      const actualSupply = await indexPool.totalSupply().then(s => Decimal(fromWei(s)));
-      const expectedSupply = Decimal(previousPoolBalance).plus(Decimal(1));
-      expect(actualSupply.equals(expectedSupply)).to.be.true;
+      await indexPool.joinPool(toWei(1), new Array(tokens.length).fill(maxPrice));
+      poolHelper.joinPool(toWei(1));
+      await verifyPoolHelper(poolHelper);
       ({tokens, balances, denormalizedWeights, normalizedWeights} = await getPoolData());
     });
 
     it('Prices uninitialized tokens using minimum balance and weight', async () => {
       await triggerReindex();
-      let previousPoolBalance = 101;
-      let poolAmountOut = 1;
-      const amountsIn = poolHelper.calcAllInGivenPoolOut(poolAmountOut, true);
+      const poolHelper = await getPoolHelper();
+      const amountsIn = poolHelper.clone().joinPool(toWei(1));
       for (let i = 0; i < tokens.length; i++) {
-        await mintAndApprove(tokens[i], toWei(amountsIn[i]).mul(2));
+        await mintAndApprove(tokens[i], amountsIn[i].mul(2));
       }
-      await indexPool.joinPool(toWei(poolAmountOut), new Array(tokens.length).fill(maxPrice));
-      for (let i = 0; i < tokens.length; i++) {
-        const previousTokenBalance = fromWei(balances[i]);
-        const expected = Decimal(previousTokenBalance).plus(Decimal(amountsIn[i]));
-        const actual = await indexPool.getBalance(tokens[i]).then(b => Decimal(fromWei(b)));
-        const relDiff = calcRelativeDiff(expected, actual);
-        expect(relDiff.toNumber()).to.be.lte(errorDelta);
-      }
-      const actualSupply = await indexPool.totalSupply().then(s => Decimal(fromWei(s)));
-      const expectedSupply = Decimal(previousPoolBalance).plus(Decimal(1));
-      expect(actualSupply.equals(expectedSupply)).to.be.true;
+      await indexPool.joinPool(toWei(1), new Array(tokens.length).fill(maxPrice));
+      poolHelper.joinPool(toWei(1));
+      await verifyPoolHelper(poolHelper);
       ({tokens, balances, denormalizedWeights, normalizedWeights} = await getPoolData());
     });
   });
@@ -429,11 +402,12 @@ describe('IndexPool.sol', async () => {
 
     it('Prices initialized tokens normally', async () => {
       const poolAmountIn = toWei(1);
+      const poolHelper = await getPoolHelper();
       for (let i = 0; i < tokens.length; i++) {
         const token = tokens[i];
-        const expectedAmountOut = poolHelper.calcSingleOutGivenPoolIn(token, fromWei(poolAmountIn), false);
+        const expectedAmountOut = poolHelper.clone().exitswapPoolAmountIn(token, poolAmountIn);
         const actualAmountOut = await indexPool.callStatic.exitswapPoolAmountIn(token, poolAmountIn, 0);
-        expect(+calcRelativeDiff(expectedAmountOut, Decimal(fromWei(actualAmountOut)))).to.be.lte(errorDelta);
+        expect(actualAmountOut.eq(expectedAmountOut)).to.be.true;
       }
     });
 
@@ -443,19 +417,22 @@ describe('IndexPool.sol', async () => {
 
     it('Reverts if tokenAmountOut < minAmountOut', async () => {
       const poolAmountIn = toWei(1);
+      const poolHelper = await getPoolHelper();
       for (let i = 0; i < tokens.length; i++) {
         const token = tokens[i];
-        const expectedAmountOut = poolHelper.calcSingleOutGivenPoolIn(token, fromWei(poolAmountIn), false);
-        await verifyRevert('exitswapPoolAmountIn', /ERR_LIMIT_OUT/g, token, poolAmountIn, toWei(expectedAmountOut).add(1e4));
+        const expectedAmountOut = poolHelper.clone().exitswapPoolAmountIn(token, poolAmountIn);
+        await verifyRevert('exitswapPoolAmountIn', /ERR_LIMIT_OUT/g, token, poolAmountIn, expectedAmountOut.add(1));
       }
     });
 
     it('Reverts if tokenAmountOut > balanceOut / 3', async () => {
+      const { records, totalSupply, totalWeight, swapFee } = await getPoolHelper();
       for (let i = 0; i < tokens.length; i++) {
         const token = tokens[i];
-        const tokenAmountOut = balances[i].div(2);
-        const poolAmountIn = poolHelper.calcPoolInGivenSingleOut(token, fromWei(tokenAmountOut), false);
-        await verifyRevert('exitswapPoolAmountIn', /ERR_MAX_OUT_RATIO/g, token, toWei(poolAmountIn), zero);
+        const { balance, denorm } = records[token];
+        const tokenAmountOut = balance.div(2);
+        const poolAmountIn = calcPoolInGivenSingleOut(balance, denorm, totalSupply, totalWeight, tokenAmountOut, swapFee);
+        await verifyRevert('exitswapPoolAmountIn', /ERR_MAX_OUT_RATIO/g, token, poolAmountIn, zero);
       }
     });
 
@@ -469,12 +446,13 @@ describe('IndexPool.sol', async () => {
     setupTests();
 
     it('Prices initialized tokens normally', async () => {
+      const poolHelper = await getPoolHelper();
       for (let i = 0; i < tokens.length; i++) {
         const token = tokens[i];
         const tokenAmountOut = balances[i].div(10);
-        const expectedAmountIn = poolHelper.calcPoolInGivenSingleOut(token, fromWei(tokenAmountOut), false);
+        const expectedAmountIn = poolHelper.clone().exitswapExternAmountOut(token, tokenAmountOut);
         const actualAmountIn = await indexPool.callStatic.exitswapExternAmountOut(token, tokenAmountOut, maxPrice);
-        expect(+calcRelativeDiff(expectedAmountIn, Decimal(fromWei(actualAmountIn)))).to.be.lte(errorDelta);
+        expect(actualAmountIn.eq(expectedAmountIn)).to.be.true;
       }
     });
 
@@ -504,25 +482,25 @@ describe('IndexPool.sol', async () => {
     setupTests();
 
     it('Prices initialized tokens normally', async () => {
-      const poolAmountIn = 1;
-      const expectedAmountsOut = poolHelper.calcAllOutGivenPoolIn(poolAmountIn, true);
+      const poolAmountIn = toWei(1);
+      const poolHelper = await getPoolHelper();
+      const expectedAmountsOut = poolHelper.exitPool(poolAmountIn);
       const previousRecipientBalance = await indexPool.balanceOf(feeRecipient);
       const previousPoolBalance = await indexPool.totalSupply();
       const amounts = new Array(tokens.length).fill(0);
-      await indexPool.exitPool(toWei(poolAmountIn), amounts);
+      await indexPool.exitPool(poolAmountIn, amounts);
       const currentPoolBalance = await indexPool.totalSupply();
       const poolSupplyDiff = previousPoolBalance.sub(currentPoolBalance);
-      expect(+calcRelativeDiff(0.995, fromWei(poolSupplyDiff))).to.be.lte(errorDelta);
+      expect(poolSupplyDiff.eq(toWei('0.995'))).to.be.true;
       const newRecipientBalance = await indexPool.balanceOf(feeRecipient);
-      const feesGained = fromWei(newRecipientBalance.sub(previousRecipientBalance));
-      expect(+calcRelativeDiff(0.005, feesGained)).to.be.lte(errorDelta)
+      expect(newRecipientBalance.sub(previousRecipientBalance).eq(toWei('0.005'))).to.be.true;
       for (let i = 0; i < tokens.length; i++) {
         const previousTokenBalance = balances[i];
         const currentTokenBalance = await indexPool.getBalance(tokens[i]);
         const realDiff = previousTokenBalance.sub(currentTokenBalance);
-        const expectedDiff = expectedAmountsOut[i];
-        expect(+calcRelativeDiff(expectedDiff, fromWei(realDiff))).to.be.lte(errorDelta);
+        expect(realDiff.eq(expectedAmountsOut[i])).to.be.true;
       }
+      await verifyPoolHelper(poolHelper);
     });
 
     it('Reverts if poolRatio = 0', async () => {
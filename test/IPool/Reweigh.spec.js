@@ -7,7 +7,7 @@ const errorDelta = 10 ** -8;
 
 describe('reweighTokens()', async () => {
   let wrappedTokens, indexPool, unbindTokenHandler, poolHelper;
-  let getPoolData, mintAndApprove, callAndSend;
+  let getPoolData, getPoolHelper, mintAndApprove, callAndSend;
   let tokens, balances, denormalizedWeights, normalizedWeights;
   let verifyRevert, erc20Factory, newToken;
   let from;
@@ -23,13 +23,14 @@ describe('reweighTokens()', async () => {
         wrappedTokens,
         indexPool,
         unbindTokenHandler,
-        poolHelper,
+        getPoolHelper,
         getPoolData,
         mintAndApprove,
         callAndSend,
         verifyRevert,
         from
       } = await deployments.createFixture(poolFixture)());
+      poolHelper = await getPoolHelper();
       await updateData();
     });
   }
@@ -38,6 +39,13 @@ describe('reweighTokens()', async () => {
     ({ tokens, balances, denormalizedWeights, normalizedWeights } = await getPoolData());
   };
 
+  // Sends a call to the pool and applies it to the simulated pool at the same timestamp.
+  const sendAndSimulate = async (fnName, ...args) => {
+    const output = await callAndSend(fnName, ...args);
+    poolHelper.setTimestamp((await ethers.provider.getBlock('latest')).timestamp);
+    return [output, poolHelper[fnName](...args)];
+  };
+
   const testPoolTokens = () => {
     describe('Pool records match expected', async () => {
       let records = {};
@@ -56,27 +64,34 @@ describe('reweighTokens()', async () => {
       });
 
       it('getCurrentDesiredTokens()', async () => {
-        const expected = poolTokens.filter(t => poolHelper.records[t].desiredDenorm > 0);
+        const expected = poolTokens.filter(t => poolHelper.records[t].desiredDenorm.gt(0));
         expect(desiredTokens).to.deep.eq(expected);
       });
 
       it('all::record.denorm', async () => {
         for (let t of poolTokens) {
           const expected = poolHelper.records[t].denorm;
-          const actual = fromWei(records[t].denorm);
-
-          expect(+calcRelativeDiff(expected, actual)).to.be.lte(errorDelta);
+          const actual = records[t].denorm;
+          expect(expected.eq(actual)).to.be.true;
         }
       });
 
       it('all::record.desiredDenorm', async () => {
         for (let t of poolTokens) {
-          const expected = toWei(poolHelper.records[t].desiredDenorm);
+          const expected = poolHelper.records[t].desiredDenorm;
           const actual = records[t].desiredDenorm;
           expect(expected.eq(actual)).to.be.true;
         }
       });
 
+      it('all::record.balance', async () => {
+        for (let t of poolTokens) {
+          const expected = poolHelper.records[t].balance;
+          const actual = records[t].balance;
+          expect(expected.eq(actual)).to.be.true;
+        }
+      });
+
       it('all::record.ready', async () => {
         for (let t of poolTokens) {
           const expected = poolHelper.records[t].ready;
@@ -123,11 +138,11 @@ describe('reweighTokens()', async () => {
     setupTests();
 
     it('Allows desired weight to be set to 0', async () => {
-      const tokenOut = poolHelper.tokens[2]
-      poolHelper.records[tokenOut].desiredDenorm = 0;
       const tokens = poolHelper.tokens;
-      const denorms = tokens.map(t => toWei(poolHelper.records[t].desiredDenorm));
+      const denorms = tokens.map(t => poolHelper.records[t].desiredDenorm);
+      denorms[2] = zero;
       await indexPool.reweighTokens(tokens, denorms);
+      poolHelper.reweighTokens(tokens, denorms);
     });
 
     testPoolTokens();
@@ -137,15 +152,14 @@ describe('reweighTokens()', async () => {
     setupTests();
 
     it('reweighTokens()', async () => {
-      const [wbtc, wltc, wtkn] = poolHelper.tokens;
-      poolHelper.records[wbtc].price = 9;
-      poolHelper.records[wltc].price = 4;
-      poolHelper.records[wtkn].price = 6;
-      poolHelper.setDesiredWeights();
+      // New prices for the tokens, which have equal supplies
+      const prices = [9, 4, 6];
+      const sqrtSum = prices.reduce((total, price) => total + Math.sqrt(price), 0);
       const tokens = poolHelper.tokens;
-      const denorms = tokens.map(t => toWei(poolHelper.records[t].desiredDenorm));
+      const denorms = prices.map(price => toWei(25 * Math.sqrt(price) / sqrtSum));
       await fastForward(3600);
       await indexPool.reweighTokens(tokens, denorms);
+      poolHelper.reweighTokens(tokens, denorms);
     });
 
     describe('Adjust weights during swaps and joins', async () => {
@@ -168,12 +182,12 @@ describe('reweighTokens()', async () => {
         if (tokenIn) {
           postDenorm_in = await indexPool.getDenormalizedWeight(tokenIn);
           expect(postDenorm_in.gte(denormInitial_in)).to.be.true;
-          expect(+calcRelativeDiff(poolHelper.records[tokenIn].denorm, fromWei(postDenorm_in))).to.be.lte(errorDelta);
+          expect(postDenorm_in.eq(poolHelper.records[tokenIn].denorm)).to.be.true;
         }
         if (tokenOut) {
           postDenorm_out = await indexPool.getDenormalizedWeight(tokenOut);
           expect(postDenorm_out.lte(denormInitial_out)).to.be.true;
-          expect(+calcRelativeDiff(poolHelper.records[tokenOut].denorm, fromWei(postDenorm_out))).to.be.lte(errorDelta);
+          expect(postDenorm_out.eq(poolHelper.records[tokenOut].denorm)).to.be.true;
         }
         return res;
       }
@@ -187,21 +201,13 @@ describe('reweighTokens()', async () => {
             await fastForward(3600);
             const tokenOut = tokens[o];
             if (tokenOut == tokenIn) continue;
-            const computed = poolHelper.calcOutGivenIn(tokenIn, tokenOut, fromWei(tokenAmountIn), true, true);
-            const output = await verifyWeightChanges(
+            const [output, computed] = await verifyWeightChanges(
               tokenIn,
               tokenOut,
-              () => callAndSend('swapExactAmountIn', tokenIn, tokenAmountIn, tokenOut, 0, maxPrice)
+              () => sendAndSimulate('swapExactAmountIn', tokenIn, tokenAmountIn, tokenOut, 0, maxPrice)
             )
-            let expected = computed[0];
-            let actual = fromWei(output[0]);
-
-            let relDiff = calcRelativeDiff(expected, actual);
-            expect(relDiff.toNumber()).to.be.lte(errorDelta);
-            expected = computed[1];
-            actual = fromWei(output[1]);
-            relDiff = calcRelativeDiff(expected, actual);
-            expect(relDiff.toNumber()).to.be.lte(errorDelta);
+            expect(output[0].eq(computed.tokenAmountOut)).to.be.true;
+            expect(output[1].eq(computed.spotPriceAfter)).to.be.true;
           }
         }
       });
@@ -215,25 +221,15 @@ describe('reweighTokens()', async () => {
             const tokenOut = tokens[o];
             if (tokenOut == tokenIn) continue;
             const tokenAmountOut = balances[o].div(50);
-            const computed = poolHelper.calcInGivenOut(tokenIn, tokenOut, fromWei(tokenAmountOut), true, true);
-            // increase the approved tokens by 1% because the math on the decimal -> bn
-            // has minor rounding errors
-            await mintAndApprove(tokenIn, toWei(computed[0].mul(1.01)));
-            const output = await verifyWeightChanges(
+            const { tokenAmountIn } = poolHelper.clone().swapExactAmountOut(tokenIn, maxAmountIn, tokenOut, tokenAmountOut);
+            await mintAndApprove(tokenIn, tokenAmountIn.mul(2));
+            const [output, computed] = await verifyWeightChanges(
               tokenIn,
               tokenOut,
-              () => callAndSend('swapExactAmountOut', tokenIn, maxAmountIn, tokenOut, tokenAmountOut, maxPrice)
+              () => sendAndSimulate('swapExactAmountOut', tokenIn, maxAmountIn, tokenOut, tokenAmountOut, maxPrice)
             );
-            // Check the token input amount
-            let expected = computed[0];
-            let actual = fromWei(output[0]);
-            let relDiff = calcRelativeDiff(expected, actual);
-            expect(relDiff.toNumber()).to.be.lte(errorDelta);
-            // Check the resulting spot price
-            expected = computed[1];
-            actual = fromWei(output[1]);
-            relDiff = calcRelativeDiff(expected, actual);
-            expect(relDiff.toNumber()).to.be.lte(errorDelta);
+            expect(output[0].eq(computed.tokenAmountIn)).to.be.true;
+            expect(output[1].eq(computed.spotPriceAfter)).to.be.true;
           }
         }
       });
@@ -244,15 +240,13 @@ describe('reweighTokens()', async () => {
         for (let i = 0; i < tokens.length; i++) {
           const tokenIn = tokens[i];
           const tokenAmountIn = balances[i].div(50);
-          const computed = poolHelper.calcPoolOutGivenSingleIn(tokenIn, fromWei(tokenAmountIn), true);
           await mintAndApprove(tokenIn, tokenAmountIn);
-          const output = await verifyWeightChanges(
+          const [output, computed] = await verifyWeightChanges(
             tokenIn,
             undefined,
-            () => callAndSend('joinswapExternAmountIn', tokenIn, tokenAmountIn, 0)
+            () => sendAndSimulate('joinswapExternAmountIn', tokenIn, tokenAmountIn, 0)
           );
-          const relDiff = calcRelativeDiff(computed, fromWei(output));
-          expect(relDiff.toNumber()).to.be.lte(errorDelta);
+          expect(output.eq(computed)).to.be.true;
         }
       });
 
@@ -262,15 +256,13 @@ describe('reweighTokens()', async () => {
         for (let i = 0; i < tokens.length; i++) {
           const tokenIn = tokens[i];
           const poolAmountOut = toWei(2);
-          const computed = poolHelper.calcSingleInGivenPoolOut(tokenIn, fromWei(poolAmountOut), true);
-          await mintAndApprove(tokenIn, toWei(computed).mul(2));
-          const output = await verifyWeightChanges(
+          await mintAndApprove(tokenIn, poolHelper.clone().joinswapPoolAmountOut(tokenIn, poolAmountOut).mul(2));
+          const [output, computed] = await verifyWeightChanges(
             tokenIn,
             undefined,
-            () => callAndSend('joinswapPoolAmountOut', tokenIn, poolAmountOut, maxPrice)
+            () => sendAndSimulate('joinswapPoolAmountOut', tokenIn, poolAmountOut, maxPrice)
           );
-          const relDiff = calcRelativeDiff(computed, fromWei(output));
-          expect(relDiff.toNumber()).to.be.lte(errorDelta);
+          expect(output.eq(computed)).to.be.true;
         }
       });
     });
@@ -368,15 +360,6 @@ describe('reweighTokens()', async () => {
     it('Sets desiredDenorm of tokens not included in the call to zero', async () => {
       const [tokenToRemove, ...includedTokens] = tokens;
       const [, ...includedDenorms] = denormalizedWeights;
-      poolHelper.records[tokenToRemove].desiredDenorm = 0;
-      poolHelper.tokens.push(newToken.address);
-      poolHelper.records[newToken.address] = {
-        minimumBalance: 1,
-        balance: 0,
-        desiredDenorm: 1,
-        ready: false,
-        totalSupply: 5
-      };
       await indexPool.reindexTokens(
         [...includedTokens, newToken.address],
         [...includedDenorms, toWei(1)],
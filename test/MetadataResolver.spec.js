@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const { expect } = require('chai').use(require('chai-as-promised'));
+
+const MetadataStore = require('../lib/metadataStore');
+const { MetadataResolver } = require('../lib/resolver');
+const { FilesystemProvider } = require('../lib/pinning');
+const { hashJSON, hashContent } = require('../lib/ipfs');
+
+describe('MetadataResolver', () => {
+  let tmpDir, store, provider;
+  const metadata = { name: 'Governance', symbol: 'GOV', description: 'Governance tokens.' };
+  const { json, sha3Hash } = hashJSON(metadata);
+
+  const brokenSource = (buf) => ({
+    name: 'broken',
+    calls: 0,
+    fetch() {
+      this.calls++;
+      if (!buf) return Promise.reject(new Error('unreachable'));
+      return Promise.resolve(buf);
+    }
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'indexed-metadata-'));
+    store = new MetadataStore(path.join(tmpDir, 'cache'));
+    provider = new FilesystemProvider({ dir: path.join(tmpDir, 'pinned') });
+  });
+
+  afterEach(() => {
+    rimraf.sync(tmpDir);
+  });
+
+  it('Falls through failing sources', async () => {
+    await provider.upload(json);
+    const failing = brokenSource();
+    const resolver = new MetadataResolver({ sources: [failing, provider], store });
+    expect(await resolver.resolve(sha3Hash)).to.deep.eq(metadata);
+    expect(failing.calls).to.eq(1);
+  });
+
+  it('Rejects content which does not match the hash', async () => {
+    const tampered = brokenSource(Buffer.from(json.replace('GOV', 'BAD')));
+    const resolver = new MetadataResolver({ sources: [tampered], store });
+    await expect(resolver.resolve(sha3Hash)).to.be.rejectedWith(/returned content with hash/g);
+    expect(store.has(sha3Hash)).to.be.false;
+  });
+
+  it('Caches verified files', async () => {
+    await provider.upload(json);
+    await new MetadataResolver({ sources: [provider], store }).resolve(sha3Hash);
+    expect(store.has(sha3Hash)).to.be.true;
+    const offline = new MetadataResolver({ sources: [], store, offline: true });
+    expect(await offline.resolve(sha3Hash)).to.deep.eq(metadata);
+  });
+
+  it('Fails offline if the file is not cached', async () => {
+    const offline = new MetadataResolver({ sources: [provider], store, offline: true });
+    await expect(offline.resolve(sha3Hash)).to.be.rejectedWith(/not in the metadata store/g);
+  });
+
+  it('Verifies dag-pb content with a codec hint', async () => {
+    const { hash } = hashContent(Buffer.from(json), 'dag-pb');
+    const source = brokenSource(Buffer.from(json));
+    const resolver = new MetadataResolver({ sources: [source], store });
+    await expect(resolver.resolve(hash)).to.be.rejectedWith(/returned content with hash/g);
+    expect(await resolver.resolve(hash, 'dag-pb')).to.deep.eq(metadata);
+    expect(store.has(hash, 'dag-pb')).to.be.true;
+  });
+
+  it('Drops cached files which no longer match their hash', async () => {
+    store.put(sha3Hash, Buffer.from(json));
+    fs.writeFileSync(store.getFilePath(sha3Hash), 'tampered');
+    expect(store.get(sha3Hash)).to.be.undefined;
+    expect(store.has(sha3Hash)).to.be.false;
+  });
+
+  it('Reads files cached under their sha3 hash', async () => {
+    fs.mkdirSync(store.dir, { recursive: true });
+    const legacyPath = path.join(store.dir, `${sha3Hash}.json`);
+    fs.writeFileSync(legacyPath, json);
+    const offline = new MetadataResolver({ sources: [], store, offline: true });
+    expect(await offline.resolve(sha3Hash)).to.deep.eq(metadata);
+    expect(fs.existsSync(legacyPath)).to.be.false;
+    expect(fs.readFileSync(store.getFilePath(sha3Hash), 'utf8')).to.eq(json);
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require('chai');
+const { utils: { Interface, parseEther } } = require('ethers');
+
+const { bmul } = require('../lib/bmath');
+const { PoolHistory, serializeState, deserializeState } = require('../lib/poolHistory');
+const { computeTurnover, toCSV, reportToCSV, reportToJSON, PoolAnalytics } = require('../lib/analytics');
+const { address, timestampOf, transactionHash } = require('./lib/helpers');
+
+const [tokenA, tokenB, user, pool, recipient, newRecipient, zero] = ['aa', 'bb', 'dd', '11', '22', '33', '00'].map(address);
+const transferInterface = new Interface(['event Transfer(address indexed src, address indexed dst, uint256 amt)']);
+
+const snapshot = serializeState(deserializeState({
+  tokens: [tokenA, tokenB],
+  records: {
+    [tokenA]: { ready: true, lastDenormUpdate: 0, denorm: parseEther('12.5'), desiredDenorm: parseEther('12.5'), index: 0, balance: parseEther('100') },
+    [tokenB]: { ready: true, lastDenormUpdate: 0, denorm: parseEther('12.5'), desiredDenorm: parseEther('12.5'), index: 1, balance: parseEther('100') }
+  },
+  minimumBalances: {},
+  totalWeight: parseEther('25'),
+  totalSupply: parseEther('100'),
+  swapFee: parseEther('0.02'),
+  publicSwap: true,
+  exitFeeRecipient: recipient
+}));
+
+const event = (blockNumber, name, args = {}, logIndex = 0) => ({
+  blockNumber,
+  logIndex,
+  timestamp: timestampOf(blockNumber),
+  transactionHash: transactionHash(blockNumber),
+  name,
+  args
+});
+
+const history = new PoolHistory({
+  pool,
+  lastBlock: 30,
+  events: [
+    { ...event(9, 'Snapshot'), state: snapshot },
+    event(12, 'LOG_SWAP', { caller: user, tokenIn: tokenA, tokenOut: tokenB, tokenAmountIn: parseEther('10').toString(), tokenAmountOut: parseEther('9').toString() }),
+    event(15, 'PoolReweighed', { pool }),
+    event(15, 'LOG_DESIRED_DENORM_SET', { token: tokenA, desiredDenorm: parseEther('15').toString() }),
+    event(15, 'LOG_DESIRED_DENORM_SET', { token: tokenB, desiredDenorm: parseEther('10').toString() }),
+    event(22, 'Transfer', { src: pool, dst: zero, amt: parseEther('0.995').toString() }, 1),
+    event(22, 'LOG_EXIT', { caller: user, tokenOut: tokenB, tokenAmountOut: parseEther('1').toString() }, 2),
+    event(25, 'Transfer', { src: zero, dst: pool, amt: parseEther('10').toString() }),
+    event(25, 'LOG_JOIN', { caller: user, tokenIn: tokenA, tokenAmountIn: parseEther('11').toString() }, 1),
+    event(25, 'LOG_JOIN', { caller: user, tokenIn: tokenB, tokenAmountIn: parseEther('9.1').toString() }, 2),
+    event(27, 'LOG_EXIT_FEE_RECIPIENT_UPDATED', { exitFeeRecipient: newRecipient }),
+    event(28, 'Transfer', { src: pool, dst: zero, amt: parseEther('9.95').toString() }, 2),
+    event(28, 'LOG_EXIT', { caller: user, tokenOut: tokenA, tokenAmountOut: parseEther('11').toString() }, 3)
+  ]
+});
+
+// Token A doubles in price at block 20
+const priceOf = (token, blockNumber) => token == tokenA && blockNumber >= 20 ? parseEther('2') : parseEther('1');
+
+function makeAnalytics() {
+  const oracle = {
+    'computeAverageEthForTokens(address[],uint256[],uint256,uint256)': async (tokens, amounts, min, max, { blockTag }) => (
+      tokens.map((token, i) => amounts[i].mul(priceOf(token, blockTag)).div(parseEther('1')))
+    )
+  };
+  const transferLog = (blockNumber, logIndex, dst, amount) => ({
+    blockNumber,
+    logIndex,
+    transactionHash: transactionHash(blockNumber),
+    ...transferInterface.encodeEventLog(transferInterface.getEvent('Transfer'), [pool, dst, amount])
+  });
+  // The transfer in block 25 is not in an exit, and the one to the old recipient in
+  // block 28 is after it was replaced
+  const logs = [
+    transferLog(22, 0, recipient, parseEther('0.005')),
+    transferLog(25, 3, recipient, parseEther('1')),
+    transferLog(28, 0, recipient, parseEther('0.01')),
+    transferLog(28, 1, newRecipient, parseEther('0.05'))
+  ];
+  const provider = {
+    getBlock: async (blockNumber) => ({ timestamp: timestampOf(blockNumber) }),
+    getLogs: async ({ fromBlock, toBlock, topics }) => logs.filter(log => (
+      log.blockNumber >= fromBlock && log.blockNumber <= toBlock && topics[2].includes(log.topics[2])
+    ))
+  };
+  return new PoolAnalytics({ history, oracle, provider });
+}
+
+const format = (value) => value.toString();
+
+describe('lib/analytics.js', () => {
+  it('computeTurnover() is half the absolute change in normalized weights', () => {
+    const turnover = computeTurnover(
+      { [tokenA]: parseEther('12.5'), [tokenB]: parseEther('12.5') },
+      { [tokenA]: parseEther('15'), [tokenB]: parseEther('10') }
+    );
+    expect(format(turnover)).to.eq(format(parseEther('0.1')));
+    expect(format(computeTurnover({ [tokenA]: 1 }, { [tokenB]: 1 }))).to.eq(format(parseEther('1')));
+  });
+
+  it('Computes NAV, returns and fees', async () => {
+    const report = await makeAnalytics().analyze({ fromBlock: 10, step: 10 });
+    expect(report.samples.map(s => s.blockNumber)).to.deep.eq([10, 20, 30]);
+    const [start, middle, end] = report.samples;
+    expect(format(start.nav)).to.eq(format(parseEther('2')));
+    expect(start.timestamp).to.eq(timestampOf(10));
+    // 110 A at 2 + 91 B at 1
+    expect(format(middle.totalValue)).to.eq(format(parseEther('311')));
+    expect(format(middle.nav)).to.eq(format(parseEther('3.11')));
+    expect(format(middle.poolReturn)).to.eq(format(parseEther('0.555')));
+    // 1 A at 2 + 1 B at 1 per pool token
+    expect(format(middle.basketValue)).to.eq(format(parseEther('3')));
+    expect(format(middle.holdReturn)).to.eq(format(parseEther('0.5')));
+    // 2% of 10 A at 2
+    expect(format(middle.swapFees)).to.eq(format(parseEther('0.4')));
+    expect(end.swapFees.isZero()).to.be.true;
+    // Only the transfers made by exits to the recipient at the time are fees, valued at the NAV
+    expect(format(end.exitFees)).to.eq(format(bmul(parseEther('0.055'), end.nav)));
+    expect(format(report.totals.exitFees)).to.eq(format(end.exitFees));
+    expect(format(report.totals.poolReturn)).to.eq(format(end.poolReturn));
+  });
+
+  it('Finds exit fees paid to the recipient at the time of each exit', async () => {
+    const analytics = makeAnalytics();
+    const fees = await analytics.getExitFees(20, 30);
+    expect(fees.map(({ blockNumber, recipient }) => [blockNumber, recipient])).to.deep.eq([[22, recipient], [28, newRecipient]]);
+    expect(fees.map(({ amount }) => format(amount))).to.deep.eq([parseEther('0.005'), parseEther('0.05')].map(format));
+    // Exits in block 28 only pay the new recipient
+    expect(await analytics.getExitFees(28, 30).then(fees => fees.map(fee => fee.recipient))).to.deep.eq([newRecipient]);
+  });
+
+  it('Reports the turnover of reweighs', async () => {
+    const { reweighs, totals } = await makeAnalytics().analyze({ fromBlock: 10, toBlock: 20, step: 100 });
+    expect(reweighs).to.have.length(1);
+    expect(reweighs[0].type).to.eq('reweigh');
+    expect(format(reweighs[0].turnover)).to.eq(format(parseEther('0.1')));
+    // 10% of 110 A + 91 B at 1
+    expect(format(reweighs[0].value)).to.eq(format(parseEther('20.1')));
+    expect(format(totals.turnover)).to.eq(format(parseEther('0.1')));
+  });
+
+  it('Throws for blocks which are not indexed', async () => {
+    let error;
+    await makeAnalytics().analyze({ fromBlock: 5, step: 10 }).catch(err => { error = err; });
+    expect(error.message).to.eq('Block 5 has not been indexed');
+  });
+
+  it('Exports reports as CSV and JSON', async () => {
+    const report = await makeAnalytics().analyze({ fromBlock: 10, toBlock: 20, step: 10 });
+    const { samples, reweighs } = reportToCSV(report);
+    const lines = samples.trim().split('\n');
+    expect(lines[0]).to.eq('blockNumber,timestamp,totalValue,totalSupply,nav,basketValue,poolReturn,holdReturn,swapFees,exitFees');
+    expect(lines[2].split(',').slice(0, 5)).to.deep.eq(['20', `${timestampOf(20)}`, '311.0', '100.0', '3.11']);
+    expect(reweighs.trim().split('\n')[1]).to.eq(`15,${timestampOf(15)},reweigh,0.1,20.1`);
+    expect(toCSV([{ a: 'x,"y"' }], ['a'])).to.eq('a\n"x,""y"""\n');
+    const json = JSON.parse(reportToJSON(report));
+    expect(json.samples[1].nav).to.eq('3.11');
+    expect(json.totals.turnover).to.eq('0.1');
+  });
+});
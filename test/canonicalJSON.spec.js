@@ -0,0 +1,158 @@
+const { expect } = require('chai');
+
+const { canonicalize, legacyStringify, stringify } = require('../lib/canonicalJSON');
+const { hashJSON } = require('../lib/ipfs');
+const publishedCategories = require('./testData/rinkeby-categories.json');
+
+const fromHex = (hex) => Buffer.from(hex, 'hex').readDoubleBE(0);
+
+// Hashes of the categories published with the original serializer.
+const publishedHashes = [
+  '0xb7fcb5cd6dbe7b89690837c68e0459818bfe5557671ec0d1510bbc2390c37852',
+  '0xd1626ec1481c2b1239a86ecf888b47de4745748c08c80d92964312d7f7026b55'
+];
+
+const legacyVectors = [
+  {
+    description: 'stringifies booleans and numbers in objects',
+    input: { b: 2, a: 1, c: { z: true, y: false, x: null } },
+    json: '{"a":"true","b":"2","c":{"x":null,"y":"false","z":"true"}}',
+    sha3Hash: '0x149671672a51569781fa162580ec387c89a0ccb4c199e15892a5564fddce6c76'
+  },
+  {
+    description: 'keeps primitives in arrays',
+    input: { flags: [true, false, 1, 0], n: [1, 2.5, -0] },
+    json: '{"flags":[true,false,1,0],"n":[1,2.5,0]}',
+    sha3Hash: '0x5c262c7e527a3762b86ff40b9f4111188fd988a24eb4cabcb8b570a1cfea3fc0'
+  },
+  {
+    description: 'sorts objects nested in arrays',
+    input: { nested: [{ b: 1, a: [3, { d: 'x', c: 0 }] }] },
+    json: '{"nested":[{"a":[3,{"c":"false","d":"x"}],"b":"true"}]}',
+    sha3Hash: '0x3dbffcc25438814d6c7a0a40903c831fe98e9464d181b278a3b213e6f33ca6d9'
+  },
+  {
+    description: 'converts arrays nested in arrays to objects',
+    input: { grid: [[1, 2], [3]] },
+    json: '{"grid":[{"0":"true","1":"2"},{"0":"3"}]}',
+    sha3Hash: '0xad45bae46c1d21e73632d99095d3df227b2a2a3f4df62940fbf5ec6bb6bfa1bd'
+  },
+  {
+    description: 'loosely compares values to booleans and replaces undefined',
+    input: { u: undefined, e: '', one: '1' },
+    json: '{"e":"false","one":"true","u":"undef"}',
+    sha3Hash: '0x48bff6550f938908d8d818caec47ec90d0bdda11a3c9f2eceedb286cb1fad116'
+  }
+];
+
+// Example from RFC 8785 section 3.2.2
+const rfcInput = String.raw`{
+  "numbers": [333333333.33333329, 1E30, 4.50, 2e-3, 0.000000000000000000000000001],
+  "string": "\u20ac$\u000F\u000aA'\u0042\u0022\u005c\\\"\/",
+  "literals": [null, true, false]
+}`;
+const rfcOutput = String.raw`{"literals":[null,true,false],"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],"string":"€$\u000f\nA'B\"\\\\\"/"}`;
+
+// Number serialization samples from RFC 8785 appendix B
+const numberVectors = [
+  ['0000000000000000', '0'],
+  ['8000000000000000', '0'],
+  ['0000000000000001', '5e-324'],
+  ['8000000000000001', '-5e-324'],
+  ['7fefffffffffffff', '1.7976931348623157e+308'],
+  ['4340000000000000', '9007199254740992'],
+  ['4430000000000000', '295147905179352830000'],
+  ['44b52d02c7e14af5', '9.999999999999997e+22'],
+  ['44b52d02c7e14af6', '1e+23'],
+  ['3eb0c6f7a0b5ed8d', '0.000001'],
+  ['3eb0c6f7a0b5ed8c', '9.999999999999997e-7'],
+  ['41b3de4355555553', '333333333.3333332']
+];
+
+describe('Canonical JSON', () => {
+  describe('legacy mode', () => {
+    it('Reproduces the hashes of published categories', () => {
+      publishedCategories.forEach((category, i) => {
+        expect(hashJSON(category, 'legacy').sha3Hash).to.eq(publishedHashes[i]);
+      });
+    });
+
+    for (let { description, input, json, sha3Hash } of legacyVectors) {
+      it(`Matches golden vector: ${description}`, () => {
+        expect(legacyStringify(input)).to.eq(json);
+        expect(hashJSON(input, 'legacy').sha3Hash).to.eq(sha3Hash);
+      });
+    }
+  });
+
+  describe('strict mode', () => {
+    it('Matches the RFC 8785 example', () => {
+      const json = canonicalize(JSON.parse(rfcInput));
+      expect(json).to.eq(rfcOutput);
+      expect(hashJSON(JSON.parse(rfcInput)).sha3Hash).to.eq(
+        '0xed47bc19a01986061d6f4496edcd2c8498bc87809becef83f4d44a67b171f4e0'
+      );
+    });
+
+    it('Serializes numbers as in RFC 8785', () => {
+      for (let [hex, expected] of numberVectors) {
+        expect(canonicalize(fromHex(hex))).to.eq(expected);
+      }
+    });
+
+    it('Sorts keys by UTF-16 code units', () => {
+      const input = {
+        '\u20ac': 'Euro Sign',
+        '\r': 'Carriage Return',
+        '\ufb33': 'Hebrew Letter Dalet With Dagesh',
+        '1': 'One',
+        '\ud83d\ude00': 'Emoji: Grinning Face',
+        '\u0080': 'Control',
+        '\u00f6': 'Latin Small Letter O With Diaeresis'
+      };
+      expect(canonicalize(input)).to.eq(
+        '{"\\r":"Carriage Return","1":"One","\u0080":"Control","\u00f6":"Latin Small Letter O With Diaeresis",' +
+        '"\u20ac":"Euro Sign","\ud83d\ude00":"Emoji: Grinning Face","\ufb33":"Hebrew Letter Dalet With Dagesh"}'
+      );
+    });
+
+    it('Recurses into objects nested in arrays', () => {
+      expect(canonicalize({ b: [[{ d: 1, c: true }], 'x'], a: null })).to.eq(
+        '{"a":null,"b":[[{"c":true,"d":1}],"x"]}'
+      );
+    });
+
+    it('Produces the same hashes as legacy mode for string-only metadata', () => {
+      publishedCategories.forEach((category, i) => {
+        expect(hashJSON(category).sha3Hash).to.eq(publishedHashes[i]);
+      });
+    });
+
+    it('Rejects values which are not valid I-JSON', () => {
+      const cyclic = {};
+      cyclic.self = cyclic;
+      expect(() => canonicalize({ a: undefined })).to.throw(/Can not serialize undefined at a/);
+      expect(() => canonicalize({ a: [NaN] })).to.throw(/non-finite number at a\[0\]/);
+      expect(() => canonicalize(Infinity)).to.throw(/non-finite number at <root>/);
+      expect(() => canonicalize({ f: () => 1 })).to.throw(/Can not serialize function at f/);
+      expect(() => canonicalize({ s: '\ud800' })).to.throw(/lone surrogate at s/);
+      expect(() => canonicalize(cyclic)).to.throw(/circular reference at self/);
+    });
+
+    it('Allows repeated references which are not cycles', () => {
+      const shared = { x: 1 };
+      expect(canonicalize({ a: shared, b: [shared] })).to.eq('{"a":{"x":1},"b":[{"x":1}]}');
+    });
+  });
+
+  describe('stringify()', () => {
+    it('Defaults to strict mode', () => {
+      expect(stringify({ a: true })).to.eq('{"a":true}');
+      expect(stringify({ a: true }, 'legacy')).to.eq('{"a":"true"}');
+    });
+
+    it('Throws for unknown modes', () => {
+      expect(() => stringify({}, 'loose')).to.throw(/Unknown canonicalization mode/);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const { expect } = require('chai').use(require('chai-as-promised'));
+const { BigNumber } = require('ethers');
+const { getAddress } = require('ethers/lib/utils');
+
+const {
+  readCategoryMetadata,
+  resolveTokenAddresses,
+  getCategoryAddedID,
+  checkAddTokens,
+  checkRemoveTokens,
+  diffTokenLists,
+  formatTokenListDiff
+} = require('../lib/categories');
+const { hashJSON } = require('../lib/ipfs');
+const { address } = require('./lib/helpers');
+
+const metadata = {
+  name: 'Governance',
+  symbol: 'GOV',
+  description: 'Governance tokens.',
+  criteria: ['Token must be used to vote on protocol governance.'],
+  rationale: 'Largest governance tokens with Uniswap liquidity.',
+  version: '1.0.0',
+  tokens: ['BAL', 'UNI']
+};
+
+const balAddress = address('1b');
+
+const fakeDeployments = {
+  getOrNull: async (name) => name == 'bal' ? { address: balAddress.toLowerCase() } : null
+};
+
+describe('lib/categories.js', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'categories-'));
+  });
+
+  after(() => rimraf.sync(dir));
+
+  describe('readCategoryMetadata()', () => {
+    it('Validates and hashes the file', () => {
+      const file = path.join(dir, 'valid.json');
+      fs.writeFileSync(file, JSON.stringify(metadata, null, 2));
+      const result = readCategoryMetadata(file);
+      expect(result.metadata).to.deep.eq(metadata);
+      expect(result.sha3Hash).to.eq(hashJSON(metadata).sha3Hash);
+    });
+
+    it('Throws for invalid files', () => {
+      const file = path.join(dir, 'invalid.json');
+      fs.writeFileSync(file, '{ "name": ');
+      expect(() => readCategoryMetadata(file)).to.throw(/is not valid JSON/);
+      expect(() => readCategoryMetadata(path.join(dir, 'missing.json'))).to.throw(/does not exist/);
+      fs.writeFileSync(file, JSON.stringify({ ...metadata, symbol: 'gov' }));
+      expect(() => readCategoryMetadata(file)).to.throw(/Invalid category metadata/);
+    });
+  });
+
+  describe('resolveTokenAddresses()', () => {
+    it('Resolves addresses and deployment names', async () => {
+      const other = address('ab').toLowerCase();
+      const addresses = await resolveTokenAddresses(fakeDeployments, [other, 'BAL']);
+      expect(addresses).to.deep.eq([getAddress(other), balAddress]);
+    });
+
+    it('Throws for unknown tokens', async () => {
+      await expect(resolveTokenAddresses(fakeDeployments, ['UNI'])).to.be.rejectedWith(/No deployment found for token UNI/);
+    });
+  });
+
+  describe('getCategoryAddedID()', () => {
+    it('Reads the category ID from the receipt', () => {
+      const receipt = { events: [{ event: 'CategoryAdded', args: { categoryID: BigNumber.from(3) } }] };
+      expect(getCategoryAddedID(receipt)).to.eq(3);
+    });
+
+    it('Throws if the event is missing', () => {
+      expect(() => getCategoryAddedID({ events: [], transactionHash: '0x01' })).to.throw(/did not emit CategoryAdded/);
+    });
+  });
+
+  describe('checkAddTokens()', () => {
+    const tokens = (n, offset = 0) => new Array(n).fill(null).map((_, i) => `0x${(i + offset + 1).toString(16).padStart(40, '0')}`);
+    // Controller with the given tokens in category 1
+    const makeController = (current) => ({
+      isTokenInCategory: async (categoryID, token) => {
+        expect(categoryID).to.eq(1);
+        return current.some(t => t.toLowerCase() == token.toLowerCase());
+      },
+      getCategoryTokens: async () => current
+    });
+
+    it('Accepts new tokens', async () => {
+      expect(await checkAddTokens(makeController(tokens(20)), 1, tokens(5, 20))).to.deep.eq([]);
+    });
+
+    it('Rejects tokens already in the category and duplicates', async () => {
+      const [a, b] = tokens(2);
+      expect(await checkAddTokens(makeController([a]), 1, [a.toUpperCase().replace('0X', '0x'), b, b])).to.deep.eq([
+        `${a.toUpperCase().replace('0X', '0x')} is already in the category`,
+        `${b} is listed more than once`
+      ]);
+    });
+
+    it('Rejects more than MAX_CATEGORY_TOKENS', async () => {
+      expect(await checkAddTokens(makeController(tokens(20)), 1, tokens(6, 20))).to.deep.eq([
+        'Category would have 26 tokens, the maximum is 25'
+      ]);
+    });
+  });
+
+  describe('checkRemoveTokens()', () => {
+    it('Rejects tokens which are not in the category', async () => {
+      const controller = { isTokenInCategory: async (categoryID, token) => ['0xaa', '0xbb'].includes(token.toLowerCase()) };
+      expect(await checkRemoveTokens(controller, 1, ['0xBB', '0xcc'])).to.deep.eq(['0xcc is not in the category']);
+    });
+  });
+
+  describe('diffTokenLists()', () => {
+    it('Reports added, removed and moved tokens', () => {
+      const diff = diffTokenLists(['0xa', '0xb', '0xc'], ['0xc', '0xb', '0xd']);
+      expect(diff).to.deep.eq({
+        added: ['0xd'],
+        removed: ['0xa'],
+        moved: [{ token: '0xc', from: 2, to: 0 }]
+      });
+      expect(formatTokenListDiff(diff, { '0xd': 'DAI' })).to.deep.eq([
+        '+ DAI (0xd)',
+        '- 0xa',
+        '~ 0xc 2 -> 0'
+      ]);
+    });
+
+    it('Formats empty diffs', () => {
+      expect(formatTokenListDiff(diffTokenLists(['0xa'], ['0xa']))).to.deep.eq(['No changes']);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const { BigNumber, utils: { parseEther } } = require('ethers');
+
+const { ClaimBatcher } = require('../lib/claims');
+const { address, silentLogger: logger } = require('./lib/helpers');
+
+const accounts = ['a1', 'a2', 'a3', 'a4', 'a5'].map(address);
+
+function makeInitializer({ finished = true } = {}) {
+  // The third account has already claimed
+  const credits = {
+    [accounts[0]]: parseEther('5'),
+    [accounts[1]]: parseEther('3'),
+    [accounts[2]]: BigNumber.from(0),
+    [accounts[3]]: parseEther('1'),
+    [accounts[4]]: parseEther('1')
+  };
+  const sent = [];
+  const initializer = {
+    sent,
+    filters: { TokensContributed: () => 'contributed' },
+    queryFilter: async (filter, fromBlock) => {
+      expect([filter, fromBlock]).to.deep.eq(['contributed', 10]);
+      return [...accounts, accounts[0]].map(from => ({ args: { from } }));
+    },
+    isFinished: async () => finished,
+    getTotalCredit: async () => parseEther('20'),
+    getCreditOf: async (account) => credits[account],
+    estimateGas: {
+      'claimTokens(address[])': async (batch) => BigNumber.from(30000 + 50000 * batch.length)
+    },
+    'claimTokens(address[])': async (batch, overrides) => {
+      sent.push({ batch, overrides });
+      const events = batch.map(account => {
+        const tokens = parseEther('100').mul(credits[account]).div(parseEther('20'));
+        credits[account] = BigNumber.from(0);
+        return { event: 'TokensClaimed', args: { account, tokens } };
+      });
+      return { wait: async () => ({ transactionHash: `0x0${sent.length}`, events: [{ event: 'Transfer' }, ...events] }) };
+    }
+  };
+  return initializer;
+}
+
+describe('lib/claims.js', () => {
+  it('Finds accounts with unclaimed credit', async () => {
+    const batcher = new ClaimBatcher({ initializer: makeInitializer(), logger });
+    const unclaimed = await batcher.getUnclaimed(10);
+    expect(unclaimed.map(u => u.account)).to.deep.eq([accounts[0], accounts[1], accounts[3], accounts[4]]);
+    expect(unclaimed[0].amountOut.toString()).to.eq(parseEther('25').toString());
+  });
+
+  it('Splits claims into batches within the gas limit', async () => {
+    const batcher = new ClaimBatcher({ initializer: makeInitializer(), maxGas: 140000, maxAccounts: 3, logger });
+    const batches = await batcher.getBatches(accounts);
+    expect(batches.map(b => b.accounts.length)).to.deep.eq([2, 2, 1]);
+    expect(batches[0].gas.toNumber()).to.eq(130000);
+    const tooSmall = new ClaimBatcher({ initializer: makeInitializer(), maxGas: 70000, logger });
+    let error;
+    await tooSmall.getBatches(accounts).catch(err => { error = err; });
+    expect(error.message).to.eq(`Claiming for ${accounts[0]} needs 80000 gas, more than the maximum of 70000`);
+  });
+
+  it('Claims for every account and reports the tokens delivered', async () => {
+    const initializer = makeInitializer();
+    const batcher = new ClaimBatcher({ initializer, maxGas: 200000, logger });
+    const report = await batcher.claimAll({ fromBlock: 10, overrides: { gasPrice: 5 } });
+    expect(initializer.sent.map(s => s.batch.length)).to.deep.eq([3, 1]);
+    expect(initializer.sent[0].overrides).to.deep.eq({ gasLimit: BigNumber.from(216000), gasPrice: 5 });
+    expect(report.map(r => [r.delivered.toString(), r.transactionHash])).to.deep.eq([
+      [parseEther('25').toString(), '0x01'],
+      [parseEther('15').toString(), '0x01'],
+      [parseEther('5').toString(), '0x01'],
+      [parseEther('5').toString(), '0x02']
+    ]);
+    expect(await batcher.getUnclaimed(10)).to.deep.eq([]);
+  });
+
+  it('Requires a finished initializer', async () => {
+    const batcher = new ClaimBatcher({ initializer: makeInitializer({ finished: false }), logger });
+    let error;
+    await batcher.claimAll().catch(err => { error = err; });
+    expect(error.message).to.eq('The initializer has not finished');
+  });
+});
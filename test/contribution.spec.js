@@ -0,0 +1,136 @@
+const { expect } = require('chai');
+const { BigNumber, utils: { Interface, parseEther } } = require('ethers');
+
+const { ContributionPlanner } = require('../lib/contribution');
+const { address } = require('./lib/helpers');
+
+const [tokenA, tokenB, tokenC, tokenD, tokenE, weth, initializer] = ['aa', 'bb', 'cc', 'dd', 'ee', 'ff', '11'].map(address);
+
+const initializerInterface = new Interface([
+  'function contributeTokens(address token, uint256 amountIn, uint256 minimumCredit)',
+  'function contributeTokens(address[] tokens, uint256[] amountsIn, uint256 minimumCredit)'
+]);
+
+// TWAP and spot prices in WETH per token
+const twap = { [tokenA]: '1', [tokenB]: '2', [tokenC]: '1', [tokenD]: '3' };
+const spot = { [tokenA]: '0.9', [tokenB]: '1.6', [tokenC]: '1.25' };
+
+function makePlanner(slippage) {
+  const initializerContract = {
+    address: initializer,
+    getDesiredTokens: async () => [tokenA, tokenB, tokenC, tokenD, tokenE],
+    getDesiredAmounts: async () => [parseEther('10'), parseEther('5'), parseEther('10'), parseEther('1'), BigNumber.from(0)],
+    getCreditForTokens: async (token, amountIn) => {
+      if (!twap[token]) throw new Error('ERR_NOT_NEEDED');
+      return amountIn.mul(parseEther(twap[token])).div(parseEther('1'));
+    }
+  };
+  const router = {
+    getAmountsOut: async (amountIn, path) => {
+      expect(path[1]).to.eq(weth);
+      if (!spot[path[0]]) throw new Error('UniswapV2Library: INSUFFICIENT_LIQUIDITY');
+      return [amountIn, amountIn.mul(parseEther(spot[path[0]])).div(parseEther('1'))];
+    }
+  };
+  return new ContributionPlanner({ initializer: initializerContract, router, weth, slippage });
+}
+
+const balances = {
+  [tokenA]: parseEther('20'),
+  [tokenB]: parseEther('2'),
+  [tokenC]: parseEther('4'),
+  [tokenD]: parseEther('1'),
+  [tokenE]: parseEther('1')
+};
+
+describe('lib/contribution.js', () => {
+  it('Ranks tokens by credit per unit of spot value', async () => {
+    const { quotes, skipped } = await makePlanner().getQuotes(balances);
+    expect(quotes.map(q => q.token)).to.deep.eq([tokenA, tokenB, tokenC, tokenD]);
+    // Capped at the remaining amount
+    expect(quotes[0].amountIn.toString()).to.eq(parseEther('10').toString());
+    expect(quotes[1].ratio.toString()).to.eq(parseEther('1.25').toString());
+    expect(quotes[3].spotValue).to.be.undefined;
+    expect(skipped).to.deep.eq([{ token: tokenE, reason: 'not needed' }]);
+  });
+
+  it('Quotes fractions of each contribution and keeps the largest surplus', async () => {
+    const planner = makePlanner();
+    const { getCreditForTokens } = planner.initializer;
+    // Token A is credited at half its TWAP value past 5 tokens
+    planner.initializer.getCreditForTokens = async (token, amountIn) => {
+      if (token != tokenA || amountIn.lte(parseEther('5'))) return getCreditForTokens(token, amountIn);
+      return parseEther('5').add(amountIn.sub(parseEther('5')).div(2));
+    };
+    const { quotes } = await planner.getQuotes(balances);
+    expect(quotes[0].candidates.map(c => c.amountIn.toString())).to.deep.eq(
+      ['10', '5', '2.5'].map(a => parseEther(a).toString())
+    );
+    // 10 tokens earn less than their spot value, 5 earn 0.5 over spot and 2.5 earn 0.25
+    expect(quotes[0].amountIn.toString()).to.eq(parseEther('5').toString());
+    expect(quotes[0].credit.toString()).to.eq(parseEther('5').toString());
+    expect(quotes[0].surplus.toString()).to.eq(parseEther('0.5').toString());
+    expect(quotes[1].amountIn.toString()).to.eq(parseEther('2').toString());
+    // Without spot values the largest amount is kept
+    expect(quotes[3].amountIn.toString()).to.eq(parseEther('1').toString());
+  });
+
+  it('Keeps a larger amount with a lower ratio if it earns more over spot', async () => {
+    const planner = makePlanner();
+    const { getCreditForTokens } = planner.initializer;
+    // Token A is credited at 95% of its TWAP value past 5 tokens
+    planner.initializer.getCreditForTokens = async (token, amountIn) => {
+      if (token != tokenA || amountIn.lte(parseEther('5'))) return getCreditForTokens(token, amountIn);
+      return parseEther('5').add(amountIn.sub(parseEther('5')).mul(95).div(100));
+    };
+    // Uniswap pair with 1000 A and 900 WETH and a 0.3% fee
+    const [reserveIn, reserveOut] = [parseEther('1000'), parseEther('900')];
+    planner.router.getAmountsOut = async (amountIn) => {
+      const amountInWithFee = amountIn.mul(997);
+      return [amountIn, amountInWithFee.mul(reserveOut).div(reserveIn.mul(1000).add(amountInWithFee))];
+    };
+    const { quotes: [quote] } = await planner.getQuotes(balances);
+    const [ten, five, twoAndHalf] = quote.candidates;
+    // 5 tokens have the best ratio, but 10 tokens earn the most credit over their spot value
+    expect(five.ratio.gt(ten.ratio) && five.ratio.gt(twoAndHalf.ratio)).to.be.true;
+    expect(ten.surplus.gt(five.surplus)).to.be.true;
+    expect(quote.amountIn.toString()).to.eq(parseEther('10').toString());
+    expect(quote.surplus.toString()).to.eq(ten.credit.sub(ten.spotValue).toString());
+    // 10 tokens are below a minimum ratio of 1.1, leaving 5 with the largest surplus
+    const { quotes: [strict] } = await planner.getQuotes(balances, { minRatio: parseEther('1.1') });
+    expect(ten.ratio.lt(parseEther('1.1'))).to.be.true;
+    expect(strict.amountIn.toString()).to.eq(parseEther('5').toString());
+  });
+
+  it('Plans the contributions which earn at least their spot value', async () => {
+    const plan = await makePlanner(parseEther('0.01')).plan(balances, { allowances: { [tokenB]: parseEther('2') } });
+    expect(plan.contributions.map(c => c.token)).to.deep.eq([tokenB, tokenA]);
+    expect(plan.skipped.map(s => s.reason)).to.deep.eq(['not needed', 'credit below spot value', 'no spot price']);
+    expect(plan.credit.toString()).to.eq(parseEther('14').toString());
+    expect(plan.minimumCredit.toString()).to.eq(parseEther('13.86').toString());
+    expect(plan.contributions[0].minimumCredit.toString()).to.eq(parseEther('3.96').toString());
+    // Token B is already approved
+    expect(plan.transactions.map(t => [t.to, t.method])).to.deep.eq([
+      [tokenA, 'approve'],
+      [initializer, 'contributeTokens(address[],uint256[],uint256)']
+    ]);
+    const [tokens, amounts, minimumCredit] = initializerInterface.decodeFunctionData(
+      'contributeTokens(address[],uint256[],uint256)',
+      plan.transactions[1].data
+    );
+    expect(tokens).to.deep.eq([tokenB, tokenA]);
+    expect(amounts.map(a => a.toString())).to.deep.eq([parseEther('2').toString(), parseEther('10').toString()]);
+    expect(minimumCredit.toString()).to.eq(parseEther('13.86').toString());
+  });
+
+  it('Uses the single token method and includes unpriced tokens without a minimum ratio', async () => {
+    const single = await makePlanner().plan(balances, { minRatio: parseEther('1.2') });
+    expect(single.transactions.map(t => t.method)).to.deep.eq(['approve', 'contributeTokens(address,uint256,uint256)']);
+    expect(single.transactions[1].args[0]).to.eq(tokenB);
+    const all = await makePlanner().plan(balances, { minRatio: 0 });
+    expect(all.contributions.map(c => c.token)).to.deep.eq([tokenB, tokenA, tokenC, tokenD]);
+    const none = await makePlanner().plan({ [tokenC]: parseEther('1') });
+    expect(none.contributions).to.deep.eq([]);
+    expect(none.transactions).to.deep.eq([]);
+  });
+});
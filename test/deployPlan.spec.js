@@ -0,0 +1,187 @@
+const path = require('path');
+const { expect } = require('chai');
+const { BigNumber, utils: { Interface, getContractAddress, parseUnits } } = require('ethers');
+
+const Deployer = require('../lib/deployer');
+const { DeployPlan, loadDeployScripts } = require('../lib/deployPlan');
+const { address, silentLogger: logger } = require('./lib/helpers');
+
+const [deployer, proxyManager, recordedFactory] = ['01', '02', '03'].map(address);
+const gasPrice = parseUnits('10', 'gwei');
+
+const proxyManagerAbi = ['function approveDeployer(address)'];
+
+// `recorded` maps deployment names to the deployments in the deployments folder.
+function makeBre(recorded = {}) {
+  const sent = [];
+  recorded = { proxyManager: { abi: proxyManagerAbi, address: proxyManager, args: [] }, ...recorded };
+  const artifacts = [];
+  const contractAt = (abi, contractAddress) => ({
+    address: contractAddress,
+    interface: new Interface(abi),
+    populateTransaction: {
+      approveDeployer: async (account, overrides) => ({
+        to: contractAddress,
+        data: new Interface(abi).encodeFunctionData('approveDeployer', [account]),
+        ...overrides
+      })
+    },
+    estimateGas: {
+      approveDeployer: async () => {
+        // Only the proxy manager exists on chain
+        if (contractAddress != proxyManager) throw new Error('no code');
+        return BigNumber.from(50000);
+      }
+    },
+    approveDeployer: async () => sent.push('approveDeployer')
+  });
+  const signer = {
+    getTransactionCount: async (blockTag) => {
+      expect(blockTag).to.eq('pending');
+      return 5;
+    },
+    estimateGas: async ({ data }) => BigNumber.from(data.length * 100),
+    sendTransaction: async (transaction) => {
+      const transactionHash = `0x0${transaction.nonce}`;
+      sent.push(transaction);
+      return { wait: async () => ({ transactionHash }) };
+    }
+  };
+  const deployments = {
+    getOrNull: async (name) => recorded[name] || null,
+    // Stands in for the bytecode and arguments comparison of buidler-deploy.
+    fetchIfDifferent: async (name, options) => {
+      expect(options.contractName).to.be.a('string');
+      const deployment = recorded[name];
+      const differences = !deployment || JSON.stringify(deployment.args) != JSON.stringify(options.args || []);
+      return { differences, address: deployment && deployment.address };
+    },
+    deploy: async () => sent.push('deploy'),
+    save: async (name, deployment) => sent.push(['save', name, deployment])
+  };
+  const ethers = {
+    getSigners: async () => [signer],
+    getContractAt: async (abi, contractAddress) => contractAt(abi, contractAddress),
+    getContract: async () => sent.push('getContract'),
+    getContractFactory: async (artifact) => artifacts.push(artifact) && ({
+      interface: new Interface(proxyManagerAbi),
+      getDeployTransaction: (...args) => ({ data: `0x6000${'00'.repeat(args.length)}` })
+    })
+  };
+  const bre = { ethers, deployments, network: { name: 'localhost' } };
+  bre.deployPlan = new DeployPlan({ ethers, deployments, signer });
+  return { bre, sent, artifacts, signer };
+}
+
+describe('lib/deployPlan.js', () => {
+  it('Plans deployments and transactions without sending them', async () => {
+    const { bre, sent, artifacts } = makeBre();
+    const deploy = await Deployer(bre, logger);
+    const manager = await deploy.getContract('proxyManager');
+    const first = await deploy('PoolFactory', 'poolFactory', { from: deployer, gas: 4000000, gasPrice, args: [proxyManager] });
+    const second = await deploy('PoolFactoryAccessControl', 'poolFactoryAccessControl', { from: deployer, gas: 4000000, gasPrice, nonce: 12 }, true);
+    expect(first.address).to.eq(getContractAddress({ from: deployer, nonce: 5 }));
+    expect(second.address).to.eq(getContractAddress({ from: deployer, nonce: 12 }));
+    expect(second.newlyDeployed).to.be.true;
+    expect(deploy.isPlanned(first.address)).to.be.true;
+    expect(deploy.isPlanned(proxyManager)).to.be.false;
+    expect((await deploy('PoolFactory', 'poolFactory', { from: deployer, gasPrice })).address).to.eq(first.address);
+    expect((await deploy.getContract('PoolFactory')).address).to.eq(first.address);
+
+    await deploy.send('approval', 'Approve factory', manager, 'approveDeployer', [first.address], { gasLimit: 150000, gasPrice });
+    const factory = await deploy.getContract('poolFactory');
+    await deploy.send('call', 'Call factory', factory, 'approveDeployer', [deployer], { gasLimit: 150000, gasPrice });
+    deploy.save('controller', { ...first, address: proxyManager });
+    expect((await deploy.getContract('controller')).address).to.eq(proxyManager);
+
+    expect(sent).to.deep.eq([]);
+    // Contracts are built from the artifact, not the alias they are saved under
+    expect(artifacts).to.deep.eq(['PoolFactory', 'PoolFactoryAccessControl']);
+    const { steps } = bre.deployPlan;
+    expect(steps.map(s => s.description)).to.deep.eq([
+      `Deploy poolFactory [PoolFactory] to ${first.address}`,
+      `Deploy poolFactoryAccessControl [PoolFactoryAccessControl] to ${second.address}`,
+      'Approve factory',
+      'Call factory'
+    ]);
+    expect(steps.map(s => s.gas.toNumber())).to.deep.eq([800, 600, 50000, 150000]);
+    expect(steps.map(s => s.estimated)).to.deep.eq([true, true, true, false]);
+    expect(bre.deployPlan.nonce).to.eq(15);
+    const { gas, cost } = bre.deployPlan.getTotals();
+    expect(gas.toNumber()).to.eq(201400);
+    expect(cost.toString()).to.eq(gasPrice.mul(201400).toString());
+    const lines = bre.deployPlan.format();
+    expect(lines[2]).to.eq('3. [approval] Approve factory - 50000 gas, 0.0005 ETH');
+    expect(lines[3]).to.eq('4. [call] Call factory - 150000 gas*, 0.0015 ETH');
+    expect(lines[4]).to.eq('Total: 4 transactions, 201400 gas*, 0.002014 ETH');
+    expect(lines[5]).to.eq('* 1 of 4 transactions could not be estimated and use their gas limit');
+  });
+
+  it('Plans deployments which differ from the recorded deployment', async () => {
+    const { bre, artifacts } = makeBre({
+      PoolFactory: { abi: proxyManagerAbi, address: recordedFactory, args: [deployer] },
+      PoolFactoryAccessControl: { abi: proxyManagerAbi, address: recordedFactory, args: [] }
+    });
+    const deploy = await Deployer(bre, logger);
+    const factory = await deploy('PoolFactory', 'poolFactory', { from: deployer, gasPrice, args: [proxyManager] });
+    expect(factory.address).to.eq(getContractAddress({ from: deployer, nonce: 5 }));
+    expect(factory.newlyDeployed).to.be.true;
+    const accessControl = await deploy('PoolFactoryAccessControl', 'poolFactoryAccessControl', { from: deployer, gasPrice }, true);
+    expect(accessControl.address).to.eq(recordedFactory);
+    expect(accessControl.newlyDeployed).to.be.false;
+    expect(artifacts).to.deep.eq(['PoolFactory']);
+    expect(bre.deployPlan.steps.map(s => s.description)).to.deep.eq([`Deploy poolFactory [PoolFactory] to ${factory.address}`]);
+  });
+
+  it('Applies the plan by sending the planned transactions', async () => {
+    const { bre, sent } = makeBre();
+    const deploy = await Deployer(bre, logger);
+    const manager = await deploy.getContract('proxyManager');
+    const factory = await deploy('PoolFactory', 'poolFactory', { from: deployer, gas: 4000000, gasPrice, args: [proxyManager] });
+    await deploy.send('approval', 'Approve factory', manager, 'approveDeployer', [factory.address], { gasLimit: 150000, gasPrice });
+    deploy.save('controller', { ...factory, address: proxyManager });
+    const receipts = await bre.deployPlan.apply(logger);
+    expect(receipts.map(r => r.transactionHash)).to.deep.eq(['0x05', '0x06']);
+    const [deployTx, saveName, saveAlias, approveTx, saveController] = sent;
+    expect(deployTx).to.include({ nonce: 5, gasLimit: 4000000, gasPrice });
+    expect(deployTx.to).to.be.undefined;
+    expect([saveName[1], saveAlias[1]]).to.deep.eq(['PoolFactory', 'poolFactory']);
+    expect(saveName[2]).to.include({ address: factory.address, transactionHash: '0x05' });
+    expect(saveName[2].newlyDeployed).to.be.undefined;
+    expect(approveTx).to.include({ to: proxyManager, nonce: 6, gasLimit: 150000 });
+    expect(new Interface(proxyManagerAbi).decodeFunctionData('approveDeployer', approveTx.data)[0]).to.eq(factory.address);
+    expect(saveController.slice(0, 2)).to.deep.eq(['save', 'controller']);
+    expect(saveController[2].address).to.eq(proxyManager);
+    // A transaction sent since planning would change every planned address
+    const { bre: stale, signer: staleSigner } = makeBre();
+    await (await Deployer(stale, logger))('PoolFactory', 'poolFactory', { from: deployer, gasPrice });
+    staleSigner.getTransactionCount = async () => 6;
+    let error;
+    await stale.deployPlan.apply(logger).catch(err => { error = err; });
+    expect(error.message).to.eq(`Planned with nonce 5 but the signer's pending nonce is 6, plan again`);
+  });
+
+  it('Sends transactions without a plan', async () => {
+    const { bre, sent } = makeBre();
+    delete bre.deployPlan;
+    const deploy = await Deployer(bre, logger);
+    const contract = {
+      approveDeployer: async (account, overrides) => {
+        expect(overrides.gasLimit).to.eq(150000);
+        return { wait: async () => ({ transactionHash: '0x01' }) };
+      }
+    };
+    const receipt = await deploy.send('approval', 'Approve', contract, 'approveDeployer', [deployer], { gasLimit: 150000 });
+    expect(receipt.transactionHash).to.eq('0x01');
+    expect(deploy.isPlanned(deployer)).to.be.false;
+    await deploy.getContract('proxyManager');
+    await deploy.save('controller', {});
+    expect(sent).to.deep.eq(['getContract', ['save', 'controller', {}]]);
+  });
+
+  it('loadDeployScripts() filters scripts by tag in file order', () => {
+    const deployDir = path.join(__dirname, 'fixtures', 'deploy');
+    expect(loadDeployScripts(deployDir).map(s => s.file)).to.deep.eq(['a.deploy.js', 'b.deploy.js']);
+    expect(loadDeployScripts(deployDir, ['B']).map(s => s.file)).to.deep.eq(['b.deploy.js']);
+  });
+});
@@ -0,0 +1,117 @@
+const { expect } = require('chai');
+const { utils: { Interface, getAddress, hexZeroPad } } = require('ethers');
+
+const { poolImplementationID, controllerImplementationSalt } = require('../lib/implementationIDs');
+const { IMPLEMENTATION_SLOT, compareBytecode, DeploymentVerifier } = require('../lib/deploymentVerifier');
+const { address } = require('./lib/helpers');
+
+const [
+  deployer, proxyManager, controller, controllerImplementation, poolFactory,
+  accessControl, poolImplementation, holder, other
+] = ['01', '02', '03', '04', '05', '06', '07', '08', '09'].map(address);
+
+const immutable = '00'.repeat(32);
+const recordedCode = (prefix) => `0x${prefix}${immutable}ff`;
+const chainCode = (prefix) => `0x${prefix}${hexZeroPad(proxyManager, 32).slice(2)}ff`;
+
+const iface = new Interface([
+  'function owner() view returns (address)',
+  'function isApprovedDeployer(address) view returns (bool)',
+  'function isApprovedController(address) view returns (bool)',
+  'function getImplementationHolder(bytes32) view returns (address)',
+  'function computeProxyAddressOneToOne(address,bytes32) view returns (address)'
+]);
+
+const deployment = (address, deployedBytecode) => ({ address, deployedBytecode, receipt: { from: deployer } });
+
+const deployments = {
+  controller: deployment(controller, recordedCode('60')),
+  controllerImplementation: deployment(controllerImplementation, recordedCode('60')),
+  poolFactory: deployment(poolFactory, recordedCode('61')),
+  poolFactoryAccessControl: deployment(accessControl, recordedCode('62')),
+  poolImplementation: deployment(poolImplementation, recordedCode('63'))
+};
+
+function makeChain() {
+  const chain = {
+    code: {
+      [controller]: '0x6464',
+      [controllerImplementation]: chainCode('60'),
+      [poolFactory]: chainCode('61'),
+      [accessControl]: chainCode('62'),
+      [poolImplementation]: chainCode('63')
+    },
+    implementation: controllerImplementation,
+    poolImplementation,
+    owners: { [proxyManager]: deployer, [controller]: deployer, [poolFactory]: accessControl, [accessControl]: deployer },
+    approvedDeployers: [poolFactory, controller],
+    approvedControllers: [controller]
+  };
+  const encode = (fn, value) => iface.encodeFunctionResult(fn, [value]);
+  const provider = {
+    getCode: async (account) => chain.code[getAddress(account)] || '0x',
+    getStorageAt: async (account, slot) => {
+      expect(slot).to.eq(IMPLEMENTATION_SLOT);
+      return getAddress(account) == controller ? hexZeroPad(chain.implementation, 32) : hexZeroPad('0x', 32);
+    },
+    call: async ({ to, data }) => {
+      if (to == holder) return hexZeroPad(chain.poolImplementation, 32);
+      const { name, args } = iface.parseTransaction({ data });
+      switch (name) {
+        case 'owner': return chain.owners[to] ? encode(name, chain.owners[to]) : '0x';
+        case 'isApprovedDeployer': return encode(name, chain.approvedDeployers.includes(args[0]));
+        case 'isApprovedController': return encode(name, chain.approvedControllers.includes(args[0]));
+        case 'getImplementationHolder': {
+          expect(args[0]).to.eq(poolImplementationID);
+          return encode(name, holder);
+        }
+        case 'computeProxyAddressOneToOne': {
+          expect(args).to.deep.eq([deployer, controllerImplementationSalt]);
+          return encode(name, controller);
+        }
+      }
+    }
+  };
+  return { chain, verifier: new DeploymentVerifier({ deployments, provider, proxyManager }) };
+}
+
+describe('lib/deploymentVerifier.js', () => {
+  it('compareBytecode() ignores immutables', () => {
+    expect(compareBytecode(recordedCode('60'), chainCode('60'))).to.be.true;
+    expect(compareBytecode(recordedCode('60'), chainCode('61'))).to.be.false;
+    expect(compareBytecode(`0x60${'00'.repeat(31)}ff`, `0x60${'11'.repeat(31)}ff`)).to.be.false;
+    expect(compareBytecode(recordedCode('60'), `${chainCode('60')}00`)).to.be.false;
+  });
+
+  it('Passes when the chain matches the deployments', async () => {
+    const { checks, mismatches } = await makeChain().verifier.verify();
+    expect(mismatches).to.deep.eq([]);
+    expect(checks.filter(c => c.type == 'bytecode').map(c => c.name)).to.deep.eq([
+      'controllerImplementation', 'poolFactory', 'poolFactoryAccessControl', 'poolImplementation'
+    ]);
+    expect(checks.filter(c => c.type == 'implementation').map(c => c.name)).to.deep.eq(['controller', 'poolImplementation']);
+    expect(checks.filter(c => c.type == 'approval')).to.have.length(3);
+  });
+
+  it('Reports drift', async () => {
+    const { chain, verifier } = makeChain();
+    delete chain.code[accessControl];
+    delete chain.owners[accessControl];
+    chain.code[poolFactory] = chainCode('64');
+    chain.implementation = other;
+    chain.poolImplementation = other;
+    chain.owners[poolFactory] = deployer;
+    chain.approvedControllers = [];
+    const { mismatches } = await verifier.verify();
+    expect(mismatches.map(({ type, name }) => `${type} ${name}`)).to.deep.eq([
+      'bytecode poolFactory',
+      'address poolFactoryAccessControl',
+      'implementation controller',
+      'implementation poolImplementation',
+      'owner poolFactory',
+      'owner poolFactoryAccessControl',
+      'approval controller pool controller'
+    ]);
+    expect(mismatches[2]).to.include({ expected: controllerImplementation, actual: other });
+  });
+});
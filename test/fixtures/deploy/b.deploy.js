@@ -0,0 +1,3 @@
+module.exports = async () => {};
+
+module.exports.tags = ['B'];
@@ -1,11 +1,9 @@
 const Decimal = require('decimal.js');
-const PoolHelper = require("../lib/pool-helper");
-const { toWei, fromWei, getTransactionTimestamp, verifyRejection, getFakerContract } = require("../utils");
+const PoolHelper = require("../../lib/poolHelper");
+const { toWei, fromWei, expect, getTransactionTimestamp, verifyRejection, getFakerContract } = require("../utils");
 const { wrappedTokensFixture } = require("./tokens.fixture");
 const { uniswapFixture } = require('./uniswap.fixture');
 
-const swapFee = 0.02;
-
 const poolFixture = async ({ getNamedAccounts, ethers, tokens: _wrappedTokens }) => {
   const { deployer } = await getNamedAccounts();
   const feeRecipient = `0xFFfFfFffFFfffFFfFFfFFFFFffFFFffffFfFFFfF`;
@@ -26,17 +24,17 @@ const poolFixture = async ({ getNamedAccounts, ethers, tokens: _wrappedTokens })
   }
   const denormWeights = [];
   const balances = [];
-  // Set up the weights & balances
-  const poolHelper = new PoolHelper(wrappedTokens, swapFee, 0);
+  // Set up the weights & balances, with weights proportional to the
+  // square root of each token's market cap and summing to 25
+  const marketCapSqrts = wrappedTokens.map(t => Math.sqrt(t.totalSupply * t.price));
+  const sqrtSum = marketCapSqrts.reduce((a, b) => a + b, 0);
   const totalValue = 50;
   for (let i = 0; i < wrappedTokens.length; i++) {
     const token = wrappedTokens[i]
-    const { address, symbol } = token;
-    const { denorm, price } = poolHelper.records[address];
-    const balance = (totalValue * denorm) / price;
+    const denorm = 25 * marketCapSqrts[i] / sqrtSum;
+    const balance = (totalValue * denorm) / token.price;
     denormWeights.push(toWei(denorm));
     balances.push(toWei(balance));
-    poolHelper.records[address].balance = balance;
     // Approve pool to transfer initial balances
     await token.token.approve(indexPool.address, toWei(100000))
   }
@@ -51,6 +49,24 @@ const poolFixture = async ({ getNamedAccounts, ethers, tokens: _wrappedTokens })
     unbindTokenHandler.address
   ));
 
+  // Reads a fresh copy of the pool's state to quote against.
+  const getPoolHelper = () => PoolHelper.fromPool(indexPool);
+
+  // Checks that the pool's state matches a simulated pool to the wei.
+  async function verifyPoolHelper(helper) {
+    expect(await indexPool.getCurrentTokens()).to.deep.eq(helper.tokens);
+    for (let token of helper.tokens) {
+      const record = await indexPool.getTokenRecord(token);
+      const expected = helper.records[token];
+      expect(record.ready).to.eq(expected.ready);
+      expect(record.balance.eq(expected.balance)).to.be.true;
+      expect(record.denorm.eq(expected.denorm)).to.be.true;
+      expect(record.desiredDenorm.eq(expected.desiredDenorm)).to.be.true;
+    }
+    expect((await indexPool.getTotalDenormalizedWeight()).eq(helper.totalWeight)).to.be.true;
+    expect((await indexPool.totalSupply()).eq(helper.totalSupply)).to.be.true;
+  }
+
   async function getPoolData() {
     const tokens = await indexPool.getCurrentTokens();
     const denormalizedWeights = await Promise.all(tokens.map(t => indexPool.getDenormalizedWeight(t)));
@@ -73,10 +89,6 @@ const poolFixture = async ({ getNamedAccounts, ethers, tokens: _wrappedTokens })
     const token = await ethers.getContractAt('MockERC20', tokenAddress);
     await token.getFreeTokens(deployer, amount);
     await token.approve(indexPool.address, amount);
-    const amountDec = Decimal(fromWei(amount));
-    poolHelper.records[tokenAddress].totalSupply = Decimal(
-      poolHelper.records[tokenAddress].totalSupply
-    ).add(amountDec);
   }
   
   const verifyRevert = (...args) => verifyRejection(indexPool, ...args);
@@ -95,7 +107,8 @@ const poolFixture = async ({ getNamedAccounts, ethers, tokens: _wrappedTokens })
     wrappedTokens,
     indexPool,
     unbindTokenHandler,
-    poolHelper,
+    getPoolHelper,
+    verifyPoolHelper,
     getPoolData,
     mintAndApprove,
     from: deployer,
@@ -0,0 +1,94 @@
+const { expect } = require('chai');
+const { BigNumber, utils: { parseEther } } = require('ethers');
+
+const { InitializerTracker, formatDashboard, dashboardToJSON } = require('../lib/initializer');
+const { address, timestampOf, event } = require('./lib/helpers');
+
+const [tokenA, tokenB, tokenC, alice, bob, initializer] = ['aa', 'bb', 'cc', 'a1', 'b1', '11'].map(address);
+const now = 1600086400;
+
+function makeTracker({ finished = false } = {}) {
+  const contributed = [
+    event(100, { from: alice, token: tokenA, amount: parseEther('10'), credit: parseEther('5') }),
+    event(5000, { from: bob, token: tokenA, amount: parseEther('10'), credit: parseEther('6') }),
+    event(5500, { from: bob, token: tokenB, amount: parseEther('2'), credit: parseEther('6') })
+  ];
+  const claimed = finished ? [event(5700, { account: bob, tokens: parseEther('40') })] : [];
+  const initializerContract = {
+    address: initializer,
+    filters: { TokensContributed: () => 'contributed', TokensClaimed: () => 'claimed' },
+    queryFilter: async (filter, fromBlock, toBlock) => {
+      expect([fromBlock, toBlock]).to.deep.eq([0, 5760]);
+      return filter == 'contributed' ? contributed : claimed;
+    },
+    isFinished: async () => finished,
+    getTotalCredit: async () => parseEther('17'),
+    getDesiredTokens: async () => [tokenA, tokenB, tokenC],
+    getDesiredAmounts: async (tokens) => {
+      expect(tokens).to.deep.eq([tokenA, tokenB, tokenC]);
+      return [parseEther('20'), BigNumber.from(0), parseEther('1')];
+    }
+  };
+  const oracle = {
+    'computeAverageEthForTokens(address,uint256,uint256,uint256)': async (token, amount, min, max) => {
+      expect([min, max]).to.deep.eq([1200, 172800]);
+      if (token == tokenC) throw new Error('ERR_USE_FALLBACK_PRICE');
+      return amount.div(2);
+    }
+  };
+  const provider = {
+    getBlock: async (block) => block == 'latest'
+      ? { number: 5760, timestamp: now }
+      : { timestamp: timestampOf(block) }
+  };
+  return new InitializerTracker({ initializer: initializerContract, oracle, provider });
+}
+
+describe('lib/initializer.js', () => {
+  it('Reports remaining tokens, contributors and ETA', async () => {
+    const dashboard = await makeTracker().getDashboard({ window: 7200 });
+    expect(dashboard.finished).to.be.false;
+    expect(dashboard.tokens.map(t => [t.token, t.remaining.toString(), t.contributed.toString()])).to.deep.eq([
+      [tokenA, parseEther('20').toString(), parseEther('20').toString()],
+      [tokenB, '0', parseEther('2').toString()],
+      [tokenC, parseEther('1').toString(), '0']
+    ]);
+    expect(dashboard.tokens[0].value.toString()).to.eq(parseEther('10').toString());
+    expect(dashboard.tokens[2].value).to.be.undefined;
+    expect(dashboard.remainingValue.toString()).to.eq(parseEther('10').toString());
+    expect(dashboard.missingPrices).to.deep.eq([tokenC]);
+    // Only the contribution in block 5500 is in the last two hours
+    expect(dashboard.rate.toString()).to.eq(parseEther('6').div(7200).toString());
+    expect(dashboard.eta).to.be.closeTo(now + 12000, 1);
+    const [first, second] = dashboard.leaderboard;
+    expect(first).to.include({ account: bob, contributions: 2 });
+    expect(first.credit.toString()).to.eq(parseEther('12').toString());
+    expect(second.share.toString()).to.eq('294117647058823529');
+  });
+
+  it('Formats the dashboard as text and JSON', async () => {
+    const tracker = makeTracker({ finished: true });
+    const dashboard = await tracker.getDashboard();
+    expect(dashboard.tokens).to.deep.eq([]);
+    expect(dashboard.eta).to.be.undefined;
+    expect(formatDashboard(dashboard, {}, 1)).to.deep.eq([
+      'Finished with 17.0 WETH of credit',
+      `1. ${bob}: 12.0 WETH (70.59%), claimed 40.0`
+    ]);
+    const json = JSON.parse(dashboardToJSON(dashboard));
+    expect(json.eta).to.be.null;
+    expect(json.leaderboard[1]).to.deep.eq({ account: alice, credit: '5.0', contributions: 1, claimed: '0.0', share: '0.294117647058823529' });
+
+    const open = await makeTracker().getDashboard({ window: 7200 });
+    const lines = formatDashboard(open, { [tokenA]: { symbol: 'AAA', decimals: 18 } });
+    expect(lines.slice(0, 3)).to.deep.eq([
+      '17.0 WETH contributed, 10.0 WETH remaining',
+      'AAA: 20.0 remaining (10.0 WETH), 50.00% contributed',
+      `${tokenB}: 0.0 remaining (0.0 WETH), 100.00% contributed`
+    ]);
+    expect(lines[4]).to.eq('1 tokens have no oracle price and are not in the remaining value');
+    expect(JSON.parse(dashboardToJSON(open)).tokens[2]).to.deep.eq({
+      token: tokenC, remaining: parseEther('1').toString(), contributed: '0', value: null
+    });
+  });
+});
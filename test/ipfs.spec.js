@@ -0,0 +1,103 @@
+const { expect } = require('chai');
+
+const {
+  shaToCid,
+  cidToHash,
+  convertCid,
+  getEquivalentCids,
+  hashContent,
+  hashJSON
+} = require('../lib/ipfs');
+
+// `echo "hello world" | ipfs add` and `ipfs add` of an empty file
+const helloWorld = Buffer.from('hello world\n');
+const helloWorldV0 = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const helloWorldV1 = 'bafybeicg2rebjoofv4kbyovkw7af3rpiitvnl6i7ckcywaq6xjcxnc2mby';
+const helloWorldDigest = '0x46d44814b9c5af141c3aaab7c05dc5e844ead5f91f12858b021eba45768b4c0e';
+const emptyFileV0 = 'QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH';
+
+// Hash of the published Governance category
+const categoryHash = '0xb7fcb5cd6dbe7b89690837c68e0459818bfe5557671ec0d1510bbc2390c37852';
+const categoryCid = 'bafkrmifx7s2423n6poewscbxy2haiwmbrp7fkv3hd3ancuilxqrzbq3yki';
+
+describe('lib/ipfs.js', () => {
+  describe('shaToCid()', () => {
+    it('Defaults to CIDv1 raw sha3-256 in base32', () => {
+      expect(shaToCid(categoryHash)).to.eq(categoryCid);
+    });
+
+    it('Encodes CIDv0 for dag-pb sha2-256', () => {
+      expect(shaToCid(helloWorldDigest, { codec: 'dag-pb', hashAlg: 'sha2-256', version: 0 })).to.eq(helloWorldV0);
+    });
+
+    it('Throws for CIDv0 with another codec', () => {
+      expect(() => shaToCid(categoryHash, { version: 0 })).to.throw(/CIDv0/);
+    });
+  });
+
+  describe('cidToHash()', () => {
+    it('Decodes CIDv0', () => {
+      expect(cidToHash(helloWorldV0)).to.deep.eq({
+        hash: helloWorldDigest,
+        hashAlg: 'sha2-256',
+        codec: 'dag-pb',
+        version: 0,
+        base: 'base58btc'
+      });
+    });
+
+    it('Decodes CIDv1', () => {
+      expect(cidToHash(categoryCid)).to.deep.eq({
+        hash: categoryHash,
+        hashAlg: 'sha3-256',
+        codec: 'raw',
+        version: 1,
+        base: 'base32'
+      });
+    });
+  });
+
+  describe('convertCid()', () => {
+    it('Converts between CIDv0 and CIDv1', () => {
+      expect(convertCid(helloWorldV0)).to.eq(helloWorldV1);
+      expect(convertCid(helloWorldV1, { version: 0 })).to.eq(helloWorldV0);
+    });
+  });
+
+  describe('getEquivalentCids()', () => {
+    it('Returns raw CIDs by default', () => {
+      const cids = getEquivalentCids(categoryHash);
+      expect(cids).to.have.length(2);
+      expect(cids[0]).to.eq(categoryCid);
+      cids.forEach(cid => expect(cidToHash(cid).hash).to.eq(categoryHash));
+    });
+
+    it('Includes CIDv0 for dag-pb', () => {
+      const cids = getEquivalentCids(helloWorldDigest, 'dag-pb');
+      expect(cids).to.have.length(3);
+      expect(cids[0]).to.eq(helloWorldV1);
+      expect(cids[2]).to.eq(helloWorldV0);
+    });
+
+    it('Uses the hash function from the hint', () => {
+      const [cid] = getEquivalentCids(categoryHash, { codec: 'raw', hashAlg: 'sha2-256' });
+      expect(cidToHash(cid).hashAlg).to.eq('sha2-256');
+    });
+
+    it('Throws for unsupported codecs', () => {
+      expect(() => getEquivalentCids(categoryHash, 'dag-cbor')).to.throw(/Unsupported codec/);
+    });
+  });
+
+  describe('hashContent()', () => {
+    it('Matches hashJSON for raw blocks', () => {
+      const { json, sha3Hash, ipfsHash } = hashJSON({ name: 'x' });
+      expect(hashContent(Buffer.from(json))).to.deep.eq({ hash: sha3Hash, cid: ipfsHash });
+    });
+
+    it('Matches ipfs add for dag-pb files', () => {
+      expect(hashContent(helloWorld, 'dag-pb')).to.deep.eq({ hash: helloWorldDigest, cid: helloWorldV1 });
+      expect(convertCid(hashContent(Buffer.alloc(0), 'dag-pb').cid, { version: 0 })).to.eq(emptyFileV0);
+    });
+  });
+});
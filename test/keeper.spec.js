@@ -0,0 +1,150 @@
+const { expect } = require('chai');
+const { BigNumber } = require('ethers');
+
+const {
+  POOL_REWEIGH_DELAY,
+  PRICE_UPDATE_LEAD_TIME,
+  getNextAction,
+  PoolKeeper
+} = require('../lib/keeper');
+const { address, silentLogger } = require('./lib/helpers');
+
+const pool = address('11');
+const tokens = ['aa', 'bb'].map(address);
+const lastReweigh = 1600000000;
+const dueAt = lastReweigh + POOL_REWEIGH_DELAY;
+
+const tx = () => Promise.resolve({ wait: () => Promise.resolve({}) });
+
+function setup({ reweighIndex = 0, observations = {}, canUpdate = true, lastSort = 0 } = {}) {
+  const calls = [];
+  const provider = {
+    getBlockNumber: async () => 10,
+    getBlock: async () => ({ timestamp: provider.timestamp })
+  };
+  const controller = {
+    address: address('cc'),
+    provider,
+    getPoolMeta: async () => ({ initialized: true, categoryID: 1, indexSize: 2, reweighIndex, lastReweigh }),
+    getCategoryTokens: async () => tokens,
+    getLastCategoryUpdate: async () => BigNumber.from(lastSort),
+    orderCategoryTokensByMarketCap: (id) => calls.push(['sort', id]) && tx(),
+    reindexPool: (p) => calls.push(['reindex', p]) && tx(),
+    reweighPool: (p) => calls.push(['reweigh', p]) && tx()
+  };
+  const poolFactory = {
+    filters: { NewPool: () => 'NewPool' },
+    queryFilter: async () => [
+      { args: { pool, controller: controller.address.toUpperCase().replace('0X', '0x') } },
+      { args: { pool: address('22'), controller: address('dd') } }
+    ]
+  };
+  const oracle = {
+    canUpdatePrices: async (list) => list.map(() => canUpdate),
+    getPriceObservationsInRange: async (token, from, to) => (observations[token] || []).filter(t => t >= from && t <= to),
+    updatePrices: (list) => calls.push(['updatePrices', list]) && tx()
+  };
+  const keeper = new PoolKeeper({ controller, poolFactory, oracle, logger: silentLogger });
+  keeper.getRequiredTokens = async () => tokens;
+  return { keeper, provider, calls };
+}
+
+describe('lib/keeper.js', () => {
+  describe('getNextAction()', () => {
+    it('Reindexes after every 3 reweighs', () => {
+      const actions = [0, 1, 2, 3, 4, 5, 6, 7].map(reweighIndex => getNextAction({ reweighIndex, lastReweigh }).action);
+      expect(actions).to.deep.eq([
+        'reweigh', 'reweigh', 'reweigh', 'reindex', 'reweigh', 'reweigh', 'reweigh', 'reindex'
+      ]);
+    });
+
+    it('Handles reweighIndex overflow', () => {
+      expect(getNextAction({ reweighIndex: 255, lastReweigh }).action).to.eq('reindex');
+    });
+
+    it('Is due one week after the last reweigh', () => {
+      expect(getNextAction({ reweighIndex: 0, lastReweigh }).dueAt).to.eq(dueAt);
+    });
+  });
+
+  describe('PoolKeeper', () => {
+    it('Tracks pools deployed by its controller', async () => {
+      const { keeper } = setup();
+      expect(await keeper.syncPools()).to.deep.eq([pool]);
+      expect(keeper.nextBlock).to.eq(11);
+    });
+
+    it('Does nothing before the price update lead time', async () => {
+      const { keeper, provider, calls } = setup();
+      provider.timestamp = dueAt - PRICE_UPDATE_LEAD_TIME - 1;
+      const [result] = await keeper.runOnce();
+      expect(result.status).to.eq('scheduled');
+      expect(calls).to.deep.eq([]);
+    });
+
+    it('Updates prices ahead of the update', async () => {
+      const { keeper, provider, calls } = setup({ observations: { [tokens[0]]: [dueAt - PRICE_UPDATE_LEAD_TIME] } });
+      provider.timestamp = dueAt - 3600;
+      const [result] = await keeper.runOnce();
+      expect(result.status).to.eq('scheduled');
+      expect(calls).to.deep.eq([['updatePrices', [tokens[1]]]]);
+    });
+
+    it('Waits for prices to be old enough', async () => {
+      const { keeper, provider, calls } = setup({ canUpdate: false, observations: { [tokens[0]]: [dueAt - 7200], [tokens[1]]: [dueAt - 7200] } });
+      provider.timestamp = dueAt;
+      const [result] = await keeper.runOnce();
+      expect(result.status).to.eq('waiting-for-prices');
+      expect(calls).to.deep.eq([]);
+    });
+
+    it('Reweighs due pools', async () => {
+      const twoDaysAgo = dueAt - 86400 * 2;
+      const { keeper, provider, calls } = setup({ observations: { [tokens[0]]: [twoDaysAgo], [tokens[1]]: [twoDaysAgo] } });
+      provider.timestamp = dueAt;
+      const [result] = await keeper.runOnce();
+      expect(result).to.deep.eq({ pool, action: 'reweigh', dueAt, status: 'reweighed' });
+      expect(calls).to.deep.eq([['reweigh', pool]]);
+    });
+
+    it('Sorts the category before reindexing', async () => {
+      const twoDaysAgo = dueAt - 86400 * 2;
+      const { keeper, provider, calls } = setup({
+        reweighIndex: 3,
+        lastSort: dueAt - 86400 - 1,
+        observations: { [tokens[0]]: [twoDaysAgo], [tokens[1]]: [twoDaysAgo] }
+      });
+      provider.timestamp = dueAt;
+      const [result] = await keeper.runOnce();
+      expect(result.status).to.eq('reindexed');
+      expect(calls).to.deep.eq([['sort', 1], ['reindex', pool]]);
+    });
+
+    it('Reports errors for a pool without throwing', async () => {
+      const { keeper, provider } = setup();
+      provider.timestamp = dueAt;
+      keeper.controller.getPoolMeta = async () => { throw new Error('ERR_POOL_NOT_FOUND'); };
+      const [result] = await keeper.runOnce();
+      expect(result.status).to.eq('error');
+      expect(result.error.message).to.eq('ERR_POOL_NOT_FOUND');
+    });
+
+    it('Logs failed runs and retries on the next block', async () => {
+      const { keeper, provider } = setup();
+      provider.timestamp = dueAt - PRICE_UPDATE_LEAD_TIME - 1;
+      const errors = [];
+      keeper.logger = { ...silentLogger, error: (message) => errors.push(message) };
+      keeper.local = true;
+      provider.on = (event, listener) => { provider.listener = listener; };
+      provider.off = () => { provider.listener = undefined; };
+      provider.getBlockNumber = async () => { throw new Error('connection refused'); };
+      await keeper.start();
+      expect(errors).to.deep.eq(['Keeper run failed: connection refused']);
+      provider.getBlockNumber = async () => 10;
+      await provider.listener();
+      expect(keeper.pools).to.deep.eq([pool]);
+      keeper.stop();
+      expect(provider.listener).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,24 @@
+const { getAddress } = require('ethers/lib/utils');
+
+// Checksummed address made of a repeated byte, e.g. `address('aa')`.
+const address = (byte) => getAddress(`0x${byte.repeat(20)}`);
+
+// Timestamp of a block in the fake chains, 15 seconds apart.
+const timestampOf = (blockNumber) => 1600000000 + blockNumber * 15;
+
+// Transaction hash unique to a block in the fake chains.
+const transactionHash = (blockNumber) => `0x${blockNumber.toString(16).padStart(64, '0')}`;
+
+// Contract event as returned by `queryFilter`, with the fields the specs use.
+const event = (blockNumber, args) => ({ blockNumber, transactionHash: transactionHash(blockNumber), args });
+
+// Logger which drops all messages.
+const silentLogger = { info() {}, success() {}, error() {} };
+
+module.exports = {
+  address,
+  timestampOf,
+  transactionHash,
+  event,
+  silentLogger
+};
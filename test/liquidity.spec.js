@@ -0,0 +1,144 @@
+const { expect } = require('chai');
+const { utils: { Interface, parseEther } } = require('ethers');
+
+const PoolHelper = require('../lib/poolHelper');
+const { findLargestFitting, findSmallestFitting, LiquidityPlanner } = require('../lib/liquidity');
+const { address } = require('./lib/helpers');
+
+const [tokenA, tokenB, tokenC] = ['aa', 'bb', 'cc'].map(address);
+const pool = address('11');
+const swapFee = parseEther('0.025');
+const slippage = parseEther('0.01');
+
+const poolInterface = new Interface([
+  'function joinPool(uint256 poolAmountOut, uint256[] maxAmountsIn)',
+  'function joinswapExternAmountIn(address tokenIn, uint256 tokenAmountIn, uint256 minPoolAmountOut)'
+]);
+
+function makePlanner(records = {}, minimumBalances = {}) {
+  const balances = { [tokenA]: '100', [tokenB]: '100', [tokenC]: '100' };
+  const tokens = Object.keys(balances);
+  const recordMap = {};
+  for (let token of tokens) {
+    recordMap[token] = { denorm: parseEther('5'), balance: parseEther(balances[token]), ...records[token] };
+  }
+  const helper = new PoolHelper({ tokens, records: recordMap, minimumBalances, totalSupply: parseEther('100'), swapFee });
+  return new LiquidityPlanner(pool, helper, { slippage });
+}
+
+const format = (amount) => amount.toString();
+
+describe('lib/liquidity.js', () => {
+  it('findLargestFitting() and findSmallestFitting() search monotonic predicates', () => {
+    expect(+findLargestFitting(1000, x => x.lte(123))).to.eq(123);
+    expect(+findLargestFitting(1000, () => false)).to.eq(0);
+    expect(+findSmallestFitting(1000, x => x.gte(456))).to.eq(456);
+    expect(findSmallestFitting(1000, () => false)).to.be.undefined;
+  });
+
+  describe('planJoin()', () => {
+    it('Requires exactly one amount', () => {
+      expect(() => makePlanner().planJoin(tokenA, {})).to.throw(/exactly one/);
+    });
+
+    it('Builds a single asset join with a slippage bound', () => {
+      const planner = makePlanner();
+      const { plans } = planner.planJoin(tokenA, { amountIn: parseEther('10') });
+      const single = plans.find(plan => plan.method == 'single');
+      expect(single.transactions).to.have.length(1);
+      const [tx] = single.transactions;
+      expect(tx.to).to.eq(pool);
+      const args = poolInterface.decodeFunctionData('joinswapExternAmountIn', tx.data);
+      expect(args.tokenIn).to.eq(tokenA);
+      expect(format(args.tokenAmountIn)).to.eq(format(parseEther('10')));
+      expect(format(args.minPoolAmountOut)).to.eq(format(planner.minimum(single.amountOut)));
+      expect(format(single.amountOut)).to.eq(format(planner.helper.clone().joinswapExternAmountIn(tokenA, parseEther('10'))));
+    });
+
+    it('Splits joins over the maximum in ratio', () => {
+      const { plans } = makePlanner().planJoin(tokenA, { amountIn: parseEther('120') });
+      const single = plans.find(plan => plan.method == 'single');
+      const amounts = single.transactions.map(tx => tx.args[1]);
+      expect(amounts).to.have.length(2);
+      expect(format(amounts[0])).to.eq(format(parseEther('50')));
+      expect(format(amounts[0].add(amounts[1]))).to.eq(format(parseEther('120')));
+    });
+
+    it('Builds a proportional join which spends at most the amount in', () => {
+      const planner = makePlanner();
+      const { plans } = planner.planJoin(tokenA, { amountIn: parseEther('10') });
+      const proportional = plans.find(plan => plan.method == 'proportional');
+      expect(proportional.transactions.map(tx => tx.method)).to.deep.eq(['swapExactAmountOut', 'swapExactAmountOut', 'joinPool']);
+      expect(proportional.amountIn.lte(parseEther('10'))).to.be.true;
+      expect(proportional.amountIn.gt(parseEther('9.99'))).to.be.true;
+      const join = poolInterface.decodeFunctionData('joinPool', proportional.transactions[2].data);
+      expect(format(join.poolAmountOut)).to.eq(format(proportional.amountOut));
+      // The join takes the exact amounts bought by the swaps
+      expect(format(join.maxAmountsIn[1])).to.eq(format(proportional.transactions[0].args[3]));
+    });
+
+    it('Ranks plans by output', () => {
+      const { best, plans } = makePlanner().planJoin(tokenA, { amountIn: parseEther('40') });
+      expect(plans).to.have.length(2);
+      expect(best).to.eq(plans[0]);
+      expect(plans[0].amountOut.gte(plans[1].amountOut)).to.be.true;
+    });
+
+    it('Plans joins for an exact pool amount', () => {
+      const { plans } = makePlanner().planJoin(tokenA, { poolAmountOut: parseEther('30') });
+      const single = plans.find(plan => plan.method == 'single');
+      expect(single.transactions.length).to.be.gt(1);
+      expect(format(single.amountOut)).to.eq(format(parseEther('30')));
+      expect(single.maxAmountIn.gt(single.amountIn)).to.be.true;
+      const proportional = plans.find(plan => plan.method == 'proportional');
+      expect(format(proportional.amountOut)).to.eq(format(parseEther('30')));
+    });
+
+    it('Can not join proportionally while another token is uninitialized', () => {
+      const planner = makePlanner(
+        { [tokenC]: { ready: false, denorm: 0, desiredDenorm: parseEther('1'), balance: 0 } },
+        { [tokenC]: parseEther('10') }
+      );
+      const { plans, errors } = planner.planJoin(tokenA, { amountIn: parseEther('1') });
+      expect(plans.map(plan => plan.method)).to.deep.eq(['single']);
+      expect(errors[0].method).to.eq('proportional');
+      expect(errors[0].error.message).to.eq('ERR_OUT_NOT_READY');
+    });
+  });
+
+  describe('planExit()', () => {
+    it('Builds a single asset exit', () => {
+      const planner = makePlanner();
+      const { plans } = planner.planExit(tokenA, { poolAmountIn: parseEther('5') });
+      const single = plans.find(plan => plan.method == 'single');
+      expect(single.transactions.map(tx => tx.method)).to.deep.eq(['exitswapPoolAmountIn']);
+      expect(format(single.transactions[0].args[2])).to.eq(format(planner.minimum(single.amountOut)));
+    });
+
+    it('Splits exits over the maximum out ratio', () => {
+      const { plans } = makePlanner().planExit(tokenA, { amountOut: parseEther('50') });
+      const single = plans.find(plan => plan.method == 'single');
+      const amounts = single.transactions.map(tx => tx.args[1]);
+      expect(amounts.length).to.be.gt(1);
+      expect(format(amounts.reduce((a, b) => a.add(b)))).to.eq(format(parseEther('50')));
+    });
+
+    it('Builds a proportional exit which sells the minimum received', () => {
+      const planner = makePlanner();
+      const { plans } = planner.planExit(tokenA, { poolAmountIn: parseEther('5') });
+      const proportional = plans.find(plan => plan.method == 'proportional');
+      expect(proportional.transactions.map(tx => tx.method)).to.deep.eq(['exitPool', 'swapExactAmountIn', 'swapExactAmountIn']);
+      const [exit, swap] = proportional.transactions;
+      expect(format(swap.args[1])).to.eq(format(exit.args[1][1]));
+      expect(format(proportional.dust[tokenB])).to.eq(format(parseEther('4.975').sub(exit.args[1][1])));
+    });
+
+    it('Plans proportional exits for an exact amount out', () => {
+      const { plans } = makePlanner().planExit(tokenA, { amountOut: parseEther('10') });
+      const proportional = plans.find(plan => plan.method == 'proportional');
+      expect(proportional.amountOut.gte(parseEther('10'))).to.be.true;
+      expect(proportional.amountOut.lt(parseEther('10.0001'))).to.be.true;
+      expect(plans[0].amountIn.lte(plans[1].amountIn)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const { expect } = require('chai');
+const { keccak256 } = require('ethers/lib/utils');
+
+const { poolImplementationID, controllerImplementationSalt } = require('../lib/implementationIDs');
+const { buildManifest, generateTypings, writeManifest } = require('../lib/manifest');
+const { address } = require('./lib/helpers');
+
+const deployment = (contractName, addr, {
+  transactionHash = `0x${'ab'.repeat(32)}`,
+  blockNumber = 100,
+  abi = [{ type: 'function', name: `name${contractName}`, inputs: [], outputs: [] }]
+} = {}) => ({
+  address: addr,
+  abi,
+  args: [],
+  metadata: JSON.stringify({ settings: { compilationTarget: { [`contracts/${contractName}.sol`]: contractName } } }),
+  deployedBytecode: `0x60${contractName.length.toString(16).padStart(2, '0')}`,
+  receipt: { transactionHash, blockNumber, contractAddress: addr }
+});
+
+describe('lib/manifest.js', () => {
+  let tmpDir;
+
+  const writeNetwork = (network, chainId, deployments) => {
+    const dir = path.join(tmpDir, network);
+    fs.mkdirSync(dir, { recursive: true });
+    if (chainId) fs.writeFileSync(path.join(dir, '.chainId'), `${chainId}`);
+    for (let name of Object.keys(deployments)) {
+      fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(deployments[name]));
+    }
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'indexed-deployments-'));
+    writeNetwork('mainnet', 1, {
+      controller: deployment('MarketCapSqrtController', address('11')),
+      controllerImplementation: deployment('MarketCapSqrtController', address('22')),
+      MarketCapSqrtController: deployment('MarketCapSqrtController', address('22')),
+      poolImplementation: deployment('IndexPool', address('33'), { blockNumber: 200 })
+    });
+    writeNetwork('rinkeby', 4, {
+      poolFactory: deployment('PoolFactory', address('44')),
+      // Deployed from an older version of the pool
+      poolImplementation: deployment('IndexPool', address('55'), { abi: [{ type: 'function', name: 'oldIndexPool', inputs: [], outputs: [] }] })
+    });
+    writeNetwork('localhost', 31337, {});
+  });
+
+  afterEach(() => {
+    rimraf.sync(tmpDir);
+  });
+
+  it('Exports every network with deployments', () => {
+    const manifest = buildManifest({ deploymentsDir: tmpDir, version: '1.2.3' });
+    expect(manifest.version).to.eq('1.2.3');
+    expect(Object.keys(manifest.networks)).to.deep.eq(['mainnet', 'rinkeby']);
+    expect(manifest.networks.rinkeby.chainId).to.eq(4);
+    expect(Object.keys(manifest.networks.mainnet.abis)).to.deep.eq(['IndexPool', 'MarketCapSqrtController']);
+    expect(Object.keys(manifest.networks.rinkeby.abis)).to.deep.eq(['IndexPool', 'PoolFactory']);
+    const pool = manifest.networks.mainnet.contracts.poolImplementation;
+    expect(pool).to.include({
+      address: address('33'),
+      contractName: 'IndexPool',
+      bytecodeHash: keccak256('0x6009'),
+      transactionHash: `0x${'ab'.repeat(32)}`,
+      blockNumber: 200
+    });
+  });
+
+  it('Keeps the ABI each network was deployed with', () => {
+    const { networks } = buildManifest({ deploymentsDir: tmpDir, version: '1.0.0' });
+    expect(networks.mainnet.abis.IndexPool[0].name).to.eq('nameIndexPool');
+    expect(networks.rinkeby.abis.IndexPool[0].name).to.eq('oldIndexPool');
+  });
+
+  it('Records proxy relationships', () => {
+    const { contracts } = buildManifest({ deploymentsDir: tmpDir, version: '1.0.0' }).networks.mainnet;
+    expect(contracts.controller.proxy).to.deep.eq({
+      type: 'one-to-one',
+      implementation: 'controllerImplementation',
+      salt: controllerImplementationSalt
+    });
+    expect(contracts.controller.bytecodeHash).to.be.null;
+    expect(contracts.controller.implementationOf).to.be.undefined;
+    const implementationOf = { type: 'one-to-one', proxy: 'controller', salt: controllerImplementationSalt };
+    expect(contracts.controllerImplementation.implementationOf).to.deep.eq(implementationOf);
+    expect(contracts.MarketCapSqrtController.implementationOf).to.deep.eq(implementationOf);
+    expect(contracts.poolImplementation.implementationOf).to.deep.eq({ type: 'many-to-one', implementationID: poolImplementationID });
+  });
+
+  it('Generates typings and writes the package files', () => {
+    const manifest = buildManifest({ deploymentsDir: tmpDir, version: '1.0.0' });
+    const typings = generateTypings(manifest);
+    expect(typings).to.include(`export type ContractName = 'IndexPool' | 'MarketCapSqrtController' | 'PoolFactory';`);
+    expect(typings).to.include(`  rinkeby: Network<'poolFactory' | 'poolImplementation', 'IndexPool' | 'PoolFactory'>;`);
+    const outDir = path.join(tmpDir, 'out');
+    writeManifest(manifest, outDir);
+    expect(fs.readdirSync(outDir).sort()).to.deep.eq(['deployments.d.ts', 'deployments.js', 'deployments.json']);
+    expect(require(path.join(outDir, 'deployments.js'))).to.deep.eq(manifest);
+  });
+});
@@ -0,0 +1,98 @@
+const { expect } = require('chai');
+
+const {
+  TWAP_WINDOWS,
+  getTwapStatus,
+  formatPriceReport,
+  PriceFreshnessManager
+} = require('../lib/oracle');
+const { address, silentLogger } = require('./lib/helpers');
+
+const day = 86400;
+const now = 1600000000;
+const tokens = ['aa', 'bb', 'cc'].map(address);
+
+describe('lib/oracle.js', () => {
+  describe('getTwapStatus()', () => {
+    const { long, short } = TWAP_WINDOWS;
+
+    it('Is valid with an observation in the window', () => {
+      expect(getTwapStatus([now - 2 * day, now - 3 * day], now, long)).to.deep.eq({
+        status: 'valid',
+        expiresAt: now - 2 * day + 1.5 * 7 * day
+      });
+    });
+
+    it('Is pending with only recent observations', () => {
+      expect(getTwapStatus([now - 600, now - 300], now, short)).to.deep.eq({
+        status: 'pending',
+        validFrom: now - 600 + 1200
+      });
+    });
+
+    it('Is missing with only expired observations', () => {
+      expect(getTwapStatus([now - 3 * day], now, short)).to.deep.eq({ status: 'missing' });
+      expect(getTwapStatus([], now, long)).to.deep.eq({ status: 'missing' });
+    });
+  });
+
+  describe('PriceFreshnessManager', () => {
+    let observations, updates, manager;
+
+    beforeEach(() => {
+      observations = {
+        [tokens[0]]: [now - 3 * day],
+        [tokens[1]]: [now - 3600]
+      };
+      updates = [];
+      const oracle = {
+        provider: { getBlock: async () => ({ timestamp: now }) },
+        canUpdatePrices: async (list) => list.map(token => token != tokens[1]),
+        getPriceObservationsInRange: async (token, from, to) => (observations[token] || [])
+          .filter(t => t >= from && t <= to)
+          .map(timestamp => ({ timestamp })),
+        updatePrices: async (list) => {
+          updates.push(list);
+          return { wait: async () => ({}) };
+        }
+      };
+      manager = new PriceFreshnessManager({ oracle, batchSize: 1, logger: silentLogger });
+    });
+
+    it('Reports the status of each token', async () => {
+      const report = await manager.getReport(tokens);
+      expect(report.map(r => [r.status, r.needsUpdate])).to.deep.eq([
+        ['valid', false],
+        ['pending', false],
+        ['missing', true]
+      ]);
+      expect(report[1].validFrom).to.eq(now - 3600 + day);
+    });
+
+    it('Throws for unknown windows', async () => {
+      await manager.getReport(tokens, 'medium').then(
+        () => { throw new Error('Expected an error'); },
+        (err) => expect(err.message).to.match(/Unknown TWAP window medium/)
+      );
+    });
+
+    it('Updates missing prices in batches', async () => {
+      const { updated } = await manager.updatePrices(tokens);
+      expect(updated).to.deep.eq([tokens[2]]);
+      expect(updates).to.deep.eq([[tokens[2]]]);
+      // The first token's observation is outside the short window
+      const { updated: short } = await manager.updatePrices(tokens, 'short');
+      expect(short).to.deep.eq([tokens[0], tokens[2]]);
+      expect(updates.slice(1)).to.deep.eq([[tokens[0]], [tokens[2]]]);
+    });
+
+    it('Formats the report', async () => {
+      const report = await manager.getReport(tokens, 'short');
+      expect(formatPriceReport(report, now, { [tokens[0]]: 'WBTC' })).to.deep.eq([
+        `WBTC (${tokens[0]}): missing, valid in 20 minutes if updated now`,
+        `${tokens[1]}: valid, expires in 2 days`,
+        `${tokens[2]}: missing, valid in 20 minutes if updated now`
+      ]);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+
+const { getPinningProvider, FilesystemProvider, IpfsHttpProvider, PinningServiceProvider } = require('../lib/pinning');
+const { hashBuffer, hashJSON } = require('../lib/ipfs');
+const uploadFile = require('../lib/upload');
+
+const json = '{"name":"Governance","symbol":"GOV"}';
+const { ipfsHash } = hashBuffer(Buffer.from(json));
+const otherCid = 'bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy';
+
+// Stand-in for an HTTP API which records the requests it receives and
+// answers each path with `routes[path](request)`, or 404 for other paths.
+function startServer(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = {
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString()
+      };
+      requests.push(request);
+      if (routes[url.pathname]) {
+        res.end(routes[url.pathname](request));
+      } else {
+        res.statusCode = 404;
+        res.end();
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    server,
+    requests,
+    url: `http://127.0.0.1:${server.address().port}/`
+  })));
+}
+
+// Stand-in for the HTTP API of an IPFS node.
+const startNode = () => startServer({
+  '/api/v0/add': () => JSON.stringify({ Name: `${ipfsHash}.json`, Hash: ipfsHash }),
+  '/api/v0/cat': () => json
+});
+
+describe('lib/pinning', () => {
+  describe('FilesystemProvider', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pinning-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('Writes and reads files named by their CID', async () => {
+      const provider = getPinningProvider({ PINNING_PROVIDER: 'filesystem', PINNING_DRY_RUN_DIR: path.join(dir, 'ipfs') });
+      expect(provider).to.be.instanceOf(FilesystemProvider);
+      expect(await provider.upload(json, `${ipfsHash}.json`)).to.eq(ipfsHash);
+      expect(fs.readFileSync(path.join(dir, 'ipfs', `${ipfsHash}.json`), 'utf8')).to.eq(json);
+      expect((await provider.fetch(ipfsHash)).toString()).to.eq(json);
+    });
+  });
+
+  describe('IpfsHttpProvider', () => {
+    let node;
+
+    afterEach(() => new Promise(resolve => node.server.close(resolve)));
+
+    it('Adds files as sha3-256 raw leaves and pins them', async () => {
+      node = await startNode();
+      const provider = getPinningProvider({ PINNING_PROVIDER: 'ipfs', IPFS_API_URL: node.url });
+      expect(provider).to.be.instanceOf(IpfsHttpProvider);
+      expect(await provider.upload(json, `${ipfsHash}.json`)).to.eq(ipfsHash);
+      const [{ path: route, query, body }] = node.requests;
+      expect(route).to.eq('/api/v0/add');
+      expect(query).to.deep.eq({ 'cid-version': '1', 'raw-leaves': 'true', hash: 'sha3-256', pin: 'true' });
+      expect(body).to.include(json);
+      expect(body).to.include(`filename="${ipfsHash}.json"`);
+      expect((await provider.fetch(ipfsHash)).toString()).to.eq(json);
+      expect(node.requests[1].query).to.deep.eq({ arg: ipfsHash });
+    });
+
+    it('Reports rejected uploads', async () => {
+      node = await startNode();
+      const provider = new IpfsHttpProvider({ url: `${node.url}missing` });
+      let error;
+      await provider.upload(json, `${ipfsHash}.json`).catch(err => { error = err; });
+      expect(error.message).to.match(/^IPFS node at .*\/missing rejected upload: 404/);
+    });
+  });
+
+  describe('PinningServiceProvider', () => {
+    let service;
+    let node;
+
+    afterEach(async () => {
+      for (let { server } of [service, node].filter(s => s)) await new Promise(resolve => server.close(resolve));
+      service = node = undefined;
+    });
+
+    const startService = () => startServer({
+      '/pins': ({ body }) => JSON.stringify({ requestid: '1', status: 'queued', pin: JSON.parse(body) })
+    });
+
+    it('Requests a pin of the local CID with the origins', async () => {
+      service = await startService();
+      const provider = getPinningProvider({
+        PINNING_PROVIDER: 'pinning-service',
+        PINNING_SERVICE_URL: service.url,
+        PINNING_SERVICE_TOKEN: 'secret',
+        PINNING_SERVICE_ORIGINS: '/ip4/127.0.0.1/tcp/4001/p2p/QmNode, /dnsaddr/node.example'
+      });
+      expect(provider).to.be.instanceOf(PinningServiceProvider);
+      expect(await provider.upload(json, `${ipfsHash}.json`)).to.eq(ipfsHash);
+      const [{ path: route, headers, body }] = service.requests;
+      expect(route).to.eq('/pins');
+      expect(headers.authorization).to.eq('Bearer secret');
+      expect(JSON.parse(body)).to.deep.eq({
+        cid: ipfsHash,
+        name: `${ipfsHash}.json`,
+        origins: ['/ip4/127.0.0.1/tcp/4001/p2p/QmNode', '/dnsaddr/node.example']
+      });
+    });
+
+    it('Uploads to the source provider before pinning', async () => {
+      service = await startService();
+      node = await startNode();
+      const provider = getPinningProvider({
+        PINNING_PROVIDER: 'pinning-service',
+        PINNING_SERVICE_URL: service.url,
+        PINNING_SERVICE_SOURCE: 'ipfs',
+        IPFS_API_URL: node.url
+      });
+      expect(provider.source).to.be.instanceOf(IpfsHttpProvider);
+      expect(await provider.upload(json, `${ipfsHash}.json`)).to.eq(ipfsHash);
+      expect(node.requests.map(r => r.path)).to.deep.eq(['/api/v0/add']);
+      expect(JSON.parse(service.requests[0].body)).to.deep.eq({ cid: ipfsHash, name: `${ipfsHash}.json` });
+      expect(() => getPinningProvider({ PINNING_PROVIDER: 'pinning-service', PINNING_SERVICE_URL: service.url, PINNING_SERVICE_SOURCE: 'pinning-service' }))
+        .to.throw('PINNING_SERVICE_SOURCE can not be the pinning service');
+    });
+
+    it('Reports rejected pins', async () => {
+      service = await startServer({});
+      const provider = new PinningServiceProvider({ url: service.url, token: 'secret' });
+      let error;
+      await provider.upload(json, `${ipfsHash}.json`).catch(err => { error = err; });
+      expect(error.message).to.match(/^Pinning service at .* rejected pin: /);
+    });
+  });
+
+  describe('uploadFile()', () => {
+    it('Throws if the provider stores the file under another CID', async () => {
+      const metadata = { name: 'Governance', symbol: 'GOV' };
+      const expected = hashJSON(metadata).ipfsHash;
+      const provider = { name: 'test', upload: async () => otherCid };
+      let error;
+      await uploadFile(metadata, provider).catch(err => { error = err; });
+      expect(error.message).to.eq(`test stored file as ${otherCid}, expected ${expected}`);
+      provider.upload = async () => expected;
+      expect((await uploadFile(metadata, provider)).ipfsHash).to.eq(expected);
+    });
+  });
+});
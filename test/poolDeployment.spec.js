@@ -0,0 +1,78 @@
+const { expect } = require('chai');
+const { parseEther } = require('ethers/lib/utils');
+
+const { parsePoolConfig, getPoolDeploymentNames, getNewPoolInitializer } = require('../lib/poolDeployment');
+
+const validConfig = () => ({
+  categoryID: 1,
+  indexSize: 5,
+  initialWethValue: '20.5',
+  name: 'DEFI Top 5 Tokens Index',
+  symbol: 'DEFI5'
+});
+
+describe('lib/poolDeployment.js', () => {
+  describe('parsePoolConfig()', () => {
+    it('Parses a valid config', () => {
+      const { config, errors } = parsePoolConfig({ ...validConfig(), categoryID: '1', indexSize: '5' });
+      expect(errors).to.deep.eq([]);
+      expect(config.categoryID).to.eq(1);
+      expect(config.indexSize).to.eq(5);
+      expect(config.initialWethValue.eq(parseEther('20.5'))).to.be.true;
+    });
+
+    it('Reports missing fields', () => {
+      const { errors } = parsePoolConfig({ categoryID: 1, symbol: '' });
+      expect(errors).to.deep.eq([
+        'indexSize is required',
+        'initialWethValue is required',
+        'name is required',
+        'symbol is required'
+      ]);
+    });
+
+    it('Reports invalid values', () => {
+      const { errors } = parsePoolConfig({
+        ...validConfig(),
+        categoryID: 0,
+        indexSize: 11,
+        initialWethValue: 'abc',
+        symbol: 'DEFI-5'
+      });
+      expect(errors).to.deep.eq([
+        'categoryID must be a positive integer',
+        'indexSize must be an integer from 2 to 10',
+        'initialWethValue must be a decimal amount of ether',
+        'symbol must be alphanumeric'
+      ]);
+    });
+
+    it('Rejects values which are zero or do not fit in a uint144', () => {
+      const message = 'initialWethValue must be greater than 0 and less than 2**144 wei';
+      expect(parsePoolConfig({ ...validConfig(), initialWethValue: `1${'0'.repeat(26)}` }).errors).to.deep.eq([message]);
+      expect(parsePoolConfig({ ...validConfig(), initialWethValue: '0' }).errors).to.deep.eq([message]);
+    });
+  });
+
+  describe('getPoolDeploymentNames()', () => {
+    it('Prefixes the names with the lowercase symbol', () => {
+      expect(getPoolDeploymentNames('DEFI5')).to.deep.eq({
+        pool: 'defi5Pool',
+        initializer: 'defi5PoolInitializer',
+        seller: 'defi5TokenSeller'
+      });
+    });
+  });
+
+  describe('getNewPoolInitializer()', () => {
+    it('Reads the addresses from the receipt', () => {
+      const args = { pool: '0x01', initializer: '0x02' };
+      const receipt = { transactionHash: '0xab', events: [{ event: 'Transfer' }, { event: 'NewPoolInitializer', args }] };
+      expect(getNewPoolInitializer(receipt)).to.deep.eq(args);
+    });
+
+    it('Throws if the event is missing', () => {
+      expect(() => getNewPoolInitializer({ transactionHash: '0xab' })).to.throw('Transaction 0xab did not emit NewPoolInitializer');
+    });
+  });
+});
@@ -0,0 +1,264 @@
+const { expect } = require('chai');
+const { BigNumber } = require('ethers');
+const { formatEther, parseEther } = require('ethers/lib/utils');
+
+const bmath = require('../lib/bmath');
+const PoolHelper = require('../lib/poolHelper');
+const calc = require('./lib/calc_comparisons');
+const { address } = require('./lib/helpers');
+
+const { BONE, MIN_WEIGHT, WEIGHT_UPDATE_DELAY, MIN_BAL_UPDATE_DELAY } = bmath;
+
+const [token0, token1, token2, token3] = ['aa', 'bb', 'cc', 'dd'].map(address);
+const swapFee = parseEther('0.025');
+const timestamp = 1600000000;
+const errorTolerance = 1e-8;
+
+const expectClose = (actual, expected) => {
+  expect(+calc.calcRelativeDiff(expected.toString(), formatEther(actual))).to.be.lte(errorTolerance);
+};
+
+function makePool() {
+  return new PoolHelper({
+    tokens: [token0, token1, token2],
+    records: {
+      [token0]: { denorm: parseEther('6'), balance: parseEther('100'), lastDenormUpdate: timestamp },
+      [token1]: { denorm: parseEther('4'), balance: parseEther('2000'), lastDenormUpdate: timestamp },
+      [token2]: {
+        ready: false,
+        denorm: 0,
+        desiredDenorm: parseEther('1'),
+        balance: parseEther('5'),
+        lastDenormUpdate: timestamp
+      }
+    },
+    minimumBalances: { [token2]: parseEther('10') },
+    totalSupply: parseEther('100'),
+    swapFee,
+    timestamp
+  });
+}
+
+describe('lib/bmath.js', () => {
+  it('bmul() and bdiv() round half up', () => {
+    expect(bmath.bmul(1, BONE.div(2)).toNumber()).to.eq(1);
+    expect(bmath.bmul(1, BONE.div(2).sub(1)).toNumber()).to.eq(0);
+    expect(bmath.bdiv(1, 2).toString()).to.eq(BONE.div(2).toString());
+    expect(() => bmath.bdiv(1, 0)).to.throw('ERR_DIV_ZERO');
+  });
+
+  it('bsub() throws on underflow', () => {
+    expect(() => bmath.bsub(1, 2)).to.throw('ERR_SUB_UNDERFLOW');
+  });
+
+  it('bpow() matches exact powers and approximates fractional ones', () => {
+    expect(bmath.bpow(parseEther('1.5'), parseEther('2')).toString()).to.eq(parseEther('2.25').toString());
+    expectClose(bmath.bpow(parseEther('1.5'), parseEther('2.5')), Math.pow(1.5, 2.5));
+    expect(() => bmath.bpow(BONE.mul(2), BONE)).to.throw('ERR_BPOW_BASE_TOO_HIGH');
+  });
+
+  it('calc functions match the Decimal formulas', () => {
+    const args = ['100', '6', '2000', '4'];
+    const wei = args.map(a => parseEther(a));
+    expectClose(bmath.calcSpotPrice(...wei, swapFee), calc.calcSpotPrice(...args, '0.025'));
+    expectClose(bmath.calcOutGivenIn(...wei, parseEther('10'), swapFee), calc.calcOutGivenIn(...args, '10', '0.025'));
+    expectClose(bmath.calcInGivenOut(...wei, parseEther('10'), swapFee), calc.calcInGivenOut(...args, '10', '0.025'));
+    const joinArgs = ['100', '6', '100', '10'];
+    const joinWei = joinArgs.map(a => parseEther(a));
+    const pairs = [
+      ['calcPoolOutGivenSingleIn', '10'],
+      ['calcSingleInGivenPoolOut', '1'],
+      ['calcSingleOutGivenPoolIn', '1'],
+      ['calcPoolInGivenSingleOut', '10']
+    ];
+    for (let [fn, amount] of pairs) {
+      expectClose(bmath[fn](...joinWei, parseEther(amount), swapFee), calc[fn](...joinArgs, amount, '0.025'));
+    }
+  });
+});
+
+describe('lib/poolHelper.js', () => {
+  describe('fromPool()', () => {
+    it('Reads the pool state', async () => {
+      const records = {
+        [token0]: { bound: true, ready: true, lastDenormUpdate: timestamp, denorm: BONE, desiredDenorm: BONE, index: 0, balance: BONE },
+        [token1]: { bound: true, ready: false, lastDenormUpdate: timestamp, denorm: BigNumber.from(0), desiredDenorm: BONE, index: 1, balance: BigNumber.from(0) }
+      };
+      const pool = {
+        provider: { getBlock: async () => ({ timestamp: timestamp + 10 }) },
+        getCurrentTokens: async () => [token0, token1],
+        getTokenRecord: async (token) => records[token],
+        getMinimumBalance: async () => parseEther('3'),
+        getTotalDenormalizedWeight: async () => BONE,
+        totalSupply: async () => parseEther('100'),
+        getSwapFee: async () => swapFee
+      };
+      const helper = await PoolHelper.fromPool(pool);
+      expect(helper.tokens).to.deep.eq([token0, token1]);
+      expect(helper.timestamp).to.eq(timestamp + 10);
+      expect(helper.getUsedBalance(token1).toString()).to.eq(parseEther('3').toString());
+      expect(helper.totalWeight.toString()).to.eq(BONE.toString());
+    });
+  });
+
+  describe('Queries', () => {
+    it('Prices uninitialized tokens with their minimum balance and a weight premium', () => {
+      const pool = makePool();
+      const { record, realBalance } = pool.getInputToken(token2);
+      expect(realBalance.toString()).to.eq(parseEther('5').toString());
+      expect(record.balance.toString()).to.eq(parseEther('10').toString());
+      expect(record.denorm.toString()).to.eq(parseEther('0.2625').toString());
+      expect(() => pool.getOutputToken(token2)).to.throw('ERR_OUT_NOT_READY');
+      expect(() => pool.getTokenRecord(token3)).to.throw('ERR_NOT_BOUND');
+    });
+
+    it('Sums the initial total weight of ready tokens', () => {
+      expect(makePool().totalWeight.toString()).to.eq(parseEther('10').toString());
+    });
+  });
+
+  describe('Swaps', () => {
+    it('swapExactAmountIn() matches calcOutGivenIn and updates balances', () => {
+      const pool = makePool();
+      const quote = pool.clone();
+      const expected = bmath.calcOutGivenIn(parseEther('100'), parseEther('6'), parseEther('2000'), parseEther('4'), parseEther('1'), swapFee);
+      const { tokenAmountOut, spotPriceAfter } = pool.swapExactAmountIn(token0, parseEther('1'), token1);
+      expect(tokenAmountOut.toString()).to.eq(expected.toString());
+      expect(pool.records[token0].balance.toString()).to.eq(parseEther('101').toString());
+      expect(pool.records[token1].balance.toString()).to.eq(parseEther('2000').sub(expected).toString());
+      expect(spotPriceAfter.toString()).to.eq(pool.getSpotPrice(token0, token1).toString());
+      expect(quote.records[token0].balance.toString()).to.eq(parseEther('100').toString());
+    });
+
+    it('swapExactAmountOut() is the inverse of swapExactAmountIn()', () => {
+      const { tokenAmountIn } = makePool().swapExactAmountOut(token0, parseEther('10'), token1, parseEther('10'));
+      const { tokenAmountOut } = makePool().swapExactAmountIn(token0, tokenAmountIn, token1);
+      expectClose(tokenAmountOut, 10);
+    });
+
+    it('Enforces the ratio and limit checks', () => {
+      const pool = makePool();
+      expect(() => pool.swapExactAmountIn(token0, parseEther('51'), token1)).to.throw('ERR_MAX_IN_RATIO');
+      expect(() => pool.swapExactAmountOut(token0, parseEther('100'), token1, parseEther('700'))).to.throw('ERR_MAX_OUT_RATIO');
+      expect(() => pool.swapExactAmountIn(token0, parseEther('1'), token1, parseEther('100'))).to.throw('ERR_LIMIT_OUT');
+      expect(() => pool.swapExactAmountIn(token0, parseEther('1'), token1, 0, 1)).to.throw('ERR_BAD_LIMIT_PRICE');
+    });
+
+    it('Initializes a token once it reaches its minimum balance', () => {
+      const pool = makePool();
+      pool.swapExactAmountIn(token2, parseEther('1'), token0);
+      expect(pool.records[token2].ready).to.be.false;
+      expect(pool.records[token2].balance.toString()).to.eq(parseEther('6').toString());
+      pool.swapExactAmountIn(token2, parseEther('5'), token0);
+      const record = pool.records[token2];
+      expect(record.ready).to.be.true;
+      expect(record.denorm.toString()).to.eq(parseEther('0.275').toString());
+      expect(pool.minimumBalances[token2].isZero()).to.be.true;
+      expect(pool.totalWeight.toString()).to.eq(parseEther('10.275').toString());
+    });
+
+    it('Moves weights toward their targets by 1% after the update delay', () => {
+      const pool = makePool();
+      pool.reweighTokens([token0, token1, token2], [parseEther('7'), parseEther('3'), parseEther('1')]);
+      pool.swapExactAmountIn(token0, parseEther('1'), token1);
+      expect(pool.records[token0].denorm.toString()).to.eq(parseEther('6').toString());
+      pool.setTimestamp(timestamp + WEIGHT_UPDATE_DELAY);
+      pool.swapExactAmountIn(token0, parseEther('1'), token1);
+      expect(pool.records[token0].denorm.toString()).to.eq(parseEther('6.06').toString());
+      expect(pool.records[token1].denorm.toString()).to.eq(parseEther('3.96').toString());
+      expect(pool.totalWeight.toString()).to.eq(parseEther('10.02').toString());
+    });
+
+    it('Unbinds a token once its weight falls to the minimum', () => {
+      const pool = makePool();
+      pool.records[token1].denorm = MIN_WEIGHT.add(1);
+      pool.totalWeight = parseEther('6').add(MIN_WEIGHT).add(1);
+      pool.reweighTokens([token1], [0]);
+      pool.setTimestamp(timestamp + WEIGHT_UPDATE_DELAY);
+      pool.swapExactAmountIn(token0, parseEther('1'), token1);
+      expect(pool.tokens).to.deep.eq([token0, token2]);
+      expect(pool.records[token2].index).to.eq(1);
+      expect(pool.records[token1]).to.be.undefined;
+      // Matches the contract, which does not subtract the weight of unbound tokens.
+      expect(pool.totalWeight.toString()).to.eq(parseEther('6').add(MIN_WEIGHT).add(1).toString());
+    });
+
+    it('calcWeightIncrease() and calcWeightDecrease() give the next weight', () => {
+      const pool = makePool();
+      pool.reweighTokens([token0, token1], [parseEther('6.03'), parseEther('3')]);
+      expect(pool.calcWeightIncrease(token0).toString()).to.eq(parseEther('6.03').toString());
+      expect(pool.calcWeightDecrease(token1).toString()).to.eq(parseEther('3.96').toString());
+      expect(pool.calcWeightIncrease(token1).toString()).to.eq(parseEther('4').toString());
+      expect(pool.calcWeightIncrease(token2).isZero()).to.be.true;
+    });
+
+    it('updateWeight() applies the update delay', () => {
+      const pool = makePool();
+      pool.reweighTokens([token1], [parseEther('3')]);
+      pool.updateWeight(token1);
+      expect(pool.records[token1].denorm.toString()).to.eq(parseEther('4').toString());
+      pool.setTimestamp(timestamp + WEIGHT_UPDATE_DELAY);
+      pool.updateWeight(token1);
+      expect(pool.records[token1].denorm.toString()).to.eq(parseEther('3.96').toString());
+      expect(pool.records[token1].lastDenormUpdate).to.eq(timestamp + WEIGHT_UPDATE_DELAY);
+    });
+  });
+
+  describe('Liquidity', () => {
+    it('joinPool() pays minimum balances for uninitialized tokens', () => {
+      const pool = makePool();
+      const amounts = pool.joinPool(parseEther('10'));
+      expect(amounts.map(a => formatEther(a))).to.deep.eq(['10.0', '200.0', '1.0']);
+      expect(pool.totalSupply.toString()).to.eq(parseEther('110').toString());
+      expect(pool.records[token2].balance.toString()).to.eq(parseEther('6').toString());
+    });
+
+    it('exitPool() charges the exit fee and skips uninitialized tokens', () => {
+      const pool = makePool();
+      const amounts = pool.exitPool(parseEther('10'));
+      expect(amounts.map(a => formatEther(a))).to.deep.eq(['9.95', '199.0', '0.0']);
+      expect(pool.totalSupply.toString()).to.eq(parseEther('90.05').toString());
+      expect(() => makePool().exitPool(parseEther('10'), [0, 0, 1])).to.throw('ERR_OUT_NOT_READY');
+    });
+
+    it('Single asset joins and exits match the calc functions', () => {
+      const pool = makePool();
+      const poolAmountOut = pool.joinswapExternAmountIn(token0, parseEther('10'));
+      expect(poolAmountOut.toString()).to.eq(
+        bmath.calcPoolOutGivenSingleIn(parseEther('100'), parseEther('6'), parseEther('100'), parseEther('10'), parseEther('10'), swapFee).toString()
+      );
+      const tokenAmountOut = pool.exitswapPoolAmountIn(token0, poolAmountOut);
+      expect(tokenAmountOut.lt(parseEther('10'))).to.be.true;
+      expect(pool.totalSupply.lt(parseEther('100').add(poolAmountOut))).to.be.true;
+      expect(() => makePool().exitswapExternAmountOut(token0, parseEther('34'))).to.throw('ERR_MAX_OUT_RATIO');
+      expect(() => makePool().joinswapExternAmountIn(token0, 0)).to.throw('ERR_ZERO_IN');
+    });
+  });
+
+  describe('Controller actions', () => {
+    it('reindexTokens() binds new tokens and removes missing ones', () => {
+      const pool = makePool();
+      pool.reindexTokens([token0, token3], [parseEther('5'), 1], [parseEther('1'), parseEther('50')]);
+      expect(pool.tokens).to.deep.eq([token0, token1, token2, token3]);
+      expect(pool.records[token1].desiredDenorm.isZero()).to.be.true;
+      expect(pool.records[token3].desiredDenorm.toString()).to.eq(MIN_WEIGHT.toString());
+      expect(pool.getUsedBalance(token3).toString()).to.eq(parseEther('50').toString());
+    });
+
+    it('setMinimumBalance() enforces the update delay', () => {
+      const pool = makePool();
+      expect(() => pool.setMinimumBalance(token2, 1)).to.throw('MIN_BAL_UPDATE_DELAY');
+      pool.setTimestamp(timestamp + MIN_BAL_UPDATE_DELAY);
+      pool.setMinimumBalance(token2, parseEther('20'));
+      expect(pool.getUsedBalance(token2).toString()).to.eq(parseEther('20').toString());
+      expect(() => pool.setMinimumBalance(token0, 1)).to.throw('ERR_READY');
+    });
+
+    it('gulp() initializes tokens above their minimum balance', () => {
+      const pool = makePool();
+      pool.gulp(token2, parseEther('30'));
+      expect(pool.records[token2].ready).to.be.true;
+      expect(pool.records[token2].denorm.toString()).to.eq(MIN_WEIGHT.mul(2).toString());
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const { expect } = require('chai');
+const { utils: { Interface, parseEther } } = require('ethers');
+
+const {
+  poolAbi,
+  controllerAbi,
+  serializeState,
+  deserializeState,
+  PoolHistoryStore,
+  PoolIndexer
+} = require('../lib/poolHistory');
+const { address, timestampOf, transactionHash } = require('./lib/helpers');
+
+const [tokenA, tokenB, tokenC, user, pool, otherPool, controller, recipient, newRecipient] = ['aa', 'bb', 'cc', 'dd', '11', '22', '33', '44', '55']
+  .map(address);
+const zero = address('00');
+const poolInterface = new Interface(poolAbi);
+const controllerInterface = new Interface(controllerAbi);
+
+const initialState = deserializeState({
+  tokens: [tokenA, tokenB],
+  records: {
+    [tokenA]: { ready: true, lastDenormUpdate: 0, denorm: parseEther('10'), desiredDenorm: parseEther('10'), index: 0, balance: parseEther('100') },
+    [tokenB]: { ready: true, lastDenormUpdate: 0, denorm: parseEther('10'), desiredDenorm: parseEther('10'), index: 1, balance: parseEther('100') }
+  },
+  minimumBalances: {},
+  totalWeight: parseEther('20'),
+  totalSupply: parseEther('100'),
+  swapFee: parseEther('0.025'),
+  publicSwap: true,
+  exitFeeRecipient: recipient
+});
+
+function makeLog(iface, address, blockNumber, logIndex, name, args) {
+  const { data, topics } = iface.encodeEventLog(iface.getEvent(name), args);
+  return { address, blockNumber, logIndex, transactionHash: transactionHash(blockNumber), data, topics };
+}
+
+const poolLogs = [
+  [100, 0, 'LOG_SWAP', [user, tokenA, tokenB, parseEther('10'), parseEther('9')]],
+  [101, 1, 'LOG_DESIRED_DENORM_SET', [tokenB, 0]],
+  [101, 2, 'LOG_TOKEN_ADDED', [tokenC, parseEther('1'), parseEther('5')]],
+  [102, 0, 'LOG_SWAP', [user, tokenC, tokenA, parseEther('6'), parseEther('1')]],
+  [102, 1, 'LOG_TOKEN_READY', [tokenC]],
+  [102, 2, 'LOG_DENORM_UPDATED', [tokenC, parseEther('0.3')]],
+  [103, 0, 'Transfer', [zero, pool, parseEther('5')]],
+  [103, 1, 'Transfer', [pool, user, parseEther('5')]],
+  [103, 2, 'LOG_JOIN', [user, tokenA, parseEther('1')]],
+  [103, 3, 'LOG_JOIN', [user, tokenB, parseEther('1')]],
+  [103, 4, 'LOG_JOIN', [user, tokenC, parseEther('1')]],
+  [104, 0, 'LOG_DENORM_UPDATED', [tokenB, parseEther('9.9')]],
+  [104, 1, 'Transfer', [pool, zero, parseEther('2')]],
+  [104, 2, 'LOG_EXIT_FEE_RECIPIENT_UPDATED', [newRecipient]],
+  [105, 0, 'LOG_TOKEN_REMOVED', [tokenA]]
+].map(([blockNumber, logIndex, name, args]) => makeLog(poolInterface, pool, blockNumber, logIndex, name, args));
+
+const controllerLogs = [
+  makeLog(controllerInterface, controller, 101, 0, 'PoolReindexed', [pool]),
+  makeLog(controllerInterface, controller, 102, 5, 'PoolReweighed', [otherPool])
+];
+
+function makeIndexer(store, readState) {
+  const provider = {
+    getBlockNumber: async () => 105,
+    getBlock: async (blockNumber) => ({ timestamp: timestampOf(blockNumber) }),
+    getLogs: async ({ address, fromBlock, toBlock }) => (address == pool ? poolLogs : controllerLogs)
+      .filter(({ blockNumber }) => blockNumber >= fromBlock && blockNumber <= toBlock)
+  };
+  const indexer = new PoolIndexer({ pool, provider, controller, store });
+  indexer.readState = readState;
+  return indexer;
+}
+
+describe('lib/poolHistory.js', () => {
+  let tmpDir, store;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'indexed-pools-'));
+    store = new PoolHistoryStore(tmpDir);
+  });
+
+  afterEach(() => {
+    rimraf.sync(tmpDir);
+  });
+
+  const format = (value) => value.toString();
+
+  // State of the pool after the logs above
+  const finalState = {
+    tokens: [tokenC, tokenB],
+    records: {
+      [tokenC]: { ready: true, lastDenormUpdate: timestampOf(102), denorm: format(parseEther('0.3')), desiredDenorm: format(parseEther('1')), index: 0, balance: format(parseEther('7')) },
+      [tokenB]: { ready: true, lastDenormUpdate: timestampOf(104), denorm: format(parseEther('9.9')), desiredDenorm: '0', index: 1, balance: format(parseEther('92')) }
+    },
+    minimumBalances: {},
+    totalWeight: format(parseEther('20.2')),
+    totalSupply: format(parseEther('103')),
+    swapFee: format(parseEther('0.025')),
+    publicSwap: true,
+    exitFeeRecipient: newRecipient
+  };
+
+  it('Requires a start block for the first sync', async () => {
+    const indexer = makeIndexer(store, async () => initialState);
+    let error;
+    await indexer.sync().catch(err => { error = err; });
+    expect(error.message).to.match(/start block is required/);
+  });
+
+  it('Rebuilds the state after each block from events', async () => {
+    const indexer = makeIndexer(store, async (blockNumber) => blockNumber == 99 ? initialState : deserializeState(finalState));
+    const history = await indexer.sync({ fromBlock: 100, batchSize: 2 });
+    expect(serializeState(history.getState())).to.deep.eq(finalState);
+    expect(history.getEvents({ names: ['Resync'] })).to.have.length(0);
+
+    const stored = store.get(pool);
+    expect(stored.lastBlock).to.eq(105);
+    // Pool token transfers which are not mints or burns and events for other pools are skipped
+    expect(stored.events.map(e => e.name)).to.not.include('PoolReweighed');
+    expect(stored.events.filter(e => e.name == 'Transfer')).to.have.length(2);
+    expect(history.getEvents({ fromBlock: 101, toBlock: 101 }).map(e => e.name)).to.deep.eq([
+      'PoolReindexed',
+      'LOG_DESIRED_DENORM_SET',
+      'LOG_TOKEN_ADDED'
+    ]);
+
+    const afterAdd = history.getState(101);
+    expect(afterAdd.tokens).to.deep.eq([tokenA, tokenB, tokenC]);
+    expect(afterAdd.records[tokenC].ready).to.be.false;
+    expect(format(afterAdd.minimumBalances[tokenC])).to.eq(format(parseEther('5')));
+    expect(history.getState(50)).to.be.undefined;
+    expect(history.getState(106)).to.be.undefined;
+    expect(format(history.getStateAtTime(timestampOf(100) + 14).records[tokenA].balance)).to.eq(format(parseEther('110')));
+  });
+
+  it('Tracks the exit fee recipient', async () => {
+    const indexer = makeIndexer(store, async (blockNumber) => blockNumber == 99 ? initialState : deserializeState(finalState));
+    const history = await indexer.sync({ fromBlock: 100 });
+    expect(history.getState(103).exitFeeRecipient).to.eq(recipient);
+    expect(history.getState(104).exitFeeRecipient).to.eq(newRecipient);
+    // The recipient is updated by the third log of block 104
+    expect(history.getExitFeeRecipient(104, 1)).to.eq(recipient);
+    expect(history.getExitFeeRecipient(104, 3)).to.eq(newRecipient);
+    expect(history.getExitFeeRecipient(105)).to.eq(newRecipient);
+    expect(history.getExitFeeRecipient(99)).to.be.undefined;
+  });
+
+  it('Lists token, supply and weight history', async () => {
+    const indexer = makeIndexer(store, async (blockNumber) => blockNumber == 99 ? initialState : deserializeState(finalState));
+    const history = await indexer.sync({ fromBlock: 100 });
+    const balances = history.getTokenHistory(tokenA.toLowerCase()).map(({ balance }) => format(balance));
+    expect(balances).to.deep.eq(['100', '110', '110', '109', '110', '110'].map(n => format(parseEther(n))));
+    const supply = history.getSupplyHistory({ fromBlock: 103 });
+    expect(supply.map(({ blockNumber }) => blockNumber)).to.deep.eq([103, 104, 105]);
+    expect(supply.map(({ totalSupply }) => format(totalSupply))).to.deep.eq(['105', '103', '103'].map(n => format(parseEther(n))));
+    const helper = history.getPoolHelper(104);
+    expect(helper.timestamp).to.eq(timestampOf(104));
+    expect(helper.tokens).to.deep.eq([tokenA, tokenB, tokenC]);
+    expect(format(helper.getTokenRecord(tokenB).denorm)).to.eq(format(parseEther('9.9')));
+    expect(format(helper.totalWeight)).to.eq(format(parseEther('20.2')));
+  });
+
+  it('Stores a snapshot when the pool differs from the events', async () => {
+    // e.g. tokens absorbed with gulp
+    const gulped = serializeState(initialState);
+    gulped.records[tokenB].balance = format(parseEther('95'));
+    const indexer = makeIndexer(store, async (blockNumber) => deserializeState(blockNumber == 99 ? serializeState(initialState) : gulped));
+    const history = await indexer.sync({ fromBlock: 100, toBlock: 104 });
+    expect(history.getEvents({ names: ['Resync'] }).map(e => e.blockNumber)).to.deep.eq([104]);
+    expect(format(history.getState(104).records[tokenB].balance)).to.eq(format(parseEther('95')));
+    expect(format(history.getState(103).records[tokenB].balance)).to.eq(format(parseEther('92')));
+
+    // Later syncs continue from the last indexed block
+    const removed = { ...gulped, tokens: [tokenB], records: { [tokenB]: { ...gulped.records[tokenB], index: 0 } } };
+    const resumed = await makeIndexer(store, async () => deserializeState(removed)).sync();
+    expect(resumed.lastBlock).to.eq(105);
+    expect(resumed.getState(105).tokens).to.deep.eq([tokenB]);
+    expect(resumed.getEvents({ names: ['Resync'] })).to.have.length(1);
+  });
+});
@@ -0,0 +1,28 @@
+const { expect } = require('chai');
+const { BigNumber, utils: { parseEther } } = require('ethers');
+
+const { estimateEta } = require('../lib/rate');
+
+const now = 1600086400;
+const day = 86400;
+
+describe('lib/rate.js', () => {
+  it('estimateEta() extrapolates the recent rate of a field', () => {
+    const contributions = [
+      { timestamp: now - 90000, credit: parseEther('100') },
+      { timestamp: now - 3600, credit: parseEther('8.64') }
+    ];
+    const { rate, eta } = estimateEta(contributions, 'credit', parseEther('1'), now, day);
+    expect(rate.toString()).to.eq(parseEther('0.0001').toString());
+    expect(eta).to.eq(now + 10000);
+    expect(estimateEta(contributions, 'credit', parseEther('1'), now, 60).eta).to.be.undefined;
+    expect(estimateEta([], 'credit', BigNumber.from(0), now, day).eta).to.eq(now);
+  });
+
+  it('estimateEta() reads amounts with an accessor', () => {
+    const sales = [{ timestamp: now - 3600, sold: { amount: parseEther('8.64') } }];
+    const { rate, eta } = estimateEta(sales, sale => sale.sold.amount, parseEther('1'), now, day);
+    expect(rate.toString()).to.eq(parseEther('0.0001').toString());
+    expect(eta).to.eq(now + 10000);
+  });
+});
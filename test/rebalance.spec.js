@@ -0,0 +1,145 @@
+const { expect } = require('chai');
+const { BigNumber } = require('ethers');
+const { parseEther } = require('ethers/lib/utils');
+
+const { POOL_REWEIGH_DELAY } = require('../lib/keeper');
+const {
+  WEIGHT_MULTIPLIER,
+  sqrt,
+  computeDesiredDenorms,
+  RebalanceSimulator
+} = require('../lib/rebalance');
+const { address } = require('./lib/helpers');
+
+const [tokenA, tokenB, tokenC, tokenD] = ['aa', 'bb', 'cc', 'dd'].map(address);
+const pool = address('11');
+const lastReweigh = 1600000000;
+const dueAt = lastReweigh + POOL_REWEIGH_DELAY;
+
+const format = (values) => values.map(v => v.toString());
+
+function makeRecord(index, denorm, balance = parseEther('10')) {
+  return {
+    bound: true,
+    ready: true,
+    lastDenormUpdate: lastReweigh,
+    denorm: parseEther(denorm),
+    desiredDenorm: parseEther(denorm),
+    index,
+    balance
+  };
+}
+
+function setup({ reweighIndex = 0, marketCaps, categoryTokens = [tokenA, tokenB, tokenC], lastSort = dueAt }) {
+  const records = { [tokenA]: makeRecord(0, '12.5'), [tokenB]: makeRecord(1, '12.5') };
+  const controller = {
+    provider: {},
+    getPoolMeta: async () => ({ initialized: true, categoryID: 1, indexSize: 2, reweighIndex, lastReweigh }),
+    getCategoryTokens: async () => categoryTokens,
+    getLastCategoryUpdate: async () => BigNumber.from(lastSort),
+    computeAverageMarketCaps: async (tokens) => tokens.map(token => marketCaps[token])
+  };
+  const oracle = {
+    'computeAverageTokensForEth(address[],uint256[],uint256,uint256)': async (tokens, amounts) => amounts.map(a => a.mul(2))
+  };
+  const simulator = new RebalanceSimulator({ controller, oracle });
+  simulator.getPoolContract = () => ({
+    getCurrentTokens: async () => [tokenA, tokenB],
+    getCurrentDesiredTokens: async () => [tokenA, tokenB],
+    getTokenRecord: async (token) => records[token],
+    getTotalDenormalizedWeight: async () => parseEther('25'),
+    totalSupply: async () => parseEther('100'),
+    getSwapFee: async () => parseEther('0.025')
+  });
+  simulator.getPoolValue = async () => parseEther('1000');
+  return simulator;
+}
+
+describe('lib/rebalance.js', () => {
+  it('sqrt() rounds down like Babylonian.sol', () => {
+    expect([0, 1, 2, 3, 4, 8, 9, 10].map(n => sqrt(n).toNumber())).to.deep.eq([0, 1, 1, 1, 2, 2, 3, 3]);
+    const big = BigNumber.from(10).pow(36).add(1);
+    expect(sqrt(big).toString()).to.eq(BigNumber.from(10).pow(18).toString());
+  });
+
+  describe('computeDesiredDenorms()', () => {
+    it('Weighs tokens by the square root of their market cap', () => {
+      const denorms = computeDesiredDenorms([parseEther('4'), parseEther('1')]);
+      // sqrt(4) : sqrt(1) = 2 : 1 of 25
+      expect(+denorms[0].sub(parseEther('16.666666666666666666')).abs()).to.be.lte(1);
+      expect(+denorms[1].sub(parseEther('8.333333333333333333')).abs()).to.be.lte(1);
+    });
+
+    it('Never exceeds the weight multiplier', () => {
+      const denorms = computeDesiredDenorms([parseEther('3'), parseEther('7'), parseEther('11')]);
+      const total = denorms.reduce((a, b) => a.add(b));
+      expect(total.lte(WEIGHT_MULTIPLIER)).to.be.true;
+      expect(WEIGHT_MULTIPLIER.sub(total).lte(3)).to.be.true;
+    });
+
+    it('Throws when every market cap is zero', () => {
+      expect(() => computeDesiredDenorms([0, 0])).to.throw(/zero/);
+    });
+  });
+
+  describe('RebalanceSimulator', () => {
+    it('Simulates a reweigh', async () => {
+      const simulator = setup({ marketCaps: { [tokenA]: parseEther('9'), [tokenB]: parseEther('1') } });
+      const result = await simulator.simulate(pool, dueAt);
+      expect(result.action).to.eq('reweigh');
+      expect(result.errors).to.deep.eq([]);
+      expect(format(result.desiredDenorms)).to.deep.eq(format(computeDesiredDenorms([parseEther('9'), parseEther('1')])));
+      expect(result.reweighed.map(r => r.token)).to.deep.eq([tokenA, tokenB]);
+      expect(result.reweighed[0].oldDesiredDenorm.toString()).to.eq(parseEther('12.5').toString());
+      expect(result.added).to.deep.eq([]);
+      expect(result.sellerTokens).to.deep.eq([]);
+      expect(result.minimumBalances).to.be.undefined;
+    });
+
+    it('Reports reweighs which would revert', async () => {
+      const simulator = setup({ marketCaps: { [tokenA]: parseEther('1000000'), [tokenB]: 1 } });
+      const result = await simulator.simulate(pool, dueAt - 1);
+      expect(result.errors).to.deep.eq(['ERR_POOL_REWEIGH_DELAY', 'ERR_MIN_WEIGHT']);
+      expect(result.reweighed).to.deep.eq([]);
+    });
+
+    it('Simulates a reindex', async () => {
+      const simulator = setup({
+        reweighIndex: 3,
+        categoryTokens: [tokenA, tokenC, tokenB, tokenD],
+        marketCaps: { [tokenA]: parseEther('4'), [tokenC]: parseEther('1') }
+      });
+      const result = await simulator.simulate(pool, dueAt);
+      expect(result.action).to.eq('reindex');
+      expect(result.errors).to.deep.eq([]);
+      expect(result.tokens).to.deep.eq([tokenA, tokenC]);
+      expect(result.totalValue.toString()).to.eq(parseEther('1000').toString());
+      // Twice the pool value in tokens, divided by 100
+      expect(format(result.minimumBalances)).to.deep.eq(format([parseEther('20'), parseEther('20')]));
+      expect(result.added).to.have.length(1);
+      expect(result.added[0].token).to.eq(tokenC);
+      expect(result.added[0].minimumBalance.toString()).to.eq(parseEther('20').toString());
+      expect(result.removed.map(r => r.token)).to.deep.eq([tokenB]);
+      expect(result.sellerTokens).to.deep.eq([tokenB]);
+    });
+
+    it('Reports an outdated category sort', async () => {
+      const simulator = setup({
+        reweighIndex: 3,
+        lastSort: dueAt - 86401,
+        marketCaps: { [tokenA]: parseEther('1'), [tokenB]: parseEther('1') }
+      });
+      const result = await simulator.simulate(pool, dueAt);
+      expect(result.errors).to.deep.eq(['ERR_CATEGORY_NOT_READY']);
+    });
+
+    it('Reports categories with fewer tokens than the index size', async () => {
+      const simulator = setup({ reweighIndex: 3, categoryTokens: [tokenA], marketCaps: {} });
+      const result = await simulator.simulate(pool, dueAt);
+      expect(result.errors).to.deep.eq(['ERR_CATEGORY_SIZE']);
+      expect(result.tokens).to.deep.eq([tokenA]);
+      expect([result.added, result.removed, result.reweighed, result.sellerTokens]).to.deep.eq([[], [], [], []]);
+      expect(result.desiredDenorms).to.be.undefined;
+    });
+  });
+});
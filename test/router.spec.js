@@ -0,0 +1,135 @@
+const { expect } = require('chai');
+const { BigNumber } = require('ethers');
+const { parseEther } = require('ethers/lib/utils');
+
+const PoolHelper = require('../lib/poolHelper');
+const { combinePriceImpact, SwapRouter } = require('../lib/router');
+const { address } = require('./lib/helpers');
+
+const [tokenA, tokenB, tokenC, tokenD] = ['aa', 'bb', 'cc', 'dd'].map(address);
+const [pool1, pool2, pool3] = ['11', '22', '33'].map(address);
+const seller1 = address('44');
+const swapFee = parseEther('0.025');
+const timestamp = 1600000000;
+
+function makeHelper(balances, records = {}) {
+  const tokens = Object.keys(balances);
+  const recordMap = {};
+  for (let token of tokens) {
+    recordMap[token] = { denorm: parseEther('5'), balance: parseEther(balances[token]), ...records[token] };
+  }
+  return new PoolHelper({ tokens, records: recordMap, totalSupply: parseEther('100'), swapFee, timestamp });
+}
+
+// A seller which values every token at 1 ether and pays a 2% premium
+function makeSeller(balances) {
+  const premiumPercent = 2;
+  return {
+    address: seller1,
+    premiumPercent,
+    balances,
+    contract: {
+      calcOutGivenIn: async (tokenIn, tokenOut, amountIn) => amountIn.mul(100).div(100 - premiumPercent),
+      calcInGivenOut: async (tokenIn, tokenOut, amountOut) => amountOut.mul(100 - premiumPercent).div(100)
+    }
+  };
+}
+
+function makeRouter(options = {}) {
+  return new SwapRouter({
+    pools: [
+      { address: pool1, helper: makeHelper({ [tokenA]: '1000', [tokenB]: '1000' }) },
+      { address: pool2, helper: makeHelper({ [tokenB]: '1000', [tokenC]: '1000' }) },
+      { address: pool3, helper: makeHelper({ [tokenA]: '10', [tokenC]: '10' }) }
+    ],
+    ...options
+  });
+}
+
+describe('lib/router.js', () => {
+  it('combinePriceImpact() compounds the impact of each hop', () => {
+    expect(combinePriceImpact([parseEther('0.1'), parseEther('0.1')]).toString()).to.eq(parseEther('0.19').toString());
+    expect(combinePriceImpact([]).isZero()).to.be.true;
+  });
+
+  describe('findPaths()', () => {
+    it('Finds direct and multi-hop paths', () => {
+      const paths = makeRouter().findPaths(tokenA, tokenC);
+      expect(paths.map(path => path.map(venue => venue.pool))).to.deep.eq([[pool1, pool2], [pool3]]);
+    });
+
+    it('Respects maxHops', () => {
+      const paths = makeRouter({ maxHops: 1 }).findPaths(tokenA, tokenC);
+      expect(paths).to.have.length(1);
+    });
+
+    it('Does not swap out uninitialized tokens', () => {
+      const helper = makeHelper({ [tokenA]: '10', [tokenD]: '0' }, { [tokenD]: { ready: false, denorm: 0, desiredDenorm: parseEther('1') } });
+      helper.minimumBalances[tokenD] = parseEther('1');
+      const router = new SwapRouter({ pools: [{ address: pool1, helper }] });
+      expect(router.findPaths(tokenA, tokenD)).to.have.length(0);
+      expect(router.findPaths(tokenD, tokenA)).to.have.length(1);
+    });
+  });
+
+  describe('Quotes', () => {
+    it('Picks the route with the most output and breaks down each hop', async () => {
+      const router = makeRouter();
+      const quote = await router.getBestRouteExactIn(tokenA, tokenC, parseEther('5'));
+      expect(quote.tokens).to.deep.eq([tokenA, tokenB, tokenC]);
+      expect(quote.hops).to.have.length(2);
+      expect(quote.amountIn.toString()).to.eq(parseEther('5').toString());
+      expect(quote.hops[1].amountIn.toString()).to.eq(quote.hops[0].amountOut.toString());
+      expect(quote.amountOut.toString()).to.eq(quote.hops[1].amountOut.toString());
+      expect(quote.hops[0].fee.toString()).to.eq(parseEther('0.125').toString());
+      expect(quote.hops[0].feeToken).to.eq(tokenA);
+      expect(quote.priceImpact.gt(quote.hops[0].priceImpact)).to.be.true;
+      // The pool state is not changed by quoting
+      expect(router.pools[0].helper.records[tokenA].balance.toString()).to.eq(parseEther('1000').toString());
+    });
+
+    it('Exact output quotes are the inverse of exact input quotes', async () => {
+      const router = makeRouter();
+      const quote = await router.getBestRouteExactOut(tokenA, tokenC, parseEther('4'));
+      expect(quote.tokens).to.deep.eq([tokenA, tokenB, tokenC]);
+      expect(quote.amountOut.toString()).to.eq(parseEther('4').toString());
+      const forward = await router.quotePath(quote.path, quote.amountIn, true);
+      expect(+forward.amountOut.sub(parseEther('4')).abs()).to.be.lte(1e6);
+    });
+
+    it('Quotes the unbound token seller', async () => {
+      const seller = makeSeller({ [tokenD]: parseEther('10') });
+      const router = new SwapRouter({
+        pools: [
+          { address: pool1, helper: makeHelper({ [tokenA]: '1000', [tokenB]: '1000' }), seller },
+          { address: pool2, helper: makeHelper({ [tokenB]: '1000', [tokenC]: '1000' }) }
+        ]
+      });
+      const quote = await router.getBestRouteExactIn(tokenC, tokenD, parseEther('1'));
+      expect(quote.hops.map(hop => hop.type)).to.deep.eq(['pool', 'seller']);
+      const sellerHop = quote.hops[1];
+      expect(sellerHop.address).to.eq(seller1);
+      expect(sellerHop.priceImpact.isZero()).to.be.true;
+      expect(sellerHop.premium.gt(0)).to.be.true;
+    });
+
+    it('Reports paths which can not be quoted', async () => {
+      const seller = makeSeller({ [tokenD]: parseEther('1') });
+      const router = new SwapRouter({
+        pools: [{ address: pool1, helper: makeHelper({ [tokenA]: '1000', [tokenB]: '1000' }), seller }]
+      });
+      const { quotes, errors } = await router.quoteAll(tokenA, tokenD, parseEther('5'));
+      expect(quotes).to.have.length(0);
+      expect(errors).to.have.length(1);
+      expect(errors[0].error.message).to.eq('ERR_INSUFFICIENT_BALANCE');
+      expect(await router.getBestRouteExactIn(tokenA, tokenD, parseEther('5'))).to.be.undefined;
+    });
+
+    it('Skips swaps over the maximum in ratio', async () => {
+      const { quotes, errors } = await makeRouter().quoteAll(tokenA, tokenC, parseEther('6'));
+      expect(quotes.map(quote => quote.hops.length)).to.deep.eq([2]);
+      expect(errors[0].error.message).to.eq('ERR_MAX_IN_RATIO');
+      expect(BigNumber.isBigNumber(quotes[0].amountOut)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,166 @@
+const { expect } = require('chai');
+const { BigNumber, utils: { parseEther } } = require('ethers');
+
+const { GAS_ESTIMATES, SellerArbitrageBot } = require('../lib/sellerBot');
+const { address, silentLogger: logger } = require('./lib/helpers');
+
+const [tokenA, tokenB, tokenC, weth, seller, router, bot, pool] = ['aa', 'bb', 'cc', 'ff', '11', '22', '33', '44'].map(address);
+const tx = (hash) => Promise.resolve({ wait: () => Promise.resolve({ transactionHash: hash }) });
+
+// The seller values every token at 1 ether and pays a 2% premium.
+// Uniswap trades every pair at 1:1 with a 0.3% fee per hop.
+const applyFee = (amount, hops) => {
+  for (let i = 0; i < hops; i++) amount = amount.mul(997).div(1000);
+  return amount;
+};
+const removeFee = (amount, hops) => {
+  for (let i = 0; i < hops; i++) amount = amount.mul(1000).div(997).add(1);
+  return amount;
+};
+
+function setup({ sellerBalances = { [tokenA]: parseEther('10'), [tokenB]: BigNumber.from(0) }, botBalance = 0, allowance = 0 } = {}) {
+  const calls = [];
+  const provider = {
+    getBlockNumber: async () => 20,
+    getBlock: async () => ({ timestamp: 1600000000 }),
+    getGasPrice: async () => BigNumber.from(1e9)
+  };
+  const sellerContract = {
+    address: seller,
+    provider,
+    signer: { getAddress: async () => bot },
+    filters: { NewTokensToSell: () => 'NewTokensToSell' },
+    queryFilter: async (filter, from, to) => {
+      expect([filter, from, to]).to.deep.eq(['NewTokensToSell', 5, 20]);
+      return [tokenA, tokenB, tokenA].map(token => ({ args: { token } }));
+    },
+    calcInGivenOut: async (tokenIn, tokenOut, amountOut) => amountOut.mul(98).div(100),
+    calcOutGivenIn: async (tokenIn, tokenOut, amountIn) => {
+      // Token C has no short TWAP price
+      if (tokenIn == tokenC) throw new Error('ERR_NO_PRICE');
+      return amountIn.mul(100).div(98);
+    },
+    callStatic: {
+      executeSwapTokensForExactTokens: async (...args) => {
+        calls.push(['callStatic', ...args]);
+        return parseEther('0.1');
+      },
+      swapExactTokensForTokens: async (...args) => {
+        calls.push(['callStatic', ...args]);
+        return args[3];
+      }
+    },
+    executeSwapTokensForExactTokens: (...args) => calls.push(['executeSwapTokensForExactTokens', ...args]) && tx('0x01'),
+    swapExactTokensForTokens: (...args) => calls.push(['sellerSwap', ...args]) && tx('0x02')
+  };
+  const routerContract = {
+    address: router,
+    getAmountsOut: async (amountIn, path) => [amountIn, applyFee(amountIn, path.length - 1)],
+    getAmountsIn: async (amountOut, path) => [removeFee(amountOut, path.length - 1), amountOut],
+    swapExactTokensForTokens: (...args) => calls.push(['routerSwap', ...args]) && tx('0x03')
+  };
+  const sellerBot = new SellerArbitrageBot({ seller: sellerContract, pool, router: routerContract, weth, fromBlock: 5, logger });
+  sellerBot.getDesiredTokens = async () => [tokenA, tokenC, weth];
+  sellerBot.getToken = (token) => ({
+    balanceOf: async (account) => account == bot ? BigNumber.from(botBalance) : sellerBalances[token],
+    allowance: async () => BigNumber.from(allowance),
+    approve: (spender, amount) => calls.push(['approve', token, spender, amount]) && tx('0x04')
+  });
+  return { sellerBot, calls };
+}
+
+describe('lib/sellerBot.js', () => {
+  it('Tracks the tokens the seller receives', async () => {
+    const { sellerBot } = setup();
+    expect(await sellerBot.syncTokens()).to.deep.eq([tokenA, tokenB]);
+    expect(sellerBot.nextBlock).to.eq(21);
+  });
+
+  it('Quotes seller trades against Uniswap routes', async () => {
+    const { sellerBot } = setup();
+    const trades = await sellerBot.quoteTrades(tokenA, weth, parseEther('9.8'), parseEther('10'));
+    expect(trades.map(t => t.method)).to.deep.eq(['executeSwapTokensForExactTokens', 'swapExactTokensForTokens']);
+    const [execute, swap] = trades;
+    // The seller spends up to 9.8 A for 9.604 WETH, which costs 9.632... A on Uniswap
+    expect(execute.args).to.deep.eq([tokenA, weth, parseEther('9.604'), [tokenA, weth]]);
+    expect(execute.profit.toString()).to.eq(parseEther('9.8').sub(removeFee(parseEther('9.604'), 1)).toString());
+    expect(swap.args).to.deep.eq([weth, tokenA, parseEther('9.604'), parseEther('9.8')]);
+    expect(swap.profit.toString()).to.eq(applyFee(parseEther('9.8'), 1).sub(parseEther('9.604')).toString());
+    // The bot cannot afford the seller swap
+    const noBalance = await sellerBot.quoteTrades(tokenA, weth, parseEther('9.8'), 0);
+    expect(noBalance.map(t => t.method)).to.deep.eq(['executeSwapTokensForExactTokens']);
+  });
+
+  it('Finds the most profitable trade after gas', async () => {
+    const { sellerBot } = setup({ botBalance: parseEther('100') });
+    const { balance, trade } = await sellerBot.findTrade(tokenA, [tokenA, tokenC, weth], 1e9);
+    expect(balance.toString()).to.eq(parseEther('10').toString());
+    expect(trade.method).to.eq('executeSwapTokensForExactTokens');
+    expect(trade.desiredToken).to.eq(weth);
+    expect(trade.amount.toString()).to.eq(parseEther('10').toString());
+    expect(trade.gasCost.toString()).to.eq(BigNumber.from(1e9).mul(GAS_ESTIMATES.executeSwapTokensForExactTokens).toString());
+  });
+
+  it('Only checks trades with callStatic in simulation mode', async () => {
+    const { sellerBot, calls } = setup();
+    sellerBot.simulate = true;
+    const results = await sellerBot.runOnce();
+    expect(results.map(r => r.status)).to.deep.eq(['simulated', 'empty']);
+    expect(results[0].profit.toString()).to.eq(parseEther('0.1').toString());
+    expect(results[0].checked).to.be.true;
+    expect(calls.map(c => c[0])).to.deep.eq(['callStatic']);
+    // Seller swaps are not checked without an allowance, as approving sends a transaction
+    const { sellerBot: swapBot, calls: swapCalls } = setup({ botBalance: parseEther('100') });
+    swapBot.simulate = true;
+    const [, swap] = await swapBot.quoteTrades(tokenA, weth, parseEther('9.8'), parseEther('100'));
+    const result = await swapBot.executeTrade(swap);
+    expect(result.checked).to.be.false;
+    expect(swapCalls).to.deep.eq([]);
+  });
+
+  it('Executes profitable trades and skips unprofitable ones', async () => {
+    const { sellerBot, calls } = setup();
+    sellerBot.gasPrice = 1e9;
+    const [result] = await sellerBot.runOnce();
+    expect(result.status).to.eq('executed');
+    expect(result.transactionHashes).to.deep.eq(['0x01']);
+    expect(calls[0]).to.deep.eq([
+      'executeSwapTokensForExactTokens', tokenA, weth, parseEther('9.8'), [tokenA, weth], { gasPrice: 1e9 }
+    ]);
+    const { sellerBot: expensive } = setup();
+    expensive.gasPrice = parseEther('0.001');
+    expect((await expensive.runOnce())[0].status).to.eq('unprofitable');
+  });
+
+  it('Sells tokens bought from the seller on Uniswap', async () => {
+    const { sellerBot, calls } = setup({ botBalance: parseEther('100') });
+    const [, swap] = await sellerBot.quoteTrades(tokenA, weth, parseEther('9.8'), parseEther('100'));
+    const result = await sellerBot.executeTrade(swap);
+    expect(result.transactionHashes).to.deep.eq(['0x02', '0x03']);
+    expect(calls.map(c => c[0])).to.deep.eq(['approve', 'sellerSwap', 'approve', 'routerSwap']);
+    expect(calls[0].slice(1, 3)).to.deep.eq([weth, seller]);
+    expect(calls[2].slice(1, 3)).to.deep.eq([tokenA, router]);
+    const [, amountIn, amountOutMin, path, to, deadline] = calls[3];
+    expect(amountIn.toString()).to.eq(parseEther('9.8').toString());
+    expect(amountOutMin.toString()).to.eq(applyFee(parseEther('9.8'), 1).mul(995).div(1000).toString());
+    expect([path, to, deadline]).to.deep.eq([[tokenA, weth], bot, 1600000600]);
+  });
+
+  it('Logs failed runs and retries on the next block', async () => {
+    const { sellerBot } = setup();
+    const errors = [];
+    sellerBot.logger = { ...logger, error: (message) => errors.push(message) };
+    sellerBot.local = true;
+    sellerBot.provider.on = (event, listener) => { sellerBot.provider.listener = listener; };
+    sellerBot.provider.off = () => { sellerBot.provider.listener = undefined; };
+    const { getBlockNumber } = sellerBot.provider;
+    sellerBot.provider.getBlockNumber = async () => { throw new Error('connection refused'); };
+    await sellerBot.start();
+    expect(errors).to.deep.eq(['Seller bot run failed: connection refused']);
+    sellerBot.provider.getBlockNumber = getBlockNumber;
+    await sellerBot.provider.listener();
+    expect(sellerBot.tokens).to.deep.eq([tokenA, tokenB]);
+    sellerBot.stop();
+    expect(sellerBot.provider.listener).to.be.undefined;
+  });
+});
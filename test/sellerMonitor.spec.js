@@ -0,0 +1,130 @@
+const { expect } = require('chai');
+const { BigNumber, utils: { Interface, parseEther } } = require('ethers');
+
+const {
+  recommendPremium,
+  SellerMonitor,
+  formatSellerStatus,
+  sellerStatusToJSON
+} = require('../lib/sellerMonitor');
+const { address, timestampOf, event } = require('./lib/helpers');
+
+const [tokenA, tokenB, tokenC, tokenD, seller, controller] = ['aa', 'bb', 'cc', 'dd', '11', '22'].map(address);
+const latest = 57600;
+const now = timestampOf(latest);
+const day = 86400;
+
+const controllerInterface = new Interface(['function updateSellerPremium(address tokenSeller, uint8 premiumPercent)']);
+
+function makeMonitor({ premiumPercent = 2, premiumUpdates = [] } = {}) {
+  const newTokens = [
+    event(0, { token: tokenA, amountReceived: parseEther('10') }),
+    event(0, { token: tokenB, amountReceived: parseEther('5') }),
+    event(100, { token: tokenC, amountReceived: parseEther('1') })
+  ];
+  const swapped = [
+    event(40000, { tokenSold: tokenA, tokenBought: tokenD, soldAmount: parseEther('2'), boughtAmount: parseEther('1') }),
+    event(50000, { tokenSold: tokenC, tokenBought: tokenD, soldAmount: parseEther('1'), boughtAmount: parseEther('3') })
+  ];
+  const balances = { [tokenA]: parseEther('8'), [tokenB]: parseEther('5'), [tokenC]: BigNumber.from(0) };
+  const sellerContract = {
+    address: seller,
+    filters: { NewTokensToSell: () => 'new', SwappedTokens: () => 'swapped', PremiumPercentSet: () => 'premium' },
+    queryFilter: async (filter, fromBlock, toBlock) => {
+      expect([fromBlock, toBlock]).to.deep.eq([0, latest]);
+      return { new: newTokens, swapped, premium: premiumUpdates }[filter];
+    },
+    getPremiumPercent: async () => premiumPercent,
+    controller: async () => controller
+  };
+  const oracle = {
+    'computeAverageEthForTokens(address,uint256,uint256,uint256)': async (token, amount, min, max) => {
+      expect([min, max]).to.deep.eq([1200, 172800]);
+      if (token == tokenB) throw new Error('ERR_USE_FALLBACK_PRICE');
+      return amount.div(2);
+    }
+  };
+  const provider = {
+    getBlock: async (block) => block == 'latest'
+      ? { number: latest, timestamp: now }
+      : { timestamp: timestampOf(block) }
+  };
+  const monitor = new SellerMonitor({ seller: sellerContract, oracle, provider });
+  monitor.getBalance = async (token) => balances[token];
+  return monitor;
+}
+
+describe('lib/sellerMonitor.js', () => {
+  it('recommendPremium() raises the premium for each threshold a token has been unsold', () => {
+    const tokens = [
+      { token: tokenA, balance: parseEther('1'), staleFor: 2 * day },
+      { token: tokenB, balance: parseEther('1'), staleFor: 7 * day },
+      { token: tokenC, balance: BigNumber.from(0), staleFor: 0 }
+    ];
+    expect(recommendPremium(tokens, 2, 3 * day)).to.deep.eq({ current: 2, recommended: 4, staleTokens: [tokenB] });
+    expect(recommendPremium(tokens, 2, day)).to.deep.eq({ current: 2, recommended: 9, staleTokens: [tokenA, tokenB] });
+    expect(recommendPremium(tokens, 18, day).recommended).to.eq(19);
+    expect(recommendPremium(tokens, 2, 8 * day)).to.deep.eq({ current: 2, recommended: 2, staleTokens: [] });
+  });
+
+  it('Tracks the liquidation of each token', async () => {
+    const status = await makeMonitor().getStatus();
+    const [a, b, c] = status.tokens;
+    expect(a.received.toString()).to.eq(parseEther('10').toString());
+    expect(a.sold.toString()).to.eq(parseEther('2').toString());
+    expect(a.value.toString()).to.eq(parseEther('4').toString());
+    expect([a.sales, a.lastSale, a.idleFor]).to.deep.eq([1, timestampOf(40000), 264000]);
+    // 2 tokens sold in the last week, so 8 more take 4 weeks
+    expect(a.eta).to.be.closeTo(now + 28 * day, 1);
+    expect(b.lastSale).to.be.undefined;
+    expect(b.idleFor).to.eq(10 * day);
+    expect(b.eta).to.be.undefined;
+    expect(c.idleFor).to.eq(0);
+    expect(status.missingPrices).to.deep.eq([tokenB]);
+    expect(status.remainingValue.toString()).to.eq(parseEther('4').toString());
+    // The value of the tokens received by the pool
+    expect(status.swaps.map(s => s.recoveredValue.toString())).to.deep.eq([parseEther('0.5').toString(), parseEther('1.5').toString()]);
+    expect(status.recoveredValue.toString()).to.eq(parseEther('2').toString());
+  });
+
+  it('Recommends a premium update through the controller', async () => {
+    const { recommendation } = await makeMonitor().getStatus({ threshold: 3 * day });
+    expect(recommendation).to.include({ current: 2, recommended: 5 });
+    expect(recommendation.staleTokens).to.deep.eq([tokenA, tokenB]);
+    const { to, data, method } = recommendation.transaction;
+    expect([to, method]).to.deep.eq([controller, 'updateSellerPremium']);
+    const [tokenSeller, premiumPercent] = controllerInterface.decodeFunctionData('updateSellerPremium', data);
+    expect([tokenSeller, premiumPercent]).to.deep.eq([seller, 5]);
+    const { recommendation: none } = await makeMonitor().getStatus({ threshold: 11 * day });
+    expect(none.transaction).to.be.undefined;
+  });
+
+  it('Does not raise the premium again until tokens stay unsold for another threshold', async () => {
+    // The recommended premium was applied shortly before the latest block
+    const raised = makeMonitor({ premiumPercent: 5, premiumUpdates: [event(latest - 100, { premium: 5 })] });
+    const status = await raised.getStatus({ threshold: 3 * day });
+    expect(status.recommendation).to.deep.eq({ current: 5, recommended: 5, staleTokens: [] });
+    // Idle time is still reported since the last sale
+    expect(status.tokens[1].idleFor).to.eq(10 * day);
+    expect(status.tokens[1].staleFor).to.eq(1500);
+    // A premium change before the last sale of a token does not affect it
+    const earlier = makeMonitor({ premiumPercent: 5, premiumUpdates: [event(20000, { premium: 5 })] });
+    const { tokens, recommendation } = await earlier.getStatus({ threshold: 3 * day });
+    expect(tokens.map(t => t.staleFor)).to.deep.eq([264000, 564000, 0]);
+    expect(recommendation).to.include({ current: 5, recommended: 7 });
+    expect(recommendation.staleTokens).to.deep.eq([tokenA, tokenB]);
+  });
+
+  it('Formats the status as text and JSON', async () => {
+    const status = await makeMonitor({ premiumPercent: 19 }).getStatus();
+    const lines = formatSellerStatus(status, { [tokenA]: { symbol: 'A', decimals: 18 }, [tokenC]: { symbol: 'C', decimals: 18 } });
+    expect(lines[0]).to.eq('Premium 19%, 4.0 WETH left to sell, 2.0 WETH recovered in 2 swaps');
+    expect(lines[1]).to.match(/^A: 8.0 left \(4.0 WETH\), sold 2.0 of 10.0, unsold for 3 days, sold out in a month$/);
+    expect(lines[3]).to.eq('C: sold 1.0 of 1.0');
+    expect(lines[5]).to.eq(`The premium is at the maximum but A, ${tokenB} are unsold`);
+    const json = JSON.parse(sellerStatusToJSON(status));
+    expect(json.tokens[1]).to.include({ balance: parseEther('5').toString(), value: null, lastSale: null, eta: null });
+    expect(json.swaps[1].recoveredValue).to.eq('1.5');
+    expect(json.recommendation).to.deep.eq({ current: 19, recommended: 19, staleTokens: [tokenA, tokenB] });
+  });
+});
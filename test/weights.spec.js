@@ -0,0 +1,100 @@
+const { expect } = require('chai');
+const { parseEther } = require('ethers/lib/utils');
+
+const { MIN_WEIGHT, WEIGHT_UPDATE_DELAY } = require('../lib/bmath');
+const PoolHelper = require('../lib/poolHelper');
+const { projectWeightTimeline } = require('../lib/weights');
+const { address } = require('./lib/helpers');
+
+const [tokenA, tokenB, tokenC] = ['aa', 'bb', 'cc'].map(address);
+const timestamp = 1600000000;
+
+function makePool(records, minimumBalances = {}) {
+  const tokens = Object.keys(records);
+  const recordMap = {};
+  for (let token of tokens) {
+    recordMap[token] = { balance: parseEther('100'), lastDenormUpdate: timestamp, ...records[token] };
+  }
+  return new PoolHelper({
+    tokens,
+    records: recordMap,
+    minimumBalances,
+    totalSupply: parseEther('100'),
+    swapFee: parseEther('0.025'),
+    timestamp
+  });
+}
+
+const byToken = (timeline) => timeline.tokens.reduce((map, t) => ({ ...map, [t.token]: t }), {});
+
+describe('lib/weights.js', () => {
+  it('Moves a weight 1% per update until it reaches its target', () => {
+    const pool = makePool({
+      [tokenA]: { denorm: parseEther('10'), desiredDenorm: parseEther('10.3') },
+      [tokenB]: { denorm: parseEther('10') }
+    });
+    const timeline = projectWeightTimeline(pool);
+    const { [tokenA]: a, [tokenB]: b } = byToken(timeline);
+    expect(b.reachedAt).to.eq(timestamp);
+    expect(a.updates.map(u => u.timestamp)).to.deep.eq([1, 2, 3].map(i => timestamp + i * WEIGHT_UPDATE_DELAY));
+    expect(a.updates.map(u => u.denorm.toString())).to.deep.eq(
+      ['10.1', '10.201', '10.3'].map(n => parseEther(n).toString())
+    );
+    expect(a.reachedAt).to.eq(timestamp + 3 * WEIGHT_UPDATE_DELAY);
+    expect(timeline.end).to.eq(a.reachedAt);
+    // The original helper is not modified
+    expect(pool.records[tokenA].denorm.toString()).to.eq(parseEther('10').toString());
+  });
+
+  it('Waits for the update delay when trades are more frequent', () => {
+    const pool = makePool({ [tokenA]: { denorm: parseEther('10'), desiredDenorm: parseEther('11') } });
+    const { tokens: [a] } = projectWeightTimeline(pool, { tradeInterval: 1000 });
+    expect(a.updates[0].timestamp).to.eq(timestamp + 2000);
+    expect(a.updates[1].timestamp).to.eq(timestamp + 4000);
+  });
+
+  it('Unbinds tokens being removed', () => {
+    const pool = makePool({
+      [tokenA]: { denorm: MIN_WEIGHT.mul(102).div(100), desiredDenorm: 0 },
+      [tokenB]: { denorm: parseEther('10') }
+    });
+    const timeline = projectWeightTimeline(pool);
+    const { [tokenA]: a } = byToken(timeline);
+    expect(a.updates).to.have.length(2);
+    expect(a.unboundAt).to.eq(timestamp + 2 * WEIGHT_UPDATE_DELAY);
+    expect(a.denorm.isZero()).to.be.true;
+    expect(timeline.events.map(e => e.type)).to.deep.eq(['reached', 'unbound']);
+    expect(timeline.helper.tokens).to.deep.eq([tokenB]);
+  });
+
+  it('Projects when uninitialized tokens become ready', () => {
+    const records = {
+      [tokenA]: { denorm: parseEther('10') },
+      [tokenC]: { ready: false, denorm: 0, desiredDenorm: MIN_WEIGHT.mul(2), balance: parseEther('2') }
+    };
+    const minimumBalances = { [tokenC]: parseEther('10') };
+    const pending = projectWeightTimeline(makePool(records, minimumBalances));
+    expect(byToken(pending)[tokenC].readyAt).to.be.undefined;
+    expect(pending.end).to.eq(timestamp);
+
+    const timeline = projectWeightTimeline(makePool(records, minimumBalances), { inflows: { [tokenC]: parseEther('3') } });
+    const { [tokenC]: c } = byToken(timeline);
+    // 2 + 3 * 3 = 11 >= 10
+    expect(c.readyAt).to.eq(timestamp + 3 * WEIGHT_UPDATE_DELAY);
+    expect(c.updates[0].denorm.toString()).to.eq(MIN_WEIGHT.mul(110).div(100).toString());
+    expect(c.reachedAt).to.be.gt(c.readyAt);
+    expect(c.denorm.toString()).to.eq(MIN_WEIGHT.mul(2).toString());
+
+    const ratio = projectWeightTimeline(makePool(records, minimumBalances), { inflowRatio: parseEther('0.5') });
+    expect(byToken(ratio)[tokenC].readyAt).to.eq(timestamp + 2 * WEIGHT_UPDATE_DELAY);
+  });
+
+  it('Stops at the end of the duration', () => {
+    const pool = makePool({ [tokenA]: { denorm: parseEther('1'), desiredDenorm: parseEther('20') } });
+    const timeline = projectWeightTimeline(pool, { duration: 86400 });
+    const [a] = timeline.tokens;
+    expect(a.updates).to.have.length(48);
+    expect(a.reachedAt).to.be.undefined;
+    expect(timeline.end).to.eq(timestamp + 86400);
+  });
+});